@@ -8,7 +8,29 @@ const { initAdminRoutes } = require('./routes/admin');
 const { initManagerRoutes } = require('./routes/manager');
 const { initMemberRoutes } = require('./routes/member');
 const { initPaymentRoutes } = require('./routes/payments');
+const { initJobs, runDueJobs, startScheduler } = require('./jobs');
 const { verifyToken } = require('./middleware/auth');
+const { DEFAULT_REFUND_POLICY } = require('./utils/refundPolicy');
+const { initWaitlist, getWaitlistPosition } = require('./utils/waitlist');
+const { initSeats } = require('./utils/seats');
+const { initClubRoles } = require('./utils/clubRoles');
+const { initClubOwnership } = require('./utils/clubOwnership');
+const { initClubArchive } = require('./utils/clubArchive');
+const { initForum } = require('./utils/forum');
+const { initPolls } = require('./utils/polls');
+const { initMemberImport } = require('./utils/memberImport');
+const { initClubInvites, findInviteByCode, getInviteProblem, applyInviteDiscount } = require('./utils/clubInvites');
+const { initCoupons } = require('./utils/coupons');
+const { initMoney, fromMinorUnits, getCurrency } = require('./utils/money');
+const { initPlatformFees } = require('./utils/platformFees');
+const { initClubLedger } = require('./utils/clubLedger');
+const { initReceipts } = require('./utils/receipts');
+const { initDonations, getDonationTotals, getGoalProgress, formatPublicDonation } = require('./utils/donations');
+const { initDisputes } = require('./utils/disputes');
+const { getEventFee, formatTicketTypes } = require('./utils/tickets');
+const { getEventTimes } = require('./utils/eventTime');
+const { buildCalendar, sendCalendar } = require('./utils/ical');
+const { getVisibleLevels, publishedFilter, formatAnnouncement } = require('./utils/announcements');
 const app = express();
 const port = process.env.PORT || 3000;
 
@@ -61,6 +83,8 @@ app.use(cors({
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization']
 }));
+// Stripe signs the raw request body, so the webhook must skip JSON parsing
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 
 // URL encode the password to handle special characters
@@ -111,6 +135,25 @@ async function initializeRoutes() {
   
   try {
     const db = await connectToDatabase();
+
+    // Initialize shared helpers and scheduled jobs before the routes that use them
+    initSeats(db);
+    initWaitlist(db);
+    initClubRoles(db);
+    initClubOwnership(db);
+    initClubArchive(db);
+    initForum(db);
+    initPolls(db);
+    initMemberImport(db);
+    initClubInvites(db);
+    initCoupons(db);
+    initMoney(db);
+    initPlatformFees(db);
+    initClubLedger(db);
+    initReceipts(db);
+    initDonations(db);
+    initDisputes(db);
+    initJobs(db);
     
     // Initialize auth routes with MongoDB client
     const authRouter = initAuthRoutes(db);
@@ -132,6 +175,147 @@ async function initializeRoutes() {
     const paymentRouter = initPaymentRoutes(db);
     app.use('/api/payments', paymentRouter);
 
+    // Vercel Cron endpoint - runs every job that is due (see vercel.json)
+    // Vercel sends CRON_SECRET as a bearer token
+    app.get('/api/cron/jobs', async (req, res) => {
+      try {
+        if (!process.env.CRON_SECRET) {
+          return res.status(500).json({ error: 'CRON_SECRET not configured' });
+        }
+
+        if (req.headers.authorization !== `Bearer ${process.env.CRON_SECRET}`) {
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+
+        const runs = await runDueJobs('cron');
+
+        res.json({
+          runs: runs.map(run => ({
+            id: run._id.toString(),
+            job: run.job,
+            status: run.status,
+            result: run.result || null,
+            error: run.error || null
+          }))
+        });
+      } catch (error) {
+        console.error('Cron jobs error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // ==================== CALENDAR FEEDS ====================
+
+    // Feeds keep recent past events so calendar apps do not drop them right away
+    const CALENDAR_HISTORY_DAYS = 30;
+
+    const getCalendarStart = () => new Date(Date.now() - CALENDAR_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+
+    // Download a single event as an .ics file (no authentication required)
+    app.get('/api/events/:id/calendar.ics', async (req, res) => {
+      try {
+        const db = client.db('clubsphere');
+        const eventsCollection = db.collection('events');
+        const { id } = req.params;
+
+        let event;
+        if (ObjectId.isValid(id)) {
+          event = await eventsCollection.findOne({ _id: new ObjectId(id) });
+        }
+
+        if (!event || !event.date || event.status === 'archived') {
+          return res.status(404).json({ error: 'Event not found' });
+        }
+
+        sendCalendar(res, buildCalendar({ events: [event] }), {
+          filename: `event-${id}.ics`,
+          attachment: true
+        });
+      } catch (error) {
+        console.error('Event calendar error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Subscribable feed of a club's events (no authentication required)
+    app.get('/api/clubs/:id/events.ics', async (req, res) => {
+      try {
+        const db = client.db('clubsphere');
+        const eventsCollection = db.collection('events');
+        const clubsCollection = db.collection('clubs');
+        const { id } = req.params;
+
+        let club;
+        if (ObjectId.isValid(id)) {
+          club = await clubsCollection.findOne({ _id: new ObjectId(id) });
+        }
+
+        if (!club || club.status === 'archived') {
+          return res.status(404).json({ error: 'Club not found' });
+        }
+
+        // Same club match as /api/clubs/:id/events; cancelled events stay so subscribers see the cancellation
+        const events = await eventsCollection
+          .find({
+            $or: [
+              { clubName: club.name },
+              { clubId: id },
+              { clubId: club._id }
+            ],
+            date: { $gte: getCalendarStart() },
+            status: { $in: ['active', 'completed', 'cancelled'] }
+          })
+          .sort({ date: 1 })
+          .limit(500)
+          .toArray();
+
+        sendCalendar(res, buildCalendar({ name: club.name, events }), {
+          filename: `club-${id}.ics`
+        });
+      } catch (error) {
+        console.error('Club calendar error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Personal feed of a member's registrations, authenticated by their feed token
+    // (see /api/member/calendar). Calendar apps cannot send a bearer token.
+    app.get('/api/calendar/:token.ics', async (req, res) => {
+      try {
+        const db = client.db('clubsphere');
+        const usersCollection = db.collection('users');
+        const registrationsCollection = db.collection('registrations');
+        const eventsCollection = db.collection('events');
+        const { token } = req.params;
+
+        const user = token ? await usersCollection.findOne({ calendarFeedToken: token }) : null;
+        if (!user) {
+          return res.status(404).json({ error: 'Calendar feed not found' });
+        }
+
+        const registrations = await registrationsCollection
+          .find({ userId: user._id.toString(), status: 'registered' })
+          .toArray();
+
+        const eventIds = registrations
+          .map(registration => registration.eventId)
+          .filter(eventId => ObjectId.isValid(eventId))
+          .map(eventId => new ObjectId(eventId));
+
+        const events = await eventsCollection
+          .find({ _id: { $in: eventIds }, date: { $gte: getCalendarStart() } })
+          .sort({ date: 1 })
+          .toArray();
+
+        sendCalendar(res, buildCalendar({ name: `ClubSphere - ${user.name || 'My events'}`, events }), {
+          filename: 'clubsphere.ics'
+        });
+      } catch (error) {
+        console.error('Personal calendar error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
     // Public endpoint to fetch active/featured clubs (no authentication required)
     // IMPORTANT: This must come BEFORE /api/clubs/:id to avoid route conflicts
     app.get('/api/clubs/featured', async (req, res) => {
@@ -217,7 +401,7 @@ async function initializeRoutes() {
           club = await clubsCollection.findOne({ _id: new ObjectId(id) });
         }
         
-        if (!club) {
+        if (!club || club.status === 'archived') {
           return res.status(404).json({ error: 'Club not found' });
         }
 
@@ -251,16 +435,8 @@ async function initializeRoutes() {
           const daysOfWeek = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
           const dayOfWeek = daysOfWeek[eventDate.getDay()];
           
-          // Get fee (prioritize fee over price for newer events)
-          let eventFee = 0;
-          if (event.fee !== undefined) {
-            eventFee = event.fee;
-          } else if (event.price !== undefined) {
-            // Price is stored in cents (legacy format), convert to taka
-            eventFee = event.price / 100;
-          } else if (event.type === 'Paid' && event.amount) {
-            eventFee = event.amount;
-          }
+          // Lowest ticket price, in whole units
+          const eventFee = getEventFee(event);
 
           return {
             id: event._id.toString(),
@@ -277,6 +453,7 @@ async function initializeRoutes() {
             formattedDate: `${dayOfWeek}, ${timeStr}`,
             location: event.location || '',
             eventFee: eventFee,
+            currency: getCurrency(event),
             isPaid: eventFee > 0
           };
         });
@@ -288,6 +465,126 @@ async function initializeRoutes() {
       }
     });
 
+    // Public endpoint to preview an invite code before joining (no authentication required)
+    app.get('/api/invites/:code', async (req, res) => {
+      try {
+        const db = client.db('clubsphere');
+        const clubsCollection = db.collection('clubs');
+
+        const invite = await findInviteByCode(req.params.code);
+        const club = invite && ObjectId.isValid(invite.clubId)
+          ? await clubsCollection.findOne({ _id: new ObjectId(invite.clubId) })
+          : null;
+        if (!club || club.status !== 'active') {
+          return res.status(404).json({ error: 'Invite not found' });
+        }
+
+        const problem = getInviteProblem(invite);
+        const fee = fromMinorUnits(club.fee);
+
+        res.json({
+          code: invite.code,
+          valid: !problem,
+          reason: problem,
+          expiresAt: invite.expiresAt || null,
+          club: {
+            id: club._id.toString(),
+            name: club.name,
+            image: club.image || null,
+            category: club.category || null,
+            requiresApproval: !!club.requiresApproval
+          },
+          // In whole units; join with POST /api/payments/club/register-free when membershipFee is 0,
+          // otherwise with POST /api/payments/club/create-intent, passing inviteCode
+          currency: getCurrency(club),
+          originalFee: fee,
+          membershipFee: problem ? fee : applyInviteDiscount(fee, invite)
+        });
+      } catch (error) {
+        console.error('Get invite error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // Public announcements of a club (no authentication required)
+    // IMPORTANT: This must come BEFORE /api/clubs/:id to avoid route conflicts
+    app.get('/api/clubs/:id/announcements', async (req, res) => {
+      try {
+        const db = client.db('clubsphere');
+        const clubsCollection = db.collection('clubs');
+        const announcementsCollection = db.collection('announcements');
+        const { id } = req.params;
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+        const club = ObjectId.isValid(id) ? await clubsCollection.findOne({ _id: new ObjectId(id) }) : null;
+        if (!club || club.status === 'archived') {
+          return res.status(404).json({ error: 'Club not found' });
+        }
+
+        const now = new Date();
+        const announcements = await announcementsCollection
+          .find({ clubId: id, visibility: { $in: getVisibleLevels({}) }, ...publishedFilter(now) })
+          .sort({ pinned: -1, publishAt: -1 })
+          .limit(limit)
+          .toArray();
+
+        res.json({ announcements: announcements.map(announcement => formatAnnouncement(announcement, club, now)) });
+      } catch (error) {
+        console.error('Get club announcements error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
+    // A club's donations page: its goal and progress, and recent donations with their messages
+    // (no authentication required). Donate through POST /api/payments/donations/create-intent.
+    // IMPORTANT: This must come BEFORE /api/clubs/:id to avoid route conflicts
+    app.get('/api/clubs/:id/donations', async (req, res) => {
+      try {
+        const db = client.db('clubsphere');
+        const clubsCollection = db.collection('clubs');
+        const donationsCollection = db.collection('donations');
+        const { id } = req.params;
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const skip = (page - 1) * limit;
+
+        const club = ObjectId.isValid(id) ? await clubsCollection.findOne({ _id: new ObjectId(id) }) : null;
+        if (!club || club.status !== 'active') {
+          return res.status(404).json({ error: 'Club not found' });
+        }
+
+        const query = { clubId: id, status: 'paid' };
+        const [goal, totals, donations, total] = await Promise.all([
+          getGoalProgress(club),
+          getDonationTotals(id),
+          donationsCollection.find(query).sort({ paidAt: -1 }).skip(skip).limit(limit).toArray(),
+          donationsCollection.countDocuments(query)
+        ]);
+
+        res.json({
+          club: {
+            id: club._id.toString(),
+            name: club.name,
+            image: club.image || null
+          },
+          currency: getCurrency(club),
+          goal,
+          totalRaised: fromMinorUnits(totals.raised),
+          donorCount: totals.donorCount,
+          donations: donations.map(formatPublicDonation),
+          pagination: {
+            page,
+            limit,
+            total,
+            totalPages: Math.ceil(total / limit)
+          }
+        });
+      } catch (error) {
+        console.error('Get club donations error:', error);
+        res.status(500).json({ error: 'Internal server error' });
+      }
+    });
+
     // Public endpoint to fetch a single club by ID (no authentication required)
     app.get('/api/clubs/:id', async (req, res) => {
       try {
@@ -345,7 +642,13 @@ async function initializeRoutes() {
           name: club.name,
           category: formattedCategory,
           location: club.location || '',
-          membershipFee: club.fee || 0,
+          membershipFee: fromMinorUnits(club.fee),
+          yearlyMembershipFee: fromMinorUnits(club.yearlyFee),
+          currency: getCurrency(club),
+          billingIntervals: [
+            ...(club.fee > 0 ? ['month'] : []),
+            ...(club.yearlyFee > 0 ? ['year'] : [])
+          ],
           memberCount: club.memberCount || 0,
           bannerImage: club.image || null,
           image: club.image || null,
@@ -354,7 +657,11 @@ async function initializeRoutes() {
           managerRole: 'Club Manager',
           managerPhoto: manager?.photoURL || null,
           meetingPoint: club.location || '',
-          tags: club.tags || []
+          tags: club.tags || [],
+          requiresApproval: !!club.requiresApproval,
+          joinQuestions: club.requiresApproval
+            ? (club.joinQuestions || []).map(({ id, question, required }) => ({ id, question, required }))
+            : []
         };
 
         res.json(formattedClub);
@@ -410,13 +717,16 @@ async function initializeRoutes() {
         }
 
         if (membership) {
+          // A pending membership is an application still waiting for approval
           return res.json({ 
-            isMember: true, 
+            isMember: membership.status === 'active', 
             membership: {
               id: membership._id.toString(),
               status: membership.status,
               joinDate: membership.joinDate,
-              expiryDate: membership.expiryDate
+              expiryDate: membership.expiryDate,
+              billingInterval: membership.billingInterval || null,
+              autoRenew: membership.autoRenew || false
             }
           });
         }
@@ -502,7 +812,7 @@ async function initializeRoutes() {
             { eventId: id.toString() },
             { eventId: id }
           ],
-          status: { $in: ['registered', 'pending'] }
+          status: { $in: ['registered', 'pending', 'waitlisted', 'offered'] }
         });
 
         // If not found and id is a valid ObjectId, try with ObjectId string
@@ -510,18 +820,22 @@ async function initializeRoutes() {
           registration = await registrationsCollection.findOne({
             userId: userId,
             eventId: new ObjectId(id).toString(),
-            status: { $in: ['registered', 'pending'] }
+            status: { $in: ['registered', 'pending', 'waitlisted', 'offered'] }
           });
         }
 
         if (registration) {
+          const isWaitlisted = registration.status === 'waitlisted' || registration.status === 'offered';
           return res.json({ 
-            isRegistered: true, 
+            isRegistered: !isWaitlisted, 
+            isWaitlisted,
             registration: {
               id: registration._id.toString(),
               status: registration.status,
               paymentStatus: registration.paymentStatus,
-              registrationDate: registration.registrationDate
+              registrationDate: registration.registrationDate,
+              waitlistPosition: await getWaitlistPosition(registration),
+              offerExpiresAt: registration.offerExpiresAt || null
             }
           });
         }
@@ -649,7 +963,8 @@ async function initializeRoutes() {
             name: club.name, // Keep both for compatibility
             category: formattedCategory,
             location: club.location || '',
-            membershipFee: club.fee || 0,
+            membershipFee: fromMinorUnits(club.fee),
+            currency: getCurrency(club),
             memberCount: club.memberCount || 0,
             bannerImage: club.image || null,
             image: club.image || null, // Keep both for compatibility
@@ -752,16 +1067,8 @@ async function initializeRoutes() {
           const eventDate = event.date ? new Date(event.date) : new Date();
           const timeStr = event.time || '12:00 PM';
           
-          // Get fee from event (prioritize fee over price for newer events)
-          let eventFee = 0;
-          if (event.fee !== undefined) {
-            eventFee = event.fee;
-          } else if (event.price !== undefined) {
-            // Price is stored in cents (legacy format), convert to taka
-            eventFee = event.price / 100;
-          } else if (event.type === 'Paid' && event.amount) {
-            eventFee = event.amount;
-          }
+          // Lowest ticket price, in whole units
+          const eventFee = getEventFee(event);
           const isPaid = eventFee > 0;
 
           return {
@@ -769,6 +1076,7 @@ async function initializeRoutes() {
             title: event.name || '',
             eventDate: eventDate.toISOString(),
             eventFee: eventFee,
+            currency: getCurrency(event),
             isPaid: isPaid,
             clubName: event.clubName || '',
             clubImage: event.clubId ? (clubMap[event.clubId] || null) : null,
@@ -904,25 +1212,16 @@ async function initializeRoutes() {
           return res.status(404).json({ error: 'Event not found' });
         }
 
-        // Only exclude cancelled events, allow active events or events without status
-        if (event.status === 'cancelled') {
+        // Only exclude cancelled and archived events, allow active events or events without status
+        if (event.status === 'cancelled' || event.status === 'archived') {
           return res.status(404).json({ error: 'Event not found' });
         }
 
         const eventDate = event.date ? new Date(event.date) : new Date();
         const timeStr = event.time || '12:00 PM';
         
-        // Get fee from event (prioritize fee over price for newer events)
-        let eventFee = 0;
-        if (event.fee !== undefined) {
-          // Fee is stored in taka (newer format)
-          eventFee = event.fee;
-        } else if (event.price !== undefined) {
-          // Price is stored in cents (legacy format), convert to taka
-          eventFee = event.price / 100;
-        } else if (event.type === 'Paid' && event.amount) {
-          eventFee = event.amount;
-        }
+        // Lowest ticket price, in whole units
+        const eventFee = getEventFee(event);
         const isPaid = eventFee > 0;
 
         // Get club info if clubId exists
@@ -947,6 +1246,9 @@ async function initializeRoutes() {
           status: 'registered'
         });
 
+        // Actual start and end instants, from the date, the time text and the event's time zone
+        const eventTimes = getEventTimes(event);
+
         // Format response to match frontend expectations
         const formattedEvent = {
           id: event._id.toString(),
@@ -961,9 +1263,17 @@ async function initializeRoutes() {
           clubName: event.clubName || '',
           clubImage: clubImage || null,
           eventFee: eventFee,
+          currency: getCurrency(event),
           isPaid: isPaid,
           currentAttendees: currentAttendees,
           maxAttendees: event.maxAttendees || null,
+          refundPolicy: event.refundPolicy || DEFAULT_REFUND_POLICY,
+          ticketTypes: formatTicketTypes(event),
+          timezone: eventTimes.timeZone,
+          startsAt: eventTimes.start,
+          endsAt: eventTimes.end,
+          allDay: eventTimes.allDay,
+          calendarUrl: `/api/events/${event._id.toString()}/calendar.ics`,
           clubId: event.clubId || null
         };
 
@@ -1137,7 +1447,8 @@ async function initializeRoutes() {
         const reviews = await reviewsCollection
           .find({ 
             clubId: { $exists: true, $ne: null }, // Only club reviews (exists and not null)
-            eventId: { $exists: false } // Exclude event reviews
+            eventId: { $exists: false }, // Exclude event reviews
+            archivedAt: { $exists: false } // Exclude reviews of archived clubs
           })
           .sort({ createdAt: -1 }) // Most recent first
           .limit(limit) // Get exactly the number requested
@@ -1225,7 +1536,7 @@ async function initializeRoutes() {
 
         // Fetch reviews for this club
         const reviews = await reviewsCollection
-          .find({ clubId: new ObjectId(clubId) })
+          .find({ clubId: new ObjectId(clubId), archivedAt: { $exists: false } })
           .sort({ createdAt: -1 })
           .toArray();
 
@@ -1406,7 +1717,7 @@ async function initializeRoutes() {
 
         // Fetch reviews for this event
         const reviews = await reviewsCollection
-          .find({ eventId: new ObjectId(eventId) })
+          .find({ eventId: new ObjectId(eventId), archivedAt: { $exists: false } })
           .sort({ createdAt: -1 })
           .toArray();
 
@@ -1544,6 +1855,7 @@ if (process.env.NODE_ENV !== 'production' || !process.env.VERCEL) {
     try {
       await connectToDatabase();
       await initializeRoutes();
+      startScheduler();
       
       app.listen(port, () => {
         console.log(`Server listening on port ${port}`)
@@ -0,0 +1,36 @@
+const { finalizePoll } = require('../utils/polls');
+
+// Close polls whose voting window has ended, publishing results and assigning election roles
+const closePolls = async (db) => {
+  const pollsCollection = db.collection('polls');
+
+  const due = await pollsCollection.find({
+    closedAt: null,
+    cancelledAt: null,
+    closesAt: { $lte: new Date() },
+    archivedAt: { $exists: false }
+  }).toArray();
+
+  const closed = [];
+  for (const poll of due) {
+    const result = await finalizePoll(poll);
+    if (result) {
+      closed.push({
+        pollId: poll._id.toString(),
+        clubId: poll.clubId,
+        winners: result.results.winners,
+        tie: result.results.tie,
+        roleChanges: result.roleChanges || null
+      });
+    }
+  }
+
+  return { checked: due.length, closed };
+};
+
+module.exports = {
+  name: 'close-polls',
+  description: 'Close polls past their closing time, publish results and assign elected officer roles',
+  intervalMinutes: 5,
+  run: closePolls
+};
@@ -0,0 +1,25 @@
+// Mark active events from previous days as completed.
+// Events store the day in `date` and a free-text `time`, so anything dated
+// today is left alone until the day is over.
+const completePastEvents = async (db) => {
+  const eventsCollection = db.collection('events');
+  const now = new Date();
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  const result = await eventsCollection.updateMany(
+    {
+      status: 'active',
+      date: { $ne: null, $lt: startOfToday }
+    },
+    { $set: { status: 'completed', completedAt: now, updatedAt: now } }
+  );
+
+  return { completed: result.modifiedCount };
+};
+
+module.exports = {
+  name: 'complete-past-events',
+  description: 'Mark active events from previous days as completed',
+  intervalMinutes: 60,
+  run: completePastEvents
+};
@@ -0,0 +1,86 @@
+const { ObjectId } = require('mongodb');
+
+// Subscriptions renew at the end of the period; give the invoice.paid webhook
+// this long to arrive before treating the membership as lapsed
+const RENEWAL_BUFFER_MS = 24 * 60 * 60 * 1000;
+
+// Stripe client for cancelling lapsed subscriptions, when configured
+let stripe = null;
+const getStripe = () => {
+  if (!stripe && process.env.STRIPE_SECRET_KEY) {
+    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+// Cancel the Stripe subscription of an expired membership so its failed invoice stops being
+// retried. A failure is logged; a retry that still gets paid reactivates the membership.
+const cancelSubscription = async (membershipsCollection, membership, now) => {
+  const client = getStripe();
+  if (!client) return false;
+
+  try {
+    await client.subscriptions.cancel(membership.subscriptionId);
+  } catch (error) {
+    console.error(`Cancel subscription ${membership.subscriptionId} error:`, error.message);
+    return false;
+  }
+
+  await membershipsCollection.updateOne(
+    { _id: membership._id },
+    { $set: { autoRenew: false, subscriptionCancelledAt: now } }
+  );
+  return true;
+};
+
+// Mark active memberships past their expiry date (and grace period) as expired,
+// cancelling the subscriptions of those that renew automatically
+const expireMemberships = async (db) => {
+  const membershipsCollection = db.collection('memberships');
+  const clubsCollection = db.collection('clubs');
+  const now = new Date();
+
+  const overdue = await membershipsCollection.find({
+    status: 'active',
+    expiryDate: { $ne: null, $lt: now },
+    $or: [
+      { gracePeriodEndsAt: { $exists: false } },
+      { gracePeriodEndsAt: null },
+      { gracePeriodEndsAt: { $lt: now } }
+    ],
+    $nor: [
+      { autoRenew: true, expiryDate: { $gte: new Date(now.getTime() - RENEWAL_BUFFER_MS) } }
+    ]
+  }).toArray();
+
+  let expired = 0;
+  let subscriptionsCancelled = 0;
+  for (const membership of overdue) {
+    // Re-check the status so a concurrent renewal wins
+    const result = await membershipsCollection.updateOne(
+      { _id: membership._id, status: 'active' },
+      { $set: { status: 'expired', expiredAt: now, updatedAt: now } }
+    );
+
+    if (result.modifiedCount > 0) {
+      expired++;
+      await clubsCollection.updateOne(
+        { _id: ObjectId.isValid(membership.clubId) ? new ObjectId(membership.clubId) : membership.clubId },
+        { $inc: { memberCount: -1 } }
+      );
+
+      if (membership.subscriptionId && await cancelSubscription(membershipsCollection, membership, now)) {
+        subscriptionsCancelled++;
+      }
+    }
+  }
+
+  return { checked: overdue.length, expired, subscriptionsCancelled };
+};
+
+module.exports = {
+  name: 'expire-memberships',
+  description: 'Expire active memberships whose expiry date and grace period have passed',
+  intervalMinutes: 60,
+  run: expireMemberships
+};
@@ -0,0 +1,44 @@
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { releaseSeat } = require('../utils/seats');
+
+// Release seats offered to waitlisted members who did not pay in time,
+// then offer them to the next people in line
+const expireWaitlistOffers = async (db) => {
+  const registrationsCollection = db.collection('registrations');
+  const now = new Date();
+
+  const expiredOffers = await registrationsCollection.find({
+    status: 'offered',
+    offerExpiresAt: { $lte: now }
+  }).toArray();
+
+  let expired = 0;
+  const eventIds = new Set();
+  for (const registration of expiredOffers) {
+    // Re-check the status so a payment confirmed meanwhile wins
+    const result = await registrationsCollection.updateOne(
+      { _id: registration._id, status: 'offered' },
+      { $set: { status: 'expired', paymentStatus: 'expired', updatedAt: now } }
+    );
+
+    if (result.modifiedCount > 0) {
+      await releaseSeat(registration.eventId, registration.ticketTypeId);
+      expired++;
+      eventIds.add(registration.eventId);
+    }
+  }
+
+  let promoted = 0;
+  for (const eventId of eventIds) {
+    promoted += (await promoteFromWaitlist(eventId)).length;
+  }
+
+  return { expired, promoted };
+};
+
+module.exports = {
+  name: 'expire-waitlist-offers',
+  description: 'Expire unpaid waitlist offers and promote the next people in line',
+  intervalMinutes: 15,
+  run: expireWaitlistOffers
+};
@@ -0,0 +1,173 @@
+const expireMemberships = require('./expireMemberships');
+const completePastEvents = require('./completePastEvents');
+const repairMemberCounts = require('./repairMemberCounts');
+const expireWaitlistOffers = require('./expireWaitlistOffers');
+const releaseSeatHolds = require('./releaseSeatHolds');
+const purgeArchivedClubs = require('./purgeArchivedClubs');
+const closePolls = require('./closePolls');
+const normalizeMoney = require('./normalizeMoney');
+
+// Registered jobs, in the order they run when several are due.
+// normalize-money goes first so the others read amounts in one format.
+const jobs = [
+  normalizeMoney,
+  expireMemberships,
+  completePastEvents,
+  repairMemberCounts,
+  expireWaitlistOffers,
+  releaseSeatHolds,
+  purgeArchivedClubs,
+  closePolls
+];
+
+// A crashed run releases its lock after this long
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+// How often the local scheduler checks for due jobs
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+// MongoDB collections (will be initialized from index.js)
+let db;
+let jobLocksCollection;
+let jobRunsCollection;
+let schedulerTimer = null;
+
+// Initialize collections
+const initJobs = (client) => {
+  db = client.db('clubsphere');
+  jobLocksCollection = db.collection('job_locks');
+  jobRunsCollection = db.collection('job_runs');
+
+  jobRunsCollection.createIndex({ job: 1, startedAt: -1 })
+    .catch(error => console.error('Create job run index error:', error));
+};
+
+const getJob = (name) => jobs.find(job => job.name === name) || null;
+
+// Take the job's lock; returns false if another run holds it
+const acquireLock = async (name, now) => {
+  try {
+    const lock = await jobLocksCollection.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [
+          { lockedUntil: { $exists: false } },
+          { lockedUntil: { $lt: now } }
+        ]
+      },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_TIMEOUT_MS), lockedAt: now } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return !!lock;
+  } catch (error) {
+    // Upsert hit the existing, still-held lock document
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+const releaseLock = (name) => jobLocksCollection.updateOne(
+  { _id: name },
+  { $set: { lockedUntil: new Date(0) } }
+);
+
+// Run one job and record the run in job_runs.
+// trigger is 'schedule', 'cron' or 'manual'; triggeredBy is the admin email for manual runs.
+const runJob = async (name, { trigger = 'manual', triggeredBy = null } = {}) => {
+  const job = getJob(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const startedAt = new Date();
+  const run = {
+    job: name,
+    trigger,
+    triggeredBy,
+    status: 'running',
+    startedAt
+  };
+
+  if (!(await acquireLock(name, startedAt))) {
+    run.status = 'skipped';
+    run.finishedAt = new Date();
+    run.error = 'Job is already running';
+    const { insertedId } = await jobRunsCollection.insertOne(run);
+    return { _id: insertedId, ...run };
+  }
+
+  const { insertedId } = await jobRunsCollection.insertOne(run);
+
+  try {
+    run.result = await job.run(db);
+    run.status = 'success';
+  } catch (error) {
+    console.error(`Job ${name} failed:`, error);
+    run.status = 'failed';
+    run.error = error.message;
+  } finally {
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - startedAt;
+    await jobRunsCollection.updateOne(
+      { _id: insertedId },
+      { $set: { status: run.status, result: run.result || null, error: run.error || null, finishedAt: run.finishedAt, durationMs: run.durationMs } }
+    );
+    await releaseLock(name);
+  }
+
+  return { _id: insertedId, ...run };
+};
+
+// Last finished run of a job, optionally only successful ones
+const getLastRun = (name, status) => jobRunsCollection.findOne(
+  { job: name, ...(status ? { status } : { status: { $ne: 'running' } }) },
+  { sort: { startedAt: -1 } }
+);
+
+// Run every job whose interval has passed since its last successful run
+const runDueJobs = async (trigger) => {
+  const now = new Date();
+  const runs = [];
+
+  for (const job of jobs) {
+    const lastSuccess = await getLastRun(job.name, 'success');
+    const dueAt = lastSuccess
+      ? new Date(lastSuccess.startedAt.getTime() + job.intervalMinutes * 60 * 1000)
+      : now;
+
+    if (dueAt <= now) {
+      runs.push(await runJob(job.name, { trigger }));
+    }
+  }
+
+  return runs;
+};
+
+// Job definitions with their last run, for the admin endpoint
+const listJobs = async () => Promise.all(jobs.map(async (job) => ({
+  name: job.name,
+  description: job.description,
+  intervalMinutes: job.intervalMinutes,
+  lastRun: await getLastRun(job.name)
+})));
+
+// In-process scheduler for long-lived servers (local development).
+// Vercel has no long-lived process, so there the cron endpoint calls runDueJobs instead.
+const startScheduler = () => {
+  if (schedulerTimer) return;
+
+  const tick = () => runDueJobs('schedule').catch(error => console.error('Job scheduler error:', error));
+  schedulerTimer = setInterval(tick, SCHEDULER_TICK_MS);
+  schedulerTimer.unref();
+  tick();
+  console.log('Job scheduler started');
+};
+
+module.exports = {
+  initJobs,
+  getJob,
+  runJob,
+  runDueJobs,
+  listJobs,
+  startScheduler
+};
@@ -0,0 +1,186 @@
+const { SUPPORTED_CURRENCIES, toMinorUnits, getCurrency } = require('../utils/money');
+
+// Documents from before the money model (see utils/money) have no currency or a lower-case one
+const legacy = { currency: { $nin: SUPPORTED_CURRENCIES } };
+
+// Whole-unit amount fields, converted when present
+const convertAmounts = (document, fields) => {
+  const set = {};
+  fields.forEach(field => {
+    if (typeof document[field] === 'number') set[field] = toMinorUnits(document[field]);
+  });
+  return set;
+};
+
+// Rewrite documents from before the money model: amounts become integer minor units and every
+// document gets an upper-case currency code. Clubs created by managers already stored their fees
+// in cents and admin-created ones in whole units; only the manager form sets requiresApproval,
+// so that tells them apart. Events stored fee (whole units), price (cents) or amount (whole units).
+// Platform fees, amount coupons and coupon redemptions stored whole units without a currency.
+// Documents already converted are skipped, so the job is safe to run again.
+const normalizeMoney = async (db) => {
+  const clubsCollection = db.collection('clubs');
+  const now = new Date();
+  const counts = {};
+
+  const clubs = await clubsCollection.find(legacy).toArray();
+  for (const club of clubs) {
+    const toMinor = club.requiresApproval === undefined ? toMinorUnits : Math.round;
+    await clubsCollection.updateOne(
+      { _id: club._id, ...legacy },
+      {
+        $set: {
+          fee: toMinor(club.fee || 0),
+          yearlyFee: toMinor(club.yearlyFee || 0),
+          currency: getCurrency(club),
+          updatedAt: now
+        }
+      }
+    );
+  }
+  counts.clubs = clubs.length;
+
+  // Events and series sell in their club's currency
+  const currencies = new Map((await clubsCollection.find({}, { projection: { currency: 1 } }).toArray())
+    .map(club => [club._id.toString(), getCurrency(club)]));
+  const getClubCurrency = (clubId) => currencies.get(clubId ? clubId.toString() : '') || getCurrency(null);
+
+  const eventsCollection = db.collection('events');
+  const events = await eventsCollection.find(legacy).toArray();
+  for (const event of events) {
+    let price = 0;
+    if (event.fee !== undefined) {
+      price = toMinorUnits(event.fee);
+    } else if (event.price !== undefined) {
+      price = Math.round(event.price || 0);
+    } else if (event.type === 'Paid' && event.amount) {
+      price = toMinorUnits(event.amount);
+    }
+
+    await eventsCollection.updateOne(
+      { _id: event._id, ...legacy },
+      {
+        $set: { price, currency: getClubCurrency(event.clubId), updatedAt: now },
+        $unset: { fee: '', amount: '' }
+      }
+    );
+  }
+  counts.events = events.length;
+
+  const seriesCollection = db.collection('event_series');
+  const series = await seriesCollection.find(legacy).toArray();
+  for (const item of series) {
+    await seriesCollection.updateOne(
+      { _id: item._id, ...legacy },
+      { $set: { currency: getClubCurrency(item.clubId), updatedAt: now } }
+    );
+  }
+  counts.series = series.length;
+
+  // Memberships and registrations stored whole units
+  const amountFields = {
+    memberships: ['amount', 'membershipFee', 'serviceFee'],
+    registrations: ['amount', 'eventFee', 'serviceFee', 'refundAmount']
+  };
+  for (const [name, fields] of Object.entries(amountFields)) {
+    const collection = db.collection(name);
+    const documents = await collection.find(legacy).toArray();
+    for (const document of documents) {
+      await collection.updateOne(
+        { _id: document._id, ...legacy },
+        { $set: { ...convertAmounts(document, fields), currency: getCurrency(document) } }
+      );
+    }
+    counts[name] = documents.length;
+  }
+
+  // Transactions were already in cents, apart from a few stored as text in whole units
+  const transactionsCollection = db.collection('transactions');
+  const transactions = await transactionsCollection.find(legacy).toArray();
+  for (const transaction of transactions) {
+    await transactionsCollection.updateOne(
+      { _id: transaction._id, ...legacy },
+      {
+        $set: {
+          ...(typeof transaction.amount === 'number' ? {} : { amount: toMinorUnits(parseFloat(transaction.amount) || 0) }),
+          currency: getCurrency(transaction)
+        }
+      }
+    );
+  }
+  counts.transactions = transactions.length;
+
+  // Fixed platform fees were whole units of whichever currency a club sold in
+  const settingsCollection = db.collection('settings');
+  const feeSetting = await settingsCollection.findOne({ _id: 'platformFee', ...legacy });
+  if (feeSetting) {
+    await settingsCollection.updateOne(
+      { _id: 'platformFee', ...legacy },
+      { $set: { fixed: toMinorUnits(feeSetting.fixed), currency: getCurrency(null) } }
+    );
+  }
+  const feeClubs = await clubsCollection.find(
+    { platformFee: { $ne: null }, 'platformFee.currency': { $nin: SUPPORTED_CURRENCIES } },
+    { projection: { platformFee: 1, currency: 1 } }
+  ).toArray();
+  for (const club of feeClubs) {
+    await clubsCollection.updateOne(
+      { _id: club._id, 'platformFee.currency': { $nin: SUPPORTED_CURRENCIES } },
+      { $set: { 'platformFee.fixed': toMinorUnits(club.platformFee.fixed), 'platformFee.currency': getCurrency(club) } }
+    );
+  }
+  counts.platformFees = feeClubs.length + (feeSetting ? 1 : 0);
+
+  // Amount coupons are in their club's currency; platform ones were meant for the default currency
+  const couponsCollection = db.collection('coupons');
+  const legacyCoupon = { 'discount.type': 'amount', 'discount.currency': { $nin: SUPPORTED_CURRENCIES } };
+  const coupons = await couponsCollection.find(legacyCoupon).toArray();
+  for (const coupon of coupons) {
+    await couponsCollection.updateOne(
+      { _id: coupon._id, ...legacyCoupon },
+      {
+        $set: {
+          'discount.value': toMinorUnits(coupon.discount.value),
+          'discount.currency': getClubCurrency(coupon.clubId)
+        }
+      }
+    );
+  }
+  counts.coupons = coupons.length;
+
+  const redemptionsCollection = db.collection('coupon_redemptions');
+  const redemptions = await redemptionsCollection.find(legacy).toArray();
+  for (const redemption of redemptions) {
+    await redemptionsCollection.updateOne(
+      { _id: redemption._id, ...legacy },
+      {
+        $set: {
+          ...convertAmounts(redemption, ['grossAmount', 'discountAmount']),
+          currency: getClubCurrency(redemption.clubId)
+        }
+      }
+    );
+  }
+  counts.coupon_redemptions = redemptions.length;
+
+  for (const name of ['club_ledger', 'club_payouts']) {
+    const collection = db.collection(name);
+    const documents = await collection.find(legacy, { projection: { clubId: 1 } }).toArray();
+    for (const document of documents) {
+      await collection.updateOne(
+        { _id: document._id, ...legacy },
+        { $set: { currency: getClubCurrency(document.clubId) } }
+      );
+    }
+    counts[name] = documents.length;
+  }
+
+  return { normalized: counts };
+};
+
+module.exports = {
+  name: 'normalize-money',
+  description: 'Convert amounts stored before the money model to minor units and set their currency',
+  intervalMinutes: 24 * 60,
+  run: normalizeMoney
+};
@@ -0,0 +1,26 @@
+const { purgeClub } = require('../utils/clubArchive');
+
+// Permanently delete clubs whose archive retention window has passed
+const purgeArchivedClubs = async (db) => {
+  const clubsCollection = db.collection('clubs');
+
+  const overdue = await clubsCollection.find({
+    status: 'archived',
+    purgeAfter: { $lte: new Date() }
+  }).toArray();
+
+  const purged = [];
+  for (const club of overdue) {
+    const removed = await purgeClub(club);
+    purged.push({ clubId: club._id.toString(), name: club.name, ...removed });
+  }
+
+  return { checked: overdue.length, purged };
+};
+
+module.exports = {
+  name: 'purge-archived-clubs',
+  description: 'Delete archived clubs and their data once the restore window has passed (transactions are kept)',
+  intervalMinutes: 24 * 60,
+  run: purgeArchivedClubs
+};
@@ -0,0 +1,45 @@
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { releaseSeat } = require('../utils/seats');
+
+// Release seats held for checkouts that were not paid in time, then offer
+// them to the waitlist. A payment that still succeeds later is seated again
+// if there is room, or refunded.
+const releaseSeatHolds = async (db) => {
+  const registrationsCollection = db.collection('registrations');
+  const now = new Date();
+
+  const expiredHolds = await registrationsCollection.find({
+    status: 'held',
+    holdExpiresAt: { $lte: now }
+  }).toArray();
+
+  let released = 0;
+  const eventIds = new Set();
+  for (const registration of expiredHolds) {
+    // Re-check the status so a payment confirmed meanwhile wins
+    const result = await registrationsCollection.updateOne(
+      { _id: registration._id, status: 'held' },
+      { $set: { status: 'expired', paymentStatus: 'expired', updatedAt: now } }
+    );
+
+    if (result.modifiedCount > 0) {
+      await releaseSeat(registration.eventId, registration.ticketTypeId);
+      released++;
+      eventIds.add(registration.eventId);
+    }
+  }
+
+  let promoted = 0;
+  for (const eventId of eventIds) {
+    promoted += (await promoteFromWaitlist(eventId)).length;
+  }
+
+  return { released, promoted };
+};
+
+module.exports = {
+  name: 'release-seat-holds',
+  description: 'Release event seats held for unpaid checkouts and promote the waitlist',
+  intervalMinutes: 5,
+  run: releaseSeatHolds
+};
@@ -0,0 +1,41 @@
+// Recalculate clubs.memberCount from active memberships and fix any drift
+const repairMemberCounts = async (db) => {
+  const clubsCollection = db.collection('clubs');
+  const membershipsCollection = db.collection('memberships');
+
+  const activeCounts = await membershipsCollection.aggregate([
+    { $match: { status: 'active' } },
+    { $group: { _id: '$clubId', count: { $sum: 1 } } }
+  ]).toArray();
+
+  // Memberships store clubId as a string
+  const countMap = new Map();
+  activeCounts.forEach(({ _id, count }) => {
+    if (_id) countMap.set(_id.toString(), count);
+  });
+
+  const clubs = await clubsCollection
+    .find({}, { projection: { name: 1, memberCount: 1 } })
+    .toArray();
+
+  const repairedClubs = [];
+  for (const club of clubs) {
+    const actual = countMap.get(club._id.toString()) || 0;
+    if ((club.memberCount || 0) !== actual) {
+      await clubsCollection.updateOne(
+        { _id: club._id },
+        { $set: { memberCount: actual, updatedAt: new Date() } }
+      );
+      repairedClubs.push({ clubId: club._id.toString(), name: club.name, from: club.memberCount || 0, to: actual });
+    }
+  }
+
+  return { checked: clubs.length, repaired: repairedClubs.length, clubs: repairedClubs };
+};
+
+module.exports = {
+  name: 'repair-member-counts',
+  description: 'Recalculate club member counts from active memberships',
+  intervalMinutes: 24 * 60,
+  run: repairMemberCounts
+};
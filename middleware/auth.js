@@ -17,6 +17,21 @@ const verifyToken = (req, res, next) => {
   }
 };
 
+// Like verifyToken, but lets requests without a valid token through with req.user unset
+const optionalToken = (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (token) {
+    try {
+      req.user = jwt.verify(token, process.env.JWT_SECRET || 'your-secret-key');
+    } catch (error) {
+      // Treat an invalid or expired token as a visitor
+      req.user = undefined;
+    }
+  }
+  next();
+};
+
 // Role-based authorization middleware
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -34,6 +49,7 @@ const authorize = (...roles) => {
 
 module.exports = {
   verifyToken,
+  optionalToken,
   authorize
 };
 
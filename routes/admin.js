@@ -3,6 +3,48 @@ const router = express.Router();
 const { ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
 const { verifyToken, authorize } = require('../middleware/auth');
+const { normalizeRefundPolicy, DEFAULT_REFUND_POLICY } = require('../utils/refundPolicy');
+const { getJob, runJob, listJobs } = require('../jobs');
+const { promoteFromWaitlist } = require('../utils/waitlist');
+const { formatTicketTypes, normalizeTicketTypes } = require('../utils/tickets');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/eventTime');
+const { ensureClubManagerRole, recordAdminOwnershipChange, formatOwnershipTransfer } = require('../utils/clubOwnership');
+const { archiveClub, restoreClub } = require('../utils/clubArchive');
+const {
+  COUPON_SCOPES,
+  normalizeCoupon,
+  resolveCouponScope,
+  createCoupon,
+  disableCoupon,
+  formatCoupon
+} = require('../utils/coupons');
+const {
+  normalizePlatformFee,
+  getDefaultPlatformFee,
+  setDefaultPlatformFee,
+  findClubsOutsideFeeCurrency,
+  formatPlatformFee
+} = require('../utils/platformFees');
+const {
+  getOpenBalances,
+  normalizePayout,
+  createPayout,
+  buildPayoutStatement,
+  getStatementFilename,
+  formatPayout
+} = require('../utils/clubLedger');
+const { sendCsv } = require('../utils/csv');
+const {
+  DEFAULT_CURRENCY,
+  fromMinorUnits,
+  parseMoney,
+  normalizeCurrency,
+  getCurrency,
+  formatMoney,
+  setClubCurrency
+} = require('../utils/money');
+const { getDisputeQuery, formatDispute } = require('../utils/disputes');
+const { hasReceipt, findReceipt, issueReceipt, regenerateReceipt, voidReceipt, sendReceiptPdf, formatReceipt } = require('../utils/receipts');
 
 // MongoDB collections (will be initialized from index.js)
 let usersCollection;
@@ -10,8 +52,10 @@ let clubsCollection;
 let eventsCollection;
 let transactionsCollection;
 let categoriesCollection;
-let membershipsCollection;
-let registrationsCollection;
+let jobRunsCollection;
+let ownershipTransfersCollection;
+let couponsCollection;
+let payoutsCollection;
 
 // Initialize collections
 const initAdminRoutes = async (client) => {
@@ -21,8 +65,10 @@ const initAdminRoutes = async (client) => {
   eventsCollection = db.collection('events');
   transactionsCollection = db.collection('transactions');
   categoriesCollection = db.collection('categories');
-  membershipsCollection = db.collection('memberships');
-  registrationsCollection = db.collection('registrations');
+  jobRunsCollection = db.collection('job_runs');
+  ownershipTransfersCollection = db.collection('club_ownership_transfers');
+  couponsCollection = db.collection('coupons');
+  payoutsCollection = db.collection('club_payouts');
   
   // Initialize default categories if collection is empty
   const categoryCount = await categoriesCollection.countDocuments();
@@ -60,6 +106,9 @@ const getUserInitials = (name) => {
   return name[0].toUpperCase();
 };
 
+// Revenue totals are kept per currency: ?currency=USD, or the default currency
+const getReportCurrency = (req) => normalizeCurrency(req.query.currency || DEFAULT_CURRENCY);
+
 // ==================== USERS MANAGEMENT ====================
 
 // Get all users with pagination, search, and filters
@@ -262,6 +311,11 @@ router.delete('/users/:id', verifyToken, authorize('admin'), async (req, res) =>
 // Get dashboard overview stats
 router.get('/dashboard/stats', verifyToken, authorize('admin'), async (req, res) => {
   try {
+    const { currency, error: currencyError } = getReportCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
     const now = new Date();
     const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
     const lastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
@@ -295,7 +349,7 @@ router.get('/dashboard/stats', verifyToken, authorize('admin'), async (req, res)
     // Total revenue
     const revenueResult = await transactionsCollection.aggregate([
       {
-        $match: { status: 'success' }
+        $match: { status: 'success', currency }
       },
       {
         $group: {
@@ -311,6 +365,7 @@ router.get('/dashboard/stats', verifyToken, authorize('admin'), async (req, res)
       {
         $match: {
           status: 'success',
+          currency,
           createdAt: { $gte: startOfMonth }
         }
       },
@@ -325,6 +380,7 @@ router.get('/dashboard/stats', verifyToken, authorize('admin'), async (req, res)
       {
         $match: {
           status: 'success',
+          currency,
           createdAt: { $gte: lastMonth, $lte: endOfLastMonth }
         }
       },
@@ -353,7 +409,8 @@ router.get('/dashboard/stats', verifyToken, authorize('admin'), async (req, res)
       pendingClubs,
       pendingClubsNew,
       pendingDeletionRequests,
-      totalRevenue: totalRevenue / 100, // Convert cents to taka
+      totalRevenue: fromMinorUnits(totalRevenue),
+      currency,
       revenueGrowth,
       activeEvents
     });
@@ -366,6 +423,11 @@ router.get('/dashboard/stats', verifyToken, authorize('admin'), async (req, res)
 // Get monthly revenue data for chart
 router.get('/dashboard/monthly-revenue', verifyToken, authorize('admin'), async (req, res) => {
   try {
+    const { currency, error: currencyError } = getReportCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
     const months = parseInt(req.query.months) || 6; // Default to 6 months
     const now = new Date();
     const monthlyData = [];
@@ -379,6 +441,7 @@ router.get('/dashboard/monthly-revenue', verifyToken, authorize('admin'), async
         {
           $match: {
             status: 'success',
+            currency,
             createdAt: {
               $gte: monthStart,
               $lte: monthEnd
@@ -399,7 +462,7 @@ router.get('/dashboard/monthly-revenue', verifyToken, authorize('admin'), async
       monthlyData.push({
         month: monthNames[monthStart.getMonth()],
         year: monthStart.getFullYear(),
-        revenue: revenue / 100, // Convert cents to taka
+        revenue: fromMinorUnits(revenue),
         monthIndex: monthStart.getMonth()
       });
     }
@@ -423,6 +486,7 @@ router.get('/clubs/stats', verifyToken, authorize('admin'), async (req, res) =>
 
     const pending = await clubsCollection.countDocuments({ status: 'pending' });
     const active = await clubsCollection.countDocuments({ status: 'active' });
+    const archived = await clubsCollection.countDocuments({ status: 'archived' });
     const newThisMonth = await clubsCollection.countDocuments({
       createdAt: { $gte: startOfMonth }
     });
@@ -437,6 +501,7 @@ router.get('/clubs/stats', verifyToken, authorize('admin'), async (req, res) =>
     res.json({
       pending,
       active,
+      archived,
       newThisMonth,
       activeGrowth: 12, // Placeholder - can be calculated from historical data
       newGrowth
@@ -493,7 +558,8 @@ router.get('/clubs', verifyToken, authorize('admin'), async (req, res) => {
       image: club.image || null,
       memberCount: club.memberCount || 0,
       eventCount: club.eventCount || 0,
-      fee: club.fee || 'Free',
+      fee: club.fee ? fromMinorUnits(club.fee) : 'Free',
+      currency: getCurrency(club),
       status: club.status || 'pending',
       createdAt: formatDate(club.createdAt),
       joinedDate: formatDate(club.createdAt),
@@ -501,7 +567,9 @@ router.get('/clubs', verifyToken, authorize('admin'), async (req, res) => {
         status: club.deletionRequest.status,
         requestedAt: formatDate(club.deletionRequest.requestedAt),
         requestedBy: club.deletionRequest.requestedBy
-      } : null
+      } : null,
+      archivedAt: club.archivedAt ? formatDate(club.archivedAt) : null,
+      purgeAfter: club.purgeAfter ? formatDate(club.purgeAfter) : null
     }));
 
     res.json({
@@ -536,7 +604,9 @@ router.get('/clubs/:id', verifyToken, authorize('admin'), async (req, res) => {
       description: club.description || '',
       category: club.category || '',
       location: club.location || '',
-      fee: club.fee || 0,
+      fee: fromMinorUnits(club.fee),
+      yearlyFee: fromMinorUnits(club.yearlyFee),
+      currency: getCurrency(club),
       managerEmail: club.managerEmail || '',
       image: club.image || null,
       memberCount: club.memberCount || 0,
@@ -555,7 +625,7 @@ router.get('/clubs/:id', verifyToken, authorize('admin'), async (req, res) => {
 router.put('/clubs/:id', verifyToken, authorize('admin'), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, description, category, location, fee, managerEmail, image, status } = req.body;
+    const { name, description, category, location, fee, yearlyFee, currency, managerEmail, image, status } = req.body;
 
     // Validate required fields (status can be updated independently)
     if (status === undefined && (!name || !description || !category || !location || !managerEmail)) {
@@ -573,9 +643,23 @@ router.put('/clubs/:id', verifyToken, authorize('admin'), async (req, res) => {
       return res.status(404).json({ error: 'Club not found' });
     }
 
+    if (club.status === 'archived') {
+      return res.status(409).json({ error: 'Club is archived. Restore it before making changes.' });
+    }
+
+    // Fees are sent in whole units and stored in minor units
+    const monthly = parseMoney(fee, 'Fee');
+    const yearly = parseMoney(yearlyFee, 'Yearly fee');
+    const clubCurrency = currency === undefined ? {} : normalizeCurrency(currency);
+    const moneyError = monthly.error || yearly.error || clubCurrency.error;
+    if (moneyError) {
+      return res.status(400).json({ error: moneyError });
+    }
+
+    let newManager = null;
     if (managerEmail && managerEmail !== club.managerEmail) {
-      const manager = await usersCollection.findOne({ email: managerEmail });
-      if (!manager) {
+      newManager = await usersCollection.findOne({ email: managerEmail });
+      if (!newManager) {
         return res.status(400).json({ error: 'Manager email not found. User must be registered first.' });
       }
     }
@@ -589,11 +673,20 @@ router.put('/clubs/:id', verifyToken, authorize('admin'), async (req, res) => {
     if (description !== undefined) updateData.description = description;
     if (category !== undefined) updateData.category = category;
     if (location !== undefined) updateData.location = location;
-    if (fee !== undefined) updateData.fee = fee || 0;
+    if (fee !== undefined) updateData.fee = monthly.amount;
+    if (yearlyFee !== undefined) updateData.yearlyFee = yearly.amount;
     if (managerEmail !== undefined) updateData.managerEmail = managerEmail;
     if (image !== undefined) updateData.image = image || club.image;
     if (status !== undefined) updateData.status = status;
 
+    // The currency also moves the club's events, so it is set on its own
+    if (clubCurrency.currency) {
+      const changed = await setClubCurrency(club, clubCurrency.currency);
+      if (changed.error) {
+        return res.status(409).json({ error: changed.error });
+      }
+    }
+
     const result = await clubsCollection.updateOne(
       { _id: new ObjectId(id) },
       { $set: updateData }
@@ -603,6 +696,12 @@ router.put('/clubs/:id', verifyToken, authorize('admin'), async (req, res) => {
       return res.status(404).json({ error: 'Club not found' });
     }
 
+    // The new owner needs the clubManager role, and the change goes into the ownership history
+    if (newManager) {
+      const roleUpgraded = await ensureClubManagerRole(newManager);
+      await recordAdminOwnershipChange({ club, toUser: newManager, changedBy: req.user.email, roleUpgraded });
+    }
+
     res.json({ message: 'Club updated successfully' });
   } catch (error) {
     console.error('Update club error:', error);
@@ -634,13 +733,22 @@ router.put('/clubs/:id/approve', verifyToken, authorize('admin'), async (req, re
 // Create new club
 router.post('/clubs', verifyToken, authorize('admin'), async (req, res) => {
   try {
-    const { name, description, category, location, fee, managerEmail, image } = req.body;
+    const { name, description, category, location, fee, yearlyFee, currency, managerEmail, image } = req.body;
 
     // Validate required fields
     if (!name || !description || !category || !location || !managerEmail) {
       return res.status(400).json({ error: 'Name, description, category, location, and manager email are required' });
     }
 
+    // Fees are sent in whole units and stored in minor units
+    const monthly = parseMoney(fee, 'Fee');
+    const yearly = parseMoney(yearlyFee, 'Yearly fee');
+    const clubCurrency = currency === undefined ? { currency: DEFAULT_CURRENCY } : normalizeCurrency(currency);
+    const moneyError = monthly.error || yearly.error || clubCurrency.error;
+    if (moneyError) {
+      return res.status(400).json({ error: moneyError });
+    }
+
     // Validate manager email exists
     const manager = await usersCollection.findOne({ email: managerEmail });
     if (!manager) {
@@ -653,7 +761,9 @@ router.post('/clubs', verifyToken, authorize('admin'), async (req, res) => {
       description,
       category,
       location,
-      fee: fee || 0,
+      fee: monthly.amount,
+      yearlyFee: yearly.amount,
+      currency: clubCurrency.currency,
       managerEmail,
       image: image || null,
       status: 'active', // Admin-created clubs are automatically active
@@ -671,7 +781,9 @@ router.post('/clubs', verifyToken, authorize('admin'), async (req, res) => {
       message: 'Club created successfully',
       club: {
         id: clubId.toString(),
-        ...club
+        ...club,
+        fee: fromMinorUnits(club.fee),
+        yearlyFee: fromMinorUnits(club.yearlyFee)
       }
     });
   } catch (error) {
@@ -701,6 +813,31 @@ router.put('/clubs/:id/reject', verifyToken, authorize('admin'), async (req, res
   }
 });
 
+// Ownership history of a club, newest first
+router.get('/clubs/:id/ownership-history', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const club = await clubsCollection.findOne({ _id: new ObjectId(id) });
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const transfers = await ownershipTransfersCollection
+      .find({ clubId: id })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      owner: club.managerEmail || null,
+      transfers: transfers.map(formatOwnershipTransfer)
+    });
+  } catch (error) {
+    console.error('Get club ownership history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Approve club deletion request
 router.put('/clubs/:id/approve-deletion', verifyToken, authorize('admin'), async (req, res) => {
   try {
@@ -718,62 +855,60 @@ router.put('/clubs/:id/approve-deletion', verifyToken, authorize('admin'), async
       return res.status(400).json({ error: 'No pending deletion request found for this club' });
     }
 
-    const clubId = id;
-    const clubObjectId = new ObjectId(id);
-
-    // Cascade delete related data
-    // First, find all events associated with this club to get their IDs
-    // Events can have clubId as string, ObjectId, or be matched by clubName
-    const eventsToDelete = await eventsCollection.find({
-      $or: [
-        { clubId: clubId }, // String format
-        { clubId: clubObjectId }, // ObjectId format
-        { clubName: club.name } // Match by club name
-      ]
-    }).toArray();
-
-    // Get event IDs for deleting related registrations
-    const eventIds = eventsToDelete.map(event => event._id);
-    const eventIdStrings = eventIds.map(id => id.toString());
-
-    // Cascade delete: Delete event registrations for these events
-    // Handle both string and ObjectId formats for eventId
-    if (eventIds.length > 0) {
-      const registrationsDeleteResult = await registrationsCollection.deleteMany({
-        $or: [
-          { eventId: { $in: eventIdStrings } }, // String format
-          { eventId: { $in: eventIds } } // ObjectId format
-        ]
-      });
-      console.log(`[CASCADE DELETE] Deleted ${registrationsDeleteResult.deletedCount} event registration(s) for ${eventIds.length} event(s)`);
+    // Archive instead of deleting, so the club can be restored until the purge job removes it
+    const archived = await archiveClub(club, adminEmail);
+    if (!archived) {
+      return res.status(409).json({ error: 'Club is already archived' });
     }
 
-    // Cascade delete: Delete all events associated with this club
-    // This ensures that when a club is deleted, all its events are automatically deleted
-    const eventsDeleteResult = await eventsCollection.deleteMany({
-      $or: [
-        { clubId: clubId }, // String format
-        { clubId: clubObjectId }, // ObjectId format
-        { clubName: club.name } // Match by club name
-      ]
+    await clubsCollection.updateOne(
+      { _id: club._id },
+      { $set: { 'deletionRequest.status': 'approved', 'deletionRequest.approvedAt': new Date(), 'deletionRequest.approvedBy': adminEmail } }
+    );
+
+    res.json({
+      message: `Club deletion approved. The club is archived and can be restored until ${formatDate(archived.purgeAfter)}.`,
+      archived
     });
-    
-    console.log(`[CASCADE DELETE] Deleted ${eventsDeleteResult.deletedCount} event(s) associated with club: ${club.name} (${clubId})`);
+  } catch (error) {
+    console.error('Approve club deletion error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-    // Cascade delete: Delete all memberships for this club
-    const membershipsDeleteResult = await membershipsCollection.deleteMany({ clubId: clubId });
-    console.log(`[CASCADE DELETE] Deleted ${membershipsDeleteResult.deletedCount} membership(s) for club: ${club.name} (${clubId})`);
+// Restore an archived club with everything archived along with it
+router.put('/clubs/:id/restore', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    // Finally, delete the club
-    const result = await clubsCollection.deleteOne({ _id: new ObjectId(id) });
+    const club = await clubsCollection.findOne({ _id: new ObjectId(id) });
 
-    if (result.deletedCount === 0) {
+    if (!club) {
       return res.status(404).json({ error: 'Club not found' });
     }
 
-    res.json({ message: 'Club deletion approved and club deleted successfully' });
+    if (club.status !== 'archived') {
+      return res.status(400).json({ error: 'Club is not archived' });
+    }
+
+    if (club.purgeAfter && club.purgeAfter <= new Date()) {
+      return res.status(410).json({ error: 'The restore window for this club has passed' });
+    }
+
+    const restored = await restoreClub(club);
+    if (!restored) {
+      return res.status(409).json({ error: 'Club is no longer archived' });
+    }
+
+    // The approved deletion request no longer applies
+    await clubsCollection.updateOne(
+      { _id: club._id },
+      { $unset: { deletionRequest: '' }, $set: { restoredAt: new Date(), restoredBy: req.user.email } }
+    );
+
+    res.json({ message: 'Club restored successfully', restored });
   } catch (error) {
-    console.error('Approve club deletion error:', error);
+    console.error('Restore club error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -820,18 +955,27 @@ router.put('/clubs/:id/reject-deletion', verifyToken, authorize('admin'), async
 // Get events stats
 router.get('/events/stats', verifyToken, authorize('admin'), async (req, res) => {
   try {
+    const { currency, error: currencyError } = getReportCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
     const now = new Date();
     const total = await eventsCollection.countDocuments({});
     const upcoming = await eventsCollection.countDocuments({
       date: { $gte: now }
     });
 
-    // Calculate revenue from transactions
+    // Calculate revenue from transactions (event refunds are negative amounts)
     const revenueResult = await transactionsCollection.aggregate([
       {
         $match: {
           status: 'success',
-          type: { $in: ['Event Ticket', 'event'] }
+          currency,
+          $or: [
+            { type: { $in: ['Event Ticket', 'event'] } },
+            { type: 'refund', eventId: { $exists: true } }
+          ]
         }
       },
       {
@@ -847,7 +991,8 @@ router.get('/events/stats', verifyToken, authorize('admin'), async (req, res) =>
     res.json({
       total,
       upcoming,
-      revenue: revenue / 100 // Convert cents to taka if stored as cents
+      revenue: fromMinorUnits(revenue),
+      currency
     });
   } catch (error) {
     console.error('Get events stats error:', error);
@@ -930,13 +1075,41 @@ router.get('/events', verifyToken, authorize('admin'), async (req, res) => {
 // Create new event
 router.post('/events', verifyToken, authorize('admin'), async (req, res) => {
   try {
-    const { name, description, date, time, location, clubId, type, fee, maxAttendees } = req.body;
+    const { name, description, date, time, location, clubId, type, fee, maxAttendees, refundPolicy, ticketTypes, timezone } = req.body;
 
     // Validate required fields
     if (!name || !description || !date || !location || !clubId) {
       return res.status(400).json({ error: 'Name, description, date, location, and club are required' });
     }
 
+    // The fee is sent in whole units and stored as the price in minor units
+    const { amount: price, error: feeError } = parseMoney(type === 'paid' ? fee : 0, 'Fee');
+    if (feeError) {
+      return res.status(400).json({ error: feeError });
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid time zone' });
+    }
+
+    let eventRefundPolicy = DEFAULT_REFUND_POLICY;
+    if (refundPolicy !== undefined) {
+      const { policy, error } = normalizeRefundPolicy(refundPolicy);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      eventRefundPolicy = policy;
+    }
+
+    let eventTicketTypes = [];
+    if (ticketTypes !== undefined) {
+      const normalized = normalizeTicketTypes(ticketTypes);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      eventTicketTypes = normalized.ticketTypes;
+    }
+
     // Validate club exists
     const club = await clubsCollection.findOne({ _id: new ObjectId(clubId) });
     if (!club) {
@@ -958,8 +1131,13 @@ router.post('/events', verifyToken, authorize('admin'), async (req, res) => {
       clubName: club.name,
       clubImage: club.image || null,
       type: type === 'paid' ? 'Paid' : 'Free',
-      fee: type === 'paid' ? (parseFloat(fee) || 0) : 0,
+      price,
+      currency: getCurrency(club),
       maxAttendees: maxAttendees ? parseInt(maxAttendees) : null,
+      seatsTaken: 0,
+      timezone: timezone || DEFAULT_TIMEZONE,
+      refundPolicy: eventRefundPolicy,
+      ticketTypes: eventTicketTypes,
       status: 'active',
       createdAt: new Date(),
       updatedAt: new Date()
@@ -974,6 +1152,8 @@ router.post('/events', verifyToken, authorize('admin'), async (req, res) => {
       event: {
         id: eventId.toString(),
         ...event,
+        fee: fromMinorUnits(event.price),
+        ticketTypes: formatTicketTypes(event),
         clubId: clubId
       }
     });
@@ -1034,8 +1214,12 @@ router.get('/events/:id', verifyToken, authorize('admin'), async (req, res) => {
       clubId: event.clubId?.toString() || '',
       clubName: club?.name || '',
       type: event.type || 'free',
-      fee: event.fee || 0,
+      fee: fromMinorUnits(event.price),
+      currency: getCurrency(event),
       maxAttendees: event.maxAttendees || null,
+      refundPolicy: event.refundPolicy || DEFAULT_REFUND_POLICY,
+      ticketTypes: formatTicketTypes(event),
+      timezone: event.timezone || DEFAULT_TIMEZONE,
       image: event.image || null,
       createdAt: formatDate(event.createdAt)
     });
@@ -1071,9 +1255,26 @@ router.put('/events/:id', verifyToken, authorize('admin'), async (req, res) => {
       }
     }
 
-    // Convert clubId to ObjectId if provided
+    // The fee is sent in whole units and stored as the price in minor units
+    delete updateData.price;
+    delete updateData.currency;
+    if (updateData.fee !== undefined) {
+      const { amount, error } = parseMoney(updateData.fee, 'Fee');
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.price = amount;
+      delete updateData.fee;
+    }
+
+    // Convert clubId to ObjectId if provided; the event takes the new club's currency
     if (updateData.clubId) {
-      updateData.clubId = new ObjectId(updateData.clubId);
+      const club = await clubsCollection.findOne({ _id: new ObjectId(updateData.clubId) });
+      if (!club) {
+        return res.status(400).json({ error: 'Club not found' });
+      }
+      updateData.clubId = club._id;
+      updateData.currency = getCurrency(club);
     }
 
     // Convert maxAttendees to number if provided
@@ -1081,27 +1282,55 @@ router.put('/events/:id', verifyToken, authorize('admin'), async (req, res) => {
       updateData.maxAttendees = updateData.maxAttendees ? parseInt(updateData.maxAttendees) : null;
     }
 
-    // If fee is being updated, remove the old price field (legacy format)
-    const unsetData = {};
-    if (updateData.fee !== undefined) {
-      unsetData.price = '';
+    // The seat counter is only changed by reservations
+    delete updateData.seatsTaken;
+
+    if (updateData.timezone !== undefined && !isValidTimeZone(updateData.timezone)) {
+      return res.status(400).json({ error: 'Invalid time zone' });
     }
 
-    // Build update operation
-    const updateOperation = { $set: updateData };
-    if (Object.keys(unsetData).length > 0) {
-      updateOperation.$unset = unsetData;
+    if (updateData.refundPolicy !== undefined) {
+      const { policy, error } = normalizeRefundPolicy(updateData.refundPolicy);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.refundPolicy = policy;
+    }
+
+    // Only replace ticket types if no ticket was sold since they were read
+    const filter = { _id: new ObjectId(id) };
+    if (updateData.ticketTypes !== undefined) {
+      const event = await eventsCollection.findOne(filter);
+      if (!event) {
+        return res.status(404).json({ error: 'Event not found' });
+      }
+
+      const { ticketTypes, error } = normalizeTicketTypes(updateData.ticketTypes, event.ticketTypes || []);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.ticketTypes = ticketTypes;
+      filter.ticketTypes = event.ticketTypes || null;
     }
 
     const result = await eventsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      updateOperation
+      filter,
+      { $set: updateData }
     );
 
+    if (result.matchedCount === 0 && filter.ticketTypes !== undefined) {
+      return res.status(409).json({ error: 'Tickets were sold while saving, please try again' });
+    }
+
     if (result.matchedCount === 0) {
       return res.status(404).json({ error: 'Event not found' });
     }
 
+    // Extra capacity goes to the waitlist
+    if (updateData.maxAttendees !== undefined) {
+      await promoteFromWaitlist(id);
+    }
+
     res.json({ message: 'Event updated successfully' });
   } catch (error) {
     console.error('Update event error:', error);
@@ -1132,13 +1361,18 @@ router.delete('/events/:id', verifyToken, authorize('admin'), async (req, res) =
 // Get finances stats
 router.get('/finances/stats', verifyToken, authorize('admin'), async (req, res) => {
   try {
+    const { currency, error: currencyError } = getReportCurrency(req);
+    if (currencyError) {
+      return res.status(400).json({ error: currencyError });
+    }
+
     const now = new Date();
     const thirtyDaysAgo = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
 
     // Total revenue (all successful transactions)
     const revenueResult = await transactionsCollection.aggregate([
       {
-        $match: { status: 'success' }
+        $match: { status: 'success', currency }
       },
       {
         $group: {
@@ -1150,6 +1384,100 @@ router.get('/finances/stats', verifyToken, authorize('admin'), async (req, res)
 
     const totalRevenue = revenueResult.length > 0 ? revenueResult[0].total : 0;
 
+    // Refunds and chargebacks are stored as negative amounts and already netted out of totalRevenue
+    const refundsResult = await transactionsCollection.aggregate([
+      {
+        $match: { status: 'success', currency, type: 'refund' }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$amount' }
+        }
+      }
+    ]).toArray();
+
+    const totalRefunds = refundsResult.length > 0 ? -refundsResult[0].total : 0;
+
+    // Donations to clubs, part of totalRevenue
+    const donationsResult = await transactionsCollection.aggregate([
+      {
+        $match: { status: 'success', currency, type: 'donation' }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]).toArray();
+
+    const donationRevenue = donationsResult.length > 0 ? donationsResult[0].total : 0;
+    const donationCount = donationsResult.length > 0 ? donationsResult[0].count : 0;
+
+    // Money taken back by lost disputes, stored as negative amounts like refunds
+    const chargebacksResult = await transactionsCollection.aggregate([
+      {
+        $match: { status: 'success', currency, type: 'chargeback' }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$amount' }
+        }
+      }
+    ]).toArray();
+
+    const totalChargebacks = chargebacksResult.length > 0 ? -chargebacksResult[0].total : 0;
+
+    // Disputes still open, and how much they put at risk
+    const openDisputesResult = await transactionsCollection.aggregate([
+      {
+        $match: { ...getDisputeQuery('open').query, currency }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$dispute.amount' },
+          count: { $sum: 1 }
+        }
+      }
+    ]).toArray();
+
+    const openDisputes = openDisputesResult.length > 0 ? openDisputesResult[0].count : 0;
+    const disputedAmount = openDisputesResult.length > 0 ? openDisputesResult[0].total : 0;
+
+    // Invite and coupon discounts given on payments
+    const discountsResult = await transactionsCollection.aggregate([
+      {
+        $match: { status: 'success', currency, discountAmount: { $gt: 0 } }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$discountAmount' }
+        }
+      }
+    ]).toArray();
+
+    const totalDiscounts = discountsResult.length > 0 ? discountsResult[0].total : 0;
+
+    // Platform fees kept, net of the share given back on refunds
+    const feesResult = await transactionsCollection.aggregate([
+      {
+        $match: { status: 'success', currency, platformFee: { $exists: true } }
+      },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: '$platformFee' }
+        }
+      }
+    ]).toArray();
+
+    const platformFees = feesResult.length > 0 ? feesResult[0].total : 0;
+
     // Pending payments
     const pendingCount = await transactionsCollection.countDocuments({ status: 'pending' });
 
@@ -1159,7 +1487,17 @@ router.get('/finances/stats', verifyToken, authorize('admin'), async (req, res)
     });
 
     res.json({
-      totalRevenue: totalRevenue / 100, // Convert cents to taka if stored as cents
+      currency,
+      totalRevenue: fromMinorUnits(totalRevenue),
+      grossRevenue: fromMinorUnits(totalRevenue + totalDiscounts),
+      totalDiscounts: fromMinorUnits(totalDiscounts),
+      platformFees: fromMinorUnits(platformFees),
+      totalRefunds: fromMinorUnits(totalRefunds),
+      donationRevenue: fromMinorUnits(donationRevenue),
+      donationCount,
+      totalChargebacks: fromMinorUnits(totalChargebacks),
+      openDisputes,
+      disputedAmount: fromMinorUnits(disputedAmount),
       pendingPayments: pendingCount,
       transactions30d: transactionsCount
     });
@@ -1205,6 +1543,15 @@ router.get('/finances', verifyToken, authorize('admin'), async (req, res) => {
       // Map frontend status to database status
       if (status === 'paid') {
         query.status = 'success';
+        query.type = { $nin: ['refund', 'chargeback'] };
+      } else if (status === 'refunded') {
+        query.status = 'success';
+        query.type = 'refund';
+      } else if (status === 'disputed') {
+        Object.assign(query, getDisputeQuery('open').query);
+      } else if (status === 'charged_back') {
+        query.status = 'success';
+        query.type = 'chargeback';
       } else {
         query.status = status;
       }
@@ -1327,9 +1674,7 @@ router.get('/finances', verifyToken, authorize('admin'), async (req, res) => {
 
     // Format response
     const formattedTransactions = transactions.map(transaction => {
-      const amount = typeof transaction.amount === 'number' 
-        ? (transaction.amount / 100).toFixed(2) 
-        : parseFloat(transaction.amount || 0).toFixed(2);
+      const currency = getCurrency(transaction);
 
       // Get user information
       let userName = '';
@@ -1388,7 +1733,13 @@ router.get('/finances', verifyToken, authorize('admin'), async (req, res) => {
 
       // Map status from database format to frontend format
       let status = transaction.status || 'pending';
-      if (status === 'success') {
+      if (status === 'success' && transaction.type === 'refund') {
+        status = 'refunded';
+      } else if (status === 'success' && transaction.type === 'chargeback') {
+        status = 'charged_back';
+      } else if (status === 'success' && transaction.dispute && !transaction.dispute.outcome) {
+        status = 'disputed';
+      } else if (status === 'success') {
         status = 'paid';
       } else if (status !== 'pending' && status !== 'failed') {
         // If status is something else, default to pending
@@ -1401,13 +1752,19 @@ router.get('/finances', verifyToken, authorize('admin'), async (req, res) => {
         userName: userName || transaction.userName || '',
         userPhotoURL: userPhotoURL || transaction.userPhotoURL || null,
         userInitials: getUserInitials(userName || transaction.userName),
-        amount: `৳${amount}`,
+        amount: formatMoney(transaction.amount || 0, currency),
+        grossAmount: formatMoney(transaction.grossAmount ?? transaction.amount ?? 0, currency),
+        discountAmount: formatMoney(transaction.discountAmount || 0, currency),
+        couponCode: transaction.couponCode || null,
+        platformFee: formatMoney(transaction.platformFee || 0, currency),
+        currency,
         type: transaction.type || '',
         clubName: clubName,
         eventName: eventName,
         associatedItem: clubName || eventName || '',
         date: formatDate(transaction.createdAt),
-        status: status
+        status: status,
+        dispute: transaction.dispute ? formatDispute(transaction) : null
       };
     });
 
@@ -1426,6 +1783,431 @@ router.get('/finances', verifyToken, authorize('admin'), async (req, res) => {
   }
 });
 
+// A transaction by id, or null
+const findTransaction = (id) => (ObjectId.isValid(id) ? transactionsCollection.findOne({ _id: new ObjectId(id) }) : null);
+
+// Download a transaction's PDF receipt, issuing it if it has none yet
+router.get('/finances/:id/receipt', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const transaction = await findTransaction(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!hasReceipt(transaction)) {
+      return res.status(400).json({ error: 'Receipts are only available for completed payments' });
+    }
+
+    const receipt = (await findReceipt(transaction._id)) || (await issueReceipt(transaction));
+
+    sendReceiptPdf(res, receipt);
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rebuild a receipt from the transaction as it is now, keeping its number;
+// after a void this issues a new receipt with a new number
+router.post('/finances/:id/receipt/regenerate', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const transaction = await findTransaction(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!hasReceipt(transaction)) {
+      return res.status(400).json({ error: 'Receipts are only available for completed payments' });
+    }
+
+    const receipt = await regenerateReceipt(transaction, req.user.email);
+
+    res.json({ message: 'Receipt regenerated', receipt: formatReceipt(receipt) });
+  } catch (error) {
+    console.error('Regenerate receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Void a transaction's receipt: { reason }
+router.post('/finances/:id/receipt/void', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const transaction = await findTransaction(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim().slice(0, 200) : '';
+    const receipt = await voidReceipt(transaction, { reason, voidedBy: req.user.email });
+    if (!receipt) {
+      return res.status(404).json({ error: 'No issued receipt for this transaction' });
+    }
+
+    res.json({ message: 'Receipt voided', receipt: formatReceipt(receipt) });
+  } catch (error) {
+    console.error('Void receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disputed payments with their evidence deadlines and outcomes: ?status=open (default), won, lost or all.
+// Open disputes come soonest deadline first, the others newest first.
+router.get('/disputes', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const { query, error } = getDisputeQuery(status);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+    const sort = status === 'open' ? { 'dispute.evidenceDueBy': 1 } : { 'dispute.createdAt': -1 };
+
+    const [transactions, total, counts] = await Promise.all([
+      transactionsCollection.find(query).sort(sort).skip(skip).limit(limit).toArray(),
+      transactionsCollection.countDocuments(query),
+      transactionsCollection.aggregate([
+        { $match: getDisputeQuery('all').query },
+        { $group: { _id: { $ifNull: ['$dispute.outcome', 'open'] }, count: { $sum: 1 } } }
+      ]).toArray()
+    ]);
+
+    const toIds = (values) => [...new Set(values.filter(Boolean).map(String))]
+      .filter(id => ObjectId.isValid(id))
+      .map(id => new ObjectId(id));
+    const [users, clubs, events] = await Promise.all([
+      usersCollection.find({ _id: { $in: toIds(transactions.map(t => t.userId)) } }, { projection: { name: 1, email: 1 } }).toArray(),
+      clubsCollection.find({ _id: { $in: toIds(transactions.map(t => t.clubId)) } }, { projection: { name: 1 } }).toArray(),
+      eventsCollection.find({ _id: { $in: toIds(transactions.map(t => t.eventId)) } }, { projection: { name: 1 } }).toArray()
+    ]);
+    const userMap = new Map(users.map(user => [user._id.toString(), user]));
+    const clubNames = new Map(clubs.map(club => [club._id.toString(), club.name || '']));
+    const eventNames = new Map(events.map(event => [event._id.toString(), event.name || '']));
+
+    const now = new Date();
+    const countFor = (outcome) => (counts.find(item => item._id === outcome) || { count: 0 }).count;
+
+    res.json({
+      disputes: transactions.map(transaction => {
+        const user = transaction.userId ? userMap.get(transaction.userId.toString()) : null;
+        return {
+          ...formatDispute(transaction, now),
+          userName: user ? user.name || '' : transaction.userName || '',
+          userEmail: user ? user.email || '' : transaction.userEmail || '',
+          clubName: transaction.clubId ? clubNames.get(transaction.clubId.toString()) || '' : '',
+          eventName: transaction.eventId ? eventNames.get(transaction.eventId.toString()) || '' : ''
+        };
+      }),
+      counts: {
+        open: countFor('open'),
+        won: countFor('won'),
+        lost: countFor('lost')
+      },
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== COUPONS ====================
+
+// Get all coupons with pagination, filtered by scope, club and status
+router.get('/coupons', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.scope && req.query.scope !== 'all') {
+      query.scope = req.query.scope;
+    }
+    if (req.query.clubId) {
+      query.clubId = req.query.clubId;
+    }
+    if (req.query.status === 'disabled') {
+      query.disabledAt = { $ne: null };
+    } else if (req.query.status === 'enabled') {
+      query.disabledAt = null;
+    }
+
+    const [coupons, total] = await Promise.all([
+      couponsCollection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      couponsCollection.countDocuments(query)
+    ]);
+
+    res.json({
+      coupons: coupons.map(formatCoupon),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a coupon for the whole platform, a club (clubId) or an event (eventId)
+router.post('/coupons', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { coupon, error } = normalizeCoupon(req.body, COUPON_SCOPES);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = await resolveCouponScope(coupon, { clubId: req.body.clubId, eventId: req.body.eventId });
+    if (target.error) {
+      return res.status(400).json({ error: target.error });
+    }
+
+    const result = await createCoupon({
+      coupon,
+      clubId: target.clubId,
+      eventId: target.eventId,
+      discount: target.discount,
+      createdBy: req.user.email,
+      createdByRole: 'admin'
+    });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: 'Coupon created', coupon: formatCoupon(result.coupon) });
+  } catch (error) {
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable any coupon
+router.delete('/coupons/:id', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const coupon = ObjectId.isValid(req.params.id)
+      ? await disableCoupon({ _id: new ObjectId(req.params.id) }, req.user.email)
+      : null;
+    if (!coupon) {
+      return res.status(404).json({ error: 'Active coupon not found' });
+    }
+
+    res.json({ message: 'Coupon disabled', coupon: formatCoupon(coupon) });
+  } catch (error) {
+    console.error('Disable coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== PLATFORM FEE AND PAYOUTS ====================
+
+const findClubById = (id) => (ObjectId.isValid(id) ? clubsCollection.findOne({ _id: new ObjectId(id) }) : null);
+
+// The platform-wide fee and the clubs that override it
+router.get('/platform-fee', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const [platformFee, overrides] = await Promise.all([
+      getDefaultPlatformFee(),
+      clubsCollection
+        .find({ platformFee: { $ne: null } }, { projection: { name: 1, platformFee: 1 } })
+        .sort({ name: 1 })
+        .toArray()
+    ]);
+
+    res.json({
+      platformFee: formatPlatformFee(platformFee),
+      clubOverrides: overrides.map(club => ({
+        clubId: club._id.toString(),
+        clubName: club.name,
+        ...formatPlatformFee({ ...club.platformFee, currency: getCurrency(club.platformFee) })
+      }))
+    });
+  } catch (error) {
+    console.error('Get platform fee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the platform-wide fee: { percent, fixed, currency } with fixed in whole units of currency.
+// A fixed part only applies in its currency, so clubs selling in another one need their own fee first.
+router.put('/platform-fee', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { fee, error } = normalizePlatformFee(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const clubs = await findClubsOutsideFeeCurrency(fee);
+    if (clubs.length > 0) {
+      return res.status(409).json({
+        error: `A fixed fee in ${fee.currency} cannot apply to clubs selling in another currency; give them their own platform fee first`,
+        clubs: clubs.map(club => ({ clubId: club._id.toString(), clubName: club.name, currency: getCurrency(club) }))
+      });
+    }
+
+    await setDefaultPlatformFee(fee, req.user.email);
+
+    res.json({ message: 'Platform fee updated', platformFee: formatPlatformFee(fee) });
+  } catch (error) {
+    console.error('Update platform fee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Give a club its own fee instead of the platform-wide one, with fixed in the club's currency
+router.put('/clubs/:id/platform-fee', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const club = await findClubById(req.params.id);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const { fee, error } = normalizePlatformFee(req.body, getCurrency(club));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (fee.currency !== getCurrency(club)) {
+      return res.status(400).json({ error: `The fee must be in the club's currency (${getCurrency(club)})` });
+    }
+
+    await clubsCollection.updateOne({ _id: club._id }, { $set: { platformFee: fee, updatedAt: new Date() } });
+
+    res.json({ message: 'Club platform fee updated', platformFee: formatPlatformFee(fee) });
+  } catch (error) {
+    console.error('Update club platform fee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Go back to the platform-wide fee for a club
+router.delete('/clubs/:id/platform-fee', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const club = await findClubById(req.params.id);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    await clubsCollection.updateOne({ _id: club._id }, { $unset: { platformFee: '' }, $set: { updatedAt: new Date() } });
+
+    res.json({ message: 'Club platform fee removed', platformFee: formatPlatformFee(await getDefaultPlatformFee()) });
+  } catch (error) {
+    console.error('Remove club platform fee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// What is owed to each club that has unpaid ledger entries
+router.get('/payouts/balances', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const balances = await getOpenBalances();
+
+    const clubIds = balances.map(balance => balance.clubId).filter(id => ObjectId.isValid(id));
+    const clubs = await clubsCollection
+      .find({ _id: { $in: clubIds.map(id => new ObjectId(id)) } }, { projection: { name: 1, managerEmail: 1, status: 1 } })
+      .toArray();
+    const clubsById = new Map(clubs.map(club => [club._id.toString(), club]));
+
+    res.json({
+      balances: balances.map(balance => {
+        const club = clubsById.get(balance.clubId);
+        return {
+          clubId: balance.clubId,
+          clubName: club ? club.name : '',
+          managerEmail: club ? club.managerEmail : '',
+          clubStatus: club ? club.status : null,
+          balance: fromMinorUnits(balance.balance),
+          currency: getCurrency(balance),
+          entryCount: balance.entryCount,
+          since: balance.since
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get payout balances error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Payouts made, newest first, optionally for one club
+router.get('/payouts', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = req.query.clubId ? { clubId: req.query.clubId } : {};
+
+    const [payouts, total] = await Promise.all([
+      payoutsCollection.find(query).sort({ paidAt: -1 }).skip(skip).limit(limit).toArray(),
+      payoutsCollection.countDocuments(query)
+    ]);
+
+    res.json({
+      payouts: payouts.map(formatPayout),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Record that a club's open balance was paid: { reference, note }
+router.post('/clubs/:id/payouts', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { payout, error } = normalizePayout(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Archived clubs are still owed what they earned
+    const club = await findClubById(req.params.id);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    const result = await createPayout({ club, ...payout, paidBy: req.user.email });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: 'Payout recorded', payout: formatPayout(result.payout) });
+  } catch (error) {
+    console.error('Create payout error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download a payout statement as CSV
+router.get('/payouts/:id/statement', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const payout = ObjectId.isValid(req.params.id)
+      ? await payoutsCollection.findOne({ _id: new ObjectId(req.params.id) })
+      : null;
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+
+    sendCsv(res, getStatementFilename(payout), await buildPayoutStatement(payout));
+  } catch (error) {
+    console.error('Get payout statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ==================== CATEGORIES MANAGEMENT ====================
 
 // Get all categories
@@ -1528,5 +2310,104 @@ router.delete('/categories/:id', verifyToken, authorize('admin'), async (req, re
   }
 });
 
+// ==================== SCHEDULED JOBS ====================
+
+// Get all jobs with their last run
+router.get('/jobs', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const jobs = await listJobs();
+    res.json({ jobs });
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get job run history with pagination
+router.get('/jobs/runs', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const job = req.query.job || '';
+    const status = req.query.status || '';
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (job && job !== 'all') {
+      query.job = job;
+    }
+    if (status && status !== 'all') {
+      query.status = status;
+    }
+
+    const runs = await jobRunsCollection
+      .find(query)
+      .sort({ startedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+
+    const total = await jobRunsCollection.countDocuments(query);
+
+    res.json({
+      runs: runs.map(run => ({
+        id: run._id.toString(),
+        job: run.job,
+        trigger: run.trigger,
+        triggeredBy: run.triggeredBy || null,
+        status: run.status,
+        result: run.result || null,
+        error: run.error || null,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt || null,
+        durationMs: run.durationMs || null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get job runs error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a job now
+router.post('/jobs/:name/run', verifyToken, authorize('admin'), async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!getJob(name)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const run = await runJob(name, { trigger: 'manual', triggeredBy: req.user.email });
+
+    if (run.status === 'skipped') {
+      return res.status(409).json({ error: run.error, runId: run._id.toString() });
+    }
+
+    res.json({
+      message: run.status === 'success' ? 'Job completed successfully' : 'Job failed',
+      run: {
+        id: run._id.toString(),
+        job: run.job,
+        status: run.status,
+        result: run.result || null,
+        error: run.error || null,
+        startedAt: run.startedAt,
+        finishedAt: run.finishedAt,
+        durationMs: run.durationMs
+      }
+    });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = { initAdminRoutes, router };
 
@@ -5,6 +5,7 @@ const bcrypt = require('bcryptjs');
 const { ObjectId } = require('mongodb');
 const admin = require('firebase-admin');
 const { verifyToken } = require('../middleware/auth');
+const { acceptMemberInvites } = require('../utils/memberImport');
 
 // MongoDB connection (will be passed from index.js)
 let usersCollection;
@@ -50,6 +51,10 @@ router.post('/register', async (req, res) => {
     const result = await usersCollection.insertOne(user);
     const userId = result.insertedId;
 
+    // Clubs that imported this address before the account existed
+    await acceptMemberInvites({ ...user, _id: userId })
+      .catch(error => console.error('Accept member invites error:', error));
+
     // Generate JWT token
     const token = jwt.sign(
       { userId: userId.toString(), email, role: user.role },
@@ -192,6 +197,9 @@ router.post('/google', async (req, res) => {
       const result = await usersCollection.insertOne(newUser);
       const userId = result.insertedId;
 
+      await acceptMemberInvites({ ...newUser, _id: userId })
+        .catch(error => console.error('Accept member invites error:', error));
+
       // Generate JWT token
       const token = jwt.sign(
         { userId: userId.toString(), email, role: newUser.role },
@@ -2,6 +2,56 @@ const express = require('express');
 const router = express.Router();
 const { ObjectId } = require('mongodb');
 const { verifyToken, authorize } = require('../middleware/auth');
+const { normalizeRefundPolicy, DEFAULT_REFUND_POLICY } = require('../utils/refundPolicy');
+const { getWaitlistPositions, promoteFromWaitlist } = require('../utils/waitlist');
+const { SEAT_STATUSES, reserveSeat, releaseSeat } = require('../utils/seats');
+const { getTicketType, formatTicketTypes, normalizeTicketTypes } = require('../utils/tickets');
+const { verifyTicketCode } = require('../utils/ticketCodes');
+const { normalizeRecurrence, generateOccurrences } = require('../utils/recurrence');
+const { DEFAULT_TIMEZONE, isValidTimeZone } = require('../utils/eventTime');
+const { getJoinQuestions, normalizeJoinQuestions } = require('../utils/joinQuestions');
+const {
+  cancelEventRegistrations,
+  approveMembershipApplication,
+  rejectMembershipApplication
+} = require('./payments');
+const {
+  PERMISSIONS,
+  OFFICER_ROLES,
+  CLUB_ROLES,
+  hasPermission,
+  formatClubRoles,
+  getClubAccess,
+  getAccessibleClubs
+} = require('../utils/clubRoles');
+const {
+  findPendingTransfer,
+  createOwnershipTransfer,
+  formatOwnershipTransfer
+} = require('../utils/clubOwnership');
+const { normalizeAnnouncement, formatAnnouncement } = require('../utils/announcements');
+const { isMuted, formatThread, formatReply } = require('../utils/forum');
+const { normalizePoll, finalizePoll, closeIfOverdue, getPollStatus, formatPoll } = require('../utils/polls');
+const { toCsv, sendCsv } = require('../utils/csv');
+const { getPlatformFee, formatPlatformFee } = require('../utils/platformFees');
+const {
+  getClubBalance,
+  buildPayoutStatement,
+  getStatementFilename,
+  formatLedgerEntry,
+  formatPayout
+} = require('../utils/clubLedger');
+const { normalizeImportOptions, importMembers } = require('../utils/memberImport');
+const { DEFAULT_CURRENCY, fromMinorUnits, parseMoney, normalizeCurrency, getCurrency, setClubCurrency } = require('../utils/money');
+const { normalizeInvite, createClubInvite, formatClubInvite } = require('../utils/clubInvites');
+const { normalizeCoupon, resolveCouponScope, createCoupon, disableCoupon, formatCoupon } = require('../utils/coupons');
+const {
+  DONATION_STATUSES,
+  normalizeDonationGoal,
+  getDonationTotals,
+  getGoalProgress,
+  formatDonation
+} = require('../utils/donations');
 
 // MongoDB collections (will be initialized from index.js)
 let usersCollection;
@@ -9,6 +59,19 @@ let clubsCollection;
 let eventsCollection;
 let membershipsCollection;
 let registrationsCollection;
+let eventSeriesCollection;
+let transactionsCollection;
+let ownershipTransfersCollection;
+let announcementsCollection;
+let forumThreadsCollection;
+let forumRepliesCollection;
+let pollsCollection;
+let pollBallotsCollection;
+let clubInvitesCollection;
+let couponsCollection;
+let ledgerCollection;
+let payoutsCollection;
+let donationsCollection;
 
 // Initialize collections
 const initManagerRoutes = (client) => {
@@ -18,6 +81,29 @@ const initManagerRoutes = (client) => {
   eventsCollection = db.collection('events');
   membershipsCollection = db.collection('memberships');
   registrationsCollection = db.collection('registrations');
+  eventSeriesCollection = db.collection('event_series');
+  transactionsCollection = db.collection('transactions');
+  ownershipTransfersCollection = db.collection('club_ownership_transfers');
+  announcementsCollection = db.collection('announcements');
+  forumThreadsCollection = db.collection('forum_threads');
+  forumRepliesCollection = db.collection('forum_replies');
+  pollsCollection = db.collection('polls');
+  pollBallotsCollection = db.collection('poll_ballots');
+  clubInvitesCollection = db.collection('club_invites');
+  couponsCollection = db.collection('coupons');
+  ledgerCollection = db.collection('club_ledger');
+  payoutsCollection = db.collection('club_payouts');
+  donationsCollection = db.collection('donations');
+
+  eventsCollection.createIndex({ seriesId: 1, occurrenceIndex: 1 })
+    .catch(error => console.error('Create event series index error:', error));
+  registrationsCollection.createIndex({ eventId: 1, checkedInAt: -1 })
+    .catch(error => console.error('Create check-in index error:', error));
+  membershipsCollection.createIndex({ clubId: 1, status: 1, appliedAt: 1 })
+    .catch(error => console.error('Create membership application index error:', error));
+  announcementsCollection.createIndex({ clubId: 1, pinned: -1, publishAt: -1 })
+    .catch(error => console.error('Create announcement index error:', error));
+
   return router;
 };
 
@@ -48,17 +134,77 @@ const getUserInitials = (name) => {
   return name[0].toUpperCase();
 };
 
+// New event document from manager input, priced in minor units of the club's currency
+const buildEvent = (club, data) => ({
+  name: data.name,
+  description: data.description || '',
+  date: data.date,
+  time: data.time || '12:00 PM',
+  location: data.location || '',
+  price: data.price,
+  currency: getCurrency(club),
+  maxAttendees: data.maxAttendees ? parseInt(data.maxAttendees) : 0,
+  seatsTaken: 0,
+  clubId: club._id.toString(),
+  clubName: club.name,
+  image: data.image || null,
+  timezone: data.timezone || DEFAULT_TIMEZONE,
+  refundPolicy: data.refundPolicy,
+  ticketTypes: data.ticketTypes,
+  status: 'active',
+  createdAt: new Date(),
+  updatedAt: new Date()
+});
+
+// Which occurrences of a series an edit or cancellation applies to
+const SERIES_SCOPES = ['this', 'following', 'all'];
+
+// Fields a manager may change when editing an event. The club, seat counter, series links and
+// timestamps are only changed by their own flows.
+const EDITABLE_EVENT_FIELDS = [
+  'name',
+  'description',
+  'location',
+  'image',
+  'date',
+  'time',
+  'timezone',
+  'price',
+  'maxAttendees',
+  'refundPolicy',
+  'ticketTypes',
+  'status'
+];
+
+// Statuses an edit may set, to publish or unpublish a draft. Cancelling and archiving have their own routes.
+const EDITABLE_EVENT_STATUSES = ['draft', 'active'];
+
+// The event itself, or the occurrences of its series that the scope covers
+const getScopedEvents = async (event, scope) => {
+  if (!event.seriesId || scope === 'this') return [event];
+
+  const query = { seriesId: event.seriesId };
+  if (scope === 'following') {
+    query.occurrenceIndex = { $gte: event.occurrenceIndex };
+  }
+  return eventsCollection.find(query).sort({ occurrenceIndex: 1 }).toArray();
+};
+
+// A club in which the user holds the permission, or null
+const findClubWithPermission = async (user, clubId, permission) => {
+  const access = await getClubAccess(user, clubId?.toString());
+  return hasPermission(access, permission) ? access.club : null;
+};
+
 // ==================== CLUBS MANAGEMENT ====================
 
-// Get all clubs managed by the authenticated manager
-router.get('/clubs', verifyToken, authorize('clubManager'), async (req, res) => {
+// Get all clubs the authenticated user owns or holds an officer role in
+router.get('/clubs', verifyToken, async (req, res) => {
   try {
-    const managerEmail = req.user.email;
     const search = req.query.search || '';
     const category = req.query.category || '';
 
-    // Build query - only clubs managed by this manager
-    const query = { managerEmail };
+    const query = {};
     
     if (search) {
       query.$or = [
@@ -85,10 +231,10 @@ router.get('/clubs', verifyToken, authorize('clubManager'), async (req, res) =>
     }
 
     // Get clubs
-    const clubs = await clubsCollection.find(query).sort({ createdAt: -1 }).toArray();
+    const clubs = await getAccessibleClubs(req.user, null, query);
 
     // Get member counts and upcoming event counts for each club
-    const clubsWithStats = await Promise.all(clubs.map(async (club) => {
+    const clubsWithStats = await Promise.all(clubs.map(async ({ club, role, permissions }) => {
       const memberCount = await membershipsCollection.countDocuments({ 
         clubId: club._id.toString(), 
         status: 'active' 
@@ -111,7 +257,11 @@ router.get('/clubs', verifyToken, authorize('clubManager'), async (req, res) =>
         upcomingEventCount,
         schedule: club.schedule || '',
         location: club.location || '',
-        fee: club.fee ? club.fee / 100 : 0, // Convert from cents to taka
+        fee: fromMinorUnits(club.fee),
+        yearlyFee: fromMinorUnits(club.yearlyFee),
+        currency: getCurrency(club),
+        role,
+        permissions,
         createdAt: club.createdAt
       };
     }));
@@ -123,20 +273,16 @@ router.get('/clubs', verifyToken, authorize('clubManager'), async (req, res) =>
   }
 });
 
-// Get single club details (verify ownership)
-router.get('/clubs/:id', verifyToken, authorize('clubManager'), async (req, res) => {
+// Get single club details (owner and officers)
+router.get('/clubs/:id', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const managerEmail = req.user.email;
-
-    const club = await clubsCollection.findOne({ 
-      _id: new ObjectId(id),
-      managerEmail 
-    });
 
-    if (!club) {
+    const access = await getClubAccess(req.user, id);
+    if (!access) {
       return res.status(404).json({ error: 'Club not found or access denied' });
     }
+    const { club } = access;
 
     const memberCount = await membershipsCollection.countDocuments({ 
       clubId: id, 
@@ -159,7 +305,13 @@ router.get('/clubs/:id', verifyToken, authorize('clubManager'), async (req, res)
       upcomingEventCount,
       schedule: club.schedule || '',
       location: club.location || '',
-      fee: club.fee ? club.fee / 100 : 0, // Convert from cents to taka
+      fee: fromMinorUnits(club.fee),
+      yearlyFee: fromMinorUnits(club.yearlyFee),
+      currency: getCurrency(club),
+      requiresApproval: !!club.requiresApproval,
+      joinQuestions: getJoinQuestions(club),
+      role: access.role,
+      permissions: access.permissions,
       createdAt: club.createdAt
     });
   } catch (error) {
@@ -172,13 +324,31 @@ router.get('/clubs/:id', verifyToken, authorize('clubManager'), async (req, res)
 router.post('/clubs', verifyToken, authorize('clubManager'), async (req, res) => {
   try {
     const managerEmail = req.user.email;
-    const { name, description, image, category, schedule, location, fee } = req.body;
+    const { name, description, image, category, schedule, location, fee, yearlyFee, currency, requiresApproval } = req.body;
 
     // Validate required fields
     if (!name) {
       return res.status(400).json({ error: 'Club name is required' });
     }
 
+    // Fees are sent in whole units and stored in minor units
+    const monthly = parseMoney(fee, 'Fee');
+    const yearly = parseMoney(yearlyFee, 'Yearly fee');
+    const clubCurrency = currency === undefined ? { currency: DEFAULT_CURRENCY } : normalizeCurrency(currency);
+    const moneyError = monthly.error || yearly.error || clubCurrency.error;
+    if (moneyError) {
+      return res.status(400).json({ error: moneyError });
+    }
+
+    let joinQuestions = [];
+    if (req.body.joinQuestions !== undefined) {
+      const normalized = normalizeJoinQuestions(req.body.joinQuestions);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      joinQuestions = normalized.joinQuestions;
+    }
+
     // Create club object
     const club = {
       name,
@@ -187,7 +357,11 @@ router.post('/clubs', verifyToken, authorize('clubManager'), async (req, res) =>
       category: category || 'Uncategorized',
       schedule: schedule || '',
       location: location || '',
-      fee: fee ? Math.round(fee * 100) : 0, // Store as cents
+      fee: monthly.amount, // Monthly price
+      yearlyFee: yearly.amount, // 0 = no yearly billing
+      currency: clubCurrency.currency,
+      requiresApproval: !!requiresApproval, // Joining creates an application for the manager to review
+      joinQuestions,
       managerEmail,
       status: 'pending', // New clubs need admin approval
       memberCount: 0,
@@ -217,32 +391,55 @@ router.post('/clubs', verifyToken, authorize('clubManager'), async (req, res) =>
   }
 });
 
-// Update club details (verify ownership)
-router.put('/clubs/:id', verifyToken, authorize('clubManager'), async (req, res) => {
+// Update club details (owner and co-managers)
+router.put('/clubs/:id', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const managerEmail = req.user.email;
     const updateData = req.body;
 
-    // Verify ownership
-    const club = await clubsCollection.findOne({ 
-      _id: new ObjectId(id),
-      managerEmail 
-    });
-
-    if (!club) {
+    const access = await getClubAccess(req.user, id);
+    if (!hasPermission(access, PERMISSIONS.EDIT_CLUB)) {
       return res.status(404).json({ error: 'Club not found or access denied' });
     }
+    const { club } = access;
+
+    // Ownership is not changed by editing the club
+    delete updateData.managerEmail;
+
+    if (updateData.requiresApproval !== undefined) {
+      updateData.requiresApproval = !!updateData.requiresApproval;
+    }
+
+    if (updateData.joinQuestions !== undefined) {
+      const normalized = normalizeJoinQuestions(updateData.joinQuestions, getJoinQuestions(club));
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      updateData.joinQuestions = normalized.joinQuestions;
+    }
+
+    // Fees are sent in whole units and stored in minor units
+    for (const [feeField, label] of [['fee', 'Fee'], ['yearlyFee', 'Yearly fee']]) {
+      if (updateData[feeField] !== undefined) {
+        const { amount, error } = parseMoney(updateData[feeField], label);
+        if (error) {
+          return res.status(400).json({ error });
+        }
+        updateData[feeField] = amount;
+      }
+    }
 
-    // Convert fee to cents if provided (frontend sends in cents already, but handle both cases)
-    if (updateData.fee !== undefined) {
-      // If fee is less than 100, assume it's in taka and convert to cents
-      // Otherwise assume it's already in cents
-      if (updateData.fee < 100) {
-        updateData.fee = Math.round(updateData.fee * 100);
-      } else {
-        updateData.fee = Math.round(updateData.fee);
+    // The currency also moves the club's events, so it is set on its own
+    if (updateData.currency !== undefined) {
+      const { currency, error } = normalizeCurrency(updateData.currency);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const changed = await setClubCurrency(club, currency);
+      if (changed.error) {
+        return res.status(409).json({ error: changed.error });
       }
+      delete updateData.currency;
     }
 
     const result = await clubsCollection.updateOne(
@@ -270,7 +467,8 @@ router.delete('/clubs/:id', verifyToken, authorize('clubManager'), async (req, r
     // Verify ownership
     const club = await clubsCollection.findOne({ 
       _id: new ObjectId(id),
-      managerEmail 
+      managerEmail,
+      status: { $ne: 'archived' }
     });
 
     if (!club) {
@@ -310,24 +508,53 @@ router.delete('/clubs/:id', verifyToken, authorize('clubManager'), async (req, r
 
 // ==================== CLUB MEMBERS MANAGEMENT ====================
 
-// Get club members with pagination, search, and filters
-router.get('/clubs/:clubId/members', verifyToken, authorize('clubManager'), async (req, res) => {
+// Does a member's name or email contain the search text
+const matchesMemberSearch = (user, search) => {
+  if (!search) return true;
+  const searchLower = search.toLowerCase();
+  return user.name?.toLowerCase().includes(searchLower) || user.email?.toLowerCase().includes(searchLower);
+};
+
+// Every member matching the list filters as CSV, for GET /clubs/:clubId/members?format=csv
+const sendMembersCsv = async (res, club, membershipQuery, search) => {
+  const memberships = await membershipsCollection.find(membershipQuery).sort({ joinDate: -1 }).toArray();
+
+  const userIds = [...new Set(memberships.map(membership => membership.userId))].filter(id => ObjectId.isValid(id));
+  const users = await usersCollection
+    .find({ _id: { $in: userIds.map(id => new ObjectId(id)) } }, { projection: { name: 1, email: 1 } })
+    .toArray();
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const rows = memberships
+    .map(membership => ({ membership, user: usersById.get(membership.userId) }))
+    .filter(({ user }) => user && matchesMemberSearch(user, search))
+    .map(({ membership, user }) => [
+      user.name || '',
+      user.email,
+      membership.status || 'active',
+      membership.role || 'member',
+      membership.joinDate || membership.createdAt || null,
+      membership.expiryDate || null,
+      membership.paymentStatus || ''
+    ]);
+
+  const csv = toCsv(['name', 'email', 'status', 'role', 'joinDate', 'expiryDate', 'paymentStatus'], rows);
+  const slug = (club.name || 'club').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  sendCsv(res, `${slug || 'club'}-members.csv`, csv);
+};
+
+// Get club members with pagination, search, and filters; ?format=csv exports every matching member
+router.get('/clubs/:clubId/members', verifyToken, async (req, res) => {
   try {
     const { clubId } = req.params;
-    const managerEmail = req.user.email;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const search = req.query.search || '';
     const status = req.query.status || '';
     const skip = (page - 1) * limit;
 
-    // Verify club ownership
-    const club = await clubsCollection.findOne({ 
-      _id: new ObjectId(clubId),
-      managerEmail 
-    });
-
-    if (!club) {
+    const access = await getClubAccess(req.user, clubId);
+    if (!hasPermission(access, PERMISSIONS.APPROVE_MEMBERS)) {
       return res.status(404).json({ error: 'Club not found or access denied' });
     }
 
@@ -337,6 +564,10 @@ router.get('/clubs/:clubId/members', verifyToken, authorize('clubManager'), asyn
       membershipQuery.status = status.toLowerCase();
     }
 
+    if (req.query.format === 'csv') {
+      return sendMembersCsv(res, access.club, membershipQuery, search);
+    }
+
     // Get memberships
     const memberships = await membershipsCollection
       .find(membershipQuery)
@@ -352,13 +583,7 @@ router.get('/clubs/:clubId/members', verifyToken, authorize('clubManager'), asyn
       if (!user) return null;
 
       // Apply search filter if provided
-      if (search) {
-        const searchLower = search.toLowerCase();
-        const matchesSearch = 
-          user.name?.toLowerCase().includes(searchLower) ||
-          user.email?.toLowerCase().includes(searchLower);
-        if (!matchesSearch) return null;
-      }
+      if (!matchesMemberSearch(user, search)) return null;
 
       return {
         id: membership._id.toString(),
@@ -410,248 +635,1863 @@ router.get('/clubs/:clubId/members', verifyToken, authorize('clubManager'), asyn
   }
 });
 
-// ==================== EVENTS MANAGEMENT ====================
-
-// Get events for manager's clubs
-router.get('/events', verifyToken, authorize('clubManager'), async (req, res) => {
-  try {
-    const managerEmail = req.user.email;
-    const filter = req.query.filter || 'all'; // all, upcoming, past, drafts
-    const search = req.query.search || '';
-
-    // Get all clubs managed by this manager
-    const managerClubs = await clubsCollection.find({ managerEmail }).toArray();
-    const clubIds = managerClubs.map(club => club._id.toString());
-    const clubObjectIds = managerClubs.map(club => club._id);
-
-    console.log(`[Manager Events] Manager email: ${managerEmail}`);
-    console.log(`[Manager Events] Found ${managerClubs.length} clubs:`, clubIds);
+// Import members from a CSV file with email and optional name columns. Send the file as
+// text/csv with the settings in the query string, or as JSON { csv, status, expiryDate, sendInvites }.
+router.post(
+  '/clubs/:clubId/members/import',
+  verifyToken,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  async (req, res) => {
+    try {
+      const { clubId } = req.params;
+
+      const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.APPROVE_MEMBERS);
+      if (!club) {
+        return res.status(404).json({ error: 'Club not found or access denied' });
+      }
 
-    if (clubIds.length === 0) {
-      console.log('[Manager Events] No clubs found for manager, returning empty result');
-      return res.json({ events: [], stats: { total: 0, upcoming: 0, revenue: 0 } });
-    }
+      const isCsvBody = typeof req.body === 'string';
+      const { options, error } = normalizeImportOptions(isCsvBody ? req.query : req.body);
+      if (error) {
+        return res.status(400).json({ error });
+      }
 
-    // Build query - handle both string and ObjectId formats for clubId
-    const now = new Date();
-    
-    // Base clubId condition - handle both string and ObjectId formats
-    const clubIdCondition = {
-      $or: [
-        { clubId: { $in: clubIds } }, // String format
-        { clubId: { $in: clubObjectIds } } // ObjectId format
-      ]
-    };
-    
-    // Build query conditions array - always start with clubId condition
-    const queryConditions = [clubIdCondition];
-    
-    // Add filter conditions
-    if (filter === 'upcoming') {
-      queryConditions.push({ date: { $gte: now } });
-      queryConditions.push({ 
-        $or: [
-          { status: { $ne: 'cancelled' } },
-          { status: { $exists: false } },
-          { status: null }
-        ]
-      });
-    } else if (filter === 'past') {
-      // For past events, ensure date exists and is less than now
-      queryConditions.push({ 
-        $and: [
-          { date: { $exists: true } },
-          { date: { $ne: null } },
-          { date: { $lt: now } }
-        ]
+      const result = await importMembers({
+        club,
+        csvText: isCsvBody ? req.body : req.body?.csv,
+        options,
+        importedBy: req.user.email
       });
-    } else if (filter === 'drafts') {
-      queryConditions.push({ status: 'draft' });
-    }
-    // For 'all' filter, we only have clubIdCondition in the array
-    
-    // Add search condition if provided
-    if (search) {
-      queryConditions.push({
-        $or: [
-          { name: { $regex: search, $options: 'i' } },
-          { description: { $regex: search, $options: 'i' } }
-        ]
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      const { summary } = result.report;
+      res.json({
+        message: `Imported ${summary.created} members, invited ${summary.invited}, skipped ${summary.skipped}, ${summary.error} errors`,
+        ...result.report
       });
+    } catch (error) {
+      console.error('Import members error:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
-    
-    // Build final query - always use $and for consistency
-    // MongoDB handles single-item $and arrays correctly
-    const query = { $and: queryConditions };
-
-    console.log('[Manager Events] Query:', JSON.stringify(query, null, 2));
+  }
+);
 
-    // Get events
-    const events = await eventsCollection.find(query).sort({ date: -1 }).toArray();
-    
-    console.log(`[Manager Events] Found ${events.length} events matching query`);
-    
-    // Debug: Check all events to see their clubId format
-    if (events.length === 0) {
-      const allEvents = await eventsCollection.find({}).limit(5).toArray();
-      console.log('[Manager Events] Sample events in database:', allEvents.map(e => ({
-        id: e._id.toString(),
-        name: e.name,
-        clubId: e.clubId,
-        clubIdType: typeof e.clubId
-      })));
-    }
+// ==================== CLUB INVITES ====================
 
-    // Get stats - handle both string and ObjectId formats
-    // Use the same clubIdCondition structure for consistency
-    const statsQuery = clubIdCondition;
-    const totalEvents = await eventsCollection.countDocuments(statsQuery);
-    
-    const upcomingEventsQuery = {
-      $and: [
-        clubIdCondition,
-        { date: { $gte: now } },
-        {
-          $or: [
-            { status: { $ne: 'cancelled' } },
-            { status: { $exists: false } },
-            { status: null }
-          ]
-        }
-      ]
-    };
-    const upcomingEvents = await eventsCollection.countDocuments(upcomingEventsQuery);
+// Invite links and codes of a club, newest first, with how many people each brought in
+router.get('/clubs/:clubId/invites', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
 
-    // Calculate revenue from events (simplified - sum prices of all events)
-    // For more accurate revenue, we would need to calculate from actual registrations
-    // Use the same clubIdCondition for consistency
-    const allEvents = await eventsCollection.find(clubIdCondition).toArray();
-    let revenue = 0;
-    for (const event of allEvents) {
-      const regCount = await registrationsCollection.countDocuments({
-        eventId: event._id.toString(),
-        status: 'registered',
-        paymentStatus: 'paid'
-      });
-      revenue += (event.price || 0) * regCount;
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.APPROVE_MEMBERS);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
     }
-    revenue = revenue / 100; // Convert cents to taka
-
-    // Format events with registration counts
-    const eventsWithDetails = await Promise.all(events.map(async (event) => {
-      const registrations = await registrationsCollection.countDocuments({
-        eventId: event._id.toString(),
-        status: 'registered'
-      });
-
-      const eventDate = event.date ? new Date(event.date) : new Date();
-      const isPast = eventDate < now;
 
-      return {
-        id: event._id.toString(),
-        name: event.name,
-        description: event.description || '',
-        image: event.image || null,
-        date: eventDate.toISOString(),
-        dateFormatted: formatDateWithDay(eventDate),
-        time: event.time || '12:00 PM',
-        location: event.location || '',
-        price: event.price || 0,
-        maxAttendees: event.maxAttendees || 0,
-        currentAttendees: registrations,
-        status: isPast ? 'past' : (event.status || 'upcoming'),
-        clubId: event.clubId,
-        createdAt: event.createdAt
-      };
-    }));
+    const invites = await clubInvitesCollection.find({ clubId }).sort({ createdAt: -1 }).toArray();
 
-    res.json({
-      events: eventsWithDetails,
-      stats: {
-        total: totalEvents,
-        upcoming: upcomingEvents,
-        revenue: revenue // Already converted to taka on line 473
-      }
-    });
+    res.json({ invites: invites.map(formatClubInvite) });
   } catch (error) {
-    console.error('Get manager events error:', error);
+    console.error('Get club invites error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Create new event
-router.post('/events', verifyToken, authorize('clubManager'), async (req, res) => {
+// Create an invite: optional custom code, label, expiresAt, maxUses and discount
+router.post('/clubs/:clubId/invites', verifyToken, async (req, res) => {
   try {
-    const managerEmail = req.user.email;
-    const { name, description, date, time, location, price, maxAttendees, clubId, image } = req.body;
-
-    if (!name || !date || !clubId) {
-      return res.status(400).json({ error: 'Name, date, and clubId are required' });
-    }
-
-    // Verify club ownership
-    const club = await clubsCollection.findOne({ 
-      _id: new ObjectId(clubId),
-      managerEmail 
-    });
+    const { clubId } = req.params;
 
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.APPROVE_MEMBERS);
     if (!club) {
       return res.status(404).json({ error: 'Club not found or access denied' });
     }
 
-    const event = {
-      name,
-      description: description || '',
-      date: new Date(date),
-      time: time || '12:00 PM',
-      location: location || '',
-      price: price ? Math.round(price * 100) : 0, // Store as cents
-      maxAttendees: maxAttendees || 0,
-      clubId,
-      clubName: club.name,
-      image: image || null,
-      status: 'active',
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
+    const { invite, error } = normalizeInvite(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    const result = await eventsCollection.insertOne(event);
+    const result = await createClubInvite({ club, invite, createdBy: req.user.email });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
 
-    res.status(201).json({
-      id: result.insertedId.toString(),
-      message: 'Event created successfully'
-    });
+    res.status(201).json({ message: 'Invite created', invite: formatClubInvite(result.invite) });
   } catch (error) {
-    console.error('Create event error:', error);
+    console.error('Create club invite error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Update event (verify ownership via club)
-router.put('/events/:id', verifyToken, authorize('clubManager'), async (req, res) => {
+// Revoke an invite; members who already joined through it stay
+router.delete('/clubs/:clubId/invites/:inviteId', verifyToken, async (req, res) => {
   try {
-    const { id } = req.params;
-    const managerEmail = req.user.email;
-    const updateData = req.body;
-
-    // Get event and verify club ownership
-    const event = await eventsCollection.findOne({ _id: new ObjectId(id) });
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    const club = await clubsCollection.findOne({ 
-      _id: new ObjectId(event.clubId),
-      managerEmail 
-    });
+    const { clubId, inviteId } = req.params;
 
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.APPROVE_MEMBERS);
     if (!club) {
-      return res.status(403).json({ error: 'Access denied' });
+      return res.status(404).json({ error: 'Club not found or access denied' });
     }
 
-    // Convert price to cents if provided
-    if (updateData.price !== undefined) {
-      updateData.price = Math.round(updateData.price * 100);
+    const invite = ObjectId.isValid(inviteId)
+      ? await clubInvitesCollection.findOneAndUpdate(
+        { _id: new ObjectId(inviteId), clubId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedBy: req.user.email, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      )
+      : null;
+    if (!invite) {
+      return res.status(404).json({ error: 'Active invite not found' });
+    }
+
+    res.json({ message: 'Invite revoked', invite: formatClubInvite(invite) });
+  } catch (error) {
+    console.error('Revoke club invite error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== MEMBERSHIP APPLICATIONS ====================
+
+// Find an application in a club where the user may approve members
+const findApplication = async (user, clubId, applicationId) => {
+  if (!ObjectId.isValid(applicationId)) return {};
+
+  const access = await getClubAccess(user, clubId);
+  if (!hasPermission(access, PERMISSIONS.APPROVE_MEMBERS)) return {};
+  const { club } = access;
+
+  const application = await membershipsCollection.findOne({ _id: new ObjectId(applicationId), clubId });
+  return { club, application };
+};
+
+// List applications to a club. Paid applications are only listed once the card is authorized.
+router.get('/clubs/:clubId/applications', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const status = req.query.status || 'pending';
+
+    if (!['pending', 'rejected', 'expired'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be one of: pending, rejected, expired' });
+    }
+
+    const access = await getClubAccess(req.user, clubId);
+    if (!hasPermission(access, PERMISSIONS.APPROVE_MEMBERS)) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    const { club } = access;
+
+    const applications = await membershipsCollection
+      .find({ clubId, status, appliedAt: { $exists: true } })
+      .sort({ appliedAt: 1 })
+      .toArray();
+
+    const userIds = applications
+      .map(application => application.userId)
+      .filter(userId => ObjectId.isValid(userId))
+      .map(userId => new ObjectId(userId));
+    const users = await usersCollection.find({ _id: { $in: userIds } }).toArray();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.json({
+      applications: applications.map(application => {
+        const user = usersById.get(application.userId);
+        return {
+          id: application._id.toString(),
+          userId: application.userId,
+          name: user?.name || 'Unknown',
+          email: user?.email || '',
+          photoURL: user?.photoURL || null,
+          status: application.status,
+          paymentStatus: application.paymentStatus,
+          amount: fromMinorUnits(application.amount),
+          currency: getCurrency(application),
+          answers: application.answers || [],
+          appliedAt: application.appliedAt,
+          appliedDate: formatDate(application.appliedAt),
+          rejectedAt: application.rejectedAt || null,
+          rejectionReason: application.rejectionReason || null
+        };
+      }),
+      joinQuestions: getJoinQuestions(club)
+    });
+  } catch (error) {
+    console.error('Get club applications error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve an application; paid applications are charged now
+router.post('/clubs/:clubId/applications/:applicationId/approve', verifyToken, async (req, res) => {
+  try {
+    const { clubId, applicationId } = req.params;
+    const reviewerEmail = req.user.email;
+
+    const { club, application } = await findApplication(req.user, clubId, applicationId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (application.status !== 'pending') {
+      return res.status(409).json({ error: `Application is ${application.status}` });
+    }
+
+    const { membership, error } = await approveMembershipApplication(application, reviewerEmail);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    res.json({
+      message: 'Application approved',
+      membership: {
+        id: membership._id.toString(),
+        status: membership.status,
+        paymentStatus: membership.paymentStatus,
+        joinDate: membership.joinDate,
+        expiryDate: membership.expiryDate
+      }
+    });
+  } catch (error) {
+    console.error('Approve application error:', error);
+    res.status(500).json({ error: 'Failed to approve application', message: error.message });
+  }
+});
+
+// Reject an application; paid applications have their card authorization released
+router.post('/clubs/:clubId/applications/:applicationId/reject', verifyToken, async (req, res) => {
+  try {
+    const { clubId, applicationId } = req.params;
+    const reviewerEmail = req.user.email;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+
+    const { club, application } = await findApplication(req.user, clubId, applicationId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+    if (application.status !== 'pending') {
+      return res.status(409).json({ error: `Application is ${application.status}` });
+    }
+
+    const { membership, error } = await rejectMembershipApplication(application, reviewerEmail, reason);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    res.json({
+      message: 'Application rejected',
+      membership: {
+        id: membership._id.toString(),
+        status: membership.status,
+        rejectionReason: membership.rejectionReason
+      }
+    });
+  } catch (error) {
+    console.error('Reject application error:', error);
+    res.status(500).json({ error: 'Failed to reject application', message: error.message });
+  }
+});
+
+// ==================== CLUB ROLES ====================
+
+// Club staff: the owner and members holding an officer role, with the available roles
+router.get('/clubs/:clubId/roles', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const access = await getClubAccess(req.user, clubId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    const { club } = access;
+
+    const officerMemberships = await membershipsCollection
+      .find({ clubId, status: 'active', role: { $in: OFFICER_ROLES } })
+      .sort({ roleAssignedAt: 1 })
+      .toArray();
+
+    const userIds = officerMemberships
+      .map(membership => membership.userId)
+      .filter(userId => ObjectId.isValid(userId))
+      .map(userId => new ObjectId(userId));
+    const [owner, users] = await Promise.all([
+      club.managerEmail ? usersCollection.findOne({ email: club.managerEmail }) : null,
+      usersCollection.find({ _id: { $in: userIds } }).toArray()
+    ]);
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    const staff = [{
+      membershipId: null,
+      userId: owner ? owner._id.toString() : null,
+      name: owner?.name || 'Unknown',
+      email: club.managerEmail,
+      photoURL: owner?.photoURL || null,
+      role: 'owner',
+      roleName: CLUB_ROLES.owner.name,
+      permissions: CLUB_ROLES.owner.permissions
+    }];
+
+    officerMemberships.forEach(membership => {
+      const user = usersById.get(membership.userId);
+      staff.push({
+        membershipId: membership._id.toString(),
+        userId: membership.userId,
+        name: user?.name || 'Unknown',
+        email: user?.email || '',
+        photoURL: user?.photoURL || null,
+        role: membership.role,
+        roleName: CLUB_ROLES[membership.role].name,
+        permissions: CLUB_ROLES[membership.role].permissions,
+        roleAssignedAt: membership.roleAssignedAt || null
+      });
+    });
+
+    res.json({
+      roles: formatClubRoles(),
+      staff,
+      yourRole: access.role,
+      yourPermissions: access.permissions
+    });
+  } catch (error) {
+    console.error('Get club roles error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Give a member an officer role, or set role to 'member' to remove it
+router.put('/clubs/:clubId/members/:membershipId/role', verifyToken, async (req, res) => {
+  try {
+    const { clubId, membershipId } = req.params;
+    const { role } = req.body;
+
+    if (!OFFICER_ROLES.includes(role) && role !== 'member') {
+      return res.status(400).json({ error: `Role must be one of: ${[...OFFICER_ROLES, 'member'].join(', ')}` });
+    }
+
+    const access = await getClubAccess(req.user, clubId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!hasPermission(access, PERMISSIONS.MANAGE_ROLES)) {
+      return res.status(403).json({ error: 'Only the club owner can change roles' });
+    }
+
+    if (!ObjectId.isValid(membershipId)) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    // Roles are only given to current members
+    const membership = await membershipsCollection.findOneAndUpdate(
+      { _id: new ObjectId(membershipId), clubId, status: 'active' },
+      {
+        $set: {
+          role,
+          roleAssignedAt: new Date(),
+          roleAssignedBy: req.user.email,
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Active member not found' });
+    }
+
+    res.json({
+      message: role === 'member' ? 'Role removed' : `Role set to ${CLUB_ROLES[role].name}`,
+      membership: {
+        id: membership._id.toString(),
+        userId: membership.userId,
+        role: membership.role,
+        permissions: CLUB_ROLES[membership.role].permissions
+      }
+    });
+  } catch (error) {
+    console.error('Update member role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== OWNERSHIP TRANSFER ====================
+
+// Nominate an active member as the club's next owner; they become owner when they accept
+router.post('/clubs/:clubId/ownership-transfer', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const { membershipId, message } = req.body;
+
+    const access = await getClubAccess(req.user, clubId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (access.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the club owner can transfer ownership' });
+    }
+
+    if (!membershipId || !ObjectId.isValid(membershipId)) {
+      return res.status(400).json({ error: 'A valid membershipId is required' });
+    }
+
+    const membership = await membershipsCollection.findOne({
+      _id: new ObjectId(membershipId),
+      clubId,
+      status: 'active'
+    });
+    if (!membership) {
+      return res.status(404).json({ error: 'Active member not found' });
+    }
+
+    const [nominee, owner] = await Promise.all([
+      ObjectId.isValid(membership.userId) ? usersCollection.findOne({ _id: new ObjectId(membership.userId) }) : null,
+      usersCollection.findOne({ email: req.user.email })
+    ]);
+    if (!nominee) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+    if (nominee.email === access.club.managerEmail) {
+      return res.status(400).json({ error: 'You already own this club' });
+    }
+
+    const { transfer, error } = await createOwnershipTransfer({
+      club: access.club,
+      fromUser: owner,
+      toUser: nominee,
+      message: typeof message === 'string' ? message.trim() : null
+    });
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    res.status(201).json({
+      message: `${nominee.name || nominee.email} has been asked to take over the club`,
+      transfer: formatOwnershipTransfer(transfer)
+    });
+  } catch (error) {
+    console.error('Create ownership transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Withdraw the club's pending nomination
+router.delete('/clubs/:clubId/ownership-transfer', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const access = await getClubAccess(req.user, clubId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (access.role !== 'owner') {
+      return res.status(403).json({ error: 'Only the club owner can transfer ownership' });
+    }
+
+    const pending = await findPendingTransfer(clubId);
+    if (!pending) {
+      return res.status(404).json({ error: 'No pending ownership transfer' });
+    }
+
+    const transfer = await ownershipTransfersCollection.findOneAndUpdate(
+      { _id: pending._id, status: 'pending' },
+      { $set: { status: 'cancelled', cancellationReason: 'withdrawn', respondedAt: new Date(), updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!transfer) {
+      return res.status(409).json({ error: 'The nomination has already been answered' });
+    }
+
+    res.json({ message: 'Ownership transfer withdrawn', transfer: formatOwnershipTransfer(transfer) });
+  } catch (error) {
+    console.error('Cancel ownership transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Ownership history of a club, newest first, including any pending nomination
+router.get('/clubs/:clubId/ownership-history', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const access = await getClubAccess(req.user, clubId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const transfers = await ownershipTransfersCollection
+      .find({ clubId })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      owner: access.club.managerEmail,
+      transfers: transfers.map(formatOwnershipTransfer)
+    });
+  } catch (error) {
+    console.error('Get ownership history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== CLUB FINANCES ====================
+
+// Revenue of a club from memberships and its events, net of refunds
+router.get('/clubs/:clubId/finances', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.VIEW_FINANCES);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const events = await eventsCollection
+      .find({ $or: [{ clubId }, { clubId: club._id }] }, { projection: { name: 1 } })
+      .toArray();
+    const eventNames = new Map(events.map(event => [event._id.toString(), event.name]));
+
+    const clubTransactions = {
+      status: 'success',
+      $or: [{ clubId }, { eventId: { $in: [...eventNames.keys()] } }]
+    };
+
+    const [totals, recentTransactions] = await Promise.all([
+      transactionsCollection.aggregate([
+        { $match: clubTransactions },
+        {
+          $group: {
+            _id: '$type',
+            total: { $sum: '$amount' },
+            gross: { $sum: { $ifNull: ['$grossAmount', '$amount'] } },
+            platformFees: { $sum: { $ifNull: ['$platformFee', 0] } },
+            count: { $sum: 1 }
+          }
+        }
+      ]).toArray(),
+      transactionsCollection.find(clubTransactions).sort({ createdAt: -1 }).limit(20).toArray()
+    ]);
+
+    const totalFor = (type) => {
+      const group = totals.find(item => item._id === type);
+      return group ? fromMinorUnits(group.total) : 0;
+    };
+
+    // Gross is the list price before invite and coupon discounts
+    const grossRevenue = totals.reduce((sum, item) => sum + item.gross, 0);
+    const netRevenue = totals.reduce((sum, item) => sum + item.total, 0);
+    const platformFees = totals.reduce((sum, item) => sum + item.platformFees, 0);
+
+    res.json({
+      summary: {
+        currency: getCurrency(club),
+        membershipRevenue: totalFor('membership'),
+        eventRevenue: totalFor('event'),
+        donationRevenue: totalFor('donation'),
+        refunds: totalFor('refund'),
+        chargebacks: totalFor('chargeback'),
+        grossRevenue: fromMinorUnits(grossRevenue),
+        discounts: fromMinorUnits(grossRevenue - netRevenue),
+        netRevenue: fromMinorUnits(netRevenue),
+        platformFees: fromMinorUnits(platformFees),
+        clubEarnings: fromMinorUnits(netRevenue - platformFees)
+      },
+      recentTransactions: recentTransactions.map(transaction => ({
+        id: transaction._id.toString(),
+        type: transaction.type,
+        description: transaction.description || '',
+        eventName: transaction.eventId ? eventNames.get(transaction.eventId) || null : null,
+        grossAmount: fromMinorUnits(transaction.grossAmount ?? transaction.amount),
+        discountAmount: fromMinorUnits(transaction.discountAmount),
+        couponCode: transaction.couponCode || null,
+        platformFee: fromMinorUnits(transaction.platformFee),
+        amount: fromMinorUnits(transaction.amount),
+        currency: getCurrency(transaction),
+        date: formatDate(transaction.createdAt)
+      }))
+    });
+  } catch (error) {
+    console.error('Get club finances error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The club's ledger: what the platform owes it, the fee it pays and its entries, newest first
+router.get('/clubs/:clubId/ledger', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.VIEW_FINANCES);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // ?status=open lists only entries not yet paid out
+    const query = { clubId };
+    if (req.query.status === 'open') {
+      query.payoutId = null;
+    }
+
+    const [balance, platformFee, entries, total] = await Promise.all([
+      getClubBalance(clubId),
+      getPlatformFee(clubId),
+      ledgerCollection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      ledgerCollection.countDocuments(query)
+    ]);
+
+    res.json({
+      balance: fromMinorUnits(balance.balance),
+      currency: getCurrency(club),
+      openEntries: balance.entryCount,
+      openSince: balance.since,
+      platformFee: formatPlatformFee(platformFee),
+      entries: entries.map(formatLedgerEntry),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get club ledger error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Payouts the club has received, newest first
+router.get('/clubs/:clubId/payouts', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.VIEW_FINANCES);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const payouts = await payoutsCollection.find({ clubId }).sort({ paidAt: -1 }).toArray();
+
+    res.json({ payouts: payouts.map(formatPayout) });
+  } catch (error) {
+    console.error('Get club payouts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Download the statement of one of the club's payouts as CSV
+router.get('/clubs/:clubId/payouts/:payoutId/statement', verifyToken, async (req, res) => {
+  try {
+    const { clubId, payoutId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.VIEW_FINANCES);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const payout = ObjectId.isValid(payoutId)
+      ? await payoutsCollection.findOne({ _id: new ObjectId(payoutId), clubId })
+      : null;
+    if (!payout) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+
+    sendCsv(res, getStatementFilename(payout), await buildPayoutStatement(payout));
+  } catch (error) {
+    console.error('Get club payout statement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== DONATIONS ====================
+
+// Donations to the club with the donors' names, also for anonymous ones, and its goal progress
+router.get('/clubs/:clubId/donations', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.VIEW_FINANCES);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    // Paid and refunded donations unless ?status= asks for another
+    const status = req.query.status || '';
+    if (status && !DONATION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${DONATION_STATUSES.join(', ')}` });
+    }
+    const query = { clubId, status: status || { $in: ['paid', 'refunded'] } };
+
+    const [goal, totals, donations, total] = await Promise.all([
+      getGoalProgress(club),
+      getDonationTotals(clubId),
+      donationsCollection.find(query).sort({ createdAt: -1 }).skip(skip).limit(limit).toArray(),
+      donationsCollection.countDocuments(query)
+    ]);
+
+    res.json({
+      currency: getCurrency(club),
+      goal,
+      totalRaised: fromMinorUnits(totals.raised),
+      donationCount: totals.donationCount,
+      donorCount: totals.donorCount,
+      donations: donations.map(formatDonation),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get club donations error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the club's fundraising goal; progress counts donations from now on
+router.put('/clubs/:clubId/donation-goal', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.EDIT_CLUB);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const { goal, error } = normalizeDonationGoal(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Editing the current goal keeps counting from when it started
+    const now = new Date();
+    const donationGoal = {
+      ...goal,
+      startsAt: req.body.restart === true || !club.donationGoal ? now : club.donationGoal.startsAt,
+      setBy: req.user.email
+    };
+    await clubsCollection.updateOne(
+      { _id: club._id },
+      { $set: { donationGoal, updatedAt: now } }
+    );
+
+    res.json({
+      message: 'Donation goal saved',
+      goal: await getGoalProgress({ ...club, donationGoal })
+    });
+  } catch (error) {
+    console.error('Set donation goal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove the club's fundraising goal; donations stay open
+router.delete('/clubs/:clubId/donation-goal', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.EDIT_CLUB);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    await clubsCollection.updateOne(
+      { _id: club._id },
+      { $unset: { donationGoal: '' }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({ message: 'Donation goal removed' });
+  } catch (error) {
+    console.error('Remove donation goal error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== COUPONS ====================
+
+// Coupons of a club and its events, newest first
+router.get('/clubs/:clubId/coupons', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.EDIT_CLUB);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const coupons = await couponsCollection.find({ clubId }).sort({ createdAt: -1 }).toArray();
+
+    res.json({ coupons: coupons.map(formatCoupon) });
+  } catch (error) {
+    console.error('Get club coupons error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a coupon for the club's memberships and events, or for one event (scope 'event' with eventId)
+router.post('/clubs/:clubId/coupons', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.EDIT_CLUB);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const { coupon, error } = normalizeCoupon(req.body, ['club', 'event']);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const target = await resolveCouponScope(coupon, { clubId, eventId: req.body.eventId });
+    if (target.error) {
+      return res.status(400).json({ error: target.error });
+    }
+
+    const result = await createCoupon({
+      coupon,
+      clubId: target.clubId,
+      eventId: target.eventId,
+      discount: target.discount,
+      createdBy: req.user.email,
+      createdByRole: 'manager'
+    });
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+
+    res.status(201).json({ message: 'Coupon created', coupon: formatCoupon(result.coupon) });
+  } catch (error) {
+    console.error('Create club coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Disable a coupon; payments already made with it keep their discount
+router.delete('/clubs/:clubId/coupons/:couponId', verifyToken, async (req, res) => {
+  try {
+    const { clubId, couponId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.EDIT_CLUB);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const coupon = ObjectId.isValid(couponId)
+      ? await disableCoupon({ _id: new ObjectId(couponId), clubId }, req.user.email)
+      : null;
+    if (!coupon) {
+      return res.status(404).json({ error: 'Active coupon not found' });
+    }
+
+    res.json({ message: 'Coupon disabled', coupon: formatCoupon(coupon) });
+  } catch (error) {
+    console.error('Disable club coupon error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== ANNOUNCEMENTS ====================
+
+// Find an announcement in a club where the user may post announcements
+const findAnnouncement = async (user, clubId, announcementId) => {
+  const club = await findClubWithPermission(user, clubId, PERMISSIONS.POST_ANNOUNCEMENTS);
+  if (!club || !ObjectId.isValid(announcementId)) return { club };
+
+  const announcement = await announcementsCollection.findOne({ _id: new ObjectId(announcementId), clubId });
+  return { club, announcement };
+};
+
+// All announcements of a club, including scheduled ones, pinned first
+router.get('/clubs/:clubId/announcements', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.POST_ANNOUNCEMENTS);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const announcements = await announcementsCollection
+      .find({ clubId })
+      .sort({ pinned: -1, publishAt: -1 })
+      .toArray();
+
+    res.json({ announcements: announcements.map(announcement => formatAnnouncement(announcement)) });
+  } catch (error) {
+    console.error('Get announcements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Publish an announcement now, or at publishAt
+router.post('/clubs/:clubId/announcements', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.POST_ANNOUNCEMENTS);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const { announcement, error } = normalizeAnnouncement(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const author = await usersCollection.findOne({ email: req.user.email });
+    const now = new Date();
+    const document = {
+      clubId,
+      ...announcement,
+      authorId: req.user.userId,
+      authorName: author?.name || null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await announcementsCollection.insertOne(document);
+
+    res.status(201).json({
+      message: announcement.publishAt > now ? 'Announcement scheduled' : 'Announcement published',
+      announcement: formatAnnouncement({ ...document, _id: result.insertedId })
+    });
+  } catch (error) {
+    console.error('Create announcement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit an announcement; also used to pin, unpin or reschedule it
+router.put('/clubs/:clubId/announcements/:announcementId', verifyToken, async (req, res) => {
+  try {
+    const { clubId, announcementId } = req.params;
+
+    const { club, announcement: existing } = await findAnnouncement(req.user, clubId, announcementId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    const { announcement, error } = normalizeAnnouncement(req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const updated = await announcementsCollection.findOneAndUpdate(
+      { _id: existing._id },
+      { $set: { ...announcement, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    res.json({ message: 'Announcement updated', announcement: formatAnnouncement(updated) });
+  } catch (error) {
+    console.error('Update announcement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an announcement
+router.delete('/clubs/:clubId/announcements/:announcementId', verifyToken, async (req, res) => {
+  try {
+    const { clubId, announcementId } = req.params;
+
+    const { club, announcement } = await findAnnouncement(req.user, clubId, announcementId);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!announcement) {
+      return res.status(404).json({ error: 'Announcement not found' });
+    }
+
+    await announcementsCollection.deleteOne({ _id: announcement._id });
+
+    res.json({ message: 'Announcement deleted' });
+  } catch (error) {
+    console.error('Delete announcement error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== FORUM MODERATION ====================
+
+const MAX_MUTE_DAYS = 365;
+
+// Pin, unpin, lock or unlock a thread
+router.put('/clubs/:clubId/forum/threads/:threadId', verifyToken, async (req, res) => {
+  try {
+    const { clubId, threadId } = req.params;
+    const { pinned, locked } = req.body;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.MODERATE_FORUM);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const update = {};
+    if (pinned !== undefined) update.pinned = !!pinned;
+    if (locked !== undefined) update.locked = !!locked;
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update; send pinned or locked' });
+    }
+    if (update.locked !== undefined) {
+      update.lockedBy = update.locked ? req.user.email : null;
+    }
+
+    const thread = ObjectId.isValid(threadId)
+      ? await forumThreadsCollection.findOneAndUpdate(
+        { _id: new ObjectId(threadId), clubId, deletedAt: { $exists: false } },
+        { $set: { ...update, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      )
+      : null;
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ message: 'Thread updated', thread: formatThread(thread, req.user.userId, new Date()) });
+  } catch (error) {
+    console.error('Moderate forum thread error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a thread from the forum
+router.delete('/clubs/:clubId/forum/threads/:threadId', verifyToken, async (req, res) => {
+  try {
+    const { clubId, threadId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.MODERATE_FORUM);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const result = ObjectId.isValid(threadId)
+      ? await forumThreadsCollection.updateOne(
+        { _id: new ObjectId(threadId), clubId, deletedAt: { $exists: false } },
+        { $set: { deletedAt: new Date(), deletedBy: 'moderator', moderatorEmail: req.user.email, updatedAt: new Date() } }
+      )
+      : { matchedCount: 0 };
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ message: 'Thread deleted' });
+  } catch (error) {
+    console.error('Delete forum thread error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a reply; it stays in the thread marked as deleted by a moderator
+router.delete('/clubs/:clubId/forum/replies/:replyId', verifyToken, async (req, res) => {
+  try {
+    const { clubId, replyId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.MODERATE_FORUM);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const reply = ObjectId.isValid(replyId)
+      ? await forumRepliesCollection.findOneAndUpdate(
+        { _id: new ObjectId(replyId), clubId, deletedAt: { $exists: false } },
+        { $set: { deletedAt: new Date(), deletedBy: 'moderator', moderatorEmail: req.user.email, updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      )
+      : null;
+    if (!reply) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    res.json({ message: 'Reply deleted', reply: formatReply(reply, req.user.userId) });
+  } catch (error) {
+    console.error('Delete forum reply error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Members currently muted in the forum
+router.get('/clubs/:clubId/forum/mutes', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.MODERATE_FORUM);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const memberships = await membershipsCollection
+      .find({ clubId, status: 'active', forumMute: { $exists: true } })
+      .toArray();
+    const muted = memberships.filter(membership => isMuted(membership));
+
+    const userIds = muted.map(membership => membership.userId).filter(id => ObjectId.isValid(id));
+    const users = await usersCollection
+      .find({ _id: { $in: userIds.map(id => new ObjectId(id)) } }, { projection: { name: 1, email: 1 } })
+      .toArray();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+    res.json({
+      mutes: muted.map(membership => ({
+        membershipId: membership._id.toString(),
+        userId: membership.userId,
+        name: usersById.get(membership.userId)?.name || '',
+        email: usersById.get(membership.userId)?.email || '',
+        until: membership.forumMute.until || null,
+        reason: membership.forumMute.reason || null,
+        mutedBy: membership.forumMute.mutedBy,
+        mutedAt: membership.forumMute.mutedAt
+      }))
+    });
+  } catch (error) {
+    console.error('Get forum mutes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mute a member in the forum for a number of days, or until lifted when days is left out
+router.put('/clubs/:clubId/members/:membershipId/mute', verifyToken, async (req, res) => {
+  try {
+    const { clubId, membershipId } = req.params;
+    const { days, reason } = req.body;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.MODERATE_FORUM);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    if (days !== undefined && days !== null && (!Number.isInteger(days) || days < 1 || days > MAX_MUTE_DAYS)) {
+      return res.status(400).json({ error: `Days must be a whole number between 1 and ${MAX_MUTE_DAYS}` });
+    }
+
+    const membership = ObjectId.isValid(membershipId)
+      ? await membershipsCollection.findOne({ _id: new ObjectId(membershipId), clubId, status: 'active' })
+      : null;
+    if (!membership) {
+      return res.status(404).json({ error: 'Active member not found' });
+    }
+    if (membership.userId === req.user.userId) {
+      return res.status(400).json({ error: 'You cannot mute yourself' });
+    }
+    if (OFFICER_ROLES.includes(membership.role)) {
+      return res.status(409).json({ error: 'Officers cannot be muted; remove their role first' });
+    }
+
+    const now = new Date();
+    const forumMute = {
+      until: days ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000) : null,
+      reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+      mutedBy: req.user.email,
+      mutedAt: now
+    };
+
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { forumMute, updatedAt: now } }
+    );
+
+    res.json({
+      message: forumMute.until ? `Member muted until ${forumMute.until.toISOString()}` : 'Member muted until unmuted',
+      mute: { membershipId, userId: membership.userId, ...forumMute }
+    });
+  } catch (error) {
+    console.error('Mute member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a member's forum mute
+router.delete('/clubs/:clubId/members/:membershipId/mute', verifyToken, async (req, res) => {
+  try {
+    const { clubId, membershipId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.MODERATE_FORUM);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const result = ObjectId.isValid(membershipId)
+      ? await membershipsCollection.updateOne(
+        { _id: new ObjectId(membershipId), clubId, forumMute: { $exists: true } },
+        { $unset: { forumMute: '' }, $set: { updatedAt: new Date() } }
+      )
+      : { matchedCount: 0 };
+    if (result.matchedCount === 0) {
+      return res.status(404).json({ error: 'Muted member not found' });
+    }
+
+    res.json({ message: 'Member unmuted' });
+  } catch (error) {
+    console.error('Unmute member error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== POLLS AND ELECTIONS ====================
+
+// Find a poll in a club where the user may run polls. Elections that hand out roles
+// are reserved to those who can change roles.
+const findPoll = async (user, clubId, pollId) => {
+  const access = await getClubAccess(user, clubId);
+  if (!hasPermission(access, PERMISSIONS.RUN_POLLS)) return {};
+  if (!ObjectId.isValid(pollId)) return { access };
+
+  const poll = await pollsCollection.findOne({ _id: new ObjectId(pollId), clubId });
+  return { access, poll };
+};
+
+const canRunElection = (access, election) => !election || !election.autoAssign || hasPermission(access, PERMISSIONS.MANAGE_ROLES);
+
+// Polls of a club, newest first, with how many members have voted
+router.get('/clubs/:clubId/polls', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.RUN_POLLS);
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const polls = await pollsCollection.find({ clubId }).sort({ createdAt: -1 }).toArray();
+    const current = await Promise.all(polls.map(closeIfOverdue));
+
+    const ballotCounts = await pollBallotsCollection.aggregate([
+      { $match: { pollId: { $in: polls.map(poll => poll._id.toString()) } } },
+      { $group: { _id: '$pollId', count: { $sum: 1 } } }
+    ]).toArray();
+    const countsByPoll = new Map(ballotCounts.map(item => [item._id, item.count]));
+
+    res.json({
+      polls: current.map(poll => ({
+        ...formatPoll(poll),
+        ballotCount: countsByPoll.get(poll._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Get polls error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a poll or election
+router.post('/clubs/:clubId/polls', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+
+    const access = await getClubAccess(req.user, clubId);
+    if (!hasPermission(access, PERMISSIONS.RUN_POLLS)) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const { poll, error } = await normalizePoll(access.club, req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!canRunElection(access, poll.election)) {
+      return res.status(403).json({ error: 'Only the club owner can hold elections that assign roles' });
+    }
+
+    const now = new Date();
+    const document = {
+      clubId,
+      ...poll,
+      closedAt: null,
+      cancelledAt: null,
+      createdBy: req.user.email,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await pollsCollection.insertOne(document);
+
+    res.status(201).json({
+      message: poll.election ? 'Election created' : 'Poll created',
+      poll: formatPoll({ ...document, _id: result.insertedId })
+    });
+  } catch (error) {
+    console.error('Create poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit a poll before voting opens
+router.put('/clubs/:clubId/polls/:pollId', verifyToken, async (req, res) => {
+  try {
+    const { clubId, pollId } = req.params;
+
+    const { access, poll: existing } = await findPoll(req.user, clubId, pollId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!existing) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    if (getPollStatus(existing) !== 'scheduled') {
+      return res.status(409).json({ error: 'Polls can only be changed before voting opens' });
+    }
+
+    const { poll, error } = await normalizePoll(access.club, req.body, existing);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (!canRunElection(access, poll.election) || !canRunElection(access, existing.election)) {
+      return res.status(403).json({ error: 'Only the club owner can hold elections that assign roles' });
+    }
+
+    // Still scheduled: nobody can have voted yet
+    const updated = await pollsCollection.findOneAndUpdate(
+      { _id: existing._id, opensAt: { $gt: new Date() }, cancelledAt: null },
+      { $set: { ...poll, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return res.status(409).json({ error: 'Polls can only be changed before voting opens' });
+    }
+
+    res.json({ message: 'Poll updated', poll: formatPoll(updated) });
+  } catch (error) {
+    console.error('Update poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Close voting now and publish the results; elections assign their roles
+router.post('/clubs/:clubId/polls/:pollId/close', verifyToken, async (req, res) => {
+  try {
+    const { clubId, pollId } = req.params;
+
+    const { access, poll } = await findPoll(req.user, clubId, pollId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    if (!canRunElection(access, poll.election)) {
+      return res.status(403).json({ error: 'Only the club owner can close elections that assign roles' });
+    }
+    if (getPollStatus(poll) !== 'open') {
+      return res.status(409).json({ error: `This poll is ${getPollStatus(poll)}` });
+    }
+
+    const closed = await finalizePoll(poll);
+    if (!closed) {
+      return res.status(409).json({ error: 'This poll has already closed' });
+    }
+
+    res.json({ message: 'Poll closed', poll: formatPoll(closed) });
+  } catch (error) {
+    console.error('Close poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a poll that has not closed; its ballots are never counted
+router.post('/clubs/:clubId/polls/:pollId/cancel', verifyToken, async (req, res) => {
+  try {
+    const { clubId, pollId } = req.params;
+
+    const { access, poll } = await findPoll(req.user, clubId, pollId);
+    if (!access) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+    if (!canRunElection(access, poll.election)) {
+      return res.status(403).json({ error: 'Only the club owner can cancel elections that assign roles' });
+    }
+
+    const cancelled = await pollsCollection.findOneAndUpdate(
+      { _id: poll._id, closedAt: null, cancelledAt: null, closesAt: { $gt: new Date() } },
+      { $set: { cancelledAt: new Date(), cancelledBy: req.user.email, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!cancelled) {
+      return res.status(409).json({ error: `This poll is ${getPollStatus(poll)}` });
+    }
+
+    res.json({ message: 'Poll cancelled', poll: formatPoll(cancelled) });
+  } catch (error) {
+    console.error('Cancel poll error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== EVENTS MANAGEMENT ====================
+
+// Get events for the clubs where the user may edit events
+router.get('/events', verifyToken, async (req, res) => {
+  try {
+    const managerEmail = req.user.email;
+    const filter = req.query.filter || 'all'; // all, upcoming, past, drafts
+    const search = req.query.search || '';
+
+    // Get all clubs this user manages events for
+    const accessibleClubs = await getAccessibleClubs(req.user, PERMISSIONS.EDIT_EVENTS);
+    const managerClubs = accessibleClubs.map(access => access.club);
+    const clubIds = managerClubs.map(club => club._id.toString());
+    const clubObjectIds = managerClubs.map(club => club._id);
+    // Revenue only covers clubs whose finances the user may see
+    const financeClubIds = accessibleClubs
+      .filter(access => hasPermission(access, PERMISSIONS.VIEW_FINANCES))
+      .map(access => access.club._id.toString());
+
+    console.log(`[Manager Events] Manager email: ${managerEmail}`);
+    console.log(`[Manager Events] Found ${managerClubs.length} clubs:`, clubIds);
+
+    if (clubIds.length === 0) {
+      console.log('[Manager Events] No clubs found for manager, returning empty result');
+      return res.json({ events: [], stats: { total: 0, upcoming: 0, revenue: 0 } });
+    }
+
+    // Build query - handle both string and ObjectId formats for clubId
+    const now = new Date();
+    
+    // Base clubId condition - handle both string and ObjectId formats
+    const clubIdCondition = {
+      $or: [
+        { clubId: { $in: clubIds } }, // String format
+        { clubId: { $in: clubObjectIds } } // ObjectId format
+      ]
+    };
+    
+    // Build query conditions array - always start with clubId condition
+    const queryConditions = [clubIdCondition];
+    
+    // Add filter conditions
+    if (filter === 'upcoming') {
+      queryConditions.push({ date: { $gte: now } });
+      queryConditions.push({ 
+        $or: [
+          { status: { $ne: 'cancelled' } },
+          { status: { $exists: false } },
+          { status: null }
+        ]
+      });
+    } else if (filter === 'past') {
+      // For past events, ensure date exists and is less than now
+      queryConditions.push({ 
+        $and: [
+          { date: { $exists: true } },
+          { date: { $ne: null } },
+          { date: { $lt: now } }
+        ]
+      });
+    } else if (filter === 'drafts') {
+      queryConditions.push({ status: 'draft' });
+    }
+    // For 'all' filter, we only have clubIdCondition in the array
+    
+    // Add search condition if provided
+    if (search) {
+      queryConditions.push({
+        $or: [
+          { name: { $regex: search, $options: 'i' } },
+          { description: { $regex: search, $options: 'i' } }
+        ]
+      });
+    }
+    
+    // Build final query - always use $and for consistency
+    // MongoDB handles single-item $and arrays correctly
+    const query = { $and: queryConditions };
+
+    console.log('[Manager Events] Query:', JSON.stringify(query, null, 2));
+
+    // Get events
+    const events = await eventsCollection.find(query).sort({ date: -1 }).toArray();
+    
+    console.log(`[Manager Events] Found ${events.length} events matching query`);
+    
+    // Debug: Check all events to see their clubId format
+    if (events.length === 0) {
+      const allEvents = await eventsCollection.find({}).limit(5).toArray();
+      console.log('[Manager Events] Sample events in database:', allEvents.map(e => ({
+        id: e._id.toString(),
+        name: e.name,
+        clubId: e.clubId,
+        clubIdType: typeof e.clubId
+      })));
+    }
+
+    // Get stats - handle both string and ObjectId formats
+    // Use the same clubIdCondition structure for consistency
+    const statsQuery = clubIdCondition;
+    const totalEvents = await eventsCollection.countDocuments(statsQuery);
+    
+    const upcomingEventsQuery = {
+      $and: [
+        clubIdCondition,
+        { date: { $gte: now } },
+        {
+          $or: [
+            { status: { $ne: 'cancelled' } },
+            { status: { $exists: false } },
+            { status: null }
+          ]
+        }
+      ]
+    };
+    const upcomingEvents = await eventsCollection.countDocuments(upcomingEventsQuery);
+
+    // Calculate revenue from events (simplified - sum prices of all events)
+    // For more accurate revenue, we would need to calculate from actual registrations
+    // Use the same clubIdCondition for consistency
+    const allEvents = await eventsCollection.find(clubIdCondition).toArray();
+    let revenue = 0;
+    for (const event of allEvents) {
+      if (!financeClubIds.includes(event.clubId?.toString())) continue;
+
+      const regCount = await registrationsCollection.countDocuments({
+        eventId: event._id.toString(),
+        status: 'registered',
+        paymentStatus: 'paid'
+      });
+      revenue += (event.price || 0) * regCount;
+    }
+
+    // Format events with registration counts
+    const eventsWithDetails = await Promise.all(events.map(async (event) => {
+      const registrations = await registrationsCollection.countDocuments({
+        eventId: event._id.toString(),
+        status: 'registered'
+      });
+
+      const eventDate = event.date ? new Date(event.date) : new Date();
+      const isPast = eventDate < now;
+
+      return {
+        id: event._id.toString(),
+        name: event.name,
+        description: event.description || '',
+        image: event.image || null,
+        date: eventDate.toISOString(),
+        dateFormatted: formatDateWithDay(eventDate),
+        time: event.time || '12:00 PM',
+        location: event.location || '',
+        price: fromMinorUnits(event.price),
+        currency: getCurrency(event),
+        maxAttendees: event.maxAttendees || 0,
+        refundPolicy: event.refundPolicy || DEFAULT_REFUND_POLICY,
+        ticketTypes: formatTicketTypes(event),
+        currentAttendees: registrations,
+        status: isPast ? 'past' : (event.status || 'upcoming'),
+        seriesId: event.seriesId || null,
+        occurrenceIndex: event.seriesId ? event.occurrenceIndex : null,
+        clubId: event.clubId,
+        createdAt: event.createdAt
+      };
+    }));
+
+    res.json({
+      events: eventsWithDetails,
+      stats: {
+        total: totalEvents,
+        upcoming: upcomingEvents,
+        revenue: financeClubIds.length > 0 ? fromMinorUnits(revenue) : null
+      }
+    });
+  } catch (error) {
+    console.error('Get manager events error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create new event
+router.post('/events', verifyToken, async (req, res) => {
+  try {
+    const { name, description, date, time, location, maxAttendees, clubId, image, refundPolicy, ticketTypes, timezone } = req.body;
+
+    if (!name || !date || !clubId) {
+      return res.status(400).json({ error: 'Name, date, and clubId are required' });
+    }
+
+    const { amount: price, error: priceError } = parseMoney(req.body.price, 'Price');
+    if (priceError) {
+      return res.status(400).json({ error: priceError });
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid time zone' });
+    }
+
+    let eventRefundPolicy = DEFAULT_REFUND_POLICY;
+    if (refundPolicy !== undefined) {
+      const { policy, error } = normalizeRefundPolicy(refundPolicy);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      eventRefundPolicy = policy;
+    }
+
+    let eventTicketTypes = [];
+    if (ticketTypes !== undefined) {
+      const normalized = normalizeTicketTypes(ticketTypes);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      eventTicketTypes = normalized.ticketTypes;
+    }
+
+    // Verify the user may manage this club's events
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const event = buildEvent(club, {
+      name,
+      description,
+      date: new Date(date),
+      time,
+      location,
+      price,
+      maxAttendees,
+      image,
+      timezone,
+      refundPolicy: eventRefundPolicy,
+      ticketTypes: eventTicketTypes
+    });
+
+    const result = await eventsCollection.insertOne(event);
+
+    res.status(201).json({
+      id: result.insertedId.toString(),
+      message: 'Event created successfully'
+    });
+  } catch (error) {
+    console.error('Create event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a series of events from a recurrence rule. Every occurrence is a normal
+// event with its own registrations, linked by seriesId.
+router.post('/events/series', verifyToken, async (req, res) => {
+  try {
+    const managerEmail = req.user.email;
+    const { name, description, date, time, location, maxAttendees, clubId, image, refundPolicy, ticketTypes, recurrence, timezone } = req.body;
+
+    if (!name || !date || !clubId || !recurrence) {
+      return res.status(400).json({ error: 'Name, date, clubId and recurrence are required' });
+    }
+
+    const { amount: price, error: priceError } = parseMoney(req.body.price, 'Price');
+    if (priceError) {
+      return res.status(400).json({ error: priceError });
+    }
+
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid time zone' });
+    }
+
+    let eventRefundPolicy = DEFAULT_REFUND_POLICY;
+    if (refundPolicy !== undefined) {
+      const { policy, error } = normalizeRefundPolicy(refundPolicy);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      eventRefundPolicy = policy;
+    }
+
+    // Occurrences share ticket type ids, so later edits can target them across the series
+    let eventTicketTypes = [];
+    if (ticketTypes !== undefined) {
+      const normalized = normalizeTicketTypes(ticketTypes);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      eventTicketTypes = normalized.ticketTypes;
+    }
+
+    const startDate = new Date(date);
+    if (isNaN(startDate.getTime())) {
+      return res.status(400).json({ error: 'Invalid date' });
+    }
+
+    const { rule, error: recurrenceError } = normalizeRecurrence(recurrence, startDate);
+    if (recurrenceError) {
+      return res.status(400).json({ error: recurrenceError });
+    }
+
+    const dates = generateOccurrences(rule, startDate);
+    if (dates.length === 0) {
+      return res.status(400).json({ error: 'Recurrence rule produces no occurrences' });
+    }
+
+    // Verify the user may manage this club's events
+    const club = await findClubWithPermission(req.user, clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or access denied' });
+    }
+
+    const template = {
+      name,
+      description,
+      time,
+      location,
+      price,
+      maxAttendees,
+      image,
+      timezone: timezone || DEFAULT_TIMEZONE,
+      refundPolicy: eventRefundPolicy,
+      ticketTypes: eventTicketTypes
+    };
+
+    const series = {
+      clubId,
+      clubName: club.name,
+      ...template,
+      currency: getCurrency(club),
+      maxAttendees: maxAttendees ? parseInt(maxAttendees) : 0,
+      recurrence: rule,
+      startDate,
+      occurrenceCount: dates.length,
+      status: 'active',
+      createdBy: managerEmail,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const seriesResult = await eventSeriesCollection.insertOne(series);
+    const seriesId = seriesResult.insertedId.toString();
+
+    const events = dates.map((occurrenceDate, index) => ({
+      ...buildEvent(club, { ...template, date: occurrenceDate }),
+      seriesId,
+      occurrenceIndex: index
+    }));
+
+    const result = await eventsCollection.insertMany(events);
+
+    res.status(201).json({
+      seriesId,
+      eventIds: Object.values(result.insertedIds).map(id => id.toString()),
+      occurrences: dates,
+      message: `Event series created with ${dates.length} events`
+    });
+  } catch (error) {
+    console.error('Create event series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get an event series with its occurrences
+router.get('/events/series/:seriesId', verifyToken, async (req, res) => {
+  try {
+    const { seriesId } = req.params;
+
+    if (!ObjectId.isValid(seriesId)) {
+      return res.status(400).json({ error: 'Invalid series ID' });
+    }
+
+    const series = await eventSeriesCollection.findOne({ _id: new ObjectId(seriesId) });
+    if (!series) {
+      return res.status(404).json({ error: 'Event series not found' });
+    }
+
+    const club = await findClubWithPermission(req.user, series.clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const events = await eventsCollection
+      .find({ seriesId })
+      .sort({ occurrenceIndex: 1 })
+      .toArray();
+
+    const occurrences = await Promise.all(events.map(async (event) => ({
+      id: event._id.toString(),
+      occurrenceIndex: event.occurrenceIndex,
+      name: event.name,
+      date: event.date,
+      dateFormatted: formatDateWithDay(event.date),
+      time: event.time,
+      location: event.location || '',
+      status: event.status || 'active',
+      maxAttendees: event.maxAttendees || 0,
+      currentAttendees: await registrationsCollection.countDocuments({
+        eventId: event._id.toString(),
+        status: 'registered'
+      })
+    })));
+
+    res.json({
+      id: series._id.toString(),
+      name: series.name,
+      clubId: series.clubId,
+      clubName: series.clubName,
+      recurrence: series.recurrence,
+      startDate: series.startDate,
+      status: series.status,
+      occurrences
+    });
+  } catch (error) {
+    console.error('Get event series error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update event (verify ownership via club).
+// ?scope=following or ?scope=all applies the change to later or all occurrences of its series.
+router.put('/events/:id', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const updateData = {};
+    EDITABLE_EVENT_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) updateData[field] = req.body[field];
+    });
+    if (Object.keys(updateData).length === 0) {
+      return res.status(400).json({ error: `Nothing to update; editable fields are ${EDITABLE_EVENT_FIELDS.join(', ')}` });
+    }
+
+    // Get event and verify club ownership
+    const event = await eventsCollection.findOne({ _id: new ObjectId(id) });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const club = await findClubWithPermission(req.user, event.clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const scope = req.query.scope || 'this';
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of ${SERIES_SCOPES.join(', ')}` });
+    }
+
+    // Price is sent in whole units; the currency follows the club
+    if (updateData.price !== undefined) {
+      const { amount, error } = parseMoney(updateData.price, 'Price');
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.price = amount;
     }
 
     // Convert date to Date object if provided
@@ -659,27 +2499,108 @@ router.put('/events/:id', verifyToken, authorize('clubManager'), async (req, res
       updateData.date = new Date(updateData.date);
     }
 
-    const result = await eventsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { $set: { ...updateData, updatedAt: new Date() } }
-    );
+    // Convert maxAttendees to number if provided
+    if (updateData.maxAttendees !== undefined) {
+      updateData.maxAttendees = updateData.maxAttendees ? parseInt(updateData.maxAttendees) : 0;
+    }
 
-    if (result.matchedCount === 0) {
+    if (updateData.timezone !== undefined && !isValidTimeZone(updateData.timezone)) {
+      return res.status(400).json({ error: 'Invalid time zone' });
+    }
+
+    if (updateData.refundPolicy !== undefined) {
+      const { policy, error } = normalizeRefundPolicy(updateData.refundPolicy);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      updateData.refundPolicy = policy;
+    }
+
+    if (updateData.status !== undefined && !EDITABLE_EVENT_STATUSES.includes(updateData.status)) {
+      return res.status(400).json({ error: `Status must be one of ${EDITABLE_EVENT_STATUSES.join(', ')}` });
+    }
+    if (updateData.status !== undefined && !EDITABLE_EVENT_STATUSES.includes(event.status)) {
+      return res.status(409).json({ error: `A ${event.status} event cannot be published or unpublished` });
+    }
+
+    const targets = await getScopedEvents(event, scope);
+    if (targets.length > 1 && updateData.date) {
+      return res.status(400).json({ error: 'Date can only be changed for a single occurrence' });
+    }
+
+    // Validate every occurrence before changing any of them.
+    // Only replace ticket types if no ticket was sold since they were read.
+    const updates = [];
+    for (const target of targets) {
+      const filter = { _id: target._id };
+      const set = { ...updateData, updatedAt: new Date() };
+      if (updateData.ticketTypes !== undefined) {
+        const { ticketTypes, error } = normalizeTicketTypes(updateData.ticketTypes, target.ticketTypes || []);
+        if (error) {
+          return res.status(400).json({ error: targets.length > 1 ? `${formatDate(target.date)}: ${error}` : error });
+        }
+        set.ticketTypes = ticketTypes;
+        filter.ticketTypes = target.ticketTypes || null;
+      }
+      // Cancelled and archived occurrences keep their status
+      if (updateData.status !== undefined) {
+        filter.status = { $in: EDITABLE_EVENT_STATUSES };
+      }
+      updates.push({ filter, set });
+    }
+
+    let conflicts = 0;
+    for (const { filter, set } of updates) {
+      const result = await eventsCollection.updateOne(filter, { $set: set });
+
+      if (result.matchedCount === 0) {
+        conflicts++;
+        continue;
+      }
+
+      // Extra capacity goes to the waitlist
+      if (updateData.maxAttendees !== undefined) {
+        await promoteFromWaitlist(filter._id.toString());
+      }
+    }
+
+    if (updates.length === 1 && conflicts === 1) {
+      if (updates[0].filter.ticketTypes !== undefined) {
+        return res.status(409).json({ error: 'Tickets were sold while saving, please try again' });
+      }
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    res.json({ message: 'Event updated successfully' });
+    // New occurrences are not generated later, but keep the series details in step
+    if (scope === 'all' && event.seriesId) {
+      const { date, ticketTypes, status, ...seriesData } = updateData;
+      await eventSeriesCollection.updateOne(
+        { _id: new ObjectId(event.seriesId) },
+        { $set: { ...seriesData, updatedAt: new Date() } }
+      );
+    }
+
+    res.json({
+      message: updates.length > 1 ? `${updates.length - conflicts} events updated successfully` : 'Event updated successfully',
+      updated: updates.length - conflicts,
+      conflicts
+    });
   } catch (error) {
     console.error('Update event error:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete event (verify ownership)
-router.delete('/events/:id', verifyToken, authorize('clubManager'), async (req, res) => {
+// Cancel an event and its registrations, refunding paid registrations in full.
+// ?scope=following or ?scope=all cancels later or all upcoming occurrences of its series.
+router.post('/events/:id/cancel', verifyToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const managerEmail = req.user.email;
+
+    const scope = req.query.scope || 'this';
+    if (!SERIES_SCOPES.includes(scope)) {
+      return res.status(400).json({ error: `Scope must be one of ${SERIES_SCOPES.join(', ')}` });
+    }
 
     // Get event and verify club ownership
     const event = await eventsCollection.findOne({ _id: new ObjectId(id) });
@@ -687,10 +2608,69 @@ router.delete('/events/:id', verifyToken, authorize('clubManager'), async (req,
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    const club = await clubsCollection.findOne({ 
-      _id: new ObjectId(event.clubId),
-      managerEmail 
+    const club = await findClubWithPermission(req.user, event.clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const now = new Date();
+    if (scope === 'this' && event.date && new Date(event.date) < now) {
+      return res.status(400).json({ error: 'Past events cannot be cancelled' });
+    }
+
+    // Occurrences that already took place stay as they are
+    const targets = (await getScopedEvents(event, scope)).filter(target =>
+      target.status !== 'cancelled' && (!target.date || new Date(target.date) >= now)
+    );
+
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'Event is already cancelled' });
+    }
+
+    await eventsCollection.updateMany(
+      { _id: { $in: targets.map(target => target._id) } },
+      { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } }
+    );
+
+    if (scope === 'all' && event.seriesId) {
+      await eventSeriesCollection.updateOne(
+        { _id: new ObjectId(event.seriesId) },
+        { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } }
+      );
+    }
+
+    const registrations = { cancelled: 0, refunded: 0, refundFailed: 0 };
+    for (const target of targets) {
+      const result = await cancelEventRegistrations({ ...target, status: 'cancelled' });
+      registrations.cancelled += result.cancelled;
+      registrations.refunded += result.refunded;
+      registrations.refundFailed += result.refundFailed;
+    }
+
+    res.json({
+      message: targets.length > 1 ? `${targets.length} events cancelled` : 'Event cancelled successfully',
+      cancelled: targets.map(target => target._id.toString()),
+      registrations
     });
+  } catch (error) {
+    console.error('Cancel event error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete event (verify ownership)
+router.delete('/events/:id', verifyToken, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Get event and verify club ownership
+    const event = await eventsCollection.findOne({ _id: new ObjectId(id) });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const club = await findClubWithPermission(req.user, event.clubId, PERMISSIONS.EDIT_EVENTS);
 
     if (!club) {
       return res.status(403).json({ error: 'Access denied' });
@@ -712,10 +2692,9 @@ router.delete('/events/:id', verifyToken, authorize('clubManager'), async (req,
 // ==================== EVENT REGISTRATIONS ====================
 
 // Get event registrations with pagination
-router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager'), async (req, res) => {
+router.get('/events/:eventId/registrations', verifyToken, async (req, res) => {
   try {
     const { eventId } = req.params;
-    const managerEmail = req.user.email;
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const search = req.query.search || '';
@@ -728,10 +2707,7 @@ router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager
       return res.status(404).json({ error: 'Event not found' });
     }
 
-    const club = await clubsCollection.findOne({ 
-      _id: new ObjectId(event.clubId),
-      managerEmail 
-    });
+    const club = await findClubWithPermission(req.user, event.clubId, PERMISSIONS.EDIT_EVENTS);
 
     if (!club) {
       return res.status(403).json({ error: 'Access denied' });
@@ -742,6 +2718,9 @@ router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager
     if (status && status !== 'all') {
       query.status = status.toLowerCase();
     }
+    if (req.query.ticketTypeId) {
+      query.ticketTypeId = req.query.ticketTypeId;
+    }
 
     // Get registrations
     const registrations = await registrationsCollection
@@ -751,6 +2730,9 @@ router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager
       .limit(limit)
       .toArray();
 
+    // Queue positions for waitlisted registrations
+    const waitlistPositions = await getWaitlistPositions(eventId);
+
     // Get user details for each registration
     const registrationsWithDetails = await Promise.all(registrations.map(async (registration) => {
       const user = await usersCollection.findOne({ _id: new ObjectId(registration.userId) });
@@ -776,6 +2758,11 @@ router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager
         status: registration.status || 'registered',
         registrationDate: formatDate(registration.registrationDate || registration.createdAt),
         paymentStatus: registration.paymentStatus || 'pending',
+        ticketTypeId: registration.ticketTypeId || null,
+        ticketType: registration.ticketTypeName || null,
+        waitlistPosition: waitlistPositions.get(registration._id.toString()) || null,
+        offerExpiresAt: registration.offerExpiresAt || null,
+        checkedInAt: registration.checkedInAt || null,
         memberId: `#${user._id.toString().slice(-4)}`
       };
     }));
@@ -794,6 +2781,8 @@ router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager
       status: 'cancelled'
     });
 
+    const waitlistedCount = waitlistPositions.size;
+
     // Count new registrations today
     const todayStart = new Date();
     todayStart.setHours(0, 0, 0, 0);
@@ -811,7 +2800,9 @@ router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager
       stats: {
         totalRegistered,
         newToday,
-        cancelled: cancelledCount
+        cancelled: cancelledCount,
+        waitlisted: waitlistedCount,
+        ticketTypes: formatTicketTypes(event)
       },
       pagination: {
         page,
@@ -826,5 +2817,236 @@ router.get('/events/:eventId/registrations', verifyToken, authorize('clubManager
   }
 });
 
+// Add a member to an event by email. Takes a seat like any other registration,
+// so a manual addition cannot push the event over capacity.
+router.post('/events/:eventId/registrations', verifyToken, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const managerEmail = req.user.email;
+    const { email, ticketTypeId } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    // Get event and verify club ownership
+    const event = await eventsCollection.findOne({ _id: new ObjectId(eventId) });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const club = await findClubWithPermission(req.user, event.clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ error: 'Event is cancelled' });
+    }
+
+    // Managers may add to any ticket type, even outside its sale window
+    const ticketType = ticketTypeId ? getTicketType(event, ticketTypeId) : null;
+    if (ticketTypeId && !ticketType) {
+      return res.status(400).json({ error: 'Ticket type not found' });
+    }
+
+    const user = await usersCollection.findOne({ email: email.trim() });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const userId = user._id.toString();
+    const existingRegistration = await registrationsCollection.findOne({
+      userId,
+      eventId,
+      status: { $in: SEAT_STATUSES }
+    });
+
+    if (existingRegistration) {
+      return res.status(400).json({ error: 'User is already registered for this event' });
+    }
+
+    if (!(await reserveSeat(event, ticketTypeId || null))) {
+      return res.status(409).json({ error: ticketType ? `No ${ticketType.name} tickets left` : 'Event is full' });
+    }
+
+    const now = new Date();
+    const registration = {
+      userId,
+      eventId,
+      status: 'registered',
+      paymentStatus: 'free',
+      amount: 0,
+      eventFee: 0,
+      serviceFee: 0,
+      currency: getCurrency(event),
+      ticketTypeId: ticketType ? ticketType.id : null,
+      ticketTypeName: ticketType ? ticketType.name : null,
+      addedBy: managerEmail,
+      registrationDate: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    let result;
+    try {
+      result = await registrationsCollection.insertOne(registration);
+    } catch (error) {
+      await releaseSeat(event._id, registration.ticketTypeId);
+      throw error;
+    }
+
+    // A member added from the waitlist leaves it
+    await registrationsCollection.updateMany(
+      { userId, eventId, status: 'waitlisted' },
+      { $set: { status: 'cancelled', cancelledAt: now, updatedAt: now } }
+    );
+
+    res.status(201).json({
+      id: result.insertedId.toString(),
+      message: 'Member added to event successfully'
+    });
+  } catch (error) {
+    console.error('Add event registration error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== EVENT CHECK-IN ====================
+
+// Checked-in and registered counts for an event
+const getAttendance = async (eventId) => {
+  const [registered, checkedIn] = await Promise.all([
+    registrationsCollection.countDocuments({ eventId, status: 'registered' }),
+    registrationsCollection.countDocuments({ eventId, status: 'registered', checkedInAt: { $exists: true } })
+  ]);
+  return { registered, checkedIn, notCheckedIn: registered - checkedIn };
+};
+
+// Check in an attendee by the ticket code from their QR code
+router.post('/events/:eventId/check-in', verifyToken, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const managerEmail = req.user.email;
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Ticket code is required' });
+    }
+
+    // Get event and verify club ownership
+    const event = await eventsCollection.findOne({ _id: new ObjectId(eventId) });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const club = await findClubWithPermission(req.user, event.clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const registrationId = verifyTicketCode(code);
+    if (!registrationId || !ObjectId.isValid(registrationId)) {
+      return res.status(400).json({ error: 'Invalid ticket code' });
+    }
+
+    const registration = await registrationsCollection.findOne({ _id: new ObjectId(registrationId) });
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    if (registration.eventId !== eventId) {
+      return res.status(400).json({ error: 'Ticket is for a different event' });
+    }
+
+    if (registration.status !== 'registered') {
+      return res.status(400).json({ error: `Registration is ${registration.status}` });
+    }
+
+    const user = await usersCollection.findOne({ _id: new ObjectId(registration.userId) });
+    const attendee = {
+      registrationId,
+      name: user?.name || 'Unknown',
+      email: user?.email || '',
+      photoURL: user?.photoURL || null,
+      ticketType: registration.ticketTypeName || null
+    };
+
+    // Only the first scan sets checkedInAt, so duplicate scans are caught even when concurrent
+    const now = new Date();
+    const result = await registrationsCollection.updateOne(
+      { _id: registration._id, status: 'registered', checkedInAt: { $exists: false } },
+      { $set: { checkedInAt: now, checkedInBy: managerEmail, updatedAt: now } }
+    );
+
+    if (result.modifiedCount === 0) {
+      const current = await registrationsCollection.findOne({ _id: registration._id });
+      return res.status(409).json({
+        error: 'Ticket already checked in',
+        attendee,
+        checkedInAt: current?.checkedInAt || null,
+        checkedInBy: current?.checkedInBy || null
+      });
+    }
+
+    res.json({
+      message: 'Checked in successfully',
+      attendee,
+      checkedInAt: now,
+      attendance: await getAttendance(eventId)
+    });
+  } catch (error) {
+    console.error('Check in error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Live attendance for the check-in screen, with the most recent check-ins
+router.get('/events/:eventId/attendance', verifyToken, async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const limit = parseInt(req.query.limit) || 10;
+
+    // Get event and verify club ownership
+    const event = await eventsCollection.findOne({ _id: new ObjectId(eventId) });
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const club = await findClubWithPermission(req.user, event.clubId, PERMISSIONS.EDIT_EVENTS);
+
+    if (!club) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const recent = await registrationsCollection
+      .find({ eventId, status: 'registered', checkedInAt: { $exists: true } })
+      .sort({ checkedInAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    const recentCheckIns = await Promise.all(recent.map(async (registration) => {
+      const user = await usersCollection.findOne({ _id: new ObjectId(registration.userId) });
+      return {
+        registrationId: registration._id.toString(),
+        name: user?.name || 'Unknown',
+        ticketType: registration.ticketTypeName || null,
+        checkedInAt: registration.checkedInAt
+      };
+    }));
+
+    res.json({
+      ...(await getAttendance(eventId)),
+      maxAttendees: event.maxAttendees || null,
+      recentCheckIns
+    });
+  } catch (error) {
+    console.error('Get attendance error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = { initManagerRoutes, router };
 
@@ -2,7 +2,31 @@ const express = require('express');
 const router = express.Router();
 const { ObjectId } = require('mongodb');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const { verifyToken, authorize } = require('../middleware/auth');
+const { refundEventRegistration, cancelRegistrationPayment } = require('./payments');
+const { fromMinorUnits, getCurrency } = require('../utils/money');
+const { getWaitlistPosition, promoteFromWaitlist } = require('../utils/waitlist');
+const { releaseSeat, holdsSeat } = require('../utils/seats');
+const { createTicketCode } = require('../utils/ticketCodes');
+const { acceptOwnershipTransfer, declineOwnershipTransfer, formatOwnershipTransfer } = require('../utils/clubOwnership');
+const { getClubAccess, getAccessibleClubs } = require('../utils/clubRoles');
+const { getVisibleLevels, publishedFilter, formatAnnouncement } = require('../utils/announcements');
+const {
+  REACTIONS,
+  getForumAccess,
+  normalizeTitle,
+  normalizeBody,
+  normalizeMentions,
+  toggleReaction,
+  markThreadRead,
+  markClubRead,
+  getReadTimes,
+  formatThread,
+  formatReply
+} = require('../utils/forum');
+const { normalizeBallot, closeIfOverdue, getPollStatus, formatPoll } = require('../utils/polls');
+const { hasReceipt, findReceipt, issueReceipt, sendReceiptPdf } = require('../utils/receipts');
 
 // MongoDB collections (will be initialized from index.js)
 let usersCollection;
@@ -11,6 +35,13 @@ let eventsCollection;
 let membershipsCollection;
 let registrationsCollection;
 let transactionsCollection;
+let ownershipTransfersCollection;
+let announcementsCollection;
+let forumThreadsCollection;
+let forumRepliesCollection;
+let pollsCollection;
+let pollBallotsCollection;
+let receiptsCollection;
 
 // Initialize collections
 const initMemberRoutes = (client) => {
@@ -21,6 +52,19 @@ const initMemberRoutes = (client) => {
   membershipsCollection = db.collection('memberships');
   registrationsCollection = db.collection('registrations');
   transactionsCollection = db.collection('transactions');
+  ownershipTransfersCollection = db.collection('club_ownership_transfers');
+  announcementsCollection = db.collection('announcements');
+  forumThreadsCollection = db.collection('forum_threads');
+  forumRepliesCollection = db.collection('forum_replies');
+  pollsCollection = db.collection('polls');
+  pollBallotsCollection = db.collection('poll_ballots');
+  receiptsCollection = db.collection('receipts');
+
+  usersCollection.createIndex(
+    { calendarFeedToken: 1 },
+    { unique: true, partialFilterExpression: { calendarFeedToken: { $exists: true } } }
+  ).catch(error => console.error('Create calendar feed index error:', error));
+
   return router;
 };
 
@@ -59,11 +103,20 @@ const calculateMembershipStatus = (membership) => {
   
   if (membership.status === 'pending') return 'pending';
   if (membership.status === 'expired') return 'expired';
+  if (membership.status === 'cancelled') return 'cancelled';
+
+  // A failed renewal keeps access until the grace period ends
+  if (membership.paymentStatus === 'past_due') {
+    const gracePeriodEndsAt = membership.gracePeriodEndsAt ? new Date(membership.gracePeriodEndsAt) : null;
+    if (gracePeriodEndsAt && gracePeriodEndsAt < now) return 'expired';
+    return 'past_due';
+  }
   
   if (expiryDate) {
     const daysUntilExpiry = Math.ceil((expiryDate - now) / (1000 * 60 * 60 * 24));
     if (daysUntilExpiry < 0) return 'expired';
-    if (daysUntilExpiry <= 1) return 'renew_soon';
+    // Subscriptions renew on their own, so only warn when auto-renewal is off
+    if (daysUntilExpiry <= 1 && !membership.autoRenew) return 'renew_soon';
   }
   
   return membership.status || 'active';
@@ -419,6 +472,13 @@ router.get('/clubs', verifyToken, authorize('member'), async (req, res) => {
         statusLabel = 'Pending';
         statusColor = 'yellow';
         validUntil = 'Pending';
+      } else if (membershipStatus === 'past_due') {
+        statusLabel = 'Payment Failed';
+        statusColor = 'red';
+        validUntil = membership.gracePeriodEndsAt ? formatDateDisplay(membership.gracePeriodEndsAt) : validUntil;
+      } else if (membershipStatus === 'cancelled') {
+        statusLabel = 'Cancelled';
+        statusColor = 'gray';
       }
 
       return {
@@ -433,7 +493,10 @@ router.get('/clubs', verifyToken, authorize('member'), async (req, res) => {
         statusColor,
         validUntil,
         joinDate: membership.joinDate ? formatDateDisplay(membership.joinDate) : formatDateDisplay(membership.createdAt),
-        expiryDate: expiryDate ? expiryDate.toISOString() : null
+        expiryDate: expiryDate ? expiryDate.toISOString() : null,
+        billingInterval: membership.billingInterval || null,
+        autoRenew: membership.autoRenew || false,
+        gracePeriodEndsAt: membership.gracePeriodEndsAt ? new Date(membership.gracePeriodEndsAt).toISOString() : null
       };
     }));
 
@@ -550,7 +613,7 @@ router.get('/events', verifyToken, authorize('member'), async (req, res) => {
           const nowDateOnly = new Date(now.getFullYear(), now.getMonth(), now.getDate());
           const isFuture = eventDateOnly >= nowDateOnly;
           
-          if (reg.status === 'registered' || reg.status === 'waitlisted') {
+          if (reg.status === 'registered' || reg.status === 'waitlisted' || reg.status === 'offered') {
             if (isFuture) {
               myJoiningCount++;
             } else if (reg.status === 'registered') {
@@ -582,8 +645,8 @@ router.get('/events', verifyToken, authorize('member'), async (req, res) => {
     const query = { userId };
     
     if (tab === 'my-joining') {
-      // My Joining Events: registered or waitlisted (all active registrations)
-      query.status = { $in: ['registered', 'waitlisted', 'Registered', 'Waitlisted'] };
+      // My Joining Events: registered, waitlisted or offered a seat from the waitlist
+      query.status = { $in: ['registered', 'waitlisted', 'offered', 'Registered', 'Waitlisted'] };
     } else if (tab === 'joined') {
       query.status = { $regex: /^registered$/i };
     } else if (tab === 'cancelled') {
@@ -702,9 +765,13 @@ router.get('/events', verifyToken, authorize('member'), async (req, res) => {
       let statusLabel = 'Confirmed';
       let statusColor = 'primary';
       const regStatus = (registration.status || '').toLowerCase();
+      const waitlistPosition = await getWaitlistPosition(registration);
       if (regStatus === 'waitlisted') {
-        statusLabel = 'Waitlisted';
+        statusLabel = `Waitlisted #${waitlistPosition}`;
         statusColor = 'yellow';
+      } else if (regStatus === 'offered') {
+        statusLabel = 'Seat Available - Pay Now';
+        statusColor = 'blue';
       } else if (regStatus === 'cancelled') {
         statusLabel = 'Cancelled';
         statusColor = 'red';
@@ -729,7 +796,12 @@ router.get('/events', verifyToken, authorize('member'), async (req, res) => {
         statusLabel,
         statusColor,
         paymentStatus: registration.paymentStatus || 'pending',
-        registrationDate: registration.registrationDate ? formatDateDisplay(registration.registrationDate) : formatDateDisplay(registration.createdAt)
+        registrationDate: registration.registrationDate ? formatDateDisplay(registration.registrationDate) : formatDateDisplay(registration.createdAt),
+        ticketType: registration.ticketTypeName || null,
+        ticketCode: regStatus === 'registered' ? createTicketCode(registration) : null,
+        checkedInAt: registration.checkedInAt || null,
+        waitlistPosition,
+        offerExpiresAt: registration.offerExpiresAt || null
       };
     }));
 
@@ -769,7 +841,7 @@ router.get('/events', verifyToken, authorize('member'), async (req, res) => {
         const nowDateOnly = new Date(now.getFullYear(), now.getMonth(), now.getDate());
         const isFuture = eventDateOnly >= nowDateOnly;
         
-        if (reg.status === 'registered' || reg.status === 'waitlisted') {
+        if (reg.status === 'registered' || reg.status === 'waitlisted' || reg.status === 'offered') {
           if (isFuture) {
             myJoiningCount++; // Count for "My Joining Events"
           } else if (reg.status === 'registered') {
@@ -800,6 +872,52 @@ router.get('/events', verifyToken, authorize('member'), async (req, res) => {
   }
 });
 
+// Get the ticket for a confirmed registration; the client renders ticketCode as a QR code
+router.get('/events/:registrationId/ticket', verifyToken, authorize('member'), async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const registrationId = req.params.registrationId;
+
+    if (!ObjectId.isValid(registrationId)) {
+      return res.status(400).json({ error: 'Invalid registration ID' });
+    }
+
+    const registration = await registrationsCollection.findOne({
+      _id: new ObjectId(registrationId),
+      userId: userId
+    });
+
+    if (!registration) {
+      return res.status(404).json({ error: 'Registration not found' });
+    }
+
+    if (registration.status !== 'registered') {
+      return res.status(400).json({ error: 'Only confirmed registrations have a ticket' });
+    }
+
+    const event = ObjectId.isValid(registration.eventId)
+      ? await eventsCollection.findOne({ _id: new ObjectId(registration.eventId) })
+      : null;
+
+    res.json({
+      registrationId,
+      ticketCode: createTicketCode(registration),
+      ticketType: registration.ticketTypeName || null,
+      checkedInAt: registration.checkedInAt || null,
+      event: event ? {
+        id: event._id.toString(),
+        name: event.name || '',
+        date: event.date || null,
+        time: event.time || '12:00 PM',
+        location: event.location || ''
+      } : null
+    });
+  } catch (error) {
+    console.error('Get ticket error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Cancel event registration
 router.delete('/events/:registrationId/cancel', verifyToken, authorize('member'), async (req, res) => {
   try {
@@ -831,8 +949,9 @@ router.delete('/events/:registrationId/cancel', verifyToken, authorize('member')
     }
 
     // Check if event is in the past
+    let event = null;
     if (registration.eventId) {
-      const event = await eventsCollection.findOne({ _id: new ObjectId(registration.eventId) });
+      event = await eventsCollection.findOne({ _id: new ObjectId(registration.eventId) });
       if (event && event.date) {
         const eventDate = new Date(event.date);
         if (eventDate < new Date()) {
@@ -841,19 +960,57 @@ router.delete('/events/:registrationId/cancel', verifyToken, authorize('member')
       }
     }
 
-    // Update registration status to cancelled
-    await registrationsCollection.updateOne(
-      { _id: new ObjectId(registrationId) },
-      { 
-        $set: { 
-          status: 'cancelled',
-          cancelledAt: new Date(),
-          updatedAt: new Date()
-        } 
+    // Refund paid registrations according to the event's refund policy
+    let refund = { refundPercent: 0, refundAmount: 0 };
+    if (registration.paymentStatus === 'paid' && event) {
+      try {
+        refund = await refundEventRegistration(registration, event);
+      } catch (error) {
+        console.error('Refund registration error:', error);
+        return res.status(502).json({ error: 'Failed to issue refund, registration was not cancelled', message: error.message });
       }
+    }
+
+    // Stop an unpaid checkout hold or waitlist offer from still being paid
+    try {
+      await cancelRegistrationPayment(registration);
+    } catch (error) {
+      console.error('Cancel registration payment error:', error);
+      return res.status(502).json({ error: 'Failed to cancel the pending payment, registration was not cancelled', message: error.message });
+    }
+
+    const updateData = {
+      status: 'cancelled',
+      cancelledAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    if (refund.refundAmount > 0) {
+      updateData.paymentStatus = refund.refundPercent === 100 ? 'refunded' : 'partially_refunded';
+      updateData.refundAmount = refund.refundAmount;
+      updateData.refundId = refund.refundId;
+    }
+
+    // Update registration status to cancelled, unless it changed since we read it
+    const result = await registrationsCollection.updateOne(
+      { _id: new ObjectId(registrationId), status: registration.status },
+      { $set: updateData }
     );
 
-    res.json({ message: 'Registration cancelled successfully' });
+    // A freed seat goes to the next person on the waitlist
+    if (result.modifiedCount > 0 && holdsSeat(registration)) {
+      await releaseSeat(registration.eventId, registration.ticketTypeId);
+      await promoteFromWaitlist(registration.eventId);
+    }
+
+    res.json({
+      message: 'Registration cancelled successfully',
+      refund: {
+        percent: refund.refundPercent,
+        amount: fromMinorUnits(refund.refundAmount).toFixed(2),
+        currency: getCurrency(registration)
+      }
+    });
   } catch (error) {
     console.error('Cancel registration error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -866,7 +1023,7 @@ router.delete('/events/:registrationId/cancel', verifyToken, authorize('member')
 router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
   try {
     const userId = req.user.userId;
-    const type = req.query.type || ''; // all, membership, event, donation
+    const type = req.query.type || ''; // all, membership, event, donation, refund, chargeback
     const status = req.query.status || ''; // all, success, pending, failed
     const dateRange = req.query.dateRange || 'all'; // all, this_year, this_month
 
@@ -901,6 +1058,11 @@ router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
       .limit(50)
       .toArray();
 
+    const receipts = await receiptsCollection
+      .find({ transactionId: { $in: transactions.map(transaction => transaction._id.toString()) }, status: 'issued' })
+      .toArray();
+    const receiptNumbers = new Map(receipts.map(receipt => [receipt.transactionId, receipt.invoiceNumber]));
+
     // Format transactions
     const formattedTransactions = await Promise.all(transactions.map(async (transaction) => {
       let description = transaction.description || '';
@@ -912,7 +1074,7 @@ router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
         if (club) {
           description = `${description} - ${club.name}`;
         }
-        icon = 'groups';
+        icon = transaction.type === 'donation' ? 'volunteer_activism' : 'groups';
       } else if (transaction.eventId) {
         const event = await eventsCollection.findOne({ _id: new ObjectId(transaction.eventId) });
         if (event) {
@@ -921,7 +1083,7 @@ router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
         icon = 'event';
       }
 
-      let statusLabel = 'Paid';
+      let statusLabel = transaction.type === 'refund' ? 'Refunded' : transaction.type === 'chargeback' ? 'Charged back' : 'Paid';
       let statusColor = 'primary';
       if (transaction.status === 'pending') {
         statusLabel = 'Pending';
@@ -936,13 +1098,16 @@ router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
         date: formatDateDisplay(transaction.createdAt || transaction.date),
         description,
         type: transaction.type || 'membership',
-        typeLabel: transaction.type === 'event' ? 'Event' : transaction.type === 'donation' ? 'Donation' : 'Membership',
+        typeLabel: transaction.type === 'event' ? 'Event' : transaction.type === 'donation' ? 'Donation' : transaction.type === 'refund' ? 'Refund' : transaction.type === 'chargeback' ? 'Chargeback' : 'Membership',
         status: transaction.status || 'success',
         statusLabel,
         statusColor,
-        amount: transaction.amount ? (transaction.amount / 100).toFixed(2) : '0.00', // Convert cents to taka
+        amount: fromMinorUnits(transaction.amount).toFixed(2),
+        currency: getCurrency(transaction),
         icon,
-        invoiceId: transaction.invoiceId || null
+        invoiceId: transaction.invoiceId || null,
+        receiptNumber: receiptNumbers.get(transaction._id.toString()) || null,
+        receiptAvailable: hasReceipt(transaction)
       };
     }));
 
@@ -957,10 +1122,11 @@ router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
       createdAt: { $gte: yearStart }
     }).toArray();
     
-    const totalSpent = yearTransactions.reduce((sum, t) => sum + (t.amount || 0), 0) / 100;
+    // Refunds are stored as negative amounts, so this is the net spend
+    const totalSpent = fromMinorUnits(yearTransactions.reduce((sum, t) => sum + (t.amount || 0), 0));
     
     const lastPayment = await transactionsCollection
-      .findOne({ userId, status: 'success' }, { sort: { createdAt: -1 } });
+      .findOne({ userId, status: 'success', type: { $nin: ['refund', 'chargeback'] } }, { sort: { createdAt: -1 } });
     
     const activeMemberships = await membershipsCollection.countDocuments({
       userId,
@@ -972,7 +1138,8 @@ router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
       stats: {
         totalSpent: totalSpent.toFixed(2),
         lastPayment: lastPayment ? {
-          amount: (lastPayment.amount / 100).toFixed(2),
+          amount: fromMinorUnits(lastPayment.amount).toFixed(2),
+          currency: getCurrency(lastPayment),
           description: lastPayment.description || ''
         } : null,
         activeSubscriptions: activeMemberships
@@ -984,6 +1151,839 @@ router.get('/payments', verifyToken, authorize('member'), async (req, res) => {
   }
 });
 
+// Download the PDF receipt of one of the user's successful payments or refunds
+router.get('/payments/:transactionId/receipt', verifyToken, async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+
+    const transaction = ObjectId.isValid(transactionId)
+      ? await transactionsCollection.findOne({ _id: new ObjectId(transactionId), userId: req.user.userId })
+      : null;
+    if (!transaction) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+    if (!hasReceipt(transaction)) {
+      return res.status(400).json({ error: 'Receipts are only available for completed payments' });
+    }
+
+    // Payments recorded before receipts existed get theirs now; a voided receipt is shown as void
+    const receipt = (await findReceipt(transaction._id)) || (await issueReceipt(transaction));
+
+    sendReceiptPdf(res, receipt);
+  } catch (error) {
+    console.error('Get payment receipt error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== CLUB OWNERSHIP TRANSFERS ====================
+// Open to any role: the nominee may already manage other clubs.
+
+// Ownership transfers the user was nominated for or started, newest first
+router.get('/ownership-transfers', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const transfers = await ownershipTransfersCollection
+      .find({ $or: [{ toUserId: userId }, { fromUserId: userId }] })
+      .sort({ createdAt: -1 })
+      .toArray();
+
+    res.json({
+      transfers: transfers.map(transfer => ({
+        ...formatOwnershipTransfer(transfer),
+        direction: transfer.toUserId === userId ? 'incoming' : 'outgoing'
+      }))
+    });
+  } catch (error) {
+    console.error('Get ownership transfers error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Find a nomination addressed to the user
+const findIncomingTransfer = (transferId, userId) => {
+  if (!ObjectId.isValid(transferId)) return null;
+  return ownershipTransfersCollection.findOne({ _id: new ObjectId(transferId), toUserId: userId });
+};
+
+// Accept a nomination and take over the club
+router.post('/ownership-transfers/:transferId/accept', verifyToken, async (req, res) => {
+  try {
+    const transfer = await findIncomingTransfer(req.params.transferId, req.user.userId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Ownership transfer not found' });
+    }
+    if (transfer.status !== 'pending') {
+      return res.status(409).json({ error: `This nomination is ${transfer.status}` });
+    }
+
+    const user = await usersCollection.findOne({ _id: new ObjectId(req.user.userId) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const { transfer: accepted, roleUpgraded, error } = await acceptOwnershipTransfer(transfer, user);
+    if (error) {
+      return res.status(409).json({ error });
+    }
+
+    res.json({
+      message: roleUpgraded
+        ? `You now own ${transfer.clubName}. Your account is now a club manager account; sign in again to create clubs.`
+        : `You now own ${transfer.clubName}`,
+      transfer: formatOwnershipTransfer(accepted)
+    });
+  } catch (error) {
+    console.error('Accept ownership transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Decline a nomination; the club keeps its current owner
+router.post('/ownership-transfers/:transferId/decline', verifyToken, async (req, res) => {
+  try {
+    const transfer = await findIncomingTransfer(req.params.transferId, req.user.userId);
+    if (!transfer) {
+      return res.status(404).json({ error: 'Ownership transfer not found' });
+    }
+
+    const declined = await declineOwnershipTransfer(transfer);
+    if (!declined) {
+      return res.status(409).json({ error: `This nomination is ${transfer.status}` });
+    }
+
+    res.json({ message: 'Ownership transfer declined', transfer: formatOwnershipTransfer(declined) });
+  } catch (error) {
+    console.error('Decline ownership transfer error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== ANNOUNCEMENTS ====================
+// Open to any role: club staff read the feeds of the clubs they run as well.
+
+const getPagination = (query) => {
+  const page = Math.max(parseInt(query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit) || 20, 1), 50);
+  return { page, limit, skip: (page - 1) * limit };
+};
+
+// Announcements of one club the user belongs to, pinned first
+router.get('/clubs/:clubId/announcements', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const access = await getClubAccess(req.user, clubId);
+
+    let club = access && access.club;
+    if (!club) {
+      const membership = await membershipsCollection.findOne({ userId: req.user.userId, clubId, status: 'active' });
+      club = membership
+        ? await clubsCollection.findOne({ _id: new ObjectId(clubId), status: { $ne: 'archived' } })
+        : null;
+    }
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found or you are not a member' });
+    }
+
+    const { page, limit, skip } = getPagination(req.query);
+    const now = new Date();
+    const filter = {
+      clubId,
+      visibility: { $in: getVisibleLevels({ isOfficer: !!access, isMember: true }) },
+      ...publishedFilter(now)
+    };
+
+    const [announcements, total] = await Promise.all([
+      announcementsCollection.find(filter).sort({ pinned: -1, publishAt: -1 }).skip(skip).limit(limit).toArray(),
+      announcementsCollection.countDocuments(filter)
+    ]);
+
+    res.json({
+      announcements: announcements.map(announcement => formatAnnouncement(announcement, club, now)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get club announcements error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Announcements from every club the user belongs to or helps run, newest first
+router.get('/announcements', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const [memberships, staffClubs] = await Promise.all([
+      membershipsCollection.find({ userId, status: 'active' }, { projection: { clubId: 1 } }).toArray(),
+      getAccessibleClubs(req.user)
+    ]);
+
+    // Visibility levels per club; staff roles win over plain membership
+    const levelsByClub = new Map();
+    memberships.forEach(membership => {
+      levelsByClub.set(membership.clubId, getVisibleLevels({ isMember: true }));
+    });
+    staffClubs.forEach(({ club }) => {
+      levelsByClub.set(club._id.toString(), getVisibleLevels({ isOfficer: true }));
+    });
+
+    const clubIds = [...levelsByClub.keys()].filter(clubId => ObjectId.isValid(clubId));
+    const clubs = await clubsCollection
+      .find({ _id: { $in: clubIds.map(clubId => new ObjectId(clubId)) }, status: { $ne: 'archived' } })
+      .toArray();
+    const clubsById = new Map(clubs.map(club => [club._id.toString(), club]));
+
+    const { page, limit, skip } = getPagination(req.query);
+    if (clubsById.size === 0) {
+      return res.json({ announcements: [], pagination: { page, limit, total: 0, totalPages: 0 } });
+    }
+
+    const now = new Date();
+    const filter = {
+      $or: [...clubsById.keys()].map(clubId => ({ clubId, visibility: { $in: levelsByClub.get(clubId) } })),
+      ...publishedFilter(now)
+    };
+
+    const [announcements, total] = await Promise.all([
+      announcementsCollection.find(filter).sort({ publishAt: -1 }).skip(skip).limit(limit).toArray(),
+      announcementsCollection.countDocuments(filter)
+    ]);
+
+    res.json({
+      announcements: announcements.map(announcement =>
+        formatAnnouncement(announcement, clubsById.get(announcement.clubId), now)
+      ),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get announcements feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== CLUB FORUM ====================
+// Open to active members of the club and its staff. Moderation lives in the manager routes.
+
+// Forum access for the request, or a response already sent
+const requireForumAccess = async (req, res) => {
+  const forum = await getForumAccess(req.user, req.params.clubId);
+  if (!forum) {
+    res.status(404).json({ error: 'Club not found or you are not a member' });
+    return null;
+  }
+  return forum;
+};
+
+// Posting and reacting is closed to muted members
+const rejectIfMuted = (forum, res) => {
+  if (!forum.muted) return false;
+  const { until } = forum.membership.forumMute;
+  res.status(403).json({
+    error: until ? `You are muted in this club's forum until ${until.toISOString()}` : 'You are muted in this club\'s forum'
+  });
+  return true;
+};
+
+const findThread = (clubId, threadId) => {
+  if (!ObjectId.isValid(threadId)) return null;
+  return forumThreadsCollection.findOne({ _id: new ObjectId(threadId), clubId, deletedAt: { $exists: false } });
+};
+
+const findReply = (clubId, replyId) => {
+  if (!ObjectId.isValid(replyId)) return null;
+  return forumRepliesCollection.findOne({ _id: new ObjectId(replyId), clubId });
+};
+
+const getAuthorName = async (userId) => {
+  const user = await usersCollection.findOne({ _id: new ObjectId(userId) }, { projection: { name: 1 } });
+  return user?.name || null;
+};
+
+// Threads of a club, pinned first, then by latest activity, with unread flags
+router.get('/clubs/:clubId/forum/threads', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum) return;
+
+    const { clubId } = req.params;
+    const userId = req.user.userId;
+    const { page, limit, skip } = getPagination(req.query);
+    const filter = { clubId, deletedAt: { $exists: false } };
+
+    const [threads, total] = await Promise.all([
+      forumThreadsCollection.find(filter).sort({ pinned: -1, lastActivityAt: -1 }).skip(skip).limit(limit).toArray(),
+      forumThreadsCollection.countDocuments(filter)
+    ]);
+
+    const readTimes = await getReadTimes(userId, threads.map(thread => thread._id.toString()));
+    const formattedThreads = threads.map(thread => {
+      const formatted = formatThread(thread, userId, readTimes.get(thread._id.toString()));
+      // The list only shows an excerpt of the opening post
+      return { ...formatted, body: formatted.body.length > 300 ? `${formatted.body.slice(0, 300)}…` : formatted.body };
+    });
+
+    res.json({
+      threads: formattedThreads,
+      muted: forum.muted,
+      canModerate: forum.canModerate,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get forum threads error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a thread
+router.post('/clubs/:clubId/forum/threads', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum || rejectIfMuted(forum, res)) return;
+
+    const { clubId } = req.params;
+    const title = normalizeTitle(req.body.title);
+    if (title.error) {
+      return res.status(400).json({ error: title.error });
+    }
+    const body = normalizeBody(req.body.body);
+    if (body.error) {
+      return res.status(400).json({ error: body.error });
+    }
+    const { mentions, error } = await normalizeMentions(clubId, req.body.mentions);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = new Date();
+    const thread = {
+      clubId,
+      title: title.value,
+      body: body.value,
+      authorId: req.user.userId,
+      authorName: await getAuthorName(req.user.userId),
+      mentions,
+      reactions: {},
+      pinned: false,
+      locked: false,
+      replyCount: 0,
+      lastActivityAt: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await forumThreadsCollection.insertOne(thread);
+    thread._id = result.insertedId;
+    await markThreadRead(req.user.userId, thread);
+
+    res.status(201).json({ message: 'Thread created', thread: formatThread(thread, req.user.userId, now) });
+  } catch (error) {
+    console.error('Create forum thread error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Mark every thread of the club read
+router.post('/clubs/:clubId/forum/read', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum) return;
+
+    const { clubId } = req.params;
+    const threads = await forumThreadsCollection
+      .find({ clubId, deletedAt: { $exists: false } }, { projection: { _id: 1 } })
+      .toArray();
+
+    await markClubRead(req.user.userId, clubId, threads.map(thread => thread._id.toString()));
+
+    res.json({ message: 'All threads marked as read' });
+  } catch (error) {
+    console.error('Mark forum read error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A thread with its replies in order; reading it marks it read
+router.get('/clubs/:clubId/forum/threads/:threadId', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum) return;
+
+    const { clubId, threadId } = req.params;
+    const userId = req.user.userId;
+
+    const thread = await findThread(clubId, threadId);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { page, limit, skip } = getPagination({ page: req.query.page, limit: req.query.limit || 50 });
+    const [replies, readTimes] = await Promise.all([
+      forumRepliesCollection.find({ threadId }).sort({ createdAt: 1 }).skip(skip).limit(limit).toArray(),
+      getReadTimes(userId, [threadId])
+    ]);
+    const lastReadAt = readTimes.get(threadId) || null;
+
+    await markThreadRead(userId, thread);
+
+    res.json({
+      thread: formatThread(thread, userId, lastReadAt),
+      replies: replies.map(reply => ({
+        ...formatReply(reply, userId),
+        unread: !lastReadAt || reply.createdAt > lastReadAt
+      })),
+      muted: forum.muted,
+      canModerate: forum.canModerate,
+      pagination: {
+        page,
+        limit,
+        total: thread.replyCount || 0,
+        totalPages: Math.ceil((thread.replyCount || 0) / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get forum thread error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit your own thread
+router.put('/clubs/:clubId/forum/threads/:threadId', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum || rejectIfMuted(forum, res)) return;
+
+    const { clubId, threadId } = req.params;
+    const thread = await findThread(clubId, threadId);
+    if (!thread || thread.authorId !== req.user.userId) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const title = normalizeTitle(req.body.title !== undefined ? req.body.title : thread.title);
+    if (title.error) {
+      return res.status(400).json({ error: title.error });
+    }
+    const body = normalizeBody(req.body.body !== undefined ? req.body.body : thread.body);
+    if (body.error) {
+      return res.status(400).json({ error: body.error });
+    }
+    const { mentions, error } = req.body.mentions !== undefined
+      ? await normalizeMentions(clubId, req.body.mentions)
+      : { mentions: thread.mentions || [] };
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = new Date();
+    const updated = await forumThreadsCollection.findOneAndUpdate(
+      { _id: thread._id, deletedAt: { $exists: false } },
+      { $set: { title: title.value, body: body.value, mentions, editedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    res.json({ message: 'Thread updated', thread: formatThread(updated, req.user.userId, now) });
+  } catch (error) {
+    console.error('Update forum thread error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete your own thread
+router.delete('/clubs/:clubId/forum/threads/:threadId', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum) return;
+
+    const { clubId, threadId } = req.params;
+    const thread = await findThread(clubId, threadId);
+    if (!thread || thread.authorId !== req.user.userId) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    await forumThreadsCollection.updateOne(
+      { _id: thread._id },
+      { $set: { deletedAt: new Date(), deletedBy: 'author', updatedAt: new Date() } }
+    );
+
+    res.json({ message: 'Thread deleted' });
+  } catch (error) {
+    console.error('Delete forum thread error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reply to a thread, optionally to one of its replies (replyToId)
+router.post('/clubs/:clubId/forum/threads/:threadId/replies', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum || rejectIfMuted(forum, res)) return;
+
+    const { clubId, threadId } = req.params;
+    const { replyToId } = req.body;
+
+    const thread = await findThread(clubId, threadId);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    if (thread.locked && !forum.canModerate) {
+      return res.status(409).json({ error: 'This thread is locked' });
+    }
+
+    if (replyToId) {
+      const parent = await findReply(clubId, replyToId);
+      if (!parent || parent.threadId !== threadId) {
+        return res.status(400).json({ error: 'The reply you are answering is not in this thread' });
+      }
+    }
+
+    const body = normalizeBody(req.body.body);
+    if (body.error) {
+      return res.status(400).json({ error: body.error });
+    }
+    const { mentions, error } = await normalizeMentions(clubId, req.body.mentions);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = new Date();
+    const reply = {
+      threadId,
+      clubId,
+      replyToId: replyToId || null,
+      body: body.value,
+      authorId: req.user.userId,
+      authorName: await getAuthorName(req.user.userId),
+      mentions,
+      reactions: {},
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await forumRepliesCollection.insertOne(reply);
+    reply._id = result.insertedId;
+
+    await forumThreadsCollection.updateOne(
+      { _id: thread._id },
+      { $inc: { replyCount: 1 }, $set: { lastActivityAt: now } }
+    );
+    await markThreadRead(req.user.userId, thread);
+
+    res.status(201).json({ message: 'Reply posted', reply: formatReply(reply, req.user.userId) });
+  } catch (error) {
+    console.error('Create forum reply error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Edit your own reply
+router.put('/clubs/:clubId/forum/replies/:replyId', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum || rejectIfMuted(forum, res)) return;
+
+    const { clubId, replyId } = req.params;
+    const reply = await findReply(clubId, replyId);
+    if (!reply || reply.deletedAt || reply.authorId !== req.user.userId) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    const body = normalizeBody(req.body.body);
+    if (body.error) {
+      return res.status(400).json({ error: body.error });
+    }
+    const { mentions, error } = req.body.mentions !== undefined
+      ? await normalizeMentions(clubId, req.body.mentions)
+      : { mentions: reply.mentions || [] };
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const now = new Date();
+    const updated = await forumRepliesCollection.findOneAndUpdate(
+      { _id: reply._id, deletedAt: { $exists: false } },
+      { $set: { body: body.value, mentions, editedAt: now, updatedAt: now } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    res.json({ message: 'Reply updated', reply: formatReply(updated, req.user.userId) });
+  } catch (error) {
+    console.error('Update forum reply error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete your own reply; it stays in the thread as deleted
+router.delete('/clubs/:clubId/forum/replies/:replyId', verifyToken, async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum) return;
+
+    const { clubId, replyId } = req.params;
+    const reply = await findReply(clubId, replyId);
+    if (!reply || reply.deletedAt || reply.authorId !== req.user.userId) {
+      return res.status(404).json({ error: 'Reply not found' });
+    }
+
+    await forumRepliesCollection.updateOne(
+      { _id: reply._id },
+      { $set: { deletedAt: new Date(), deletedBy: 'author', updatedAt: new Date() } }
+    );
+
+    res.json({ message: 'Reply deleted' });
+  } catch (error) {
+    console.error('Delete forum reply error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Toggle a reaction on a thread or reply
+const reactionHandler = (label) => async (req, res) => {
+  try {
+    const forum = await requireForumAccess(req, res);
+    if (!forum || rejectIfMuted(forum, res)) return;
+
+    const { reaction } = req.body;
+    if (!REACTIONS.includes(reaction)) {
+      return res.status(400).json({ error: `Reaction must be one of: ${REACTIONS.join(', ')}` });
+    }
+
+    const { clubId, threadId, replyId } = req.params;
+    const isThread = label === 'Thread';
+    const post = isThread ? await findThread(clubId, threadId) : await findReply(clubId, replyId);
+    const updated = post && !post.deletedAt
+      ? await toggleReaction(isThread ? forumThreadsCollection : forumRepliesCollection, post, req.user.userId, reaction)
+      : null;
+    if (!updated) {
+      return res.status(404).json({ error: `${label} not found` });
+    }
+
+    const formatted = isThread ? formatThread(updated, req.user.userId) : formatReply(updated, req.user.userId);
+    res.json({ reactions: formatted.reactions });
+  } catch (error) {
+    console.error(`React to forum ${label.toLowerCase()} error:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+router.post('/clubs/:clubId/forum/threads/:threadId/reactions', verifyToken, reactionHandler('Thread'));
+router.post('/clubs/:clubId/forum/replies/:replyId/reactions', verifyToken, reactionHandler('Reply'));
+
+// Threads and replies that mention the user, newest first
+router.get('/forum/mentions', verifyToken, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const { limit } = getPagination(req.query);
+    const filter = { mentions: userId, deletedAt: { $exists: false }, archivedAt: { $exists: false } };
+
+    const [threads, replies] = await Promise.all([
+      forumThreadsCollection.find(filter).sort({ createdAt: -1 }).limit(limit).toArray(),
+      forumRepliesCollection.find(filter).sort({ createdAt: -1 }).limit(limit).toArray()
+    ]);
+
+    // Only mentions in clubs the user can still read
+    const clubIds = [...new Set([...threads, ...replies].map(post => post.clubId))];
+    const readable = new Set();
+    for (const clubId of clubIds) {
+      if (await getForumAccess(req.user, clubId)) readable.add(clubId);
+    }
+
+    const mentions = [
+      ...threads.map(thread => ({ type: 'thread', ...formatThread(thread, userId) })),
+      ...replies.map(reply => ({ type: 'reply', ...formatReply(reply, userId) }))
+    ]
+      .filter(mention => readable.has(mention.clubId))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+
+    res.json({ mentions });
+  } catch (error) {
+    console.error('Get forum mentions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== POLLS AND ELECTIONS ====================
+// Only active members of the club vote, once per poll.
+
+const findActiveMembership = (userId, clubId) =>
+  membershipsCollection.findOne({ userId, clubId, status: 'active' });
+
+// Polls of a club the user is a member of, with their own ballot; results once closed
+router.get('/clubs/:clubId/polls', verifyToken, async (req, res) => {
+  try {
+    const { clubId } = req.params;
+    const userId = req.user.userId;
+
+    const membership = await findActiveMembership(userId, clubId);
+    if (!membership) {
+      return res.status(404).json({ error: 'Club not found or you are not a member' });
+    }
+
+    const polls = await pollsCollection
+      .find({ clubId, cancelledAt: null, archivedAt: { $exists: false } })
+      .sort({ closesAt: -1 })
+      .toArray();
+    const current = await Promise.all(polls.map(closeIfOverdue));
+
+    const ballots = await pollBallotsCollection
+      .find({ userId, pollId: { $in: polls.map(poll => poll._id.toString()) } })
+      .toArray();
+    const ballotsByPoll = new Map(ballots.map(ballot => [ballot.pollId, ballot]));
+
+    res.json({
+      polls: current.map(poll => {
+        const ballot = ballotsByPoll.get(poll._id.toString());
+        return {
+          ...formatPoll(poll),
+          hasVoted: !!ballot,
+          myChoices: ballot ? ballot.choices : null
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get club polls error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cast a ballot. choices is one option id for single choice polls, several for multiple choice,
+// and every option in order of preference for ranked choice. Ballots cannot be changed.
+router.post('/clubs/:clubId/polls/:pollId/ballot', verifyToken, async (req, res) => {
+  try {
+    const { clubId, pollId } = req.params;
+    const userId = req.user.userId;
+
+    const membership = await findActiveMembership(userId, clubId);
+    if (!membership) {
+      return res.status(403).json({ error: 'Only active members of the club can vote' });
+    }
+
+    const poll = ObjectId.isValid(pollId)
+      ? await pollsCollection.findOne({ _id: new ObjectId(pollId), clubId, archivedAt: { $exists: false } })
+      : null;
+    if (!poll) {
+      return res.status(404).json({ error: 'Poll not found' });
+    }
+
+    const status = getPollStatus(poll);
+    if (status !== 'open') {
+      return res.status(409).json({ error: status === 'scheduled' ? 'Voting has not opened yet' : `This poll is ${status}` });
+    }
+
+    const { choices, error } = normalizeBallot(poll, req.body.choices);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    try {
+      await pollBallotsCollection.insertOne({ pollId, clubId, userId, choices, createdAt: new Date() });
+    } catch (insertError) {
+      if (insertError.code === 11000) {
+        return res.status(409).json({ error: 'You have already voted in this poll' });
+      }
+      throw insertError;
+    }
+
+    res.status(201).json({ message: 'Your vote has been recorded', choices });
+  } catch (error) {
+    console.error('Cast ballot error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ==================== CALENDAR FEED ====================
+
+// Feed URLs for the member's personal calendar; webcal:// opens straight in calendar apps
+const formatCalendarFeed = (req, user) => {
+  const protocol = req.get('x-forwarded-proto') || req.protocol;
+  const feedUrl = `${protocol}://${req.get('host')}/api/calendar/${user.calendarFeedToken}.ics`;
+  return {
+    feedUrl,
+    webcalUrl: feedUrl.replace(/^https?:/, 'webcal:'),
+    createdAt: user.calendarFeedCreatedAt || null
+  };
+};
+
+const generateFeedToken = () => crypto.randomBytes(24).toString('hex');
+
+// Get the personal calendar feed, creating its token on first use
+router.get('/calendar', verifyToken, authorize('member'), async (req, res) => {
+  try {
+    const userId = new ObjectId(req.user.userId);
+
+    await usersCollection.updateOne(
+      { _id: userId, calendarFeedToken: { $exists: false } },
+      { $set: { calendarFeedToken: generateFeedToken(), calendarFeedCreatedAt: new Date() } }
+    );
+
+    const user = await usersCollection.findOne({ _id: userId });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json(formatCalendarFeed(req, user));
+  } catch (error) {
+    console.error('Get calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the feed token; the old feed URL stops working
+router.post('/calendar/token', verifyToken, authorize('member'), async (req, res) => {
+  try {
+    const user = await usersCollection.findOneAndUpdate(
+      { _id: new ObjectId(req.user.userId) },
+      { $set: { calendarFeedToken: generateFeedToken(), calendarFeedCreatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ message: 'Calendar feed link reset', ...formatCalendarFeed(req, user) });
+  } catch (error) {
+    console.error('Reset calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn the personal feed off
+router.delete('/calendar/token', verifyToken, authorize('member'), async (req, res) => {
+  try {
+    await usersCollection.updateOne(
+      { _id: new ObjectId(req.user.userId) },
+      { $unset: { calendarFeedToken: '', calendarFeedCreatedAt: '' } }
+    );
+
+    res.json({ message: 'Calendar feed disabled' });
+  } catch (error) {
+    console.error('Revoke calendar feed error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // ==================== SETTINGS ====================
 
 // Get user settings
@@ -1,7 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const { ObjectId } = require('mongodb');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, optionalToken } = require('../middleware/auth');
+const { calculateRefundPercent } = require('../utils/refundPolicy');
+const { getWaitlistPosition, promoteFromWaitlist } = require('../utils/waitlist');
+const { SEAT_HOLD_MINUTES, getSeatsAvailable, reserveSeat, releaseSeat, holdsSeat } = require('../utils/seats');
+const { getTicketType, getTicketPrice, isSoldOut, resolveTicketType } = require('../utils/tickets');
+const { normalizeJoinAnswers } = require('../utils/joinQuestions');
+const {
+  findRedeemableInvite,
+  applyInviteDiscount,
+  claimInviteUse,
+  claimInviteUseById,
+  releaseInviteUse
+} = require('../utils/clubInvites');
+const { findRedeemableCoupon, priceWithCoupon, getCouponMetadata, recordCouponRedemption } = require('../utils/coupons');
+const { getPlatformFee, calculatePlatformFee, splitRefund } = require('../utils/platformFees');
+const { recordLedgerEntry } = require('../utils/clubLedger');
+const { issueReceipt } = require('../utils/receipts');
+const {
+  normalizeDonation,
+  createDonation,
+  markDonationPaid,
+  markDonationFailed,
+  markDonationRefunded
+} = require('../utils/donations');
+const { recordDispute } = require('../utils/disputes');
+const {
+  toMinorUnits,
+  fromMinorUnits,
+  getCurrency,
+  toStripeCurrency,
+  fromStripeCurrency
+} = require('../utils/money');
 
 // Initialize Stripe - will be set when env var is available
 let stripe = null;
@@ -39,12 +70,705 @@ const initPaymentRoutes = (client) => {
   clubsCollection = db.collection('clubs');
   membershipsCollection = db.collection('memberships');
   transactionsCollection = db.collection('transactions');
+
+  // Unique payment intent ids keep the client confirm and the webhook from
+  // recording the same payment twice
+  const paymentIntentFilter = { partialFilterExpression: { paymentIntentId: { $exists: true } } };
+  Promise.all([
+    registrationsCollection.createIndex({ paymentIntentId: 1 }, { unique: true, ...paymentIntentFilter }),
+    membershipsCollection.createIndex({ paymentIntentId: 1 }, { unique: true, ...paymentIntentFilter }),
+    membershipsCollection.createIndex(
+      { subscriptionId: 1 },
+      { unique: true, partialFilterExpression: { subscriptionId: { $exists: true } } }
+    ),
+    // refundId is null on payments, so each payment intent still gets one transaction per type
+    transactionsCollection.createIndex({ paymentIntentId: 1, type: 1, refundId: 1 }, { unique: true, ...paymentIntentFilter })
+  ]).catch(error => console.error('Create payment indexes error:', error));
+
   return router;
 };
 
-// Calculate service fee - removed, no service fee
-const calculateServiceFee = (eventFee) => {
-  return 0;
+// Service fee in whole units on a purchase from a club in currency: the platform fee, charged on
+// top of the price. Returns { serviceFee } or { error } with a message for a 400 response.
+const calculateServiceFee = async (amount, clubId, currency) => {
+  const { platformFee, error } = calculatePlatformFee(amount, await getPlatformFee(clubId), currency);
+  return error ? { error } : { serviceFee: platformFee };
+};
+
+// Payment intent metadata holds whole units. Platform fee of a payment intent in minor units,
+// for its transaction.
+const getPlatformFeeCents = (metadata) => toMinorUnits(metadata.serviceFee);
+
+// Insert a document only if none matches the filter, so concurrent confirm/webhook calls settle on one document
+const upsertOnce = async (collection, filter, document) => {
+  try {
+    const result = await collection.updateOne(filter, { $setOnInsert: document }, { upsert: true });
+    return result.upsertedCount > 0;
+  } catch (error) {
+    // Lost the race against a concurrent upsert for the same payment intent
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+// Gross amount and discount of a payment intent in minor units, for its transaction: the gross is
+// what would have been charged without invite or coupon discounts, so amount = gross - discount.
+// Payment intents created before discounts were recorded carry neither.
+const getDiscountFields = (metadata) => {
+  if (!metadata.grossAmount) return {};
+
+  const chargedAmount = toMinorUnits(metadata.totalAmount);
+  const price = chargedAmount - getPlatformFeeCents(metadata);
+  const discountAmount = Math.max(0, toMinorUnits(metadata.grossAmount) - price);
+  return {
+    grossAmount: chargedAmount + discountAmount,
+    discountAmount,
+    ...(metadata.couponCode ? { couponId: metadata.couponId, couponCode: metadata.couponCode } : {})
+  };
+};
+
+// Issue the receipt of a recorded transaction. A failure here must not fail the payment;
+// the receipt is then issued when it is first downloaded.
+const issueTransactionReceipt = async (filter) => {
+  try {
+    const stored = await transactionsCollection.findOne(filter);
+    if (stored) await issueReceipt(stored);
+  } catch (error) {
+    console.error('Issue receipt error:', error);
+  }
+};
+
+// Record a transaction for a payment intent, promoting an earlier failed attempt to success
+const recordTransaction = async (transaction) => {
+  if (!transactionsCollection) return;
+
+  const filter = { paymentIntentId: transaction.paymentIntentId, type: transaction.type };
+  const inserted = await upsertOnce(transactionsCollection, filter, transaction);
+
+  if (!inserted && transaction.status === 'success') {
+    await transactionsCollection.updateOne(
+      { ...filter, status: { $in: ['pending', 'failed'] } },
+      { $set: { status: 'success', updatedAt: new Date() }, $unset: { failureMessage: '' } }
+    );
+  }
+
+  await recordLedgerEntry(transaction);
+  if (transaction.status === 'success') {
+    await issueTransactionReceipt(filter);
+  }
+};
+
+// Record a Stripe refund as a negative 'refund' transaction so revenue totals net it out.
+// Keyed by refund id, so the cancel flow and the charge.refunded webhook can both call it.
+// The platform gives back its fee in proportion to the refund; the rest comes out of the club's ledger.
+const recordRefundTransaction = async (refund, originalTransaction, description) => {
+  if (!transactionsCollection) return;
+
+  const { platformFee } = splitRefund(refund.amount, originalTransaction);
+  const transaction = {
+    userId: originalTransaction.userId,
+    ...(originalTransaction.eventId ? { eventId: originalTransaction.eventId } : {}),
+    ...(originalTransaction.clubId ? { clubId: originalTransaction.clubId } : {}),
+    type: 'refund',
+    description: description || `Refund - ${originalTransaction.description || 'Payment'}`,
+    amount: -refund.amount, // Negative so it subtracts from revenue
+    platformFee: -platformFee,
+    currency: getCurrency(originalTransaction),
+    status: 'success',
+    paymentIntentId: originalTransaction.paymentIntentId,
+    refundId: refund.id,
+    refundedTransactionId: originalTransaction._id,
+    invoiceId: refund.id,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  await upsertOnce(transactionsCollection, { refundId: refund.id }, transaction);
+  await recordLedgerEntry(transaction);
+  await issueTransactionReceipt({ refundId: refund.id });
+};
+
+// Refund a paid event registration according to the event's refund policy.
+// Returns { refundPercent, refundAmount } with the amount in minor units. Does not
+// change the registration status; the caller cancels it once this succeeds.
+const refundEventRegistration = async (registration, event) => {
+  if (registration.paymentStatus !== 'paid' || !registration.paymentIntentId) {
+    return { refundPercent: 0, refundAmount: 0 };
+  }
+
+  const refundPercent = calculateRefundPercent(event);
+  const originalTransaction = await transactionsCollection.findOne({
+    paymentIntentId: registration.paymentIntentId,
+    type: 'event'
+  });
+  const paidAmount = originalTransaction ? originalTransaction.amount : registration.amount || 0;
+  const refundAmount = Math.round(paidAmount * refundPercent / 100);
+
+  if (refundAmount <= 0) {
+    return { refundPercent, refundAmount: 0 };
+  }
+
+  if (!stripe) {
+    initializeStripe();
+    if (!stripe) {
+      throw new Error('Payment service not available');
+    }
+  }
+
+  // The idempotency key makes a retried cancellation reuse the first refund
+  const refund = await stripe.refunds.create({
+    payment_intent: registration.paymentIntentId,
+    amount: refundAmount,
+    metadata: {
+      registrationId: registration._id.toString(),
+      eventId: registration.eventId,
+      userId: registration.userId,
+      reason: 'event_cancellation'
+    }
+  }, {
+    idempotencyKey: `registration-refund-${registration._id.toString()}`
+  });
+
+  if (originalTransaction) {
+    await recordRefundTransaction(refund, originalTransaction, `Refund - Event Registration - ${event.name || 'Event'}`);
+    await transactionsCollection.updateOne(
+      { _id: originalTransaction._id },
+      { $inc: { refundedAmount: refund.amount }, $set: { updatedAt: new Date() } }
+    );
+  }
+
+  return { refundPercent, refundAmount: refund.amount, refundId: refund.id };
+};
+
+// Cancel the open payment intent of a checkout hold or waitlist offer being cancelled, so the
+// member can no longer pay for it. A payment already in flight is still handled by
+// fulfillEventPayment, which seats it again or refunds it.
+const cancelRegistrationPayment = async (registration) => {
+  if (!['held', 'offered'].includes(registration.status) || !registration.paymentIntentId) return;
+
+  if (!stripe) {
+    initializeStripe();
+    if (!stripe) {
+      throw new Error('Payment service not available');
+    }
+  }
+
+  try {
+    await stripe.paymentIntents.cancel(registration.paymentIntentId);
+  } catch (error) {
+    // Already cancelled, or it succeeded meanwhile
+    if (error.code !== 'payment_intent_unexpected_state') throw error;
+  }
+};
+
+// Cancel every registration of an event the club cancelled, refunding paid ones in full.
+// A registration whose refund fails is left as it is, so the member can still cancel it
+// for a full refund. Returns { cancelled, refunded, refundFailed }.
+const cancelEventRegistrations = async (event) => {
+  const registrations = await registrationsCollection.find({
+    eventId: event._id.toString(),
+    status: { $nin: ['cancelled', 'expired'] }
+  }).toArray();
+
+  let cancelled = 0;
+  let refunded = 0;
+  let refundFailed = 0;
+  for (const registration of registrations) {
+    let refund = { refundPercent: 0, refundAmount: 0 };
+    if (registration.paymentStatus === 'paid') {
+      try {
+        refund = await refundEventRegistration(registration, event);
+      } catch (error) {
+        console.error('Refund registration error:', error);
+        refundFailed++;
+        continue;
+      }
+    }
+
+    // A payment that goes through anyway is refunded, as the event is cancelled
+    try {
+      await cancelRegistrationPayment(registration);
+    } catch (error) {
+      console.error('Cancel registration payment error:', error);
+    }
+
+    const now = new Date();
+    const update = { status: 'cancelled', cancellationReason: 'event_cancelled', cancelledAt: now, updatedAt: now };
+    if (refund.refundAmount > 0) {
+      update.paymentStatus = 'refunded';
+      update.refundAmount = refund.refundAmount;
+      update.refundId = refund.refundId;
+      refunded++;
+    }
+
+    // Conditional on the status we read, so each seat is released once
+    const result = await registrationsCollection.updateOne(
+      { _id: registration._id, status: registration.status },
+      { $set: update }
+    );
+    if (result.modifiedCount > 0) {
+      cancelled++;
+      if (holdsSeat(registration)) {
+        await releaseSeat(registration.eventId, registration.ticketTypeId);
+      }
+    }
+  }
+
+  return { cancelled, refunded, refundFailed };
+};
+
+// Create the registration and transaction for a succeeded event payment intent.
+// Safe to call more than once for the same payment intent.
+const fulfillEventPayment = async (paymentIntent) => {
+  const { eventId, userId } = paymentIntent.metadata;
+
+  let event;
+  if (ObjectId.isValid(eventId)) {
+    event = await eventsCollection.findOne({ _id: new ObjectId(eventId) });
+  } else {
+    event = await eventsCollection.findOne({ _id: eventId });
+  }
+
+  if (!event) {
+    throw new Error(`Event ${eventId} not found for payment intent ${paymentIntent.id}`);
+  }
+
+  const now = new Date();
+  const registration = {
+    userId,
+    eventId: eventId.toString(),
+    status: 'registered',
+    paymentStatus: 'paid',
+    paymentIntentId: paymentIntent.id,
+    amount: toMinorUnits(paymentIntent.metadata.totalAmount),
+    eventFee: toMinorUnits(paymentIntent.metadata.eventFee),
+    serviceFee: toMinorUnits(paymentIntent.metadata.serviceFee),
+    currency: fromStripeCurrency(paymentIntent.currency),
+    ticketTypeId: paymentIntent.metadata.ticketTypeId || null,
+    ticketTypeName: paymentIntent.metadata.ticketTypeName || null,
+    registrationDate: now,
+    createdAt: now,
+    updatedAt: now
+  };
+  const { createdAt, ...paidFields } = registration;
+
+  await recordTransaction({
+    userId: userId.toString(),
+    eventId: eventId.toString(),
+    type: 'event',
+    description: `Event Registration - ${event.name || 'Event'}`,
+    amount: registration.amount,
+    platformFee: getPlatformFeeCents(paymentIntent.metadata),
+    ...getDiscountFields(paymentIntent.metadata),
+    currency: registration.currency,
+    status: 'success',
+    paymentIntentId: paymentIntent.id,
+    invoiceId: paymentIntent.id,
+    createdAt: now,
+    updatedAt: now
+  });
+  await recordCouponRedemption(paymentIntent, {
+    type: 'event',
+    clubId: event.clubId ? event.clubId.toString() : null
+  });
+
+  // The checkout hold or waitlist offer for this payment intent already holds the seat
+  const seated = await registrationsCollection.findOneAndUpdate(
+    { paymentIntentId: paymentIntent.id, status: { $in: ['held', 'offered'] } },
+    { $set: paidFields, $unset: { holdExpiresAt: '', offerExpiresAt: '' } }
+  );
+
+  if (!seated) {
+    const existing = await registrationsCollection.findOne({ paymentIntentId: paymentIntent.id });
+
+    // The hold lapsed, or was cancelled while its payment was in flight, before the payment went
+    // through: take a seat now if one is left. Payments for cancelled events are always refunded.
+    const unpaidCancel = existing && existing.status === 'cancelled' && existing.paymentStatus === 'pending';
+    if (!existing || existing.status === 'expired' || unpaidCancel) {
+      if (event.status !== 'cancelled' && await reserveSeat(event, registration.ticketTypeId)) {
+        const stored = existing
+          ? (await registrationsCollection.updateOne(
+              { _id: existing._id, status: existing.status, paymentStatus: existing.paymentStatus },
+              { $set: paidFields, $unset: { cancelledAt: '', cancellationReason: '' } }
+            )).modifiedCount > 0
+          : await upsertOnce(registrationsCollection, { paymentIntentId: paymentIntent.id }, registration);
+
+        // A concurrent confirm/webhook call already seated this payment
+        if (!stored) {
+          await releaseSeat(event._id, registration.ticketTypeId);
+        }
+      } else {
+        await refundUnseatedPayment(
+          paymentIntent, event, registration, existing,
+          event.status === 'cancelled' ? 'event_cancelled' : 'event_full'
+        );
+      }
+    }
+  }
+
+  return registrationsCollection.findOne({ paymentIntentId: paymentIntent.id });
+};
+
+// Refund a payment that arrived after its seat hold lapsed and the event filled up,
+// or after the event was cancelled
+const refundUnseatedPayment = async (paymentIntent, event, registration, existing, reason = 'event_full') => {
+  if (!stripe) {
+    initializeStripe();
+    if (!stripe) {
+      throw new Error('Payment service not available');
+    }
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntent.id,
+    metadata: {
+      eventId: registration.eventId,
+      userId: registration.userId,
+      reason
+    }
+  }, {
+    idempotencyKey: `event-full-refund-${paymentIntent.id}`
+  });
+
+  const originalTransaction = await transactionsCollection.findOne({ paymentIntentId: paymentIntent.id, type: 'event' });
+  if (originalTransaction) {
+    const label = reason === 'event_cancelled' ? 'Event Cancelled' : 'Event Full';
+    await recordRefundTransaction(refund, originalTransaction, `Refund - ${label} - ${event.name || 'Event'}`);
+    await transactionsCollection.updateOne(
+      { _id: originalTransaction._id },
+      { $set: { refundedAmount: refund.amount, updatedAt: new Date() } }
+    );
+  }
+
+  const cancelled = {
+    status: 'cancelled',
+    paymentStatus: 'refunded',
+    cancellationReason: reason,
+    refundAmount: refund.amount,
+    refundId: refund.id,
+    cancelledAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  if (existing) {
+    await registrationsCollection.updateOne({ _id: existing._id }, { $set: cancelled });
+  } else {
+    await upsertOnce(registrationsCollection, { paymentIntentId: paymentIntent.id }, { ...registration, ...cancelled });
+  }
+};
+
+// Create the membership and transaction for a succeeded club payment intent.
+// Safe to call more than once for the same payment intent.
+const fulfillClubPayment = async (paymentIntent) => {
+  const { clubId, userId } = paymentIntent.metadata;
+
+  let club;
+  if (ObjectId.isValid(clubId)) {
+    club = await clubsCollection.findOne({ _id: new ObjectId(clubId) });
+  } else {
+    club = await clubsCollection.findOne({ _id: clubId });
+  }
+
+  if (!club) {
+    throw new Error(`Club ${clubId} not found for payment intent ${paymentIntent.id}`);
+  }
+
+  // Calculate expiry date (1 month from now)
+  const joinDate = new Date();
+  const expiryDate = new Date();
+  expiryDate.setMonth(expiryDate.getMonth() + 1);
+
+  // An approved application already has a membership document, created when the member applied
+  const application = await membershipsCollection.findOneAndUpdate(
+    { paymentIntentId: paymentIntent.id, status: 'pending' },
+    { $set: { status: 'active', paymentStatus: 'paid', joinDate, expiryDate, updatedAt: new Date() } }
+  );
+
+  const membership = {
+    userId,
+    clubId: clubId.toString(),
+    status: 'active',
+    paymentStatus: 'paid',
+    paymentIntentId: paymentIntent.id,
+    amount: toMinorUnits(paymentIntent.metadata.totalAmount),
+    membershipFee: toMinorUnits(paymentIntent.metadata.membershipFee),
+    serviceFee: toMinorUnits(paymentIntent.metadata.serviceFee),
+    currency: fromStripeCurrency(paymentIntent.currency),
+    ...(paymentIntent.metadata.inviteId ? { inviteId: paymentIntent.metadata.inviteId } : {}),
+    joinDate: joinDate,
+    expiryDate: expiryDate,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+
+  const inserted = application
+    ? true
+    : await upsertOnce(membershipsCollection, { paymentIntentId: paymentIntent.id }, membership);
+
+  // A paid join takes its invite use now, and is cancelled and refunded below when others used
+  // the invite up while the member paid. Approved applications took theirs on approval.
+  let inviteUsedUp = false;
+  if (inserted && !application && !(await claimInviteUseById(paymentIntent.metadata.inviteId))) {
+    inviteUsedUp = true;
+    await membershipsCollection.updateOne(
+      { paymentIntentId: paymentIntent.id },
+      { $set: { status: 'cancelled', cancellationReason: 'invite_used_up', cancelledAt: new Date(), updatedAt: new Date() } }
+    );
+  }
+
+  // Only count the member once, whichever caller created or activated the membership
+  if (inserted && !inviteUsedUp) {
+    await clubsCollection.updateOne(
+      { _id: club._id },
+      { $inc: { memberCount: 1 } }
+    );
+  }
+
+  await recordTransaction({
+    userId: userId.toString(),
+    clubId: clubId.toString(),
+    type: 'membership',
+    description: `Club Membership - ${club.name || 'Club'}`,
+    amount: membership.amount,
+    platformFee: getPlatformFeeCents(paymentIntent.metadata),
+    ...getDiscountFields(paymentIntent.metadata),
+    currency: membership.currency,
+    status: 'success',
+    paymentIntentId: paymentIntent.id,
+    invoiceId: paymentIntent.id,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+  await recordCouponRedemption(paymentIntent, { type: 'membership', clubId: clubId.toString() });
+
+  // Checked on every call, so a refund that failed is retried with the webhook
+  const stored = await membershipsCollection.findOne({ paymentIntentId: paymentIntent.id });
+  if (stored && stored.cancellationReason === 'invite_used_up' && stored.paymentStatus === 'paid') {
+    await refundInviteUsedUp(paymentIntent, club, stored);
+  }
+
+  return membershipsCollection.findOne({ paymentIntentId: paymentIntent.id });
+};
+
+// Refund a paid join whose invite was used up by others before the payment succeeded
+const refundInviteUsedUp = async (paymentIntent, club, membership) => {
+  if (!stripe) {
+    initializeStripe();
+    if (!stripe) {
+      throw new Error('Payment service not available');
+    }
+  }
+
+  const refund = await stripe.refunds.create({
+    payment_intent: paymentIntent.id,
+    metadata: {
+      clubId: membership.clubId,
+      userId: membership.userId,
+      reason: 'invite_used_up'
+    }
+  }, {
+    idempotencyKey: `invite-used-up-refund-${paymentIntent.id}`
+  });
+
+  const originalTransaction = await transactionsCollection.findOne({ paymentIntentId: paymentIntent.id, type: 'membership' });
+  if (originalTransaction) {
+    await recordRefundTransaction(refund, originalTransaction, `Refund - Invite Used Up - ${club.name || 'Club'}`);
+    await transactionsCollection.updateOne(
+      { _id: originalTransaction._id },
+      { $set: { refundedAmount: refund.amount, updatedAt: new Date() } }
+    );
+  }
+
+  await membershipsCollection.updateOne(
+    { _id: membership._id },
+    { $set: { paymentStatus: 'refunded', refundAmount: refund.amount, refundId: refund.id, updatedAt: new Date() } }
+  );
+};
+
+// Mark the donation of a succeeded payment intent paid and record its transaction.
+// Donations carry no platform fee, so the club is credited the whole amount.
+// Safe to call more than once for the same payment intent.
+const fulfillDonationPayment = async (paymentIntent) => {
+  const donation = await markDonationPaid(paymentIntent.id);
+  if (!donation) {
+    throw new Error(`Donation not found for payment intent ${paymentIntent.id}`);
+  }
+
+  await recordTransaction({
+    userId: donation.userId,
+    clubId: donation.clubId,
+    type: 'donation',
+    description: `Donation - ${paymentIntent.metadata.clubName || 'Club'}`,
+    amount: donation.amount,
+    platformFee: 0,
+    currency: fromStripeCurrency(paymentIntent.currency),
+    // Visitors have no account, so their transactions keep who they are
+    ...(donation.userId ? {} : { userName: donation.donorName || '', userEmail: donation.donorEmail || '' }),
+    donationId: donation._id.toString(),
+    status: 'success',
+    paymentIntentId: paymentIntent.id,
+    invoiceId: paymentIntent.id,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+
+  return donation;
+};
+
+// ==================== MEMBERSHIP APPLICATIONS ====================
+// Clubs with requiresApproval turn joins into applications. Paid applications
+// authorize the card (capture_method: 'manual') and stay 'incomplete' until the
+// authorization succeeds, then 'pending' until a manager approves or rejects them.
+// Approval captures the payment; rejection cancels the authorization.
+
+const getClubFilterId = (clubId) => (ObjectId.isValid(clubId) ? new ObjectId(clubId) : clubId);
+
+// Submit the application of an authorized club payment intent for review.
+// Safe to call more than once for the same payment intent.
+const submitMembershipApplication = async (paymentIntent) => {
+  await membershipsCollection.updateOne(
+    { paymentIntentId: paymentIntent.id, status: 'incomplete' },
+    { $set: { status: 'pending', paymentStatus: 'authorized', appliedAt: new Date(), updatedAt: new Date() } }
+  );
+  return membershipsCollection.findOne({ paymentIntentId: paymentIntent.id });
+};
+
+// Take the use of the invite an application came through, once however often its approval is
+// retried. Returns false when the invite has been used up.
+const claimApplicationInvite = async (application) => {
+  if (!application.inviteId) return true;
+
+  const marked = await membershipsCollection.updateOne(
+    { _id: application._id, status: 'pending', inviteClaimedAt: null },
+    { $set: { inviteClaimedAt: new Date() } }
+  );
+  // An earlier attempt already took it, or the application is no longer pending
+  if (marked.modifiedCount === 0) return true;
+
+  if (await claimInviteUseById(application.inviteId)) return true;
+  await membershipsCollection.updateOne({ _id: application._id }, { $unset: { inviteClaimedAt: '' } });
+  return false;
+};
+
+// Give back the invite use of an application whose approval did not go through
+const releaseApplicationInvite = async (application) => {
+  if (!application.inviteId) return;
+
+  const unmarked = await membershipsCollection.updateOne(
+    { _id: application._id, inviteClaimedAt: { $ne: null } },
+    { $unset: { inviteClaimedAt: '' } }
+  );
+  if (unmarked.modifiedCount > 0) {
+    await releaseInviteUse(application.inviteId);
+  }
+};
+
+const INVITE_USED_UP_REASON = 'The invite used for this application has been used up';
+
+// Approve a pending application, capturing its payment if it has one. An application whose
+// invite was used up meanwhile is rejected instead.
+// Returns { membership } or { error } with a message for a 409 response.
+const approveMembershipApplication = async (application, approvedBy) => {
+  const approval = { approvedAt: new Date(), approvedBy };
+
+  if (!application.paymentIntentId) {
+    if (!(await claimApplicationInvite(application))) {
+      await rejectMembershipApplication(application, approvedBy, INVITE_USED_UP_REASON);
+      return { error: `${INVITE_USED_UP_REASON}, so it was rejected` };
+    }
+
+    const membership = await membershipsCollection.findOneAndUpdate(
+      { _id: application._id, status: 'pending' },
+      { $set: { status: 'active', joinDate: new Date(), ...approval, updatedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!membership) {
+      return { error: 'Application is no longer pending' };
+    }
+
+    await clubsCollection.updateOne(
+      { _id: getClubFilterId(application.clubId) },
+      { $inc: { memberCount: 1 } }
+    );
+    return { membership };
+  }
+
+  if (!stripe) {
+    initializeStripe();
+    if (!stripe) {
+      throw new Error('Payment service not available');
+    }
+  }
+
+  let paymentIntent = await stripe.paymentIntents.retrieve(application.paymentIntentId);
+  if (paymentIntent.status === 'requires_capture') {
+    // Take the invite use before charging, so a used-up invite releases the authorization instead
+    if (!(await claimApplicationInvite(application))) {
+      await rejectMembershipApplication(application, approvedBy, INVITE_USED_UP_REASON);
+      return { error: `${INVITE_USED_UP_REASON}, so it was rejected and the card authorization released` };
+    }
+
+    // The idempotency key makes a retried approval reuse the first capture
+    try {
+      paymentIntent = await stripe.paymentIntents.capture(application.paymentIntentId, {}, {
+        idempotencyKey: `membership-capture-${application._id.toString()}`
+      });
+    } catch (error) {
+      await releaseApplicationInvite(application);
+      throw error;
+    }
+  }
+
+  if (paymentIntent.status !== 'succeeded') {
+    await releaseApplicationInvite(application);
+    return { error: 'The applicant\'s card authorization is no longer valid' };
+  }
+
+  await fulfillClubPayment(paymentIntent);
+  const membership = await membershipsCollection.findOneAndUpdate(
+    { _id: application._id, status: 'active' },
+    { $set: approval },
+    { returnDocument: 'after' }
+  );
+  return membership ? { membership } : { error: 'Application is no longer pending' };
+};
+
+// Reject a pending application, releasing its card authorization if it has one.
+// Returns { membership } or { error } with a message for a 409 response.
+const rejectMembershipApplication = async (application, rejectedBy, reason) => {
+  if (application.paymentIntentId) {
+    if (!stripe) {
+      initializeStripe();
+      if (!stripe) {
+        throw new Error('Payment service not available');
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(application.paymentIntentId);
+    if (paymentIntent.status === 'succeeded') {
+      return { error: 'Payment has already been captured for this application' };
+    }
+    if (paymentIntent.status !== 'canceled') {
+      await stripe.paymentIntents.cancel(application.paymentIntentId);
+    }
+  }
+
+  // The payment_intent.canceled webhook may have marked the application expired already
+  const membership = await membershipsCollection.findOneAndUpdate(
+    { _id: application._id, status: { $in: ['pending', 'expired'] } },
+    {
+      $set: {
+        status: 'rejected',
+        ...(application.paymentIntentId ? { paymentStatus: 'released' } : {}),
+        rejectedAt: new Date(),
+        rejectedBy,
+        rejectionReason: reason || null,
+        updatedAt: new Date()
+      }
+    },
+    { returnDocument: 'after' }
+  );
+  return membership ? { membership } : { error: 'Application is no longer pending' };
 };
 
 // Create payment intent
@@ -90,6 +814,10 @@ router.post('/create-intent', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Event is cancelled' });
     }
 
+    if (event.status === 'archived') {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
     // Check if user already registered
     const existingRegistration = await registrationsCollection.findOne({
       userId,
@@ -101,64 +829,132 @@ router.post('/create-intent', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'You are already registered for this event' });
     }
 
-    // Check event capacity
-    if (event.maxAttendees) {
-      const currentAttendees = await registrationsCollection.countDocuments({
-        eventId: eventId.toString(),
-        status: 'registered'
-      });
+    // A waitlist offer or an earlier checkout may already hold a seat for this user
+    const now = new Date();
+    const seatHolder = await registrationsCollection.findOne({
+      userId,
+      eventId: eventId.toString(),
+      $or: [
+        { status: 'offered', offerExpiresAt: { $gt: now } },
+        { status: 'held', holdExpiresAt: { $gt: now } }
+      ]
+    });
 
-      if (currentAttendees >= event.maxAttendees) {
-        return res.status(400).json({ error: 'Event is full' });
+    // A held seat keeps the ticket type it was taken with
+    let ticketType;
+    if (seatHolder) {
+      ticketType = getTicketType(event, seatHolder.ticketTypeId);
+    } else {
+      const resolved = resolveTicketType(event, req.body.ticketTypeId, now);
+      if (resolved.error) {
+        return res.status(400).json({ error: resolved.error });
       }
+      ticketType = resolved.ticketType;
+    }
+
+    const ticketPrice = getTicketPrice(event, ticketType);
+
+    if (ticketPrice <= 0) {
+      return res.status(400).json({ error: 'Ticket is free, use direct registration' });
     }
 
-    // Calculate fees
-    let eventFee = 0;
-    if (event.fee !== undefined) {
-      eventFee = event.fee;
-    } else if (event.price !== undefined) {
-      eventFee = event.price / 100; // Convert from cents
-    } else if (event.type === 'Paid' && event.amount) {
-      eventFee = event.amount;
+    const currency = getCurrency(event);
+    const { coupon, error: couponError } = await findRedeemableCoupon({
+      code: req.body.couponCode,
+      userId,
+      purchase: {
+        type: 'event',
+        clubId: event.clubId ? event.clubId.toString() : null,
+        eventId: eventId.toString(),
+        currency
+      }
+    });
+    if (couponError) {
+      return res.status(400).json({ error: couponError });
     }
 
+    const { grossAmount, discountAmount, totalAmount: eventFee } = priceWithCoupon(ticketPrice, coupon);
     if (eventFee <= 0) {
-      return res.status(400).json({ error: 'Event is free, use direct registration' });
+      return res.status(400).json({ error: 'This coupon cannot be used for this ticket' });
     }
 
-    const serviceFee = 0;
-    const totalAmount = eventFee;
+    const ticketTypeId = ticketType ? ticketType.id : null;
+    const { serviceFee, error: feeError } = await calculateServiceFee(eventFee, event.clubId, currency);
+    if (feeError) {
+      return res.status(400).json({ error: feeError });
+    }
+    const totalAmount = Math.round((eventFee + serviceFee) * 100) / 100;
 
-    // Convert to smallest currency unit (BDT uses poisha, but Stripe uses smallest unit)
-    // For BDT, 1 BDT = 100 poisha, but Stripe expects amount in smallest unit
-    // Since BDT doesn't have decimal places in practice, we'll use the amount directly
-    // Note: Stripe BDT support may vary, using USD for now with conversion
-    // For test mode, we'll use USD cents
-    const amountInCents = Math.round(totalAmount * 100); // Convert to cents
+    // Otherwise hold a seat while the member pays
+    if (!seatHolder && !(await reserveSeat(event, ticketTypeId))) {
+      return res.status(400).json({ error: ticketType && isSoldOut(ticketType) ? `${ticketType.name} tickets are sold out` : 'Event is full', waitlistAvailable: true });
+    }
 
-    // Create payment intent with Stripe
-    // Note: Stripe test mode with BDT may not work, so we'll use USD for testing
-    // In production, you may need to handle BDT differently
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: 'usd', // Using USD for test mode, can be changed to 'bdt' in production
-      metadata: {
+    // Charged in the club's currency, in its minor unit
+    let paymentIntent;
+    try {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount: toMinorUnits(totalAmount),
+        currency: toStripeCurrency(currency),
+        metadata: {
+          eventId: eventId.toString(),
+          userId: userId,
+          eventFee: eventFee.toString(),
+          serviceFee: serviceFee.toString(),
+          totalAmount: totalAmount.toString(),
+          grossAmount: grossAmount.toString(),
+          ticketTypeId: ticketTypeId || '',
+          ticketTypeName: ticketType ? ticketType.name : '',
+          ...getCouponMetadata(coupon)
+        },
+        description: `Event Registration: ${event.name || 'Event'}${ticketType ? ` (${ticketType.name})` : ''}`
+      });
+    } catch (error) {
+      if (!seatHolder) {
+        await releaseSeat(event._id, ticketTypeId);
+      }
+      throw error;
+    }
+
+    let holdExpiresAt;
+    if (seatHolder) {
+      // Keep the existing hold and its expiry, paid through the new payment intent
+      await registrationsCollection.updateOne(
+        { _id: seatHolder._id, status: seatHolder.status },
+        { $set: { paymentIntentId: paymentIntent.id, updatedAt: new Date() } }
+      );
+      holdExpiresAt = seatHolder.holdExpiresAt || seatHolder.offerExpiresAt;
+    } else {
+      // The release-seat-holds job frees the seat if the payment does not finish in time
+      holdExpiresAt = new Date(now.getTime() + SEAT_HOLD_MINUTES * 60 * 1000);
+      await registrationsCollection.insertOne({
+        userId,
         eventId: eventId.toString(),
-        userId: userId,
-        eventFee: eventFee.toString(),
-        serviceFee: serviceFee.toString(),
-        totalAmount: totalAmount.toString()
-      },
-      description: `Event Registration: ${event.name || 'Event'}`
-    });
+        status: 'held',
+        paymentStatus: 'pending',
+        paymentIntentId: paymentIntent.id,
+        amount: toMinorUnits(totalAmount),
+        eventFee: toMinorUnits(eventFee),
+        serviceFee: toMinorUnits(serviceFee),
+        currency,
+        ticketTypeId,
+        ticketTypeName: ticketType ? ticketType.name : null,
+        holdExpiresAt,
+        createdAt: now,
+        updatedAt: now
+      });
+    }
 
     res.json({
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
       amount: totalAmount,
       eventFee,
-      serviceFee
+      serviceFee,
+      currency,
+      ...(coupon ? { couponCode: coupon.code, couponDiscount: discountAmount } : {}),
+      ticketTypeId,
+      holdExpiresAt
     });
   } catch (error) {
     console.error('Create payment intent error:', error);
@@ -196,11 +992,12 @@ router.post('/confirm', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Payment intent mismatch' });
     }
 
-    // Check if registration already exists
+    // Check if the user already registered with a different payment
     const existingRegistration = await registrationsCollection.findOne({
       userId,
       eventId: eventId.toString(),
-      status: 'registered'
+      status: 'registered',
+      paymentIntentId: { $ne: paymentIntentId }
     });
 
     if (existingRegistration) {
@@ -210,59 +1007,23 @@ router.post('/confirm', verifyToken, async (req, res) => {
       });
     }
 
-    // Get event details
-    let event;
-    if (ObjectId.isValid(eventId)) {
-      event = await eventsCollection.findOne({ _id: new ObjectId(eventId) });
-    } else {
-      event = await eventsCollection.findOne({ _id: eventId });
-    }
-
-    if (!event) {
-      return res.status(404).json({ error: 'Event not found' });
-    }
-
-    // Create registration
-    const registration = {
-      userId,
-      eventId: eventId.toString(),
-      status: 'registered',
-      paymentStatus: 'paid',
-      paymentIntentId,
-      amount: parseFloat(paymentIntent.metadata.totalAmount),
-      eventFee: parseFloat(paymentIntent.metadata.eventFee),
-      serviceFee: parseFloat(paymentIntent.metadata.serviceFee),
-      currency: 'bdt',
-      registrationDate: new Date(),
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-
-    const result = await registrationsCollection.insertOne(registration);
-
-    // Create transaction record
-    if (transactionsCollection) {
-      // Ensure userId is stored as string for consistency
-      const userIdStr = typeof userId === 'string' ? userId : userId.toString();
-      const transaction = {
-        userId: userIdStr,
-        eventId: eventId.toString(),
-        type: 'event',
-        description: `Event Registration - ${event.name || 'Event'}`,
-        amount: Math.round(parseFloat(paymentIntent.metadata.totalAmount) * 100), // Store in cents
-        currency: 'bdt',
-        status: 'success',
-        paymentIntentId,
-        invoiceId: paymentIntent.id,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      await transactionsCollection.insertOne(transaction);
+    // Safe to repeat when the webhook already recorded this payment
+    const registration = await fulfillEventPayment(paymentIntent);
+
+    if (registration.status !== 'registered') {
+      return res.status(409).json({
+        error: registration.cancellationReason === 'event_full'
+          ? 'Event filled up before the payment finished, your payment has been refunded'
+          : registration.cancellationReason === 'event_cancelled'
+            ? 'Event was cancelled, your payment has been refunded'
+            : 'Registration is no longer active',
+        registrationId: registration._id.toString()
+      });
     }
 
     res.json({
       success: true,
-      registrationId: result.insertedId.toString(),
+      registrationId: registration._id.toString(),
       message: 'Registration successful'
     });
   } catch (error) {
@@ -287,8 +1048,8 @@ router.get('/intent/:intentId', verifyToken, async (req, res) => {
 
     res.json({
       status: paymentIntent.status,
-      amount: paymentIntent.amount / 100, // Convert from cents
-      currency: paymentIntent.currency,
+      amount: fromMinorUnits(paymentIntent.amount),
+      currency: fromStripeCurrency(paymentIntent.currency),
       metadata: paymentIntent.metadata
     });
   } catch (error) {
@@ -324,18 +1085,19 @@ router.post('/register-free', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Event is cancelled' });
     }
 
-    // Check if event is free
-    let eventFee = 0;
-    if (event.fee !== undefined) {
-      eventFee = event.fee;
-    } else if (event.price !== undefined) {
-      eventFee = event.price / 100;
-    } else if (event.type === 'Paid' && event.amount) {
-      eventFee = event.amount;
+    if (event.status === 'archived') {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    const { ticketType, error: ticketTypeError } = resolveTicketType(event, req.body.ticketTypeId);
+    if (ticketTypeError) {
+      return res.status(400).json({ error: ticketTypeError });
     }
+    const ticketTypeId = ticketType ? ticketType.id : null;
 
-    if (eventFee > 0) {
-      return res.status(400).json({ error: 'Event is not free, use payment flow' });
+    // Check if ticket is free
+    if (getTicketPrice(event, ticketType) > 0) {
+      return res.status(400).json({ error: 'Ticket is not free, use payment flow' });
     }
 
     // Check if user already registered
@@ -349,16 +1111,9 @@ router.post('/register-free', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'You are already registered for this event' });
     }
 
-    // Check event capacity
-    if (event.maxAttendees) {
-      const currentAttendees = await registrationsCollection.countDocuments({
-        eventId: eventId.toString(),
-        status: 'registered'
-      });
-
-      if (currentAttendees >= event.maxAttendees) {
-        return res.status(400).json({ error: 'Event is full' });
-      }
+    // Take a seat before registering so concurrent requests cannot overfill the event
+    if (!(await reserveSeat(event, ticketTypeId))) {
+      return res.status(400).json({ error: ticketType && isSoldOut(ticketType) ? `${ticketType.name} tickets are sold out` : 'Event is full', waitlistAvailable: true });
     }
 
     // Create registration
@@ -370,13 +1125,21 @@ router.post('/register-free', verifyToken, async (req, res) => {
       amount: 0,
       eventFee: 0,
       serviceFee: 0,
-      currency: 'bdt',
+      currency: getCurrency(event),
+      ticketTypeId,
+      ticketTypeName: ticketType ? ticketType.name : null,
       registrationDate: new Date(),
       createdAt: new Date(),
       updatedAt: new Date()
     };
 
-    const result = await registrationsCollection.insertOne(registration);
+    let result;
+    try {
+      result = await registrationsCollection.insertOne(registration);
+    } catch (error) {
+      await releaseSeat(event._id, ticketTypeId);
+      throw error;
+    }
 
     res.json({
       success: true,
@@ -389,18 +1152,114 @@ router.post('/register-free', verifyToken, async (req, res) => {
   }
 });
 
-// ==================== CLUB MEMBERSHIP PAYMENT ====================
+// ==================== EVENT WAITLIST ====================
 
-// Create payment intent for club membership
-router.post('/club/create-intent', verifyToken, async (req, res) => {
+// Join the waitlist for a full event
+router.post('/waitlist/join', verifyToken, async (req, res) => {
   try {
-    // Check if collections are initialized
-    if (!clubsCollection || !membershipsCollection) {
-      console.error('Collections not initialized');
-      return res.status(500).json({ error: 'Server configuration error' });
+    const { eventId } = req.body;
+    const userId = req.user.userId;
+
+    if (!eventId) {
+      return res.status(400).json({ error: 'Event ID is required' });
     }
 
-    // Check if Stripe is configured
+    // Get event details
+    let event;
+    if (ObjectId.isValid(eventId)) {
+      event = await eventsCollection.findOne({ _id: new ObjectId(eventId) });
+    } else {
+      event = await eventsCollection.findOne({ _id: eventId });
+    }
+
+    if (!event) {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event.status === 'cancelled') {
+      return res.status(400).json({ error: 'Event is cancelled' });
+    }
+
+    if (event.status === 'archived') {
+      return res.status(404).json({ error: 'Event not found' });
+    }
+
+    if (event.date && new Date(event.date) < new Date()) {
+      return res.status(400).json({ error: 'Event has already taken place' });
+    }
+
+    // Check if user already registered, waitlisted or holding an offer
+    const existingRegistration = await registrationsCollection.findOne({
+      userId,
+      eventId: eventId.toString(),
+      status: { $in: ['registered', 'waitlisted', 'offered', 'held'] }
+    });
+
+    if (existingRegistration) {
+      const messages = {
+        registered: 'You are already registered for this event',
+        waitlisted: 'You are already on the waitlist for this event',
+        offered: 'A seat is already being held for you, complete the payment to register',
+        held: 'A seat is already being held for you, complete the payment to register'
+      };
+      return res.status(400).json({ error: messages[existingRegistration.status] });
+    }
+
+    // Members queue for a ticket type when the event has them
+    const ticketTypeId = req.body.ticketTypeId || null;
+    const ticketType = ticketTypeId ? getTicketType(event, ticketTypeId) : null;
+    if (ticketTypeId && !ticketType) {
+      return res.status(400).json({ error: 'Ticket type not found' });
+    }
+
+    // Only full events or sold out ticket types have a waitlist
+    const seatsAvailable = await getSeatsAvailable(event);
+    const eventFull = seatsAvailable !== null && seatsAvailable === 0;
+    if (!eventFull && !(ticketType && isSoldOut(ticketType))) {
+      return res.status(400).json({ error: 'Tickets are still available, register directly' });
+    }
+
+    const now = new Date();
+    const registration = {
+      userId,
+      eventId: eventId.toString(),
+      status: 'waitlisted',
+      paymentStatus: 'pending',
+      ticketTypeId,
+      ticketTypeName: ticketType ? ticketType.name : null,
+      waitlistedAt: now,
+      registrationDate: now,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await registrationsCollection.insertOne(registration);
+    const position = await getWaitlistPosition({ _id: result.insertedId, ...registration });
+
+    res.status(201).json({
+      success: true,
+      registrationId: result.insertedId.toString(),
+      position,
+      message: `You are number ${position} on the waitlist`
+    });
+  } catch (error) {
+    console.error('Join waitlist error:', error);
+    res.status(500).json({ error: 'Failed to join waitlist', message: error.message });
+  }
+});
+
+// ==================== CLUB MEMBERSHIP PAYMENT ====================
+
+// Create payment intent for club membership
+router.post('/club/create-intent', verifyToken, async (req, res) => {
+  try {
+    // Check if collections are initialized
+    if (!clubsCollection || !membershipsCollection) {
+      console.error('Collections not initialized');
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    // Check if Stripe is configured
     if (!stripe) {
       // Try to initialize if not already done
       initializeStripe();
@@ -443,43 +1302,108 @@ router.post('/club/create-intent', verifyToken, async (req, res) => {
     });
 
     if (existingMembership) {
-      return res.status(400).json({ error: 'You are already a member of this club' });
+      return res.status(400).json({
+        error: existingMembership.status === 'pending'
+          ? 'Your application to this club is awaiting approval'
+          : 'You are already a member of this club'
+      });
     }
 
-    // Get membership fee
-    const membershipFee = club.fee || 0;
+    // An invite code can lower the fee
+    const { invite, error: inviteError } = await findRedeemableInvite(club, req.body.inviteCode);
+    if (inviteError) {
+      return res.status(400).json({ error: inviteError });
+    }
 
-    if (membershipFee <= 0) {
+    // Membership fee in whole units after any invite discount
+    const clubFee = fromMinorUnits(club.fee);
+    const inviteFee = applyInviteDiscount(clubFee, invite);
+
+    if (inviteFee <= 0) {
       return res.status(400).json({ error: 'Club is free, use direct registration' });
     }
 
-    const serviceFee = 0;
-    const totalAmount = membershipFee;
+    // A coupon comes off the fee left after any invite discount
+    const currency = getCurrency(club);
+    const { coupon, error: couponError } = await findRedeemableCoupon({
+      code: req.body.couponCode,
+      userId,
+      purchase: { type: 'membership', clubId: club._id.toString(), currency }
+    });
+    if (couponError) {
+      return res.status(400).json({ error: couponError });
+    }
+
+    const { discountAmount: couponDiscount, totalAmount: membershipFee } = priceWithCoupon(inviteFee, coupon);
+    if (membershipFee <= 0) {
+      return res.status(400).json({ error: 'This coupon cannot be used for this membership' });
+    }
+    const grossAmount = clubFee;
+
+    let answers = [];
+    if (club.requiresApproval) {
+      const normalized = normalizeJoinAnswers(club, req.body.answers);
+      if (normalized.error) {
+        return res.status(400).json({ error: normalized.error });
+      }
+      answers = normalized.answers;
+    }
 
-    // Convert to cents for Stripe
-    const amountInCents = Math.round(totalAmount * 100);
+    const { serviceFee, error: feeError } = await calculateServiceFee(membershipFee, club._id.toString(), currency);
+    if (feeError) {
+      return res.status(400).json({ error: feeError });
+    }
+    const totalAmount = Math.round((membershipFee + serviceFee) * 100) / 100;
 
-    // Create payment intent with Stripe
+    // Charged in the club's currency, in its minor unit
     const paymentIntent = await stripe.paymentIntents.create({
-      amount: amountInCents,
-      currency: 'usd', // Using USD for test mode
+      amount: toMinorUnits(totalAmount),
+      currency: toStripeCurrency(currency),
       metadata: {
         clubId: clubId.toString(),
         userId: userId,
         membershipFee: membershipFee.toString(),
         serviceFee: serviceFee.toString(),
         totalAmount: totalAmount.toString(),
-        type: 'club_membership'
+        grossAmount: grossAmount.toString(),
+        type: 'club_membership',
+        ...(club.requiresApproval ? { requiresApproval: 'true' } : {}),
+        ...(invite ? { inviteId: invite._id.toString(), originalFee: String(clubFee) } : {}),
+        ...getCouponMetadata(coupon)
       },
-      description: `Club Membership: ${club.name || 'Club'}`
+      description: `Club Membership: ${club.name || 'Club'}`,
+      // Applications only authorize the card; the payment is captured on approval
+      ...(club.requiresApproval ? { capture_method: 'manual' } : {})
     });
 
+    if (club.requiresApproval) {
+      await membershipsCollection.insertOne({
+        userId,
+        clubId: clubId.toString(),
+        status: 'incomplete',
+        paymentStatus: 'requires_payment',
+        paymentIntentId: paymentIntent.id,
+        amount: toMinorUnits(totalAmount),
+        membershipFee: toMinorUnits(membershipFee),
+        serviceFee: toMinorUnits(serviceFee),
+        currency,
+        answers,
+        ...(invite ? { inviteId: invite._id.toString() } : {}),
+        createdAt: new Date(),
+        updatedAt: new Date()
+      });
+    }
+
     res.json({
       clientSecret: paymentIntent.client_secret,
       paymentIntentId: paymentIntent.id,
       amount: totalAmount,
       membershipFee,
-      serviceFee
+      serviceFee,
+      currency,
+      ...(invite ? { originalFee: clubFee } : {}),
+      ...(coupon ? { couponCode: coupon.code, couponDiscount } : {}),
+      requiresApproval: !!club.requiresApproval
     });
   } catch (error) {
     console.error('Create club payment intent error:', error);
@@ -524,10 +1448,6 @@ router.post('/club/confirm', verifyToken, async (req, res) => {
     
     const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
 
-    if (paymentIntent.status !== 'succeeded') {
-      return res.status(400).json({ error: 'Payment not completed' });
-    }
-
     // Verify metadata matches
     if (paymentIntent.metadata.clubId !== clubId.toString() || 
         paymentIntent.metadata.userId !== userId ||
@@ -535,11 +1455,42 @@ router.post('/club/confirm', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Payment intent mismatch' });
     }
 
+    // An authorized application waits for a manager before the payment is captured
+    if (paymentIntent.status === 'requires_capture') {
+      const application = await submitMembershipApplication(paymentIntent);
+      if (!application) {
+        return res.status(404).json({ error: 'Application not found' });
+      }
+
+      return res.json({
+        success: true,
+        pending: true,
+        membershipId: application._id.toString(),
+        status: application.status,
+        message: 'Application submitted. Your card will be charged once a club manager approves it.'
+      });
+    }
+
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Payment not completed' });
+    }
+
+    // The webhook may already have recorded this payment
+    const fulfilledMembership = await membershipsCollection.findOne({ paymentIntentId });
+    if (fulfilledMembership && fulfilledMembership.status === 'active') {
+      return res.json({
+        success: true,
+        membershipId: fulfilledMembership._id.toString(),
+        message: 'Membership successful'
+      });
+    }
+
     // Check if membership already exists
     const existingMembership = await membershipsCollection.findOne({
       userId,
       clubId: clubId.toString(),
-      status: { $in: ['active', 'pending'] }
+      status: { $in: ['active', 'pending'] },
+      paymentIntentId: { $ne: paymentIntentId }
     });
 
     if (existingMembership) {
@@ -549,71 +1500,18 @@ router.post('/club/confirm', verifyToken, async (req, res) => {
       });
     }
 
-    // Get club details
-    let club;
-    if (ObjectId.isValid(clubId)) {
-      club = await clubsCollection.findOne({ _id: new ObjectId(clubId) });
-    } else {
-      club = await clubsCollection.findOne({ _id: clubId });
-    }
-
-    if (!club) {
-      return res.status(404).json({ error: 'Club not found' });
-    }
-
-    // Calculate expiry date (1 month from now)
-    const joinDate = new Date();
-    const expiryDate = new Date();
-    expiryDate.setMonth(expiryDate.getMonth() + 1);
-
-    // Create membership
-    const membership = {
-      userId,
-      clubId: clubId.toString(),
-      status: 'active',
-      paymentStatus: 'paid',
-      paymentIntentId,
-      amount: parseFloat(paymentIntent.metadata.totalAmount),
-      membershipFee: parseFloat(paymentIntent.metadata.membershipFee),
-      serviceFee: parseFloat(paymentIntent.metadata.serviceFee),
-      currency: 'bdt',
-      joinDate: joinDate,
-      expiryDate: expiryDate,
-      createdAt: new Date(),
-      updatedAt: new Date()
-    };
-
-    const result = await membershipsCollection.insertOne(membership);
-
-    // Update club member count
-    await clubsCollection.updateOne(
-      { _id: ObjectId.isValid(clubId) ? new ObjectId(clubId) : clubId },
-      { $inc: { memberCount: 1 } }
-    );
+    const membership = await fulfillClubPayment(paymentIntent);
 
-    // Create transaction record
-    if (transactionsCollection) {
-      // Ensure userId is stored as string for consistency
-      const userIdStr = typeof userId === 'string' ? userId : userId.toString();
-      const transaction = {
-        userId: userIdStr,
-        clubId: clubId.toString(),
-        type: 'membership',
-        description: `Club Membership - ${club.name || 'Club'}`,
-        amount: Math.round(parseFloat(paymentIntent.metadata.totalAmount) * 100), // Store in cents
-        currency: 'bdt',
-        status: 'success',
-        paymentIntentId,
-        invoiceId: paymentIntent.id,
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-      await transactionsCollection.insertOne(transaction);
+    if (membership.cancellationReason === 'invite_used_up') {
+      return res.status(409).json({
+        error: 'The invite was used up before the payment finished, your payment has been refunded',
+        membershipId: membership._id.toString()
+      });
     }
 
     res.json({
       success: true,
-      membershipId: result.insertedId.toString(),
+      membershipId: membership._id.toString(),
       message: 'Membership successful'
     });
   } catch (error) {
@@ -649,8 +1547,13 @@ router.post('/club/register-free', verifyToken, async (req, res) => {
       return res.status(400).json({ error: 'Club is not available' });
     }
 
-    // Check if club is free
-    const membershipFee = club.fee || 0;
+    // Check if club is free, or made free by an invite code
+    const { invite, error: inviteError } = await findRedeemableInvite(club, req.body.inviteCode);
+    if (inviteError) {
+      return res.status(400).json({ error: inviteError });
+    }
+
+    const membershipFee = applyInviteDiscount(fromMinorUnits(club.fee), invite);
 
     if (membershipFee > 0) {
       return res.status(400).json({ error: 'Club is not free, use payment flow' });
@@ -664,7 +1567,51 @@ router.post('/club/register-free', verifyToken, async (req, res) => {
     });
 
     if (existingMembership) {
-      return res.status(400).json({ error: 'You are already a member of this club' });
+      return res.status(400).json({
+        error: existingMembership.status === 'pending'
+          ? 'Your application to this club is awaiting approval'
+          : 'You are already a member of this club'
+      });
+    }
+
+    if (club.requiresApproval) {
+      const { answers, error } = normalizeJoinAnswers(club, req.body.answers);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      // The member count only changes once a manager approves the application
+      const application = {
+        userId,
+        clubId: clubId.toString(),
+        status: 'pending',
+        paymentStatus: 'free',
+        amount: 0,
+        membershipFee: 0,
+        serviceFee: 0,
+        currency: getCurrency(club),
+        answers,
+        ...(invite ? { inviteId: invite._id.toString() } : {}),
+        appliedAt: new Date(),
+        joinDate: null,
+        expiryDate: null,
+        createdAt: new Date(),
+        updatedAt: new Date()
+      };
+      const result = await membershipsCollection.insertOne(application);
+
+      return res.json({
+        success: true,
+        pending: true,
+        membershipId: result.insertedId.toString(),
+        status: 'pending',
+        message: 'Application submitted. A club manager will review it.'
+      });
+    }
+
+    // Free joins through an invite count against its usage cap straight away
+    if (invite && !(await claimInviteUse(invite))) {
+      return res.status(409).json({ error: 'This invite has been used up' });
     }
 
     // Calculate expiry date (1 month from now, or set to null for free clubs)
@@ -680,7 +1627,8 @@ router.post('/club/register-free', verifyToken, async (req, res) => {
       amount: 0,
       membershipFee: 0,
       serviceFee: 0,
-      currency: 'bdt',
+      currency: getCurrency(club),
+      ...(invite ? { inviteId: invite._id.toString() } : {}),
       joinDate: joinDate,
       expiryDate: expiryDate,
       createdAt: new Date(),
@@ -706,5 +1654,831 @@ router.post('/club/register-free', verifyToken, async (req, res) => {
   }
 });
 
-module.exports = { initPaymentRoutes };
+// ==================== CLUB MEMBERSHIP SUBSCRIPTIONS ====================
+
+// Days a member keeps access after a renewal payment fails while Stripe retries
+const SUBSCRIPTION_GRACE_DAYS = 7;
+
+// Billing intervals a club can offer and the club field holding each price
+const BILLING_INTERVALS = {
+  month: 'fee',
+  year: 'yearlyFee'
+};
+
+// Reuse the user's Stripe customer, creating it on first subscription
+const getOrCreateStripeCustomer = async (userId) => {
+  const user = await usersCollection.findOne({ _id: new ObjectId(userId) });
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  if (user.stripeCustomerId) {
+    return user.stripeCustomerId;
+  }
+
+  const customer = await stripe.customers.create({
+    email: user.email,
+    name: user.name,
+    metadata: { userId: userId.toString() }
+  });
+
+  await usersCollection.updateOne(
+    { _id: user._id },
+    { $set: { stripeCustomerId: customer.id, updatedAt: new Date() } }
+  );
+
+  return customer.id;
+};
+
+// Reuse the club's Stripe product, creating it on first subscription
+const getOrCreateStripeProduct = async (club) => {
+  if (club.stripeProductId) {
+    return club.stripeProductId;
+  }
+
+  const product = await stripe.products.create({
+    name: `Club Membership: ${club.name || 'Club'}`,
+    metadata: { clubId: club._id.toString() }
+  });
+
+  await clubsCollection.updateOne(
+    { _id: club._id },
+    { $set: { stripeProductId: product.id, updatedAt: new Date() } }
+  );
+
+  return product.id;
+};
+
+// Cancel the subscription of an archived or purged club and refund the invoice it still paid
+const stopArchivedSubscription = async (invoice, subscription) => {
+  if (subscription.status !== 'canceled') {
+    await stripe.subscriptions.cancel(subscription.id);
+  }
+
+  if (invoice.payment_intent && invoice.amount_paid > 0) {
+    try {
+      await stripe.refunds.create({
+        payment_intent: invoice.payment_intent,
+        metadata: { subscriptionId: subscription.id, reason: 'club_archived' }
+      }, {
+        idempotencyKey: `archived-subscription-refund-${invoice.id}`
+      });
+    } catch (error) {
+      // A retried delivery already refunded it
+      if (error.code !== 'charge_already_refunded') throw error;
+    }
+  }
+};
+
+// Create or renew the membership for a paid subscription invoice and record
+// the billing cycle's transaction. Safe to call more than once per invoice.
+// Returns null when the club or membership is archived, or the club was purged:
+// the subscription is cancelled and the invoice refunded instead.
+const fulfillSubscriptionInvoice = async (invoice, subscription) => {
+  const { clubId, userId, interval } = subscription.metadata;
+
+  let club;
+  if (ObjectId.isValid(clubId)) {
+    club = await clubsCollection.findOne({ _id: new ObjectId(clubId) });
+  } else {
+    club = await clubsCollection.findOne({ _id: clubId });
+  }
+
+  const existing = await membershipsCollection.findOne({ subscriptionId: subscription.id });
+  if (!club || club.status === 'archived' || (existing && existing.status === 'archived')) {
+    await stopArchivedSubscription(invoice, subscription);
+    return null;
+  }
+
+  const now = new Date();
+  const expiryDate = new Date(subscription.current_period_end * 1000);
+  // The fee is part of the subscription price, fixed when the member subscribed
+  const platformFee = Math.min(getPlatformFeeCents(subscription.metadata), invoice.amount_paid);
+
+  const filter = { subscriptionId: subscription.id };
+  const update = {
+    $set: {
+      status: 'active',
+      paymentStatus: 'paid',
+      expiryDate,
+      autoRenew: !subscription.cancel_at_period_end,
+      lastInvoiceId: invoice.id,
+      updatedAt: now
+    },
+    $unset: { gracePeriodEndsAt: '' },
+    $setOnInsert: {
+      userId,
+      clubId: clubId.toString(),
+      billingInterval: interval,
+      amount: invoice.amount_paid,
+      membershipFee: invoice.amount_paid - platformFee,
+      serviceFee: platformFee,
+      currency: fromStripeCurrency(invoice.currency),
+      joinDate: now,
+      createdAt: now
+    }
+  };
+
+  // The membership as it was before this invoice, or null when this creates it
+  let previous;
+  try {
+    previous = await membershipsCollection.findOneAndUpdate(filter, update, { upsert: true, returnDocument: 'before' });
+  } catch (error) {
+    // Lost the race against a concurrent upsert; the membership now exists
+    if (error.code !== 11000) throw error;
+    delete update.$setOnInsert;
+    previous = await membershipsCollection.findOneAndUpdate(filter, update, { returnDocument: 'before' });
+  }
+
+  // Count the member on the first billing cycle, and again when a late payment brings back
+  // a membership that had expired
+  if (!previous || previous.status !== 'active') {
+    await clubsCollection.updateOne(
+      { _id: club._id },
+      { $inc: { memberCount: 1 } }
+    );
+  }
+
+  // One transaction per billing cycle; free invoices (e.g. coupons) have no payment intent
+  if (invoice.payment_intent && invoice.amount_paid > 0) {
+    const isRenewal = invoice.billing_reason === 'subscription_cycle';
+    await recordTransaction({
+      userId: userId.toString(),
+      clubId: clubId.toString(),
+      type: 'membership',
+      description: `${isRenewal ? 'Club Membership Renewal' : 'Club Membership'} - ${club.name || 'Club'}`,
+      amount: invoice.amount_paid,
+      platformFee,
+      currency: fromStripeCurrency(invoice.currency),
+      status: 'success',
+      paymentIntentId: invoice.payment_intent,
+      invoiceId: invoice.id,
+      subscriptionId: subscription.id,
+      billingInterval: interval,
+      periodEnd: expiryDate,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+
+  return membershipsCollection.findOne(filter);
+};
+
+// Start a recurring membership (monthly or yearly)
+router.post('/club/subscribe', verifyToken, async (req, res) => {
+  try {
+    if (!clubsCollection || !membershipsCollection) {
+      console.error('Collections not initialized');
+      return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    if (!stripe) {
+      initializeStripe();
+      if (!stripe) {
+        return res.status(500).json({ error: 'Payment service not configured. Please set STRIPE_SECRET_KEY in environment variables.' });
+      }
+    }
+
+    const { clubId, interval = 'month' } = req.body;
+    const userId = req.user.userId;
+
+    if (!clubId) {
+      return res.status(400).json({ error: 'Club ID is required' });
+    }
+
+    if (!BILLING_INTERVALS[interval]) {
+      return res.status(400).json({ error: 'Interval must be one of: month, year' });
+    }
+
+    // Get club details
+    let club;
+    if (ObjectId.isValid(clubId)) {
+      club = await clubsCollection.findOne({ _id: new ObjectId(clubId) });
+    } else {
+      club = await clubsCollection.findOne({ _id: clubId });
+    }
+
+    if (!club) {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+
+    if (club.status && club.status !== 'active') {
+      return res.status(400).json({ error: 'Club is not available' });
+    }
+
+    // Subscriptions charge immediately, so clubs that review applicants use the one-time flow
+    if (club.requiresApproval) {
+      return res.status(400).json({ error: 'This club requires approval, please apply for membership instead' });
+    }
+
+    const intervalFee = fromMinorUnits(club[BILLING_INTERVALS[interval]]);
+    if (intervalFee <= 0) {
+      return res.status(400).json({ error: `Club does not offer ${interval}ly billing` });
+    }
+    const { serviceFee, error: feeError } = await calculateServiceFee(intervalFee, club._id.toString(), getCurrency(club));
+    if (feeError) {
+      return res.status(400).json({ error: feeError });
+    }
+
+    // Check if user already has membership
+    const existingMembership = await membershipsCollection.findOne({
+      userId,
+      clubId: clubId.toString(),
+      status: { $in: ['active', 'pending'] }
+    });
+
+    if (existingMembership) {
+      return res.status(400).json({ error: 'You are already a member of this club' });
+    }
+
+    const customerId = await getOrCreateStripeCustomer(userId);
+    const productId = await getOrCreateStripeProduct(club);
+
+    // The first invoice stays open until the client confirms its payment intent
+    const subscription = await stripe.subscriptions.create({
+      customer: customerId,
+      items: [{
+        price_data: {
+          currency: toStripeCurrency(getCurrency(club)),
+          product: productId,
+          unit_amount: toMinorUnits(intervalFee + serviceFee),
+          recurring: { interval }
+        }
+      }],
+      payment_behavior: 'default_incomplete',
+      payment_settings: { save_default_payment_method: 'on_subscription' },
+      expand: ['latest_invoice.payment_intent'],
+      metadata: {
+        clubId: clubId.toString(),
+        userId: userId,
+        interval,
+        serviceFee: serviceFee.toString(),
+        type: 'club_subscription'
+      }
+    });
+
+    res.json({
+      subscriptionId: subscription.id,
+      clientSecret: subscription.latest_invoice.payment_intent?.client_secret || null,
+      amount: Math.round((intervalFee + serviceFee) * 100) / 100,
+      membershipFee: intervalFee,
+      serviceFee,
+      currency: getCurrency(club),
+      interval
+    });
+  } catch (error) {
+    console.error('Create club subscription error:', error);
+    res.status(500).json({ error: 'Failed to create subscription', message: error.message });
+  }
+});
+
+// Confirm the first subscription payment and create the membership
+router.post('/club/subscribe/confirm', verifyToken, async (req, res) => {
+  try {
+    const { subscriptionId } = req.body;
+    const userId = req.user.userId;
+
+    if (!subscriptionId) {
+      return res.status(400).json({ error: 'Subscription ID is required' });
+    }
+
+    if (!stripe) {
+      initializeStripe();
+      if (!stripe) {
+        return res.status(500).json({ error: 'Payment service not available' });
+      }
+    }
+
+    const subscription = await stripe.subscriptions.retrieve(subscriptionId, {
+      expand: ['latest_invoice']
+    });
+
+    if (subscription.metadata.userId !== userId || subscription.metadata.type !== 'club_subscription') {
+      return res.status(400).json({ error: 'Subscription mismatch' });
+    }
+
+    if (!['active', 'trialing'].includes(subscription.status) || subscription.latest_invoice?.status !== 'paid') {
+      return res.status(400).json({ error: 'Payment not completed' });
+    }
+
+    const membership = await fulfillSubscriptionInvoice(subscription.latest_invoice, subscription);
+    if (!membership) {
+      return res.status(400).json({ error: 'Club is not available, your payment has been refunded' });
+    }
+
+    res.json({
+      success: true,
+      membershipId: membership._id.toString(),
+      expiryDate: membership.expiryDate,
+      message: 'Membership successful'
+    });
+  } catch (error) {
+    console.error('Confirm club subscription error:', error);
+    res.status(500).json({ error: 'Failed to confirm subscription', message: error.message });
+  }
+});
+
+// Turn automatic renewal off (cancel at period end) or back on
+const setAutoRenew = (autoRenew) => async (req, res) => {
+  try {
+    const { membershipId } = req.body;
+    const userId = req.user.userId;
+
+    if (!membershipId || !ObjectId.isValid(membershipId)) {
+      return res.status(400).json({ error: 'Valid membership ID is required' });
+    }
+
+    const membership = await membershipsCollection.findOne({
+      _id: new ObjectId(membershipId),
+      userId
+    });
+
+    if (!membership) {
+      return res.status(404).json({ error: 'Membership not found' });
+    }
+
+    // Subscriptions of archived clubs are cancelled for good
+    if (!membership.subscriptionId || membership.subscriptionCancelledAt) {
+      return res.status(400).json({ error: 'Membership does not renew automatically' });
+    }
+
+    if (membership.status !== 'active') {
+      return res.status(400).json({ error: 'Membership is not active' });
+    }
+
+    if (!stripe) {
+      initializeStripe();
+      if (!stripe) {
+        return res.status(500).json({ error: 'Payment service not available' });
+      }
+    }
+
+    const subscription = await stripe.subscriptions.update(membership.subscriptionId, {
+      cancel_at_period_end: !autoRenew
+    });
+
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { autoRenew, updatedAt: new Date() } }
+    );
+
+    res.json({
+      message: autoRenew ? 'Automatic renewal resumed' : 'Membership will not renew and ends on the expiry date',
+      autoRenew,
+      expiryDate: new Date(subscription.current_period_end * 1000)
+    });
+  } catch (error) {
+    console.error('Update membership renewal error:', error);
+    res.status(500).json({ error: 'Failed to update membership renewal', message: error.message });
+  }
+};
+
+router.post('/club/subscription/cancel', verifyToken, setAutoRenew(false));
+router.post('/club/subscription/resume', verifyToken, setAutoRenew(true));
+
+// ==================== DONATIONS ====================
+// Anyone can donate to an active club, signed in or not. The donation is pending until the
+// payment succeeds; the confirm endpoint and the payment_intent.succeeded webhook record it.
+
+// Create a payment intent for a donation of a custom amount, in whole units
+router.post('/donations/create-intent', optionalToken, async (req, res) => {
+  try {
+    if (!stripe) {
+      initializeStripe();
+      if (!stripe || !process.env.STRIPE_SECRET_KEY) {
+        console.error('STRIPE_SECRET_KEY not configured');
+        return res.status(500).json({ error: 'Payment service not configured. Please set STRIPE_SECRET_KEY in environment variables.' });
+      }
+    }
+
+    const { clubId } = req.body;
+    if (!clubId) {
+      return res.status(400).json({ error: 'Club ID is required' });
+    }
+
+    const club = await clubsCollection.findOne({ _id: getClubFilterId(clubId) });
+    if (!club || club.status === 'archived') {
+      return res.status(404).json({ error: 'Club not found' });
+    }
+    if (club.status && club.status !== 'active') {
+      return res.status(400).json({ error: 'Club is not available' });
+    }
+
+    const userId = req.user ? req.user.userId : null;
+    const user = userId && ObjectId.isValid(userId)
+      ? await usersCollection.findOne({ _id: new ObjectId(userId) }, { projection: { name: 1, email: 1 } })
+      : null;
+    if (userId && !user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+
+    const { donation, error } = normalizeDonation(req.body, user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const currency = getCurrency(club);
+    const paymentIntent = await stripe.paymentIntents.create({
+      amount: donation.amount,
+      currency: toStripeCurrency(currency),
+      ...(donation.donorEmail ? { receipt_email: donation.donorEmail } : {}),
+      metadata: {
+        type: 'donation',
+        clubId: club._id.toString(),
+        clubName: club.name || '',
+        userId: userId || ''
+      },
+      description: `Donation: ${club.name || 'Club'}`
+    });
+
+    await createDonation({ club, userId, donation, paymentIntentId: paymentIntent.id });
+
+    res.json({
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount: fromMinorUnits(donation.amount),
+      currency
+    });
+  } catch (error) {
+    console.error('Create donation intent error:', error);
+    res.status(500).json({ error: 'Failed to create payment intent', message: error.message });
+  }
+});
+
+// Confirm a donation once its payment has succeeded
+router.post('/donations/confirm', optionalToken, async (req, res) => {
+  try {
+    const { paymentIntentId } = req.body;
+    if (!paymentIntentId) {
+      return res.status(400).json({ error: 'Payment intent ID is required' });
+    }
+
+    if (!stripe) {
+      initializeStripe();
+      if (!stripe) {
+        return res.status(500).json({ error: 'Payment service not available' });
+      }
+    }
+
+    const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+    const { metadata } = paymentIntent;
+
+    // A donation made while signed in can only be confirmed by the same user
+    if (metadata.type !== 'donation' || (metadata.userId && metadata.userId !== req.user?.userId)) {
+      return res.status(400).json({ error: 'Payment intent mismatch' });
+    }
+
+    if (paymentIntent.status !== 'succeeded') {
+      return res.status(400).json({ error: 'Payment not completed' });
+    }
+
+    // Safe to repeat when the webhook already recorded this payment
+    const donation = await fulfillDonationPayment(paymentIntent);
+
+    res.json({
+      success: true,
+      donationId: donation._id.toString(),
+      amount: fromMinorUnits(donation.amount),
+      currency: getCurrency(donation),
+      message: 'Thank you for your donation'
+    });
+  } catch (error) {
+    console.error('Confirm donation error:', error);
+    res.status(500).json({ error: 'Failed to confirm donation', message: error.message });
+  }
+});
+
+// ==================== STRIPE WEBHOOK ====================
+
+// Find the documents a payment intent created
+const findPaymentRecords = async (paymentIntentId) => {
+  const [registration, membership] = await Promise.all([
+    registrationsCollection.findOne({ paymentIntentId }),
+    membershipsCollection.findOne({ paymentIntentId })
+  ]);
+  return { registration, membership };
+};
+
+const handlePaymentIntentSucceeded = async (paymentIntent) => {
+  const { metadata } = paymentIntent;
+
+  if (metadata.type === 'donation') {
+    await fulfillDonationPayment(paymentIntent);
+  } else if (metadata.type === 'club_membership' && metadata.clubId && metadata.userId) {
+    await fulfillClubPayment(paymentIntent);
+  } else if (metadata.eventId && metadata.userId) {
+    await fulfillEventPayment(paymentIntent);
+  } else {
+    console.warn(`Webhook: payment intent ${paymentIntent.id} has no ClubSphere metadata, ignoring`);
+  }
+};
+
+// A manual-capture payment intent was authorized (membership applications)
+const handleAmountCapturableUpdated = async (paymentIntent) => {
+  if (paymentIntent.metadata.type === 'club_membership' && paymentIntent.status === 'requires_capture') {
+    await submitMembershipApplication(paymentIntent);
+  }
+};
+
+// Stripe cancels uncaptured authorizations after about 7 days; an application
+// still waiting for review then can no longer be approved
+const handlePaymentIntentCanceled = async (paymentIntent) => {
+  if (paymentIntent.metadata.type !== 'club_membership') return;
+
+  await membershipsCollection.updateOne(
+    { paymentIntentId: paymentIntent.id, status: { $in: ['incomplete', 'pending'] } },
+    { $set: { status: 'expired', paymentStatus: 'canceled', updatedAt: new Date() } }
+  );
+};
+
+const handlePaymentIntentFailed = async (paymentIntent) => {
+  const { metadata } = paymentIntent;
+
+  // The donor can retry with the same payment intent, so only the donation records the failure
+  if (metadata.type === 'donation') {
+    await markDonationFailed(paymentIntent.id);
+    return;
+  }
+
+  if (!metadata.userId || (!metadata.eventId && !metadata.clubId)) return;
+
+  const isMembership = metadata.type === 'club_membership';
+  const type = isMembership ? 'membership' : 'event';
+
+  const existing = await transactionsCollection.findOne({ paymentIntentId: paymentIntent.id, type });
+  if (existing && existing.status === 'success') return;
+
+  const failureMessage = paymentIntent.last_payment_error?.message || 'Payment failed';
+
+  if (existing) {
+    await transactionsCollection.updateOne(
+      { _id: existing._id },
+      { $set: { status: 'failed', failureMessage, updatedAt: new Date() } }
+    );
+    return;
+  }
+
+  await upsertOnce(transactionsCollection, { paymentIntentId: paymentIntent.id, type }, {
+    userId: metadata.userId.toString(),
+    ...(isMembership ? { clubId: metadata.clubId } : { eventId: metadata.eventId }),
+    type,
+    description: isMembership ? 'Club Membership' : 'Event Registration',
+    amount: paymentIntent.amount,
+    currency: fromStripeCurrency(paymentIntent.currency),
+    status: 'failed',
+    failureMessage,
+    paymentIntentId: paymentIntent.id,
+    invoiceId: paymentIntent.id,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+};
+
+const handleChargeRefunded = async (charge) => {
+  const paymentIntentId = charge.payment_intent;
+  if (!paymentIntentId) return;
+
+  const fullyRefunded = charge.refunded === true;
+  const now = new Date();
+
+  // Refunds issued from the Stripe dashboard have no transaction yet
+  const originalTransaction = await transactionsCollection.findOne({
+    paymentIntentId,
+    type: { $in: ['event', 'membership', 'donation'] }
+  });
+
+  if (originalTransaction) {
+    const refunds = await stripe.refunds.list({ payment_intent: paymentIntentId, limit: 100 });
+    for (const refund of refunds.data) {
+      if (refund.status === 'succeeded' || refund.status === 'pending') {
+        await recordRefundTransaction(refund, originalTransaction);
+      }
+    }
+
+    await transactionsCollection.updateOne(
+      { _id: originalTransaction._id },
+      { $set: { refundedAmount: charge.amount_refunded, updatedAt: now } }
+    );
+  }
+
+  if (originalTransaction && originalTransaction.type === 'donation') {
+    await markDonationRefunded(paymentIntentId, charge.amount_refunded, fullyRefunded);
+    return;
+  }
+
+  // Partial refunds keep the registration or membership in place
+  if (!fullyRefunded) return;
+
+  const { registration, membership } = await findPaymentRecords(paymentIntentId);
+
+  if (registration && registration.status !== 'cancelled') {
+    const result = await registrationsCollection.updateOne(
+      { _id: registration._id, status: registration.status },
+      { $set: { status: 'cancelled', paymentStatus: 'refunded', cancelledAt: now, updatedAt: now } }
+    );
+    if (result.modifiedCount > 0 && holdsSeat(registration)) {
+      await releaseSeat(registration.eventId, registration.ticketTypeId);
+      await promoteFromWaitlist(registration.eventId);
+    }
+  } else if (registration) {
+    await registrationsCollection.updateOne(
+      { _id: registration._id },
+      { $set: { paymentStatus: 'refunded', updatedAt: now } }
+    );
+  }
+
+  if (membership && membership.status === 'active') {
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { status: 'cancelled', paymentStatus: 'refunded', cancelledAt: now, updatedAt: now } }
+    );
+    await clubsCollection.updateOne(
+      { _id: ObjectId.isValid(membership.clubId) ? new ObjectId(membership.clubId) : membership.clubId },
+      { $inc: { memberCount: -1 } }
+    );
+  } else if (membership) {
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { paymentStatus: 'refunded', updatedAt: now } }
+    );
+  }
+};
+
+// Every dispute event carries the dispute's current status, so they are all handled alike
+const handleChargeDispute = async (dispute) => {
+  await recordDispute(dispute);
+};
+
+// Retrieve the subscription behind an invoice, if it is a ClubSphere membership
+const getMembershipSubscription = async (invoice) => {
+  if (!invoice.subscription) return null;
+
+  const subscription = await stripe.subscriptions.retrieve(invoice.subscription);
+  if (subscription.metadata.type !== 'club_subscription') return null;
+
+  return subscription;
+};
+
+const handleInvoicePaid = async (invoice) => {
+  const subscription = await getMembershipSubscription(invoice);
+  if (!subscription) return;
+
+  await fulfillSubscriptionInvoice(invoice, subscription);
+};
+
+const handleInvoicePaymentFailed = async (invoice) => {
+  const subscription = await getMembershipSubscription(invoice);
+  if (!subscription) return;
+
+  const membership = await membershipsCollection.findOne({ subscriptionId: subscription.id });
+  const now = new Date();
+
+  // The first payment failing leaves no membership; renewals enter the grace period
+  if (membership) {
+    const graceStart = membership.expiryDate && new Date(membership.expiryDate) > now
+      ? new Date(membership.expiryDate)
+      : now;
+    const gracePeriodEndsAt = membership.gracePeriodEndsAt ||
+      new Date(graceStart.getTime() + SUBSCRIPTION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { paymentStatus: 'past_due', gracePeriodEndsAt, updatedAt: now } }
+    );
+  }
+
+  if (invoice.payment_intent) {
+    const existing = await transactionsCollection.findOne({ paymentIntentId: invoice.payment_intent, type: 'membership' });
+    if (existing) return;
+
+    await upsertOnce(transactionsCollection, { paymentIntentId: invoice.payment_intent, type: 'membership' }, {
+      userId: subscription.metadata.userId,
+      clubId: subscription.metadata.clubId,
+      type: 'membership',
+      description: invoice.billing_reason === 'subscription_cycle' ? 'Club Membership Renewal' : 'Club Membership',
+      amount: invoice.amount_due,
+      currency: fromStripeCurrency(invoice.currency),
+      status: 'failed',
+      failureMessage: 'Subscription payment failed',
+      paymentIntentId: invoice.payment_intent,
+      invoiceId: invoice.id,
+      subscriptionId: subscription.id,
+      createdAt: now,
+      updatedAt: now
+    });
+  }
+};
+
+const handleSubscriptionUpdated = async (subscription) => {
+  if (subscription.metadata.type !== 'club_subscription') return;
+
+  const update = {
+    autoRenew: !subscription.cancel_at_period_end,
+    updatedAt: new Date()
+  };
+
+  // Stripe gave up retrying and left the subscription unpaid
+  if (subscription.status === 'unpaid') {
+    update.status = 'expired';
+    update.paymentStatus = 'unpaid';
+  }
+
+  const membership = await membershipsCollection.findOneAndUpdate(
+    { subscriptionId: subscription.id, status: { $ne: 'archived' } },
+    { $set: update }
+  );
+
+  if (membership && membership.status === 'active' && update.status === 'expired') {
+    await clubsCollection.updateOne(
+      { _id: ObjectId.isValid(membership.clubId) ? new ObjectId(membership.clubId) : membership.clubId },
+      { $inc: { memberCount: -1 } }
+    );
+  }
+};
+
+const handleSubscriptionDeleted = async (subscription) => {
+  if (subscription.metadata.type !== 'club_subscription') return;
+
+  // Memberships archived with their club keep their status; archiving cancelled the subscription
+  const now = new Date();
+  const membership = await membershipsCollection.findOneAndUpdate(
+    { subscriptionId: subscription.id, status: { $ne: 'archived' } },
+    { $set: { status: 'expired', autoRenew: false, endedAt: now, updatedAt: now } }
+  );
+
+  if (membership && membership.status === 'active') {
+    await clubsCollection.updateOne(
+      { _id: ObjectId.isValid(membership.clubId) ? new ObjectId(membership.clubId) : membership.clubId },
+      { $inc: { memberCount: -1 } }
+    );
+  }
+};
+
+const webhookHandlers = {
+  'payment_intent.succeeded': handlePaymentIntentSucceeded,
+  'payment_intent.payment_failed': handlePaymentIntentFailed,
+  'payment_intent.amount_capturable_updated': handleAmountCapturableUpdated,
+  'payment_intent.canceled': handlePaymentIntentCanceled,
+  'charge.refunded': handleChargeRefunded,
+  'charge.dispute.created': handleChargeDispute,
+  'charge.dispute.updated': handleChargeDispute,
+  'charge.dispute.closed': handleChargeDispute,
+  'charge.dispute.funds_withdrawn': handleChargeDispute,
+  'charge.dispute.funds_reinstated': handleChargeDispute,
+  'invoice.paid': handleInvoicePaid,
+  'invoice.payment_failed': handleInvoicePaymentFailed,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted
+};
+
+// Stripe webhook (no JWT - authenticated by the Stripe signature).
+// index.js mounts express.raw for this path so the signature can be checked against the raw body.
+router.post('/webhook', async (req, res) => {
+  if (!stripe) {
+    initializeStripe();
+    if (!stripe) {
+      return res.status(500).json({ error: 'Payment service not available' });
+    }
+  }
+
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    console.error('STRIPE_WEBHOOK_SECRET not configured');
+    return res.status(500).json({ error: 'Webhook not configured' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(
+      req.body,
+      req.headers['stripe-signature'],
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (error) {
+    console.error('Webhook signature verification failed:', error.message);
+    return res.status(400).json({ error: 'Invalid webhook signature' });
+  }
+
+  const handler = webhookHandlers[event.type];
+  if (!handler) {
+    return res.json({ received: true });
+  }
+
+  try {
+    await handler(event.data.object);
+    res.json({ received: true });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the delivery
+    console.error(`Webhook ${event.type} error:`, error);
+    res.status(500).json({ error: 'Failed to process webhook', message: error.message });
+  }
+});
+
+module.exports = {
+  initPaymentRoutes,
+  refundEventRegistration,
+  cancelRegistrationPayment,
+  cancelEventRegistrations,
+  approveMembershipApplication,
+  rejectMembershipApplication
+};
 
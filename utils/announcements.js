@@ -0,0 +1,98 @@
+// Club announcements.
+// Stored in the announcements collection as
+//   { clubId, title, body, image, pinned, visibility, publishAt, authorId, authorName, createdAt, updatedAt }
+// An announcement shows up in feeds once publishAt has passed. visibility decides who can read it:
+//   public   - anyone, including visitors of the club page
+//   members  - active members of the club and its staff
+//   officers - the owner and members holding an officer role
+const VISIBILITIES = ['public', 'members', 'officers'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+
+// Visibility levels a reader can see, given how they relate to the club
+const getVisibleLevels = ({ isOfficer, isMember }) => {
+  if (isOfficer) return VISIBILITIES;
+  if (isMember) return ['public', 'members'];
+  return ['public'];
+};
+
+// Filter for announcements readers can see now
+const publishedFilter = (now = new Date()) => ({
+  publishAt: { $lte: now },
+  archivedAt: { $exists: false }
+});
+
+// Validate an announcement sent by a manager; with existing, fields left out keep their value.
+// Returns { announcement } with the fields to store, or { error } with a message for a 400 response.
+const normalizeAnnouncement = (input, existing = null) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Announcement must be an object' };
+  }
+
+  const pick = (field, fallback) => (input[field] !== undefined ? input[field] : (existing ? existing[field] : fallback));
+
+  const title = typeof pick('title', '') === 'string' ? pick('title', '').trim() : '';
+  if (!title) {
+    return { error: 'Title is required' };
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+
+  const body = typeof pick('body', '') === 'string' ? pick('body', '').trim() : '';
+  if (!body) {
+    return { error: 'Body is required' };
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return { error: `Body must be at most ${MAX_BODY_LENGTH} characters` };
+  }
+
+  const visibility = pick('visibility', 'members');
+  if (!VISIBILITIES.includes(visibility)) {
+    return { error: `Visibility must be one of: ${VISIBILITIES.join(', ')}` };
+  }
+
+  // No publishAt means now
+  const publishAtInput = pick('publishAt', null);
+  const publishAt = publishAtInput ? new Date(publishAtInput) : (existing ? existing.publishAt : new Date());
+  if (isNaN(publishAt.getTime())) {
+    return { error: 'publishAt is not a valid date' };
+  }
+
+  return {
+    announcement: {
+      title,
+      body,
+      image: pick('image', null) || null,
+      pinned: !!pick('pinned', false),
+      visibility,
+      publishAt
+    }
+  };
+};
+
+// Announcement as returned to clients
+const formatAnnouncement = (announcement, club = null, now = new Date()) => ({
+  id: announcement._id.toString(),
+  clubId: announcement.clubId,
+  ...(club ? { clubName: club.name, clubImage: club.image || null } : {}),
+  title: announcement.title,
+  body: announcement.body,
+  image: announcement.image || null,
+  pinned: !!announcement.pinned,
+  visibility: announcement.visibility,
+  publishAt: announcement.publishAt,
+  scheduled: announcement.publishAt > now,
+  authorName: announcement.authorName || null,
+  createdAt: announcement.createdAt,
+  updatedAt: announcement.updatedAt
+});
+
+module.exports = {
+  VISIBILITIES,
+  getVisibleLevels,
+  publishedFilter,
+  normalizeAnnouncement,
+  formatAnnouncement
+};
@@ -0,0 +1,303 @@
+// Deleting a club archives it with everything under it instead of removing it.
+// Archived documents get status 'archived' (the previous status is kept in
+// statusBeforeArchive) so every endpoint that filters on status hides them, and
+// archivedWithClub so a restore only brings back what the club archive touched.
+// Transactions are never archived or purged: they are the financial record.
+// After CLUB_RETENTION_DAYS the purge-archived-clubs job deletes the data for good.
+// Auto-renewing memberships have their Stripe subscriptions cancelled, so members stop being
+// billed; a restored club's memberships run until their expiry date without renewing.
+const CLUB_RETENTION_DAYS = parseInt(process.env.CLUB_RETENTION_DAYS, 10) || 30;
+
+// Stripe client for cancelling membership subscriptions, when configured
+let stripe = null;
+const getStripe = () => {
+  if (!stripe && process.env.STRIPE_SECRET_KEY) {
+    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let eventsCollection;
+let registrationsCollection;
+let membershipsCollection;
+let reviewsCollection;
+let eventSeriesCollection;
+let ownershipTransfersCollection;
+let announcementsCollection;
+let forumThreadsCollection;
+let forumRepliesCollection;
+let forumReadsCollection;
+let pollsCollection;
+let pollBallotsCollection;
+let memberInvitesCollection;
+let clubInvitesCollection;
+let couponsCollection;
+
+// Initialize collections
+const initClubArchive = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  eventsCollection = db.collection('events');
+  registrationsCollection = db.collection('registrations');
+  membershipsCollection = db.collection('memberships');
+  reviewsCollection = db.collection('reviews');
+  eventSeriesCollection = db.collection('event_series');
+  ownershipTransfersCollection = db.collection('club_ownership_transfers');
+  announcementsCollection = db.collection('announcements');
+  forumThreadsCollection = db.collection('forum_threads');
+  forumRepliesCollection = db.collection('forum_replies');
+  forumReadsCollection = db.collection('forum_reads');
+  pollsCollection = db.collection('polls');
+  pollBallotsCollection = db.collection('poll_ballots');
+  memberInvitesCollection = db.collection('member_invites');
+  clubInvitesCollection = db.collection('club_invites');
+  couponsCollection = db.collection('coupons');
+
+  clubsCollection.createIndex(
+    { purgeAfter: 1 },
+    { partialFilterExpression: { status: 'archived' } }
+  ).catch(error => console.error('Create club archive index error:', error));
+};
+
+// Events belong to a club by clubId (string or ObjectId) or, for old events, by club name
+const clubEventsFilter = (club) => ({
+  $or: [
+    { clubId: club._id.toString() },
+    { clubId: club._id },
+    { clubName: club.name }
+  ]
+});
+
+const clubEventIds = async (club, extraFilter = {}) => {
+  const events = await eventsCollection
+    .find({ $and: [clubEventsFilter(club), extraFilter] }, { projection: { _id: 1 } })
+    .toArray();
+  return events.map(event => event._id);
+};
+
+// Registrations and reviews store event ids as strings or ObjectIds
+const eventIdFilter = (eventIds) => ({
+  $or: [
+    { eventId: { $in: eventIds.map(id => id.toString()) } },
+    { eventId: { $in: eventIds } }
+  ]
+});
+
+const clubReviewsFilter = (club, eventIds) => ({
+  $or: [
+    { clubId: club._id },
+    { clubId: club._id.toString() },
+    ...eventIdFilter(eventIds).$or
+  ]
+});
+
+// Pipeline update that archives documents, remembering their status
+const archiveUpdate = (clubId, now) => [{
+  $set: {
+    statusBeforeArchive: '$status',
+    status: 'archived',
+    archivedAt: now,
+    archivedWithClub: clubId
+  }
+}];
+
+// Pipeline update that puts archived documents back the way they were
+const restoreUpdate = [
+  { $set: { status: '$statusBeforeArchive' } },
+  { $unset: ['statusBeforeArchive', 'archivedAt', 'archivedWithClub'] }
+];
+
+const notArchived = { status: { $ne: 'archived' } };
+
+// Cancel the Stripe subscriptions of the memberships archived with a club. A subscription
+// that is already cancelled, or fails to cancel, is logged and left for the invoice.paid
+// webhook, which cancels subscriptions of archived clubs. Returns the number cancelled.
+const cancelClubSubscriptions = async (clubId, now) => {
+  const memberships = await membershipsCollection.find({
+    archivedWithClub: clubId,
+    subscriptionId: { $exists: true, $ne: null },
+    subscriptionCancelledAt: { $exists: false }
+  }).toArray();
+  if (memberships.length === 0) return 0;
+
+  const client = getStripe();
+  if (!client) {
+    console.warn(`Stripe is not configured, ${memberships.length} subscriptions of club ${clubId} were not cancelled`);
+    return 0;
+  }
+
+  let cancelled = 0;
+  for (const membership of memberships) {
+    try {
+      await client.subscriptions.cancel(membership.subscriptionId);
+      cancelled++;
+    } catch (error) {
+      console.error(`Cancel subscription ${membership.subscriptionId} error:`, error.message);
+      continue;
+    }
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { autoRenew: false, subscriptionCancelledAt: now, updatedAt: now } }
+    );
+  }
+  return cancelled;
+};
+
+// Archive a club with its events, registrations, memberships, reviews, announcements, forum and polls.
+// Returns the number of documents archived per collection.
+const archiveClub = async (club, archivedBy) => {
+  const now = new Date();
+  const clubId = club._id.toString();
+  const purgeAfter = new Date(now.getTime() + CLUB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+
+  // Archive the club first so it disappears from listings before its contents do
+  const result = await clubsCollection.updateOne(
+    { _id: club._id, ...notArchived },
+    [{
+      $set: {
+        statusBeforeArchive: '$status',
+        status: 'archived',
+        archivedAt: now,
+        archivedBy,
+        purgeAfter,
+        updatedAt: now
+      }
+    }]
+  );
+  if (result.modifiedCount === 0) return null;
+
+  const eventIds = await clubEventIds(club, notArchived);
+  const update = archiveUpdate(clubId, now);
+
+  // Reviews, announcements, forum posts and polls have no status; archivedAt hides them
+  const markArchived = { $set: { archivedAt: now, archivedWithClub: clubId } };
+  const notMarked = { clubId, archivedAt: { $exists: false } };
+
+  const [events, registrations, memberships, reviews, announcements, threads, replies, polls] = await Promise.all([
+    eventsCollection.updateMany({ _id: { $in: eventIds } }, update),
+    eventIds.length > 0
+      ? registrationsCollection.updateMany({ $and: [eventIdFilter(eventIds), notArchived] }, update)
+      : { modifiedCount: 0 },
+    membershipsCollection.updateMany({ clubId, ...notArchived }, update),
+    reviewsCollection.updateMany(
+      { $and: [clubReviewsFilter(club, eventIds), { archivedAt: { $exists: false } }] },
+      [{ $set: { archivedAt: now, archivedWithClub: clubId } }]
+    ),
+    announcementsCollection.updateMany(notMarked, markArchived),
+    forumThreadsCollection.updateMany(notMarked, markArchived),
+    forumRepliesCollection.updateMany(notMarked, markArchived),
+    pollsCollection.updateMany(notMarked, markArchived)
+  ]);
+
+  // An archived club cannot change hands
+  await ownershipTransfersCollection.updateMany(
+    { clubId, status: 'pending' },
+    { $set: { status: 'cancelled', cancellationReason: 'club_archived', updatedAt: now } }
+  );
+
+  const subscriptionsCancelled = await cancelClubSubscriptions(clubId, now);
+
+  return {
+    purgeAfter,
+    subscriptionsCancelled,
+    events: events.modifiedCount,
+    registrations: registrations.modifiedCount,
+    memberships: memberships.modifiedCount,
+    reviews: reviews.modifiedCount,
+    announcements: announcements.modifiedCount,
+    forumThreads: threads.modifiedCount,
+    forumReplies: replies.modifiedCount,
+    polls: polls.modifiedCount
+  };
+};
+
+// Bring back an archived club and everything archived with it.
+// Returns the number of documents restored per collection, or null if the club is not archived.
+const restoreClub = async (club) => {
+  const clubId = club._id.toString();
+
+  const result = await clubsCollection.updateOne(
+    { _id: club._id, status: 'archived' },
+    [
+      { $set: { status: '$statusBeforeArchive', updatedAt: new Date() } },
+      { $unset: ['statusBeforeArchive', 'archivedAt', 'archivedBy', 'purgeAfter'] }
+    ]
+  );
+  if (result.modifiedCount === 0) return null;
+
+  const unmarkArchived = { $unset: { archivedAt: '', archivedWithClub: '' } };
+
+  const [events, registrations, memberships, reviews, announcements, threads, replies, polls] = await Promise.all([
+    eventsCollection.updateMany({ archivedWithClub: clubId }, restoreUpdate),
+    registrationsCollection.updateMany({ archivedWithClub: clubId }, restoreUpdate),
+    membershipsCollection.updateMany({ archivedWithClub: clubId }, restoreUpdate),
+    reviewsCollection.updateMany({ archivedWithClub: clubId }, unmarkArchived),
+    announcementsCollection.updateMany({ archivedWithClub: clubId }, unmarkArchived),
+    forumThreadsCollection.updateMany({ archivedWithClub: clubId }, unmarkArchived),
+    forumRepliesCollection.updateMany({ archivedWithClub: clubId }, unmarkArchived),
+    pollsCollection.updateMany({ archivedWithClub: clubId }, unmarkArchived)
+  ]);
+
+  return {
+    events: events.modifiedCount,
+    registrations: registrations.modifiedCount,
+    memberships: memberships.modifiedCount,
+    reviews: reviews.modifiedCount,
+    announcements: announcements.modifiedCount,
+    forumThreads: threads.modifiedCount,
+    forumReplies: replies.modifiedCount,
+    polls: polls.modifiedCount
+  };
+};
+
+// Permanently delete an archived club and what was archived with it. Transactions stay,
+// and so do coupon redemptions, which record the discounts on those transactions.
+const purgeClub = async (club) => {
+  const clubId = club._id.toString();
+
+  const [
+    events, registrations, memberships, reviews, announcements, threads, replies, polls, series, transfers
+  ] = await Promise.all([
+    eventsCollection.deleteMany({ archivedWithClub: clubId }),
+    registrationsCollection.deleteMany({ archivedWithClub: clubId }),
+    membershipsCollection.deleteMany({ archivedWithClub: clubId }),
+    reviewsCollection.deleteMany({ archivedWithClub: clubId }),
+    announcementsCollection.deleteMany({ archivedWithClub: clubId }),
+    forumThreadsCollection.deleteMany({ archivedWithClub: clubId }),
+    forumRepliesCollection.deleteMany({ archivedWithClub: clubId }),
+    pollsCollection.deleteMany({ archivedWithClub: clubId }),
+    eventSeriesCollection.deleteMany({ clubId }),
+    ownershipTransfersCollection.deleteMany({ clubId }),
+    forumReadsCollection.deleteMany({ clubId }),
+    pollBallotsCollection.deleteMany({ clubId }),
+    memberInvitesCollection.deleteMany({ clubId }),
+    clubInvitesCollection.deleteMany({ clubId }),
+    couponsCollection.deleteMany({ clubId })
+  ]);
+
+  // Delete the club last, so a purge interrupted halfway is picked up again on the next run
+  await clubsCollection.deleteOne({ _id: club._id, status: 'archived' });
+
+  return {
+    events: events.deletedCount,
+    registrations: registrations.deletedCount,
+    memberships: memberships.deletedCount,
+    reviews: reviews.deletedCount,
+    announcements: announcements.deletedCount,
+    forumThreads: threads.deletedCount,
+    forumReplies: replies.deletedCount,
+    polls: polls.deletedCount,
+    series: series.deletedCount,
+    ownershipTransfers: transfers.deletedCount
+  };
+};
+
+module.exports = {
+  CLUB_RETENTION_DAYS,
+  initClubArchive,
+  archiveClub,
+  restoreClub,
+  purgeClub
+};
@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+
+// Shareable club invites: a code (also usable as a link) that brings people into a club,
+// optionally with a lower membership fee.
+//   club_invites - { clubId, code, label, discount: { type, value } | null, maxUses, expiresAt,
+//                    joinedCount, createdBy, createdAt, updatedAt, revokedAt, revokedBy }
+// discount.type is waive (free membership), percent (value 1-100) or amount (value off, in whole
+// units of the club's currency).
+// joinedCount counts memberships that became active through the invite. maxUses is checked when
+// someone redeems the invite, and a use is claimed atomically when the membership starts: free
+// joins straight away, paid joins when the payment succeeds and applications when approved.
+// A paid join that finds the invite used up by then is refunded, and an application rejected.
+const DISCOUNT_TYPES = ['waive', 'percent', 'amount'];
+
+// No 0/O or 1/I, so codes survive being read aloud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+const CUSTOM_CODE_PATTERN = /^[A-Z0-9-]{4,32}$/;
+
+// MongoDB collections (will be initialized from index.js)
+let invitesCollection;
+
+// Initialize collections
+const initClubInvites = (client) => {
+  const db = client.db('clubsphere');
+  invitesCollection = db.collection('club_invites');
+
+  Promise.all([
+    invitesCollection.createIndex({ code: 1 }, { unique: true }),
+    invitesCollection.createIndex({ clubId: 1, createdAt: -1 })
+  ]).catch(error => console.error('Create club invite indexes error:', error));
+};
+
+const generateInviteCode = () => Array.from(crypto.randomBytes(CODE_LENGTH))
+  .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  .join('');
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+// Validate an invite sent by a manager. Returns { invite } with the fields to store,
+// or { error } with a message for a 400 response.
+const normalizeInvite = (input = {}) => {
+  const code = input.code ? normalizeCode(input.code) : null;
+  if (code && !CUSTOM_CODE_PATTERN.test(code)) {
+    return { error: 'Code must be 4 to 32 letters, digits or dashes' };
+  }
+
+  let expiresAt = null;
+  if (input.expiresAt) {
+    expiresAt = new Date(input.expiresAt);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+      return { error: 'expiresAt must be a date in the future' };
+    }
+  }
+
+  let maxUses = null;
+  if (input.maxUses !== undefined && input.maxUses !== null) {
+    if (!Number.isInteger(input.maxUses) || input.maxUses < 1) {
+      return { error: 'maxUses must be a whole number of at least 1' };
+    }
+    maxUses = input.maxUses;
+  }
+
+  let discount = null;
+  if (input.discount) {
+    const { type } = input.discount;
+    const value = type === 'waive' ? null : Number(input.discount.value);
+    if (!DISCOUNT_TYPES.includes(type)) {
+      return { error: `Discount type must be one of: ${DISCOUNT_TYPES.join(', ')}` };
+    }
+    if (type === 'percent' && !(value > 0 && value <= 100)) {
+      return { error: 'Percent discounts must be between 1 and 100' };
+    }
+    if (type === 'amount' && !(value > 0)) {
+      return { error: 'Amount discounts must be greater than 0' };
+    }
+    discount = { type, value };
+  }
+
+  const label = typeof input.label === 'string' ? input.label.trim().slice(0, 100) : '';
+
+  return { invite: { code, label: label || null, discount, maxUses, expiresAt } };
+};
+
+// Create an invite, generating a code unless the manager chose one.
+// Returns { invite } or { error } with a message for a 409 response.
+const createClubInvite = async ({ club, invite, createdBy }) => {
+  const now = new Date();
+  const document = {
+    clubId: club._id.toString(),
+    ...invite,
+    joinedCount: 0,
+    createdBy,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  // Retry generated codes on the rare collision; a chosen code that is taken is an error
+  for (let attempt = 0; attempt < 5; attempt += 1) {
+    const code = invite.code || generateInviteCode();
+    try {
+      const result = await invitesCollection.insertOne({ ...document, code });
+      return { invite: { ...document, code, _id: result.insertedId } };
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      if (invite.code) return { error: 'That invite code is already taken' };
+    }
+  }
+  throw new Error('Could not generate a unique invite code');
+};
+
+// Why an invite cannot be redeemed right now, or null if it can
+const getInviteProblem = (invite, now = new Date()) => {
+  if (invite.revokedAt) return 'This invite has been revoked';
+  if (invite.expiresAt && invite.expiresAt <= now) return 'This invite has expired';
+  if (invite.maxUses && invite.joinedCount >= invite.maxUses) return 'This invite has been used up';
+  return null;
+};
+
+// Find an invite by code, or null
+const findInviteByCode = (code) => {
+  const normalized = normalizeCode(code);
+  return normalized ? invitesCollection.findOne({ code: normalized }) : null;
+};
+
+// The invite a member is redeeming for a club. Returns { invite } (null without a code)
+// or { error } with a message for a 400 response.
+const findRedeemableInvite = async (club, code) => {
+  if (!code) return { invite: null };
+
+  const invite = await findInviteByCode(code);
+  if (!invite || invite.clubId !== club._id.toString()) {
+    return { error: 'Invite code not found for this club' };
+  }
+
+  const problem = getInviteProblem(invite);
+  return problem ? { error: problem } : { invite };
+};
+
+// Membership fee in whole units after the invite's discount
+const applyInviteDiscount = (fee, invite) => {
+  if (!invite || !invite.discount || fee <= 0) return fee;
+
+  const { type, value } = invite.discount;
+  if (type === 'waive') return 0;
+  if (type === 'percent') return Math.max(0, Math.round(fee * (100 - value)) / 100);
+  return Math.max(0, Math.round((fee - value) * 100) / 100);
+};
+
+// Take one use of an invite for a free join. Returns false if it ran out in the meantime.
+const claimInviteUse = async (invite) => {
+  const result = await invitesCollection.updateOne(
+    {
+      _id: invite._id,
+      revokedAt: null,
+      ...(invite.maxUses ? { joinedCount: { $lt: invite.maxUses } } : {})
+    },
+    { $inc: { joinedCount: 1 }, $set: { updatedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Take one use of the invite a paid join or an application came through. Only the cap is
+// checked again, since the invite was valid when the member redeemed it.
+// Returns false if it ran out in the meantime; true without an invite.
+const claimInviteUseById = async (inviteId) => {
+  if (!inviteId || !ObjectId.isValid(inviteId)) return true;
+
+  const invite = await invitesCollection.findOne({ _id: new ObjectId(inviteId) });
+  if (!invite) return true;
+
+  const result = await invitesCollection.updateOne(
+    { _id: invite._id, ...(invite.maxUses ? { joinedCount: { $lt: invite.maxUses } } : {}) },
+    { $inc: { joinedCount: 1 }, $set: { updatedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Give back a use claimed for a membership that did not start
+const releaseInviteUse = async (inviteId) => {
+  if (!inviteId || !ObjectId.isValid(inviteId)) return;
+  await invitesCollection.updateOne(
+    { _id: new ObjectId(inviteId), joinedCount: { $gt: 0 } },
+    { $inc: { joinedCount: -1 }, $set: { updatedAt: new Date() } }
+  );
+};
+
+// Shareable link for an invite, when the frontend URL is known
+const getInviteUrl = (invite) => {
+  const baseUrl = process.env.FRONTEND_URL;
+  return baseUrl ? `${baseUrl.replace(/\/$/, '')}/join/${invite.code}` : null;
+};
+
+// Invite as returned to managers
+const formatClubInvite = (invite) => ({
+  id: invite._id.toString(),
+  clubId: invite.clubId,
+  code: invite.code,
+  url: getInviteUrl(invite),
+  label: invite.label || null,
+  discount: invite.discount || null,
+  maxUses: invite.maxUses || null,
+  joinedCount: invite.joinedCount || 0,
+  expiresAt: invite.expiresAt || null,
+  status: invite.revokedAt ? 'revoked' : (getInviteProblem(invite) ? 'inactive' : 'active'),
+  createdBy: invite.createdBy,
+  createdAt: invite.createdAt,
+  revokedAt: invite.revokedAt || null
+});
+
+module.exports = {
+  DISCOUNT_TYPES,
+  initClubInvites,
+  normalizeInvite,
+  createClubInvite,
+  getInviteProblem,
+  findInviteByCode,
+  findRedeemableInvite,
+  applyInviteDiscount,
+  claimInviteUse,
+  claimInviteUseById,
+  releaseInviteUse,
+  getInviteUrl,
+  formatClubInvite
+};
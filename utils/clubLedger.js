@@ -0,0 +1,272 @@
+const { ObjectId } = require('mongodb');
+const { toCsv } = require('./csv');
+const { fromMinorUnits, getCurrency } = require('./money');
+
+// What the platform owes each club. Every successful payment credits the club with the
+// amount charged less the platform fee, and every refund debits the club's share of it.
+// Paying a club out closes its open entries into a payout, so the balance is the sum of
+// the entries without a payoutId. Like transactions, the ledger is never archived or purged.
+//   club_ledger  - { clubId, sourceId, type, description, paymentIntentId, refundId, chargedAmount,
+//                    platformFee, amount, currency, payoutId, createdAt }
+//   club_payouts - { clubId, clubName, amount, currency, entryCount, periodStart, periodEnd, reference,
+//                    note, paidBy, paidAt }
+// Amounts are in minor units of the club's currency, like transactions; refund and chargeback
+// entries are negative.
+
+// MongoDB collections (will be initialized from index.js)
+let eventsCollection;
+let ledgerCollection;
+let payoutsCollection;
+
+// Initialize collections
+const initClubLedger = (client) => {
+  const db = client.db('clubsphere');
+  eventsCollection = db.collection('events');
+  ledgerCollection = db.collection('club_ledger');
+  payoutsCollection = db.collection('club_payouts');
+
+  Promise.all([
+    ledgerCollection.createIndex({ sourceId: 1 }, { unique: true }),
+    ledgerCollection.createIndex({ clubId: 1, payoutId: 1, createdAt: -1 }),
+    payoutsCollection.createIndex({ clubId: 1, paidAt: -1 })
+  ]).catch(error => console.error('Create club ledger indexes error:', error));
+};
+
+// The club a transaction's money belongs to: its clubId, or the club of its event
+const getTransactionClubId = async (transaction) => {
+  if (transaction.clubId) return transaction.clubId.toString();
+  if (!transaction.eventId) return null;
+
+  const eventId = transaction.eventId.toString();
+  const event = await eventsCollection.findOne(
+    { _id: ObjectId.isValid(eventId) ? new ObjectId(eventId) : eventId },
+    { projection: { clubId: 1 } }
+  );
+  return event && event.clubId ? event.clubId.toString() : null;
+};
+
+// Credit or debit a club for a successful transaction. Safe to call more than once for the
+// same transaction, so the confirm endpoints and webhooks record it once between them.
+const recordLedgerEntry = async (transaction) => {
+  if (transaction.status !== 'success') return;
+
+  const clubId = await getTransactionClubId(transaction);
+  if (!clubId) return;
+
+  // Payments from before the ledger was kept were never credited, so their refunds and
+  // chargebacks are not debited
+  if (transaction.refundId || transaction.disputeId) {
+    const credited = await ledgerCollection.findOne({
+      paymentIntentId: transaction.paymentIntentId,
+      refundId: null,
+      type: { $nin: ['refund', 'chargeback'] }
+    });
+    if (!credited) return;
+  }
+
+  let sourceId = `${transaction.type}:${transaction.paymentIntentId}`;
+  if (transaction.refundId) {
+    sourceId = `refund:${transaction.refundId}`;
+  } else if (transaction.disputeId) {
+    sourceId = `dispute:${transaction.disputeId}`;
+  }
+  const platformFee = transaction.platformFee || 0;
+
+  try {
+    await ledgerCollection.updateOne(
+      { sourceId },
+      {
+        $setOnInsert: {
+          clubId,
+          sourceId,
+          type: transaction.type,
+          description: transaction.description || '',
+          paymentIntentId: transaction.paymentIntentId || null,
+          refundId: transaction.refundId || null,
+          chargedAmount: transaction.amount,
+          platformFee,
+          amount: transaction.amount - platformFee,
+          currency: getCurrency(transaction),
+          payoutId: null,
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // A concurrent call already recorded this transaction
+    if (error.code !== 11000) throw error;
+  }
+};
+
+// The club's unpaid balance in minor units: { balance, entryCount, since }
+const getClubBalance = async (clubId) => {
+  const [result] = await ledgerCollection.aggregate([
+    { $match: { clubId: clubId.toString(), payoutId: null } },
+    { $group: { _id: null, balance: { $sum: '$amount' }, entryCount: { $sum: 1 }, since: { $min: '$createdAt' } } }
+  ]).toArray();
+
+  return result
+    ? { balance: result.balance, entryCount: result.entryCount, since: result.since }
+    : { balance: 0, entryCount: 0, since: null };
+};
+
+// Unpaid balances of every club with open entries, largest first:
+// [{ clubId, balance, currency, entryCount, since }]
+const getOpenBalances = async () => {
+  const balances = await ledgerCollection.aggregate([
+    { $match: { payoutId: null } },
+    {
+      $group: {
+        _id: '$clubId',
+        balance: { $sum: '$amount' },
+        currency: { $first: '$currency' },
+        entryCount: { $sum: 1 },
+        since: { $min: '$createdAt' }
+      }
+    },
+    { $sort: { balance: -1 } }
+  ]).toArray();
+
+  return balances.map(({ _id, ...balance }) => ({ clubId: _id, ...balance }));
+};
+
+// Validate a payout sent by an admin. Returns { payout } or { error } with a message for a 400 response.
+const normalizePayout = (input = {}) => {
+  const reference = typeof input.reference === 'string' ? input.reference.trim() : '';
+  if (!reference) {
+    return { error: 'A payment reference is required' };
+  }
+  if (reference.length > 100) {
+    return { error: 'Reference must be at most 100 characters' };
+  }
+
+  const note = typeof input.note === 'string' ? input.note.trim().slice(0, 500) : '';
+  return { payout: { reference, note: note || null } };
+};
+
+// Mark a club's open balance as paid. Returns { payout }, or { error } with a message for a
+// 409 response when there is nothing to pay out.
+const createPayout = async ({ club, reference, note, paidBy }) => {
+  const clubId = club._id.toString();
+  const payoutId = new ObjectId();
+  const now = new Date();
+
+  // Claim the open entries first, so a payment recorded meanwhile waits for the next payout
+  await ledgerCollection.updateMany(
+    { clubId, payoutId: null, createdAt: { $lte: now } },
+    { $set: { payoutId } }
+  );
+
+  const [totals] = await ledgerCollection.aggregate([
+    { $match: { payoutId } },
+    {
+      $group: {
+        _id: null,
+        amount: { $sum: '$amount' },
+        currency: { $first: '$currency' },
+        entryCount: { $sum: 1 },
+        periodStart: { $min: '$createdAt' },
+        periodEnd: { $max: '$createdAt' }
+      }
+    }
+  ]).toArray();
+
+  if (!totals || totals.amount <= 0) {
+    await ledgerCollection.updateMany({ payoutId }, { $set: { payoutId: null } });
+    return { error: 'This club has no balance to pay out' };
+  }
+
+  const payout = {
+    _id: payoutId,
+    clubId,
+    clubName: club.name || '',
+    amount: totals.amount,
+    currency: getCurrency(totals),
+    entryCount: totals.entryCount,
+    periodStart: totals.periodStart,
+    periodEnd: totals.periodEnd,
+    reference,
+    note,
+    paidBy,
+    paidAt: now
+  };
+  await payoutsCollection.insertOne(payout);
+
+  return { payout };
+};
+
+// CSV statement of a payout: one line per ledger entry, then the total
+const buildPayoutStatement = async (payout) => {
+  const entries = await ledgerCollection.find({ payoutId: payout._id }).sort({ createdAt: 1 }).toArray();
+
+  const rows = entries.map(entry => [
+    entry.createdAt,
+    entry.type,
+    entry.description,
+    entry.paymentIntentId || '',
+    getCurrency(entry),
+    fromMinorUnits(entry.chargedAmount).toFixed(2),
+    fromMinorUnits(entry.platformFee).toFixed(2),
+    fromMinorUnits(entry.amount).toFixed(2)
+  ]);
+  rows.push([
+    payout.paidAt,
+    'payout',
+    `Paid to ${payout.clubName} (reference ${payout.reference})`,
+    '',
+    getCurrency(payout),
+    '',
+    '',
+    fromMinorUnits(payout.amount).toFixed(2)
+  ]);
+
+  return toCsv(['date', 'type', 'description', 'paymentIntentId', 'currency', 'charged', 'platformFee', 'clubAmount'], rows);
+};
+
+const getStatementFilename = (payout) => {
+  const slug = (payout.clubName || 'club').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'club'}-payout-${payout.paidAt.toISOString().slice(0, 10)}.csv`;
+};
+
+// Ledger entry as returned to clients, amounts in whole units
+const formatLedgerEntry = (entry) => ({
+  id: entry._id.toString(),
+  type: entry.type,
+  description: entry.description,
+  chargedAmount: fromMinorUnits(entry.chargedAmount),
+  platformFee: fromMinorUnits(entry.platformFee),
+  amount: fromMinorUnits(entry.amount),
+  currency: getCurrency(entry),
+  payoutId: entry.payoutId ? entry.payoutId.toString() : null,
+  createdAt: entry.createdAt
+});
+
+// Payout as returned to clients, amounts in whole units
+const formatPayout = (payout) => ({
+  id: payout._id.toString(),
+  clubId: payout.clubId,
+  clubName: payout.clubName,
+  amount: fromMinorUnits(payout.amount),
+  currency: getCurrency(payout),
+  entryCount: payout.entryCount,
+  periodStart: payout.periodStart,
+  periodEnd: payout.periodEnd,
+  reference: payout.reference,
+  note: payout.note || null,
+  paidBy: payout.paidBy,
+  paidAt: payout.paidAt
+});
+
+module.exports = {
+  initClubLedger,
+  recordLedgerEntry,
+  getClubBalance,
+  getOpenBalances,
+  normalizePayout,
+  createPayout,
+  buildPayoutStatement,
+  getStatementFilename,
+  formatLedgerEntry,
+  formatPayout
+};
@@ -0,0 +1,270 @@
+const { ObjectId } = require('mongodb');
+const { OFFICER_ROLES } = require('./clubRoles');
+const { sendEmail, sendEmails } = require('./mailer');
+
+// Club ownership changes. Every change of a club's managerEmail is kept in
+// club_ownership_transfers so owners, nominees and admins can see the history:
+//   pending   - the owner nominated a member, waiting for their answer
+//   accepted  - the nominee accepted and now owns the club
+//   declined  - the nominee said no
+//   cancelled - withdrawn by the owner, or overtaken by another ownership change
+//   expired   - not answered within OWNERSHIP_TRANSFER_DAYS
+//   completed - changed directly by an admin
+// The nominee is emailed when nominated, and the owner when the nominee accepts or declines;
+// admins get a copy of each.
+const OWNERSHIP_TRANSFER_DAYS = 14;
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let usersCollection;
+let membershipsCollection;
+let transfersCollection;
+
+// Initialize collections
+const initClubOwnership = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  usersCollection = db.collection('users');
+  membershipsCollection = db.collection('memberships');
+  transfersCollection = db.collection('club_ownership_transfers');
+
+  // One open nomination per club
+  Promise.all([
+    transfersCollection.createIndex(
+      { clubId: 1 },
+      { unique: true, partialFilterExpression: { status: 'pending' } }
+    ),
+    transfersCollection.createIndex({ clubId: 1, createdAt: -1 }),
+    transfersCollection.createIndex({ toUserId: 1, status: 1 }),
+    transfersCollection.createIndex({ fromUserId: 1, createdAt: -1 })
+  ]).catch(error => console.error('Create ownership transfer indexes error:', error));
+};
+
+const isExpired = (transfer, now = new Date()) => transfer.status === 'pending' && transfer.expiresAt <= now;
+
+// Mark a nomination expired if nobody answered it in time. Returns true when it expired.
+const expireIfOverdue = async (transfer) => {
+  if (!isExpired(transfer)) return false;
+
+  await transfersCollection.updateOne(
+    { _id: transfer._id, status: 'pending' },
+    { $set: { status: 'expired', updatedAt: new Date() } }
+  );
+  return true;
+};
+
+// The open nomination for a club, or null
+const findPendingTransfer = async (clubId) => {
+  const transfer = await transfersCollection.findOne({ clubId: clubId.toString(), status: 'pending' });
+  if (!transfer || await expireIfOverdue(transfer)) return null;
+  return transfer;
+};
+
+// Email one side of a nomination and copy the admins. Never throws: a mail outage or
+// lookup failure must not undo the change it reports.
+const notifyTransfer = async (transfer, { to, subject, text }) => {
+  try {
+    const admins = await usersCollection.find({ role: 'admin' }, { projection: { email: 1 } }).toArray();
+    const adminEmails = admins.map(admin => admin.email).filter(email => email && email !== to);
+
+    await Promise.all([
+      to ? sendEmail({ to, subject, text: text.join('\n') }) : false,
+      sendEmails(adminEmails.map(email => ({
+        to: email,
+        subject: `[Admin] ${subject}`,
+        text: [`Ownership transfer of ${transfer.clubName} from ${transfer.fromEmail} to ${transfer.toEmail}:`, '', ...text].join('\n')
+      })))
+    ]);
+  } catch (error) {
+    console.error(`Notify ownership transfer ${transfer._id} error:`, error);
+  }
+};
+
+const notifyNominated = (transfer) => notifyTransfer(transfer, {
+  to: transfer.toEmail,
+  subject: `You've been asked to take over ${transfer.clubName}`,
+  text: [
+    `${transfer.fromEmail} would like you to become the owner of ${transfer.clubName} on ClubSphere.`,
+    ...(transfer.message ? ['', `"${transfer.message}"`] : []),
+    '',
+    `Accept or decline from your ownership transfers within ${OWNERSHIP_TRANSFER_DAYS} days.`
+  ]
+});
+
+const notifyAnswered = (transfer) => notifyTransfer(transfer, {
+  to: transfer.fromEmail,
+  subject: `${transfer.toEmail} ${transfer.status} ownership of ${transfer.clubName}`,
+  text: transfer.status === 'accepted'
+    ? [`${transfer.toEmail} accepted your nomination and now owns ${transfer.clubName}.`]
+    : [`${transfer.toEmail} declined your nomination; you still own ${transfer.clubName}.`]
+});
+
+// Give a plain member the clubManager role. Returns true when the role changed.
+const ensureClubManagerRole = async (user) => {
+  if (user.role !== 'member') return false;
+
+  const result = await usersCollection.updateOne(
+    { _id: user._id, role: 'member' },
+    { $set: { role: 'clubManager', updatedAt: new Date() } }
+  );
+  return result.modifiedCount > 0;
+};
+
+// Nominate an active member of the club as its next owner.
+// Returns { transfer } or { error } with a message for a 409 response.
+const createOwnershipTransfer = async ({ club, fromUser, toUser, message }) => {
+  if (await findPendingTransfer(club._id)) {
+    return { error: 'This club already has a pending ownership transfer' };
+  }
+
+  const now = new Date();
+  const transfer = {
+    clubId: club._id.toString(),
+    clubName: club.name,
+    fromUserId: fromUser ? fromUser._id.toString() : null,
+    fromEmail: club.managerEmail,
+    toUserId: toUser._id.toString(),
+    toEmail: toUser.email,
+    message: message || null,
+    status: 'pending',
+    expiresAt: new Date(now.getTime() + OWNERSHIP_TRANSFER_DAYS * 24 * 60 * 60 * 1000),
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    const result = await transfersCollection.insertOne(transfer);
+    transfer._id = result.insertedId;
+  } catch (error) {
+    // Lost the race against another nomination for the same club
+    if (error.code === 11000) {
+      return { error: 'This club already has a pending ownership transfer' };
+    }
+    throw error;
+  }
+
+  await notifyNominated(transfer);
+  return { transfer };
+};
+
+// Accept a nomination on behalf of the nominee.
+// Returns { transfer, roleUpgraded } or { error } with a message for a 409 response.
+const acceptOwnershipTransfer = async (transfer, user) => {
+  if (await expireIfOverdue(transfer)) {
+    return { error: 'This nomination has expired' };
+  }
+
+  const membership = await membershipsCollection.findOne({
+    userId: user._id.toString(),
+    clubId: transfer.clubId,
+    status: 'active'
+  });
+  if (!membership) {
+    return { error: 'Only active members of the club can take it over' };
+  }
+
+  const now = new Date();
+  const claimed = await transfersCollection.findOneAndUpdate(
+    { _id: transfer._id, status: 'pending' },
+    { $set: { status: 'accepted', respondedAt: now, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  if (!claimed) {
+    return { error: 'This nomination is no longer pending' };
+  }
+
+  // Only hand over the club if the nominating owner still owns it
+  const result = await clubsCollection.updateOne(
+    { _id: new ObjectId(transfer.clubId), managerEmail: transfer.fromEmail },
+    { $set: { managerEmail: user.email, updatedAt: now } }
+  );
+  if (result.modifiedCount === 0) {
+    await transfersCollection.updateOne(
+      { _id: transfer._id },
+      { $set: { status: 'cancelled', cancellationReason: 'owner_changed', updatedAt: new Date() } }
+    );
+    return { error: 'The club has changed owner since you were nominated' };
+  }
+
+  const roleUpgraded = await ensureClubManagerRole(user);
+
+  // The owner holds every permission, so an officer role would only be left over
+  await membershipsCollection.updateOne(
+    { _id: membership._id, role: { $in: OFFICER_ROLES } },
+    { $set: { role: 'member', updatedAt: now } }
+  );
+
+  await transfersCollection.updateOne({ _id: transfer._id }, { $set: { roleUpgraded } });
+  await notifyAnswered(claimed);
+  return { transfer: { ...claimed, roleUpgraded }, roleUpgraded };
+};
+
+// Decline a nomination on behalf of the nominee; the club keeps its owner.
+// Returns the declined transfer, or null when it is no longer pending.
+const declineOwnershipTransfer = async (transfer) => {
+  const now = new Date();
+  const declined = await transfersCollection.findOneAndUpdate(
+    { _id: transfer._id, status: 'pending' },
+    { $set: { status: 'declined', respondedAt: now, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  if (declined) {
+    await notifyAnswered(declined);
+  }
+  return declined;
+};
+
+// Record an owner change made by an admin, ending any open nomination for the club
+const recordAdminOwnershipChange = async ({ club, toUser, changedBy, roleUpgraded }) => {
+  const now = new Date();
+  const fromUser = club.managerEmail ? await usersCollection.findOne({ email: club.managerEmail }) : null;
+
+  await transfersCollection.updateMany(
+    { clubId: club._id.toString(), status: 'pending' },
+    { $set: { status: 'cancelled', cancellationReason: 'owner_changed', updatedAt: now } }
+  );
+
+  await transfersCollection.insertOne({
+    clubId: club._id.toString(),
+    clubName: club.name,
+    fromUserId: fromUser ? fromUser._id.toString() : null,
+    fromEmail: club.managerEmail || null,
+    toUserId: toUser._id.toString(),
+    toEmail: toUser.email,
+    status: 'completed',
+    changedBy,
+    roleUpgraded,
+    respondedAt: now,
+    createdAt: now,
+    updatedAt: now
+  });
+};
+
+// Transfer as returned to clients; pending nominations past their deadline show as expired
+const formatOwnershipTransfer = (transfer) => ({
+  id: transfer._id.toString(),
+  clubId: transfer.clubId,
+  clubName: transfer.clubName || '',
+  fromEmail: transfer.fromEmail,
+  toEmail: transfer.toEmail,
+  message: transfer.message || null,
+  status: isExpired(transfer) ? 'expired' : transfer.status,
+  changedBy: transfer.changedBy || null,
+  cancellationReason: transfer.cancellationReason || null,
+  roleUpgraded: !!transfer.roleUpgraded,
+  expiresAt: transfer.expiresAt || null,
+  respondedAt: transfer.respondedAt || null,
+  createdAt: transfer.createdAt
+});
+
+module.exports = {
+  OWNERSHIP_TRANSFER_DAYS,
+  initClubOwnership,
+  findPendingTransfer,
+  ensureClubManagerRole,
+  createOwnershipTransfer,
+  acceptOwnershipTransfer,
+  declineOwnershipTransfer,
+  recordAdminOwnershipChange,
+  formatOwnershipTransfer
+};
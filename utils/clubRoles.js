@@ -0,0 +1,142 @@
+const { ObjectId } = require('mongodb');
+
+// Club roles and the permissions they grant.
+// The club's managerEmail is its owner and holds every permission. Other club
+// staff are members whose active membership carries an officer role.
+const PERMISSIONS = {
+  EDIT_CLUB: 'edit_club',
+  EDIT_EVENTS: 'edit_events',
+  VIEW_FINANCES: 'view_finances',
+  APPROVE_MEMBERS: 'approve_members',
+  POST_ANNOUNCEMENTS: 'post_announcements',
+  MODERATE_FORUM: 'moderate_forum',
+  RUN_POLLS: 'run_polls',
+  MANAGE_ROLES: 'manage_roles'
+};
+
+const CLUB_ROLES = {
+  owner: {
+    name: 'Owner',
+    permissions: Object.values(PERMISSIONS)
+  },
+  co_manager: {
+    name: 'Co-manager',
+    permissions: [
+      PERMISSIONS.EDIT_CLUB,
+      PERMISSIONS.EDIT_EVENTS,
+      PERMISSIONS.VIEW_FINANCES,
+      PERMISSIONS.APPROVE_MEMBERS,
+      PERMISSIONS.POST_ANNOUNCEMENTS,
+      PERMISSIONS.MODERATE_FORUM,
+      PERMISSIONS.RUN_POLLS
+    ]
+  },
+  treasurer: {
+    name: 'Treasurer',
+    permissions: [PERMISSIONS.VIEW_FINANCES]
+  },
+  event_coordinator: {
+    name: 'Event coordinator',
+    permissions: [PERMISSIONS.EDIT_EVENTS, PERMISSIONS.POST_ANNOUNCEMENTS]
+  },
+  member: {
+    name: 'Member',
+    permissions: []
+  }
+};
+
+// Roles that can be given to a member (ownership is not a membership role)
+const OFFICER_ROLES = ['co_manager', 'treasurer', 'event_coordinator'];
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let membershipsCollection;
+
+// Initialize collections
+const initClubRoles = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  membershipsCollection = db.collection('memberships');
+
+  membershipsCollection.createIndex({ userId: 1, role: 1, status: 1 })
+    .catch(error => console.error('Create club role index error:', error));
+};
+
+const getRolePermissions = (role) => (CLUB_ROLES[role] ? CLUB_ROLES[role].permissions : []);
+
+const hasPermission = (access, permission) => !!access && access.permissions.includes(permission);
+
+// Role definitions as returned to clients
+const formatClubRoles = () => Object.entries(CLUB_ROLES).map(([id, role]) => ({
+  id,
+  name: role.name,
+  permissions: role.permissions
+}));
+
+// Officer memberships held by a user
+const findOfficerMemberships = (userId) => membershipsCollection.find({
+  userId,
+  status: 'active',
+  role: { $in: OFFICER_ROLES }
+}).toArray();
+
+// The user's access to a club: { club, role, permissions }, or null when the
+// club does not exist or the user holds no role in it
+const getClubAccess = async (user, clubId) => {
+  if (!ObjectId.isValid(clubId)) return null;
+
+  // Archived clubs are read-only until an admin restores them
+  const club = await clubsCollection.findOne({ _id: new ObjectId(clubId), status: { $ne: 'archived' } });
+  if (!club) return null;
+
+  if (club.managerEmail && club.managerEmail === user.email) {
+    return { club, role: 'owner', permissions: getRolePermissions('owner') };
+  }
+
+  const membership = await membershipsCollection.findOne({
+    userId: user.userId,
+    clubId: club._id.toString(),
+    status: 'active',
+    role: { $in: OFFICER_ROLES }
+  });
+  if (!membership) return null;
+
+  return { club, role: membership.role, permissions: getRolePermissions(membership.role) };
+};
+
+// Every club the user owns or holds an officer role in, as [{ club, role, permissions }].
+// With a permission, only clubs where the user has it.
+const getAccessibleClubs = async (user, permission = null, query = {}) => {
+  const officerMemberships = await findOfficerMemberships(user.userId);
+  const officerRoles = new Map(officerMemberships.map(membership => [membership.clubId, membership.role]));
+  const officerClubIds = [...officerRoles.keys()]
+    .filter(clubId => ObjectId.isValid(clubId))
+    .map(clubId => new ObjectId(clubId));
+
+  const clubs = await clubsCollection.find({
+    $and: [
+      { $or: [{ managerEmail: user.email }, { _id: { $in: officerClubIds } }] },
+      { status: { $ne: 'archived' } },
+      query
+    ]
+  }).sort({ createdAt: -1 }).toArray();
+
+  return clubs
+    .map(club => {
+      const role = club.managerEmail === user.email ? 'owner' : officerRoles.get(club._id.toString());
+      return { club, role, permissions: getRolePermissions(role) };
+    })
+    .filter(access => !permission || hasPermission(access, permission));
+};
+
+module.exports = {
+  PERMISSIONS,
+  CLUB_ROLES,
+  OFFICER_ROLES,
+  initClubRoles,
+  getRolePermissions,
+  hasPermission,
+  formatClubRoles,
+  getClubAccess,
+  getAccessibleClubs
+};
@@ -0,0 +1,367 @@
+const { ObjectId } = require('mongodb');
+const {
+  parseMoney,
+  normalizeCurrency,
+  fromMinorUnits,
+  toMinorUnits,
+  getCurrency,
+  fromStripeCurrency
+} = require('./money');
+
+// Discount codes for event tickets and club memberships.
+//   coupons            - { code, scope, clubId, eventId, appliesTo, discount: { type, value, currency },
+//                          maxUses, maxUsesPerUser, startsAt, expiresAt, usedCount, createdBy,
+//                          createdByRole, createdAt, updatedAt, disabledAt, disabledBy }
+//   coupon_redemptions - { couponId, code, clubId, userId, paymentIntentId, purchase, grossAmount,
+//                          discountAmount, currency, createdAt }, one per paid payment intent
+// scope is platform (any club, admins only), club (the club's memberships and events) or event
+// (one event's tickets). appliesTo narrows a platform or club coupon to events or memberships.
+// discount.type is percent (value 1-99) or amount (value off, in minor units of discount.currency).
+// An amount coupon only covers purchases in its currency; club and event coupons take the club's.
+// A coupon can lower a price but never make it free, since Stripe cannot take a zero payment.
+// Redemption amounts are in minor units of the purchase's currency.
+// Limits are checked at checkout and a use is counted when the payment succeeds.
+const COUPON_SCOPES = ['platform', 'club', 'event'];
+const COUPON_TARGETS = ['all', 'events', 'memberships'];
+const COUPON_DISCOUNT_TYPES = ['percent', 'amount'];
+
+const CODE_PATTERN = /^[A-Z0-9-]{3,32}$/;
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let eventsCollection;
+let couponsCollection;
+let redemptionsCollection;
+
+// Initialize collections
+const initCoupons = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  eventsCollection = db.collection('events');
+  couponsCollection = db.collection('coupons');
+  redemptionsCollection = db.collection('coupon_redemptions');
+
+  Promise.all([
+    couponsCollection.createIndex({ code: 1 }, { unique: true }),
+    couponsCollection.createIndex({ clubId: 1, createdAt: -1 }),
+    redemptionsCollection.createIndex({ paymentIntentId: 1 }, { unique: true }),
+    redemptionsCollection.createIndex({ couponId: 1, userId: 1 })
+  ]).catch(error => console.error('Create coupon indexes error:', error));
+};
+
+const normalizeCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+const parseOptionalDate = (input, field) => {
+  if (input === undefined || input === null || input === '') return { value: null };
+  const value = new Date(input);
+  return isNaN(value.getTime()) ? { error: `${field} is not a valid date` } : { value };
+};
+
+const parseOptionalLimit = (input, field) => {
+  if (input === undefined || input === null) return { value: null };
+  if (!Number.isInteger(input) || input < 1) {
+    return { error: `${field} must be a whole number of at least 1` };
+  }
+  return { value: input };
+};
+
+// Validate a coupon sent by a manager or admin. allowedScopes lists the scopes the caller may
+// create. Returns { coupon } with the fields to store, apart from the club and event ids
+// (see resolveCouponScope), or { error } with a message for a 400 response.
+const normalizeCoupon = (input = {}, allowedScopes = COUPON_SCOPES) => {
+  const code = normalizeCode(input.code);
+  if (!CODE_PATTERN.test(code)) {
+    return { error: 'Code must be 3 to 32 letters, digits or dashes' };
+  }
+
+  const scope = input.scope || 'club';
+  if (!allowedScopes.includes(scope)) {
+    return { error: `Scope must be one of: ${allowedScopes.join(', ')}` };
+  }
+
+  const appliesTo = scope === 'event' ? 'events' : (input.appliesTo || 'all');
+  if (!COUPON_TARGETS.includes(appliesTo)) {
+    return { error: `appliesTo must be one of: ${COUPON_TARGETS.join(', ')}` };
+  }
+
+  const { type } = input.discount || {};
+  if (!COUPON_DISCOUNT_TYPES.includes(type)) {
+    return { error: `Discount type must be one of: ${COUPON_DISCOUNT_TYPES.join(', ')}` };
+  }
+
+  let discount;
+  if (type === 'percent') {
+    const value = Number(input.discount.value);
+    if (!(Number.isInteger(value) && value >= 1 && value <= 99)) {
+      return { error: 'Percent discounts must be a whole number between 1 and 99' };
+    }
+    discount = { type, value };
+  } else {
+    const { amount, error } = parseMoney(input.discount.value, 'Amount discounts');
+    if (error) return { error };
+    if (amount <= 0) {
+      return { error: 'Amount discounts must be greater than 0' };
+    }
+    // Set from the club by resolveCouponScope when not given
+    let currency = null;
+    if (input.discount.currency) {
+      const normalized = normalizeCurrency(input.discount.currency);
+      if (normalized.error) return { error: normalized.error };
+      currency = normalized.currency;
+    }
+    discount = { type, value: amount, currency };
+  }
+
+  const maxUses = parseOptionalLimit(input.maxUses, 'maxUses');
+  if (maxUses.error) return { error: maxUses.error };
+
+  // One use per member unless the coupon says otherwise
+  const maxUsesPerUser = parseOptionalLimit(input.maxUsesPerUser ?? 1, 'maxUsesPerUser');
+  if (maxUsesPerUser.error) return { error: maxUsesPerUser.error };
+
+  const startsAt = parseOptionalDate(input.startsAt, 'startsAt');
+  if (startsAt.error) return { error: startsAt.error };
+  const expiresAt = parseOptionalDate(input.expiresAt, 'expiresAt');
+  if (expiresAt.error) return { error: expiresAt.error };
+  if (expiresAt.value && expiresAt.value <= new Date()) {
+    return { error: 'expiresAt must be a date in the future' };
+  }
+  if (startsAt.value && expiresAt.value && startsAt.value >= expiresAt.value) {
+    return { error: 'startsAt must be before expiresAt' };
+  }
+
+  return {
+    coupon: {
+      code,
+      scope,
+      appliesTo,
+      discount,
+      maxUses: maxUses.value,
+      maxUsesPerUser: maxUsesPerUser.value,
+      startsAt: startsAt.value,
+      expiresAt: expiresAt.value
+    }
+  };
+};
+
+// The club and event a coupon belongs to. An event coupon takes its club from the event; with
+// clubId as well, the event must belong to that club. An amount discount is in the club's
+// currency, and a platform one must name its currency.
+// Returns { clubId, eventId, discount } or { error } with a message for a 400 response.
+const resolveCouponScope = async (coupon, { clubId, eventId }) => {
+  const { scope, discount } = coupon;
+  let target;
+  let currency;
+
+  if (scope === 'platform') {
+    target = { clubId: null, eventId: null };
+    currency = discount.currency;
+  } else if (scope === 'club') {
+    const club = clubId && ObjectId.isValid(clubId)
+      ? await clubsCollection.findOne({ _id: new ObjectId(clubId), status: { $ne: 'archived' } })
+      : null;
+    if (!club) return { error: 'Club not found' };
+    target = { clubId: club._id.toString(), eventId: null };
+    currency = getCurrency(club);
+  } else {
+    const event = eventId && ObjectId.isValid(eventId)
+      ? await eventsCollection.findOne({ _id: new ObjectId(eventId), status: { $nin: ['archived', 'cancelled'] } })
+      : null;
+    if (!event || !event.clubId || (clubId && event.clubId.toString() !== clubId.toString())) {
+      return { error: 'Event not found' };
+    }
+    target = { clubId: event.clubId.toString(), eventId: event._id.toString() };
+    currency = getCurrency(event);
+  }
+
+  if (discount.type !== 'amount') return { ...target, discount };
+  if (!currency) {
+    return { error: 'Amount discounts on platform coupons need a currency' };
+  }
+  if (discount.currency && discount.currency !== currency) {
+    return { error: `Amount discounts must be in the club's currency (${currency})` };
+  }
+  return { ...target, discount: { ...discount, currency } };
+};
+
+// Store a new coupon. Returns { coupon } or { error } with a message for a 409 response.
+const createCoupon = async ({ coupon, clubId, eventId, discount, createdBy, createdByRole }) => {
+  const now = new Date();
+  const document = {
+    ...coupon,
+    clubId,
+    eventId,
+    discount,
+    usedCount: 0,
+    createdBy,
+    createdByRole,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    const result = await couponsCollection.insertOne(document);
+    return { coupon: { ...document, _id: result.insertedId } };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return { error: 'That coupon code is already taken' };
+  }
+};
+
+// Why a coupon cannot be used right now, or null if it can
+const getCouponProblem = (coupon, now = new Date()) => {
+  if (coupon.disabledAt) return 'This coupon has been disabled';
+  if (coupon.startsAt && coupon.startsAt > now) return 'This coupon is not active yet';
+  if (coupon.expiresAt && coupon.expiresAt <= now) return 'This coupon has expired';
+  if (coupon.maxUses && coupon.usedCount >= coupon.maxUses) return 'This coupon has been used up';
+  return null;
+};
+
+// Whether a coupon covers a purchase: { type: 'event' | 'membership', clubId, eventId, currency }
+const couponCovers = (coupon, purchase) => {
+  if (coupon.appliesTo === 'events' && purchase.type !== 'event') return false;
+  if (coupon.appliesTo === 'memberships' && purchase.type !== 'membership') return false;
+  if (coupon.scope === 'club') return coupon.clubId === purchase.clubId;
+  if (coupon.scope === 'event') return purchase.type === 'event' && coupon.eventId === purchase.eventId;
+  return true;
+};
+
+// The coupon a member is using for a purchase. Returns { coupon } (null without a code)
+// or { error } with a message for a 400 response.
+const findRedeemableCoupon = async ({ code, userId, purchase }) => {
+  const normalized = normalizeCode(code);
+  if (!normalized) return { coupon: null };
+
+  const coupon = await couponsCollection.findOne({ code: normalized });
+  if (!coupon || !couponCovers(coupon, purchase)) {
+    return { error: 'Coupon code is not valid for this purchase' };
+  }
+
+  const problem = getCouponProblem(coupon);
+  if (problem) return { error: problem };
+
+  // There are no exchange rates, so an amount off only applies in its own currency
+  if (coupon.discount.type === 'amount' && getCurrency(coupon.discount) !== purchase.currency) {
+    return { error: `This coupon is only valid for payments in ${getCurrency(coupon.discount)}` };
+  }
+
+  if (coupon.maxUsesPerUser) {
+    const used = await redemptionsCollection.countDocuments({ couponId: coupon._id.toString(), userId });
+    if (used >= coupon.maxUsesPerUser) {
+      return { error: 'You have already used this coupon' };
+    }
+  }
+
+  return { coupon };
+};
+
+// Price of a purchase in whole units: { grossAmount, discountAmount, totalAmount }. The coupon
+// must be one findRedeemableCoupon returned for the purchase, so an amount off is in its currency.
+// The discount is capped so the total stays above zero; check totalAmount before charging.
+const priceWithCoupon = (grossAmount, coupon) => {
+  let discountAmount = 0;
+  if (coupon && grossAmount > 0) {
+    const { type, value } = coupon.discount;
+    discountAmount = type === 'percent' ? Math.round(grossAmount * value) / 100 : fromMinorUnits(value);
+    discountAmount = Math.min(discountAmount, grossAmount);
+  }
+  return {
+    grossAmount,
+    discountAmount,
+    totalAmount: Math.round((grossAmount - discountAmount) * 100) / 100
+  };
+};
+
+// Payment intent metadata describing the coupon used, if any
+const getCouponMetadata = (coupon) => (
+  coupon ? { couponId: coupon._id.toString(), couponCode: coupon.code } : {}
+);
+
+// Count a coupon use for a succeeded payment intent. Safe to call more than once for the
+// same payment intent, so the confirm endpoints and the webhook count it once between them.
+const recordCouponRedemption = async (paymentIntent, purchase) => {
+  const { couponId, couponCode, userId } = paymentIntent.metadata;
+  if (!couponId || !ObjectId.isValid(couponId)) return;
+
+  // Payment intent metadata holds whole units; the total includes the service fee
+  const { metadata } = paymentIntent;
+  const grossAmount = toMinorUnits(metadata.grossAmount);
+  const price = toMinorUnits(metadata.totalAmount) - toMinorUnits(metadata.serviceFee);
+
+  try {
+    const result = await redemptionsCollection.updateOne(
+      { paymentIntentId: paymentIntent.id },
+      {
+        $setOnInsert: {
+          couponId,
+          code: couponCode,
+          clubId: purchase.clubId || null,
+          userId,
+          paymentIntentId: paymentIntent.id,
+          purchase: purchase.type,
+          grossAmount,
+          discountAmount: Math.max(0, grossAmount - price),
+          currency: fromStripeCurrency(paymentIntent.currency),
+          createdAt: new Date()
+        }
+      },
+      { upsert: true }
+    );
+    if (result.upsertedCount === 0) return;
+  } catch (error) {
+    // A concurrent call already counted this payment
+    if (error.code === 11000) return;
+    throw error;
+  }
+
+  await couponsCollection.updateOne(
+    { _id: new ObjectId(couponId) },
+    { $inc: { usedCount: 1 }, $set: { updatedAt: new Date() } }
+  );
+};
+
+// Disable a coupon so it can no longer be used. Returns the updated coupon, or null.
+const disableCoupon = (filter, disabledBy) => couponsCollection.findOneAndUpdate(
+  { ...filter, disabledAt: null },
+  { $set: { disabledAt: new Date(), disabledBy, updatedAt: new Date() } },
+  { returnDocument: 'after' }
+);
+
+// Coupon as returned to managers and admins, amount discounts in whole units
+const formatCoupon = (coupon) => ({
+  id: coupon._id.toString(),
+  code: coupon.code,
+  scope: coupon.scope,
+  clubId: coupon.clubId || null,
+  eventId: coupon.eventId || null,
+  appliesTo: coupon.appliesTo,
+  discount: coupon.discount.type === 'amount'
+    ? { ...coupon.discount, value: fromMinorUnits(coupon.discount.value) }
+    : coupon.discount,
+  maxUses: coupon.maxUses || null,
+  maxUsesPerUser: coupon.maxUsesPerUser || null,
+  usedCount: coupon.usedCount || 0,
+  startsAt: coupon.startsAt || null,
+  expiresAt: coupon.expiresAt || null,
+  status: coupon.disabledAt ? 'disabled' : (getCouponProblem(coupon) ? 'inactive' : 'active'),
+  createdBy: coupon.createdBy,
+  createdAt: coupon.createdAt,
+  disabledAt: coupon.disabledAt || null
+});
+
+module.exports = {
+  COUPON_SCOPES,
+  COUPON_TARGETS,
+  COUPON_DISCOUNT_TYPES,
+  initCoupons,
+  normalizeCoupon,
+  resolveCouponScope,
+  createCoupon,
+  getCouponProblem,
+  findRedeemableCoupon,
+  priceWithCoupon,
+  getCouponMetadata,
+  recordCouponRedemption,
+  disableCoupon,
+  formatCoupon
+};
@@ -0,0 +1,73 @@
+// Minimal CSV reading and writing (RFC 4180: comma separated, double-quoted fields,
+// "" for a quote inside a quoted field).
+
+// Parse CSV text into an array of rows, each an array of strings. Blank lines are skipped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  const input = text.replace(/^\uFEFF/, '');
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0].trim() !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+
+  return rows;
+};
+
+// Quote a value for CSV. Values starting with a formula character are prefixed with '
+// so spreadsheet apps do not run them.
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Build CSV text from column headers and rows of values
+const toCsv = (headers, rows) => [headers, ...rows]
+  .map(row => row.map(escapeCsvValue).join(','))
+  .join('\r\n');
+
+// Send CSV as a download; the byte order mark makes Excel read it as UTF-8
+const sendCsv = (res, filename, csv) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(`\uFEFF${csv}\r\n`);
+};
+
+module.exports = {
+  parseCsv,
+  toCsv,
+  sendCsv
+};
@@ -0,0 +1,305 @@
+const { ObjectId } = require('mongodb');
+const { releaseSeat, holdsSeat } = require('./seats');
+const { promoteFromWaitlist } = require('./waitlist');
+const { splitRefund } = require('./platformFees');
+const { recordLedgerEntry } = require('./clubLedger');
+const { fromMinorUnits, getCurrency, fromStripeCurrency } = require('./money');
+const { markDonationChargedBack } = require('./donations');
+
+// Stripe disputes (chargebacks, and inquiries that may become one), kept on the disputed transaction:
+//   transaction.dispute - { id, status, reason, amount, currency, evidenceDueBy, hasEvidence, outcome,
+//                           createdAt, updatedAt, closedAt }
+// amount is in minor units; outcome is null while the dispute is open, then won or lost.
+// While a dispute is open, the registration or membership the payment bought is suspended.
+// Winning restores it. Losing cancels it and records a negative 'chargeback' transaction, so revenue
+// totals and the club's ledger give back what Stripe took, like a refund. An inquiry that closes
+// without becoming a dispute, or a dispute Stripe prevented, counts as won.
+const DISPUTE_OUTCOMES = ['won', 'lost'];
+
+const getDisputeOutcome = (status) => {
+  if (status === 'lost') return 'lost';
+  if (status === 'won' || status === 'warning_closed' || status === 'prevented') return 'won';
+  return null;
+};
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let registrationsCollection;
+let membershipsCollection;
+let transactionsCollection;
+
+// Initialize collections
+const initDisputes = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  registrationsCollection = db.collection('registrations');
+  membershipsCollection = db.collection('memberships');
+  transactionsCollection = db.collection('transactions');
+
+  Promise.all([
+    transactionsCollection.createIndex(
+      { 'dispute.outcome': 1, 'dispute.evidenceDueBy': 1 },
+      { partialFilterExpression: { 'dispute.id': { $exists: true } } }
+    ),
+    transactionsCollection.createIndex(
+      { disputeId: 1 },
+      { unique: true, partialFilterExpression: { disputeId: { $exists: true } } }
+    )
+  ]).catch(error => console.error('Create dispute indexes error:', error));
+};
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+const getClubFilterId = (clubId) => (ObjectId.isValid(clubId) ? new ObjectId(clubId) : clubId);
+
+// The registration or membership a disputed payment bought. Subscription renewals are
+// found through the membership's subscription.
+const findDisputedRecords = async (transaction) => {
+  const { paymentIntentId, subscriptionId } = transaction;
+  const [registration, membership] = await Promise.all([
+    transaction.type === 'event' ? registrationsCollection.findOne({ paymentIntentId }) : null,
+    transaction.type === 'membership'
+      ? membershipsCollection.findOne(subscriptionId ? { subscriptionId } : { paymentIntentId })
+      : null
+  ]);
+  return { registration, membership };
+};
+
+// Suspend what an open dispute's payment bought. Safe to call for every dispute event.
+const suspendDisputedRecords = async ({ registration, membership }, now) => {
+  const suspension = { paymentStatus: 'disputed', suspendedAt: now, suspensionReason: 'dispute', updatedAt: now };
+
+  if (registration && registration.status === 'registered') {
+    // The seat is kept until the dispute closes
+    await registrationsCollection.updateOne(
+      { _id: registration._id, status: 'registered' },
+      { $set: { status: 'suspended', ...suspension } }
+    );
+  } else if (registration && registration.status !== 'suspended') {
+    await registrationsCollection.updateOne(
+      { _id: registration._id },
+      { $set: { paymentStatus: 'disputed', updatedAt: now } }
+    );
+  }
+
+  if (membership && membership.status === 'active') {
+    const result = await membershipsCollection.updateOne(
+      { _id: membership._id, status: 'active' },
+      { $set: { status: 'suspended', ...suspension } }
+    );
+    if (result.modifiedCount > 0) {
+      await clubsCollection.updateOne({ _id: getClubFilterId(membership.clubId) }, { $inc: { memberCount: -1 } });
+    }
+  } else if (membership && membership.status !== 'suspended') {
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { paymentStatus: 'disputed', updatedAt: now } }
+    );
+  }
+};
+
+// Give back what a won dispute suspended. A membership that ran out meanwhile ends as expired.
+const restoreDisputedRecords = async ({ registration, membership }, now) => {
+  const restored = { paymentStatus: 'paid', updatedAt: now };
+  const unsuspend = { suspendedAt: '', suspensionReason: '' };
+
+  if (registration) {
+    await registrationsCollection.updateOne(
+      { _id: registration._id, paymentStatus: 'disputed' },
+      {
+        $set: { ...(registration.status === 'suspended' ? { status: 'registered' } : {}), ...restored },
+        $unset: unsuspend
+      }
+    );
+  }
+
+  if (membership && membership.status === 'suspended') {
+    const active = !membership.expiryDate || new Date(membership.expiryDate) > now;
+    const result = await membershipsCollection.updateOne(
+      { _id: membership._id, status: 'suspended' },
+      { $set: { status: active ? 'active' : 'expired', ...restored }, $unset: unsuspend }
+    );
+    if (result.modifiedCount > 0 && active) {
+      await clubsCollection.updateOne({ _id: getClubFilterId(membership.clubId) }, { $inc: { memberCount: 1 } });
+    }
+  } else if (membership) {
+    await membershipsCollection.updateOne(
+      { _id: membership._id, paymentStatus: 'disputed' },
+      { $set: restored }
+    );
+  }
+};
+
+// Cancel what a lost dispute's payment bought
+const cancelDisputedRecords = async ({ registration, membership }, now) => {
+  const cancelled = {
+    status: 'cancelled',
+    paymentStatus: 'charged_back',
+    cancellationReason: 'dispute_lost',
+    cancelledAt: now,
+    updatedAt: now
+  };
+
+  if (registration && registration.status !== 'cancelled') {
+    const current = await registrationsCollection.findOneAndUpdate(
+      { _id: registration._id, status: { $ne: 'cancelled' } },
+      { $set: cancelled }
+    );
+    if (current && holdsSeat(current)) {
+      await releaseSeat(current.eventId, current.ticketTypeId);
+      await promoteFromWaitlist(current.eventId);
+    }
+  } else if (registration) {
+    await registrationsCollection.updateOne(
+      { _id: registration._id },
+      { $set: { paymentStatus: 'charged_back', updatedAt: now } }
+    );
+  }
+
+  // A suspended membership was already taken out of the member count
+  if (membership && ['active', 'suspended'].includes(membership.status)) {
+    const current = await membershipsCollection.findOneAndUpdate(
+      { _id: membership._id, status: { $in: ['active', 'suspended'] } },
+      { $set: cancelled }
+    );
+    if (current && current.status === 'active') {
+      await clubsCollection.updateOne({ _id: getClubFilterId(membership.clubId) }, { $inc: { memberCount: -1 } });
+    }
+  } else if (membership) {
+    await membershipsCollection.updateOne(
+      { _id: membership._id },
+      { $set: { paymentStatus: 'charged_back', updatedAt: now } }
+    );
+  }
+};
+
+// Record the money a lost dispute took back as a negative transaction. The platform gives
+// back its fee in proportion, like a refund; the rest comes out of the club's ledger.
+const recordChargeback = async (dispute, originalTransaction, now) => {
+  const { platformFee } = splitRefund(dispute.amount, originalTransaction);
+  const transaction = {
+    userId: originalTransaction.userId,
+    ...(originalTransaction.eventId ? { eventId: originalTransaction.eventId } : {}),
+    ...(originalTransaction.clubId ? { clubId: originalTransaction.clubId } : {}),
+    type: 'chargeback',
+    description: `Chargeback - ${originalTransaction.description || 'Payment'}`,
+    amount: -dispute.amount, // Negative so it subtracts from revenue
+    platformFee: -platformFee,
+    currency: getCurrency(originalTransaction),
+    status: 'success',
+    paymentIntentId: originalTransaction.paymentIntentId,
+    disputeId: dispute.id,
+    disputedTransactionId: originalTransaction._id,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  try {
+    await transactionsCollection.updateOne({ disputeId: dispute.id }, { $setOnInsert: transaction }, { upsert: true });
+  } catch (error) {
+    // A concurrent delivery of the same event recorded it first
+    if (error.code !== 11000) throw error;
+  }
+  await recordLedgerEntry(transaction);
+};
+
+// Record a Stripe dispute event (created, updated, closed, funds withdrawn or reinstated) on the
+// disputed transaction and suspend, restore or cancel what it bought. Events may arrive more than
+// once and out of order, so everything is derived from the dispute's current status.
+// Returns the updated transaction, or null when the payment is not one of ours.
+const recordDispute = async (dispute) => {
+  const paymentIntentId = dispute.payment_intent;
+  if (!paymentIntentId) return null;
+
+  const transaction = await transactionsCollection.findOne({
+    paymentIntentId,
+    type: { $in: ['event', 'membership', 'donation'] },
+    status: 'success'
+  });
+  if (!transaction) return null;
+
+  const now = new Date();
+  const outcome = getDisputeOutcome(dispute.status);
+  const existing = transaction.dispute && transaction.dispute.id === dispute.id ? transaction.dispute : null;
+  const info = {
+    id: dispute.id,
+    status: dispute.status,
+    reason: dispute.reason,
+    amount: dispute.amount,
+    currency: fromStripeCurrency(dispute.currency),
+    evidenceDueBy: toDate(dispute.evidence_details?.due_by),
+    hasEvidence: !!dispute.evidence_details?.has_evidence,
+    outcome,
+    createdAt: existing ? existing.createdAt : toDate(dispute.created) || now,
+    updatedAt: now,
+    closedAt: outcome ? (existing && existing.closedAt) || now : null
+  };
+
+  const updated = await transactionsCollection.findOneAndUpdate(
+    { _id: transaction._id },
+    { $set: { dispute: info, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+
+  const records = await findDisputedRecords(transaction);
+  if (outcome === 'won') {
+    await restoreDisputedRecords(records, now);
+  } else if (outcome === 'lost') {
+    await cancelDisputedRecords(records, now);
+    await recordChargeback(dispute, transaction, now);
+    if (transaction.type === 'donation') {
+      await markDonationChargedBack(paymentIntentId);
+    }
+  } else {
+    await suspendDisputedRecords(records, now);
+  }
+
+  return updated;
+};
+
+// Validate ?status= of the admin disputes view: open, won, lost or all.
+// Returns { query } to match disputed transactions, or { error } with a message for a 400 response.
+const getDisputeQuery = (status) => {
+  const query = { 'dispute.id': { $exists: true } };
+  if (!status || status === 'all') return { query };
+  if (status === 'open') return { query: { ...query, 'dispute.outcome': null } };
+  if (DISPUTE_OUTCOMES.includes(status)) return { query: { ...query, 'dispute.outcome': status } };
+  return { error: `Status must be one of: open, ${DISPUTE_OUTCOMES.join(', ')}, all` };
+};
+
+// A disputed transaction as shown to admins, amounts in whole units. A response is overdue
+// when an open dispute's evidence deadline has passed without evidence.
+const formatDispute = (transaction, now = new Date()) => {
+  const { dispute } = transaction;
+  const currency = dispute.currency || getCurrency(transaction);
+  return {
+    id: dispute.id,
+    transactionId: transaction._id.toString(),
+    type: transaction.type,
+    description: transaction.description || '',
+    userId: transaction.userId || null,
+    clubId: transaction.clubId || null,
+    eventId: transaction.eventId || null,
+    paymentIntentId: transaction.paymentIntentId,
+    chargedAmount: fromMinorUnits(transaction.amount),
+    amount: fromMinorUnits(dispute.amount),
+    currency,
+    reason: dispute.reason || null,
+    status: dispute.status,
+    outcome: dispute.outcome || null,
+    evidenceDueBy: dispute.evidenceDueBy || null,
+    hasEvidence: !!dispute.hasEvidence,
+    overdue: !dispute.outcome && !dispute.hasEvidence && !!dispute.evidenceDueBy && dispute.evidenceDueBy < now,
+    openedAt: dispute.createdAt,
+    closedAt: dispute.closedAt || null
+  };
+};
+
+module.exports = {
+  DISPUTE_OUTCOMES,
+  initDisputes,
+  getDisputeOutcome,
+  recordDispute,
+  getDisputeQuery,
+  formatDispute
+};
@@ -0,0 +1,249 @@
+const { fromMinorUnits, parseMoney, getCurrency } = require('./money');
+
+// Donations to clubs from members and anonymous visitors, paid through Stripe.
+//   donations - { clubId, userId, donorName, donorEmail, message, anonymous, amount, currency, status,
+//                 paymentIntentId, refundedAmount, createdAt, paidAt, updatedAt }
+// status is pending until the payment succeeds, then paid, or failed; a fully refunded donation
+// becomes refunded, and one taken back through a lost dispute charged_back. userId is null for
+// visitors who are not signed in. anonymous hides the donor's name on the club's public donations
+// page; club staff and admins still see who gave.
+// A club may set a fundraising goal, club.donationGoal = { title, description, amount, startsAt,
+// endsAt, setBy }, whose progress counts the donations paid since startsAt.
+// Amounts are in minor units of the club's currency, like transactions.
+const DONATION_STATUSES = ['pending', 'paid', 'failed', 'refunded', 'charged_back'];
+
+// Whole-unit limits of a single donation
+const MIN_DONATION = 1;
+const MAX_DONATION = 1000000;
+const MAX_MESSAGE_LENGTH = 500;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// MongoDB collections (will be initialized from index.js)
+let donationsCollection;
+
+// Initialize collections
+const initDonations = (client) => {
+  const db = client.db('clubsphere');
+  donationsCollection = db.collection('donations');
+
+  Promise.all([
+    donationsCollection.createIndex({ paymentIntentId: 1 }, { unique: true }),
+    donationsCollection.createIndex({ clubId: 1, status: 1, paidAt: -1 })
+  ]).catch(error => console.error('Create donation indexes error:', error));
+};
+
+// Validate a donation. user is the signed-in donor ({ name, email }) or null for a visitor, who
+// gives a name unless donating anonymously and may give an email for the Stripe receipt.
+// Returns { donation } with the fields to store, or { error } with a message for a 400 response.
+const normalizeDonation = (input = {}, user = null) => {
+  const { amount, error } = parseMoney(input.amount, 'Amount');
+  if (error) return { error };
+  if (amount < MIN_DONATION * 100 || amount > MAX_DONATION * 100) {
+    return { error: `Donations must be between ${MIN_DONATION} and ${MAX_DONATION.toLocaleString('en-US')}` };
+  }
+
+  const message = typeof input.message === 'string' ? input.message.trim() : '';
+  if (message.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+
+  const anonymous = input.anonymous === true;
+
+  let donorName = user ? user.name || '' : '';
+  let donorEmail = user ? user.email || '' : '';
+  if (!user) {
+    donorName = typeof input.name === 'string' ? input.name.trim().slice(0, 100) : '';
+    donorEmail = typeof input.email === 'string' ? input.email.trim().toLowerCase() : '';
+    if (!donorName && !anonymous) {
+      return { error: 'Name is required unless you donate anonymously' };
+    }
+    if (donorEmail && !EMAIL_PATTERN.test(donorEmail)) {
+      return { error: 'Email is not valid' };
+    }
+  }
+
+  return {
+    donation: {
+      amount,
+      message: message || null,
+      anonymous,
+      donorName: donorName || null,
+      donorEmail: donorEmail || null
+    }
+  };
+};
+
+// Validate a fundraising goal sent by a manager.
+// Returns { goal } or { error } with a message for a 400 response.
+const normalizeDonationGoal = (input = {}) => {
+  const { amount, error } = parseMoney(input.amount, 'Goal amount');
+  if (error) return { error };
+  if (amount <= 0) {
+    return { error: 'Goal amount must be greater than 0' };
+  }
+
+  const title = typeof input.title === 'string' ? input.title.trim() : '';
+  if (!title) {
+    return { error: 'Title is required' };
+  }
+  if (title.length > 100) {
+    return { error: 'Title must be at most 100 characters' };
+  }
+
+  let endsAt = null;
+  if (input.endsAt) {
+    endsAt = new Date(input.endsAt);
+    if (isNaN(endsAt.getTime()) || endsAt <= new Date()) {
+      return { error: 'endsAt must be a date in the future' };
+    }
+  }
+
+  const description = typeof input.description === 'string' ? input.description.trim().slice(0, 1000) : '';
+
+  return { goal: { title, description: description || null, amount, endsAt } };
+};
+
+// Create the pending donation of a payment intent
+const createDonation = async ({ club, userId, donation, paymentIntentId }) => {
+  const now = new Date();
+  const document = {
+    clubId: club._id.toString(),
+    userId: userId || null,
+    ...donation,
+    currency: getCurrency(club),
+    status: 'pending',
+    paymentIntentId,
+    refundedAmount: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  const result = await donationsCollection.insertOne(document);
+  return { ...document, _id: result.insertedId };
+};
+
+const findDonationByPaymentIntent = (paymentIntentId) => donationsCollection.findOne({ paymentIntentId });
+
+// Mark the donation of a succeeded payment intent paid. Returns the donation, or null if the
+// payment intent has none. Safe to call more than once.
+const markDonationPaid = async (paymentIntentId) => {
+  const now = new Date();
+  const donation = await donationsCollection.findOneAndUpdate(
+    { paymentIntentId, status: { $in: ['pending', 'failed'] } },
+    { $set: { status: 'paid', paidAt: now, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  return donation || findDonationByPaymentIntent(paymentIntentId);
+};
+
+const markDonationFailed = (paymentIntentId) => donationsCollection.updateOne(
+  { paymentIntentId, status: 'pending' },
+  { $set: { status: 'failed', updatedAt: new Date() } }
+);
+
+// Record refunds of a donation's payment; amountRefunded is Stripe's running total in minor units
+const markDonationRefunded = (paymentIntentId, amountRefunded, fullyRefunded) => donationsCollection.updateOne(
+  { paymentIntentId, status: { $in: ['paid', 'refunded'] } },
+  {
+    $set: {
+      refundedAmount: amountRefunded,
+      ...(fullyRefunded ? { status: 'refunded' } : {}),
+      updatedAt: new Date()
+    }
+  }
+);
+
+// A lost dispute took the donation back, so it no longer counts towards what was raised
+const markDonationChargedBack = (paymentIntentId) => donationsCollection.updateOne(
+  { paymentIntentId, status: { $in: ['paid', 'refunded'] } },
+  { $set: { status: 'charged_back', updatedAt: new Date() } }
+);
+
+// Money raised for a club, net of refunds, in minor units: { raised, donationCount, donorCount }.
+// since limits it to donations paid from that date, for a goal.
+const getDonationTotals = async (clubId, since = null) => {
+  const [totals] = await donationsCollection.aggregate([
+    {
+      $match: {
+        clubId: clubId.toString(),
+        status: { $in: ['paid', 'refunded'] },
+        ...(since ? { paidAt: { $gte: since } } : {})
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        raised: { $sum: { $subtract: ['$amount', { $ifNull: ['$refundedAmount', 0] }] } },
+        donationCount: { $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] } },
+        donors: { $addToSet: { $ifNull: ['$userId', { $ifNull: ['$donorEmail', '$_id'] }] } }
+      }
+    }
+  ]).toArray();
+
+  return totals
+    ? { raised: totals.raised, donationCount: totals.donationCount, donorCount: totals.donors.length }
+    : { raised: 0, donationCount: 0, donorCount: 0 };
+};
+
+// The club's goal with its progress in whole units, or null when it has none
+const getGoalProgress = async (club) => {
+  const goal = club.donationGoal;
+  if (!goal) return null;
+
+  const { raised, donorCount } = await getDonationTotals(club._id, goal.startsAt);
+  return {
+    title: goal.title,
+    description: goal.description || null,
+    amount: fromMinorUnits(goal.amount),
+    raised: fromMinorUnits(raised),
+    percent: Math.min(100, Math.floor(raised / goal.amount * 100)),
+    reached: raised >= goal.amount,
+    donorCount,
+    startsAt: goal.startsAt,
+    endsAt: goal.endsAt || null,
+    ended: !!goal.endsAt && goal.endsAt <= new Date()
+  };
+};
+
+// Donation as shown on the club's public page, without the donor's contact details
+const formatPublicDonation = (donation) => ({
+  id: donation._id.toString(),
+  donorName: donation.anonymous ? 'Anonymous' : donation.donorName || 'Anonymous',
+  message: donation.message || null,
+  amount: fromMinorUnits(donation.amount),
+  currency: getCurrency(donation),
+  paidAt: donation.paidAt
+});
+
+// Donation as returned to club staff, amounts in whole units
+const formatDonation = (donation) => ({
+  id: donation._id.toString(),
+  userId: donation.userId || null,
+  donorName: donation.donorName || null,
+  donorEmail: donation.donorEmail || null,
+  anonymous: !!donation.anonymous,
+  message: donation.message || null,
+  amount: fromMinorUnits(donation.amount),
+  refundedAmount: fromMinorUnits(donation.refundedAmount),
+  currency: getCurrency(donation),
+  status: donation.status,
+  paidAt: donation.paidAt || null,
+  createdAt: donation.createdAt
+});
+
+module.exports = {
+  DONATION_STATUSES,
+  initDonations,
+  normalizeDonation,
+  normalizeDonationGoal,
+  createDonation,
+  findDonationByPaymentIntent,
+  markDonationPaid,
+  markDonationFailed,
+  markDonationRefunded,
+  markDonationChargedBack,
+  getDonationTotals,
+  getGoalProgress,
+  formatPublicDonation,
+  formatDonation
+};
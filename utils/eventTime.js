@@ -0,0 +1,109 @@
+// Real start and end times for events.
+// Events store the calendar day in `date` (midnight UTC when created by managers)
+// and the wall-clock time as free text in `time`, e.g. "7:00 PM". Together with the
+// event's IANA time zone they give the actual instant the event starts.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Dhaka';
+
+// Events have no end time yet, so calendars show them with this length
+const DEFAULT_DURATION_MINUTES = 120;
+
+const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Parse "7:00 PM", "7pm", "7.30 pm", "19:00" or "19h" into { hours, minutes }, or null
+const parseTimeString = (value) => {
+  if (typeof value !== 'string') return null;
+
+  const match = value.trim().toLowerCase().match(/^(\d{1,2})(?:[:.h](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.)?$/);
+  if (!match) return null;
+
+  let hours = parseInt(match[1], 10);
+  const minutes = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3] ? match[3][0] : null;
+
+  if (minutes > 59) return null;
+  if (meridiem) {
+    if (hours < 1 || hours > 12) return null;
+    if (hours === 12) hours = 0;
+    if (meridiem === 'p') hours += 12;
+  } else if (hours > 23) {
+    return null;
+  }
+
+  return { hours, minutes };
+};
+
+// Milliseconds the time zone is ahead of UTC at the given instant
+const getTimeZoneOffset = (timeZone, instant) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant);
+
+  const value = (type) => parseInt(parts.find(part => part.type === type).value, 10);
+  const asUtc = Date.UTC(value('year'), value('month') - 1, value('day'), value('hour'), value('minute'), value('second'));
+  return asUtc - Math.floor(instant.getTime() / 1000) * 1000;
+};
+
+// The instant a wall-clock time in a time zone refers to
+const zonedTimeToUtc = (year, month, day, hours, minutes, timeZone) => {
+  const wallClock = Date.UTC(year, month, day, hours, minutes);
+  let instant = new Date(wallClock - getTimeZoneOffset(timeZone, new Date(wallClock)));
+  // Check again at the result, in case a daylight saving change lies in between
+  const offset = getTimeZoneOffset(timeZone, instant);
+  instant = new Date(wallClock - offset);
+  return instant;
+};
+
+const getEventTimeZone = (event) => (isValidTimeZone(event.timezone) ? event.timezone : DEFAULT_TIMEZONE);
+
+// Start and end of an event. allDay is true when its time text cannot be read;
+// then start is the calendar day at midnight UTC and end the next day.
+const getEventTimes = (event) => {
+  const date = new Date(event.date);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  const day = date.getUTCDate();
+  const timeZone = getEventTimeZone(event);
+  const time = parseTimeString(event.time);
+
+  if (!time) {
+    return {
+      allDay: true,
+      start: new Date(Date.UTC(year, month, day)),
+      end: new Date(Date.UTC(year, month, day + 1)),
+      timeZone
+    };
+  }
+
+  const start = zonedTimeToUtc(year, month, day, time.hours, time.minutes, timeZone);
+  const durationMinutes = event.durationMinutes || DEFAULT_DURATION_MINUTES;
+  return {
+    allDay: false,
+    start,
+    end: new Date(start.getTime() + durationMinutes * 60 * 1000),
+    timeZone
+  };
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimeZone,
+  parseTimeString,
+  zonedTimeToUtc,
+  getEventTimes
+};
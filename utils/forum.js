@@ -0,0 +1,202 @@
+const { ObjectId } = require('mongodb');
+const { getClubAccess, hasPermission, PERMISSIONS } = require('./clubRoles');
+
+// Club discussion forum.
+//   forum_threads - { clubId, title, body, authorId, authorName, mentions, reactions, pinned, locked,
+//                     replyCount, lastActivityAt, createdAt, updatedAt, editedAt, deletedAt, deletedBy }
+//   forum_replies - { threadId, clubId, replyToId, body, authorId, authorName, mentions, reactions,
+//                     createdAt, updatedAt, editedAt, deletedAt, deletedBy }
+//   forum_reads   - { userId, threadId, clubId, lastReadAt }, one per member and thread
+// reactions is { like: [userId, ...], ... }. Deleted posts keep their place in the
+// thread with the text removed, so replies to them still make sense.
+// Muted members keep reading but cannot post or react; the mute is stored on their
+// membership as forumMute: { until, reason, mutedBy, mutedAt } (until null means until lifted).
+const REACTIONS = ['like', 'love', 'laugh', 'wow', 'sad', 'thanks'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+const MAX_MENTIONS = 20;
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let membershipsCollection;
+let readsCollection;
+
+// Initialize collections
+const initForum = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  membershipsCollection = db.collection('memberships');
+  readsCollection = db.collection('forum_reads');
+
+  Promise.all([
+    db.collection('forum_threads').createIndex({ clubId: 1, pinned: -1, lastActivityAt: -1 }),
+    db.collection('forum_replies').createIndex({ threadId: 1, createdAt: 1 }),
+    db.collection('forum_threads').createIndex({ mentions: 1, createdAt: -1 }),
+    db.collection('forum_replies').createIndex({ mentions: 1, createdAt: -1 }),
+    readsCollection.createIndex({ userId: 1, threadId: 1 }, { unique: true })
+  ]).catch(error => console.error('Create forum indexes error:', error));
+};
+
+const isMuted = (membership, now = new Date()) =>
+  !!(membership && membership.forumMute && (!membership.forumMute.until || membership.forumMute.until > now));
+
+// The user's access to a club's forum, or null when they are neither an active member nor club staff:
+// { club, membership, canModerate, muted }
+const getForumAccess = async (user, clubId) => {
+  if (!ObjectId.isValid(clubId)) return null;
+
+  // Same membership check as club reviews
+  const [membership, access] = await Promise.all([
+    membershipsCollection.findOne({ userId: user.userId, clubId: clubId.toString(), status: 'active' }),
+    getClubAccess(user, clubId)
+  ]);
+
+  if (!access) {
+    if (!membership) return null;
+    const club = await clubsCollection.findOne({ _id: new ObjectId(clubId), status: { $ne: 'archived' } });
+    if (!club) return null;
+    return { club, membership, canModerate: false, muted: isMuted(membership) };
+  }
+
+  const canModerate = hasPermission(access, PERMISSIONS.MODERATE_FORUM);
+  return { club: access.club, membership, canModerate, muted: !canModerate && isMuted(membership) };
+};
+
+// Validate post text. Returns { value } or { error } with a message for a 400 response.
+const normalizeForumText = (input, field, maxLength) => {
+  const value = typeof input === 'string' ? input.trim() : '';
+  if (!value) {
+    return { error: `${field} is required` };
+  }
+  if (value.length > maxLength) {
+    return { error: `${field} must be at most ${maxLength} characters` };
+  }
+  return { value };
+};
+
+const normalizeTitle = (input) => normalizeForumText(input, 'Title', MAX_TITLE_LENGTH);
+const normalizeBody = (input) => normalizeForumText(input, 'Body', MAX_BODY_LENGTH);
+
+// Check the user ids a post mentions; only active members of the club can be mentioned.
+// Returns { mentions } or { error } with a message for a 400 response.
+const normalizeMentions = async (clubId, input) => {
+  if (input === undefined || input === null) return { mentions: [] };
+  if (!Array.isArray(input)) {
+    return { error: 'Mentions must be an array of user ids' };
+  }
+
+  const userIds = [...new Set(input.map(id => String(id)))];
+  if (userIds.length > MAX_MENTIONS) {
+    return { error: `A post can mention at most ${MAX_MENTIONS} members` };
+  }
+  if (userIds.length === 0) return { mentions: [] };
+
+  const members = await membershipsCollection
+    .find({ clubId: clubId.toString(), userId: { $in: userIds }, status: 'active' }, { projection: { userId: 1 } })
+    .toArray();
+  const memberIds = new Set(members.map(member => member.userId));
+
+  const notMembers = userIds.filter(id => !memberIds.has(id));
+  if (notMembers.length > 0) {
+    return { error: 'Only members of the club can be mentioned' };
+  }
+
+  return { mentions: userIds };
+};
+
+// Toggle the user's reaction on a thread or reply in collection. Returns the updated post, or null.
+const toggleReaction = async (collection, post, userId, reaction) => {
+  const field = `reactions.${reaction}`;
+  const reacted = Array.isArray(post.reactions?.[reaction]) && post.reactions[reaction].includes(userId);
+
+  return collection.findOneAndUpdate(
+    { _id: post._id, deletedAt: { $exists: false } },
+    reacted ? { $pull: { [field]: userId } } : { $addToSet: { [field]: userId } },
+    { returnDocument: 'after' }
+  );
+};
+
+// Remember that the user has read a thread up to now
+const markThreadRead = (userId, thread) => readsCollection.updateOne(
+  { userId, threadId: thread._id.toString() },
+  { $set: { clubId: thread.clubId, lastReadAt: new Date() } },
+  { upsert: true }
+);
+
+// Mark every thread of a club read
+const markClubRead = async (userId, clubId, threadIds) => {
+  if (threadIds.length === 0) return;
+  const now = new Date();
+  await readsCollection.bulkWrite(threadIds.map(threadId => ({
+    updateOne: {
+      filter: { userId, threadId },
+      update: { $set: { clubId, lastReadAt: now } },
+      upsert: true
+    }
+  })));
+};
+
+// When the user last read each of the given threads, as a Map of threadId to date
+const getReadTimes = async (userId, threadIds) => {
+  const reads = await readsCollection.find({ userId, threadId: { $in: threadIds } }).toArray();
+  return new Map(reads.map(read => [read.threadId, read.lastReadAt]));
+};
+
+const formatReactions = (reactions = {}, userId) => REACTIONS
+  .map(reaction => {
+    const userIds = Array.isArray(reactions[reaction]) ? reactions[reaction] : [];
+    return { reaction, count: userIds.length, reacted: userIds.includes(userId) };
+  })
+  .filter(item => item.count > 0);
+
+// Fields shared by threads and replies as returned to clients
+const formatPost = (post, userId) => {
+  const deleted = !!post.deletedAt;
+  return {
+    id: post._id.toString(),
+    clubId: post.clubId,
+    body: deleted ? null : post.body,
+    authorId: post.authorId,
+    authorName: post.authorName || null,
+    isAuthor: post.authorId === userId,
+    mentions: deleted ? [] : (post.mentions || []),
+    reactions: deleted ? [] : formatReactions(post.reactions, userId),
+    deleted,
+    deletedBy: post.deletedBy || null,
+    editedAt: post.editedAt || null,
+    createdAt: post.createdAt
+  };
+};
+
+const formatThread = (thread, userId, lastReadAt = null) => ({
+  ...formatPost(thread, userId),
+  title: thread.deletedAt ? null : thread.title,
+  pinned: !!thread.pinned,
+  locked: !!thread.locked,
+  replyCount: thread.replyCount || 0,
+  lastActivityAt: thread.lastActivityAt,
+  unread: !lastReadAt || thread.lastActivityAt > lastReadAt
+});
+
+const formatReply = (reply, userId) => ({
+  ...formatPost(reply, userId),
+  threadId: reply.threadId,
+  replyToId: reply.replyToId || null
+});
+
+module.exports = {
+  REACTIONS,
+  initForum,
+  isMuted,
+  getForumAccess,
+  normalizeTitle,
+  normalizeBody,
+  normalizeMentions,
+  toggleReaction,
+  markThreadRead,
+  markClubRead,
+  getReadTimes,
+  formatThread,
+  formatReply
+};
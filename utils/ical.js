@@ -0,0 +1,111 @@
+const { getEventTimes } = require('./eventTime');
+
+// iCalendar (RFC 5545) output for events. Times are written in UTC, so calendar
+// apps convert them to the viewer's time zone without VTIMEZONE definitions.
+
+const PRODUCT_ID = '-//ClubSphere//Events//EN';
+
+// Escape text values (commas, semicolons, backslashes and newlines)
+const escapeText = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\r?\n/g, '\\n')
+  .replace(/,/g, '\\,')
+  .replace(/;/g, '\\;');
+
+// Lines longer than 75 octets continue on the next line after a space
+const foldLine = (line) => {
+  const bytes = Buffer.from(line, 'utf8');
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, 'utf8');
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > limit) {
+      parts.push(current);
+      current = '';
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+// 20261020T130000Z
+const formatDateTime = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// 20261020
+const formatDate = (date) => date.toISOString().slice(0, 10).replace(/-/g, '');
+
+const getEventUrl = (event) => {
+  const baseUrl = process.env.FRONTEND_URL;
+  return baseUrl ? `${baseUrl.replace(/\/$/, '')}/events/${event._id.toString()}` : null;
+};
+
+const buildEventLines = (event, now) => {
+  const { allDay, start, end } = getEventTimes(event);
+  const url = getEventUrl(event);
+
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:event-${event._id.toString()}@clubsphere`,
+    `DTSTAMP:${formatDateTime(now)}`,
+    allDay ? `DTSTART;VALUE=DATE:${formatDate(start)}` : `DTSTART:${formatDateTime(start)}`,
+    allDay ? `DTEND;VALUE=DATE:${formatDate(end)}` : `DTEND:${formatDateTime(end)}`,
+    `SUMMARY:${escapeText(event.name)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (url) lines.push(`URL:${url}`);
+  if (event.updatedAt) lines.push(`LAST-MODIFIED:${formatDateTime(new Date(event.updatedAt))}`);
+  lines.push(`STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`);
+  lines.push('END:VEVENT');
+
+  return lines;
+};
+
+// A complete calendar. name is shown by apps that subscribe to the feed.
+const buildCalendar = ({ name, events }) => {
+  const now = new Date();
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH'
+  ];
+
+  if (name) {
+    lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  }
+  // Ask subscribed clients to refresh hourly
+  lines.push('REFRESH-INTERVAL;VALUE=DURATION:PT1H');
+  lines.push('X-PUBLISHED-TTL:PT1H');
+
+  events
+    .filter(event => event.date)
+    .forEach(event => lines.push(...buildEventLines(event, now)));
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Send a calendar; attachment names a file to download instead of a feed to subscribe to
+const sendCalendar = (res, calendar, { filename, attachment = false } = {}) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (filename) {
+    res.set('Content-Disposition', `${attachment ? 'attachment' : 'inline'}; filename="${filename}"`);
+  }
+  res.send(calendar);
+};
+
+module.exports = {
+  buildCalendar,
+  sendCalendar
+};
@@ -0,0 +1,84 @@
+const { ObjectId } = require('mongodb');
+
+// Questions applicants answer when joining a club that requires approval.
+// Clubs store joinQuestions: [{ id, question, required }]; applications store
+// answers: [{ questionId, question, answer }] so later edits to the questions
+// do not change what an applicant was asked.
+
+const MAX_JOIN_QUESTIONS = 10;
+const MAX_ANSWER_LENGTH = 2000;
+
+const getJoinQuestions = (club) => (Array.isArray(club.joinQuestions) ? club.joinQuestions : []);
+
+// Validate join questions sent by a manager. Existing questions keep their id.
+// Returns { joinQuestions } on success or { error } with a message for a 400 response.
+const normalizeJoinQuestions = (input, existing = []) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Join questions must be an array' };
+  }
+
+  if (input.length > MAX_JOIN_QUESTIONS) {
+    return { error: `A club can ask at most ${MAX_JOIN_QUESTIONS} join questions` };
+  }
+
+  const joinQuestions = [];
+  for (const item of input) {
+    const question = typeof item === 'string' ? item.trim() : (item && typeof item.question === 'string' ? item.question.trim() : '');
+    if (!question) {
+      return { error: 'Each join question needs text' };
+    }
+
+    const id = item && item.id;
+    if (id && !existing.some(previous => previous.id === id)) {
+      return { error: `Join question ${id} not found` };
+    }
+
+    joinQuestions.push({
+      id: id || new ObjectId().toString(),
+      question,
+      required: !!(item && item.required)
+    });
+  }
+
+  return { joinQuestions };
+};
+
+// Check an applicant's answers against the club's questions.
+// answers may be an array of { questionId, answer } or an object keyed by question id.
+// Returns { answers } on success or { error } with a message for a 400 response.
+const normalizeJoinAnswers = (club, input) => {
+  const byId = {};
+  if (Array.isArray(input)) {
+    input.forEach(item => {
+      if (item && item.questionId) byId[item.questionId] = item.answer;
+    });
+  } else if (input && typeof input === 'object') {
+    Object.assign(byId, input);
+  }
+
+  const answers = [];
+  for (const question of getJoinQuestions(club)) {
+    const answer = typeof byId[question.id] === 'string' ? byId[question.id].trim() : '';
+
+    if (!answer) {
+      if (question.required) {
+        return { error: `Please answer: ${question.question}` };
+      }
+      continue;
+    }
+
+    if (answer.length > MAX_ANSWER_LENGTH) {
+      return { error: `Answers must be at most ${MAX_ANSWER_LENGTH} characters` };
+    }
+
+    answers.push({ questionId: question.id, question: question.question, answer });
+  }
+
+  return { answers };
+};
+
+module.exports = {
+  getJoinQuestions,
+  normalizeJoinQuestions,
+  normalizeJoinAnswers
+};
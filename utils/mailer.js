@@ -0,0 +1,93 @@
+// Outgoing email through the Resend HTTP API (https://resend.com/docs/api-reference/emails/send-email).
+// Without RESEND_API_KEY, emails are logged instead of sent so local setups keep working.
+const RESEND_API_URL = 'https://api.resend.com/emails';
+const RESEND_BATCH_URL = 'https://api.resend.com/emails/batch';
+// Most emails Resend takes in one batch request
+const MAX_BATCH_SIZE = 100;
+
+const isEmailConfigured = () => !!process.env.RESEND_API_KEY;
+
+// Send an email. Returns true when the provider accepted it, false otherwise; never throws,
+// so a mail outage does not fail the request that triggered it.
+const sendEmail = async ({ to, subject, text, html }) => {
+  if (!isEmailConfigured()) {
+    console.log(`Email not sent (RESEND_API_KEY not set) to ${to}: ${subject}`);
+    return false;
+  }
+
+  try {
+    const response = await fetch(RESEND_API_URL, {
+      method: 'POST',
+      headers: {
+        Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from: process.env.EMAIL_FROM || 'ClubSphere <no-reply@clubsphere.app>',
+        to: [to],
+        subject,
+        text,
+        ...(html ? { html } : {})
+      })
+    });
+
+    if (!response.ok) {
+      console.error('Send email error:', response.status, await response.text());
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Send email error:', error);
+    return false;
+  }
+};
+
+// Send many emails with a request per batch of up to 100
+// (https://resend.com/docs/api-reference/emails/send-batch-emails), rather than one request each.
+// Returns whether each email was accepted, in order; never throws, like sendEmail.
+const sendEmails = async (emails) => {
+  if (!isEmailConfigured()) {
+    emails.forEach(({ to, subject }) => console.log(`Email not sent (RESEND_API_KEY not set) to ${to}: ${subject}`));
+    return emails.map(() => false);
+  }
+
+  const from = process.env.EMAIL_FROM || 'ClubSphere <no-reply@clubsphere.app>';
+  const results = [];
+  for (let start = 0; start < emails.length; start += MAX_BATCH_SIZE) {
+    const batch = emails.slice(start, start + MAX_BATCH_SIZE);
+    let accepted = false;
+    try {
+      const response = await fetch(RESEND_BATCH_URL, {
+        method: 'POST',
+        headers: {
+          Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(batch.map(({ to, subject, text, html }) => ({
+          from,
+          to: [to],
+          subject,
+          text,
+          ...(html ? { html } : {})
+        })))
+      });
+
+      if (response.ok) {
+        accepted = true;
+      } else {
+        console.error('Send email batch error:', response.status, await response.text());
+      }
+    } catch (error) {
+      console.error('Send email batch error:', error);
+    }
+    // Resend accepts or rejects a batch as a whole
+    batch.forEach(() => results.push(accepted));
+  }
+  return results;
+};
+
+module.exports = {
+  isEmailConfigured,
+  sendEmail,
+  sendEmails
+};
@@ -0,0 +1,302 @@
+const { ObjectId } = require('mongodb');
+const { parseCsv } = require('./csv');
+const { sendEmails } = require('./mailer');
+const { getCurrency } = require('./money');
+
+// Bulk member import from a spreadsheet. Rows are matched to users by email:
+// people with an account get a membership straight away, everyone else gets a
+// member_invites entry and an email, and the membership is created when they sign up
+// with that address. A user whose membership of the club ended gets that membership back
+// rather than a second one. Invite emails go out in batches once every row is saved.
+//   member_invites - { clubId, clubName, email, name, membershipStatus, expiryDate, status,
+//                      invitedBy, emailSent, expiresAt, acceptedAt, userId, createdAt, updatedAt }
+const IMPORT_STATUSES = ['active', 'pending', 'expired'];
+const MAX_IMPORT_ROWS = 1000;
+const MEMBER_INVITE_DAYS = 30;
+
+// Memberships that have ended and are reused when the user is imported again
+const ENDED_STATUSES = ['expired', 'cancelled', 'rejected'];
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// MongoDB collections (will be initialized from index.js)
+let usersCollection;
+let clubsCollection;
+let membershipsCollection;
+let invitesCollection;
+
+// Initialize collections
+const initMemberImport = (client) => {
+  const db = client.db('clubsphere');
+  usersCollection = db.collection('users');
+  clubsCollection = db.collection('clubs');
+  membershipsCollection = db.collection('memberships');
+  invitesCollection = db.collection('member_invites');
+
+  // One open invite per club and address
+  Promise.all([
+    invitesCollection.createIndex(
+      { clubId: 1, email: 1 },
+      { unique: true, partialFilterExpression: { status: 'pending' } }
+    ),
+    invitesCollection.createIndex({ email: 1, status: 1 })
+  ]).catch(error => console.error('Create member invite indexes error:', error));
+};
+
+// Validate the import settings. Returns { options } or { error } with a message for a 400 response.
+const normalizeImportOptions = (input = {}) => {
+  const status = input.status || 'active';
+  if (!IMPORT_STATUSES.includes(status)) {
+    return { error: `Status must be one of: ${IMPORT_STATUSES.join(', ')}` };
+  }
+
+  let expiryDate = null;
+  if (input.expiryDate) {
+    expiryDate = new Date(input.expiryDate);
+    if (isNaN(expiryDate.getTime())) {
+      return { error: 'expiryDate is not a valid date' };
+    }
+  }
+
+  // Query strings carry booleans as text
+  const sendInvites = input.sendInvites !== false && input.sendInvites !== 'false';
+
+  return { options: { status, expiryDate, sendInvites } };
+};
+
+// Membership document for an imported or invited member
+const buildMembership = (userId, club, { status, expiryDate }, importedBy) => {
+  const now = new Date();
+  return {
+    userId,
+    clubId: club._id.toString(),
+    status,
+    paymentStatus: 'imported',
+    amount: 0,
+    membershipFee: 0,
+    serviceFee: 0,
+    currency: getCurrency(club),
+    ...(status === 'pending' ? { answers: [], appliedAt: now } : {}),
+    joinDate: status === 'pending' ? null : now,
+    expiryDate,
+    importedBy,
+    importedAt: now,
+    createdAt: now,
+    updatedAt: now
+  };
+};
+
+// Save a membership, replacing the user's ended membership of the club when there is one.
+// Returns false when the ended membership changed meanwhile, e.g. the user rejoined.
+const saveMembership = async (membership, ended) => {
+  if (!ended) {
+    await membershipsCollection.insertOne(membership);
+    return true;
+  }
+  const result = await membershipsCollection.replaceOne(
+    { _id: ended._id, status: ended.status },
+    { ...membership, createdAt: ended.createdAt || membership.createdAt }
+  );
+  return result.matchedCount > 0;
+};
+
+const buildInviteEmail = (invite) => {
+  const baseUrl = process.env.FRONTEND_URL ? process.env.FRONTEND_URL.replace(/\/$/, '') : null;
+  const signupUrl = baseUrl ? `${baseUrl}/register?email=${encodeURIComponent(invite.email)}` : null;
+
+  return {
+    to: invite.email,
+    subject: `You're invited to join ${invite.clubName} on ClubSphere`,
+    text: [
+      `Hi${invite.name ? ` ${invite.name}` : ''},`,
+      '',
+      `${invite.clubName} has moved its members to ClubSphere. Create an account with this email address`,
+      `(${invite.email}) within ${MEMBER_INVITE_DAYS} days and your membership will be waiting for you.`,
+      ...(signupUrl ? ['', signupUrl] : [])
+    ].join('\n')
+  };
+};
+
+// Import members from CSV text with an email column and an optional name column.
+// Returns { report: { rows, summary } }, where each row is { row, email, result, message }
+// with result created, invited, skipped or error, or { error } when the file itself is unusable.
+const importMembers = async ({ club, csvText, options, importedBy }) => {
+  if (typeof csvText !== 'string' || !csvText.trim()) {
+    return { error: 'CSV file is empty' };
+  }
+
+  const [header, ...dataRows] = parseCsv(csvText);
+  const columns = header.map(column => column.trim().toLowerCase());
+  const emailColumn = columns.indexOf('email');
+  const nameColumn = columns.indexOf('name');
+  if (emailColumn === -1) {
+    return { error: 'CSV needs a header row with an email column' };
+  }
+  if (dataRows.length === 0) {
+    return { error: 'CSV has no rows to import' };
+  }
+  if (dataRows.length > MAX_IMPORT_ROWS) {
+    return { error: `Import at most ${MAX_IMPORT_ROWS} rows at a time` };
+  }
+
+  const clubId = club._id.toString();
+  const entries = dataRows.map((cells, index) => ({
+    row: index + 2, // Spreadsheet row number, counting the header
+    email: (cells[emailColumn] || '').trim(),
+    name: nameColumn === -1 ? '' : (cells[nameColumn] || '').trim()
+  }));
+
+  // Look everyone up at once; emails are matched without regard to case
+  const emails = entries.map(entry => entry.email).filter(Boolean);
+  const users = await usersCollection
+    .find({ email: { $in: [...new Set([...emails, ...emails.map(email => email.toLowerCase())])] } })
+    .toArray();
+  const usersByEmail = new Map(users.map(user => [user.email.toLowerCase(), user]));
+
+  // Each user's latest membership of the club
+  const existing = await membershipsCollection
+    .find({ clubId, userId: { $in: users.map(user => user._id.toString()) } })
+    .sort({ createdAt: 1 })
+    .toArray();
+  const memberships = new Map(existing.map(membership => [membership.userId, membership]));
+
+  const rows = [];
+  const seen = new Set();
+  const invited = []; // { invite, row } of invites to email
+  let activated = 0;
+
+  for (const entry of entries) {
+    const email = entry.email.toLowerCase();
+    const report = (result, message) => {
+      const row = { row: entry.row, email: entry.email, result, message };
+      rows.push(row);
+      return row;
+    };
+
+    if (!EMAIL_PATTERN.test(entry.email)) {
+      report('error', entry.email ? 'Not a valid email address' : 'Email is missing');
+      continue;
+    }
+    if (seen.has(email)) {
+      report('skipped', 'Duplicate of an earlier row');
+      continue;
+    }
+    seen.add(email);
+
+    try {
+      const user = usersByEmail.get(email);
+
+      if (user) {
+        const userId = user._id.toString();
+        const previous = memberships.get(userId);
+        const ended = previous && ENDED_STATUSES.includes(previous.status) ? previous : null;
+        if (email === (club.managerEmail || '').toLowerCase()) {
+          report('skipped', 'Club owner');
+        } else if (previous && !ended) {
+          report('skipped', previous.status === 'suspended' ? 'Membership is suspended' : 'Already a member or applicant');
+        } else {
+          const membership = buildMembership(userId, club, options, importedBy);
+          if (!(await saveMembership(membership, ended))) {
+            report('skipped', 'Membership changed during the import');
+            continue;
+          }
+          memberships.set(userId, membership);
+          if (options.status === 'active') activated += 1;
+          report('created', ended
+            ? `Membership restored from ${ended.status} (${options.status})`
+            : `Membership created (${options.status})`);
+        }
+        continue;
+      }
+
+      // No account yet: keep an invite that is turned into a membership on sign-up
+      const now = new Date();
+      const invite = await invitesCollection.findOneAndUpdate(
+        { clubId, email, status: 'pending' },
+        {
+          $set: {
+            clubName: club.name,
+            name: entry.name || null,
+            membershipStatus: options.status,
+            expiryDate: options.expiryDate,
+            invitedBy: importedBy,
+            emailSent: false,
+            expiresAt: new Date(now.getTime() + MEMBER_INVITE_DAYS * 24 * 60 * 60 * 1000),
+            updatedAt: now
+          },
+          $setOnInsert: { createdAt: now }
+        },
+        { upsert: true, returnDocument: 'after' }
+      );
+
+      const row = report('invited', 'No account yet; invite saved without email');
+      if (options.sendInvites) invited.push({ invite, row });
+    } catch (error) {
+      console.error(`Import member row ${entry.row} error:`, error);
+      report('error', 'Could not import this row');
+    }
+  }
+
+  if (activated > 0) {
+    await clubsCollection.updateOne({ _id: club._id }, { $inc: { memberCount: activated } });
+  }
+
+  const sent = await sendEmails(invited.map(({ invite }) => buildInviteEmail(invite)));
+  const sentIds = invited.filter((item, index) => sent[index]).map(({ invite }) => invite._id);
+  if (sentIds.length > 0) {
+    await invitesCollection.updateMany({ _id: { $in: sentIds } }, { $set: { emailSent: true } });
+  }
+  invited.forEach(({ row }, index) => {
+    if (sent[index]) row.message = 'No account yet; invite emailed';
+  });
+
+  const summary = { total: rows.length, created: 0, invited: 0, skipped: 0, error: 0 };
+  rows.forEach(row => { summary[row.result] += 1; });
+
+  return { report: { rows, summary } };
+};
+
+// Turn a new user's open invites into memberships. Returns the number of memberships created.
+const acceptMemberInvites = async (user) => {
+  const now = new Date();
+  const invites = await invitesCollection
+    .find({ email: user.email.toLowerCase(), status: 'pending', expiresAt: { $gt: now } })
+    .toArray();
+
+  let created = 0;
+  for (const invite of invites) {
+    const claimed = await invitesCollection.findOneAndUpdate(
+      { _id: invite._id, status: 'pending' },
+      { $set: { status: 'accepted', acceptedAt: now, userId: user._id.toString(), updatedAt: now } }
+    );
+    if (!claimed) continue;
+
+    const club = ObjectId.isValid(invite.clubId)
+      ? await clubsCollection.findOne({ _id: new ObjectId(invite.clubId), status: { $ne: 'archived' } })
+      : null;
+    if (!club) continue;
+
+    const userId = user._id.toString();
+    const options = { status: invite.membershipStatus, expiryDate: invite.expiryDate };
+    const ended = await membershipsCollection.findOne(
+      { userId, clubId: invite.clubId, status: { $in: ENDED_STATUSES } },
+      { sort: { createdAt: -1 } }
+    );
+    if (!(await saveMembership(buildMembership(userId, club, options, invite.invitedBy), ended))) continue;
+    if (invite.membershipStatus === 'active') {
+      await clubsCollection.updateOne({ _id: club._id }, { $inc: { memberCount: 1 } });
+    }
+    created += 1;
+  }
+
+  return created;
+};
+
+module.exports = {
+  IMPORT_STATUSES,
+  MAX_IMPORT_ROWS,
+  initMemberImport,
+  normalizeImportOptions,
+  importMembers,
+  acceptMemberInvites
+};
@@ -0,0 +1,120 @@
+// One money model for every document: an integer amount in the currency's minor unit
+// (poisha, cents) and an upper-case ISO 4217 code next to it, e.g. { amount: 125000, currency: 'BDT' }.
+// Each club sells in its own currency (club.currency), and its events, memberships, registrations,
+// transactions and ledger entries carry that code too. Request bodies and responses use whole
+// units (1250.5), converted at the route with toMinorUnits and fromMinorUnits.
+// Every supported currency has two decimal places, which Stripe also expects for them.
+// Documents written before this model have a lower-case code or none at all and may hold whole
+// units; the normalize-money job rewrites them.
+const SUPPORTED_CURRENCIES = ['BDT', 'USD', 'EUR', 'GBP', 'INR', 'CAD', 'AUD', 'SGD'];
+
+const parseCurrencyCode = (value) => {
+  const code = typeof value === 'string' ? value.trim().toUpperCase() : '';
+  return SUPPORTED_CURRENCIES.includes(code) ? code : null;
+};
+
+// Currency of clubs that have not chosen one
+const DEFAULT_CURRENCY = parseCurrencyCode(process.env.DEFAULT_CURRENCY) || 'BDT';
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let eventsCollection;
+let eventSeriesCollection;
+let transactionsCollection;
+
+// Initialize collections
+const initMoney = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  eventsCollection = db.collection('events');
+  eventSeriesCollection = db.collection('event_series');
+  transactionsCollection = db.collection('transactions');
+};
+
+// Whole units to minor units: 1250.5 -> 125050
+const toMinorUnits = (amount) => Math.round(Number(amount || 0) * 100);
+
+// Minor units to whole units: 125050 -> 1250.5
+const fromMinorUnits = (amount) => (amount || 0) / 100;
+
+// Validate a price in whole units from a request body. Missing or empty means 0.
+// Returns { amount } in minor units or { error } with a message for a 400 response.
+const parseMoney = (value, label = 'Amount') => {
+  if (value === undefined || value === null || value === '') return { amount: 0 };
+
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    return { error: `${label} must be zero or a positive number` };
+  }
+  return { amount: toMinorUnits(amount) };
+};
+
+// Validate a currency code from a request body.
+// Returns { currency } or { error } with a message for a 400 response.
+const normalizeCurrency = (value) => {
+  const currency = parseCurrencyCode(value);
+  if (!currency) {
+    return { error: `Currency must be one of ${SUPPORTED_CURRENCIES.join(', ')}` };
+  }
+  return { currency };
+};
+
+// Currency of a club, event, transaction or other money document
+const getCurrency = (document) => (document && parseCurrencyCode(document.currency)) || DEFAULT_CURRENCY;
+
+// Stripe takes and returns lower-case codes
+const toStripeCurrency = (currency) => currency.toLowerCase();
+const fromStripeCurrency = (currency) => parseCurrencyCode(currency) || DEFAULT_CURRENCY;
+
+// BDT 1,250.00, or -BDT 1,250.00 for refunds
+const formatMoney = (amount, currency) => {
+  const formatted = fromMinorUnits(Math.abs(amount)).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${amount < 0 ? '-' : ''}${currency} ${formatted}`;
+};
+
+// Change the currency a club sells in, along with its events and event series. Prices keep
+// their numbers. Returns {} or { error } with a message for a 409 response once the club has
+// taken payments, since its transactions and ledger are in the old currency.
+const setClubCurrency = async (club, currency) => {
+  if (club.currency === currency) return {};
+
+  const clubId = club._id.toString();
+  const clubIdFilter = { $in: [clubId, club._id] };
+
+  if (getCurrency(club) !== currency) {
+    const events = await eventsCollection.find({ clubId: clubIdFilter }, { projection: { _id: 1 } }).toArray();
+    const paid = await transactionsCollection.findOne({
+      status: 'success',
+      $or: [
+        { clubId },
+        { eventId: { $in: events.map(event => event._id.toString()) } }
+      ]
+    });
+    if (paid) {
+      return { error: 'Currency cannot be changed after the club has taken payments' };
+    }
+  }
+
+  const now = new Date();
+  await Promise.all([
+    clubsCollection.updateOne({ _id: club._id }, { $set: { currency, updatedAt: now } }),
+    eventsCollection.updateMany({ clubId: clubIdFilter }, { $set: { currency, updatedAt: now } }),
+    eventSeriesCollection.updateMany({ clubId }, { $set: { currency, updatedAt: now } })
+  ]);
+  return {};
+};
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  initMoney,
+  toMinorUnits,
+  fromMinorUnits,
+  parseMoney,
+  normalizeCurrency,
+  getCurrency,
+  toStripeCurrency,
+  fromStripeCurrency,
+  formatMoney,
+  setClubCurrency
+};
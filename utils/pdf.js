@@ -0,0 +1,103 @@
+// Minimal single-page PDF output (PDF 1.4) for simple documents such as receipts.
+// Text uses the standard Helvetica fonts, which every PDF reader has, so nothing is
+// embedded. Those fonts only cover Latin-1 characters; anything else is written as '?'.
+
+// A4 in points
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+const FONTS = {
+  regular: 'F1',
+  bold: 'F2'
+};
+
+// Approximate Helvetica advance widths in 1/1000 em, for right-aligning text
+const narrowChars = new Set([...'iljtfr.,:;!|\'()[] ']);
+const wideChars = new Set([...'mwMW@%']);
+const estimateTextWidth = (text, size) => [...text].reduce((width, char) => {
+  if (narrowChars.has(char)) return width + 280;
+  if (wideChars.has(char)) return width + 850;
+  if (char >= 'A' && char <= 'Z') return width + 670;
+  return width + 556;
+}, 0) * size / 1000;
+
+// Escape a string for a PDF literal, replacing characters the fonts cannot show
+const escapePdfText = (value) => String(value === null || value === undefined ? '' : value)
+  .replace(/[^\x20-\x7E\xA0-\xFF]/g, '?')
+  .replace(/\\/g, '\\\\')
+  .replace(/\(/g, '\\(')
+  .replace(/\)/g, '\\)');
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+// Start a page. Coordinates are in points from the top left corner.
+// Returns { text, textRight, line, rect, toBuffer }.
+const createPdfPage = () => {
+  const operations = [];
+
+  const text = (x, y, value, { size = 10, bold = false, gray = 0 } = {}) => {
+    operations.push(
+      `BT ${formatNumber(gray)} g /${bold ? FONTS.bold : FONTS.regular} ${size} Tf ` +
+      `${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y)} Td (${escapePdfText(value)}) Tj ET`
+    );
+  };
+
+  // Text ending at x
+  const textRight = (x, y, value, options = {}) => {
+    const width = estimateTextWidth(String(value), options.size || 10);
+    text(x - width, y, value, options);
+  };
+
+  const line = (x1, y1, x2, y2, { width = 0.5, gray = 0.7 } = {}) => {
+    operations.push(
+      `${formatNumber(gray)} G ${formatNumber(width)} w ` +
+      `${formatNumber(x1)} ${formatNumber(PAGE_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(PAGE_HEIGHT - y2)} l S`
+    );
+  };
+
+  const rect = (x, y, width, height, { gray = 0.95 } = {}) => {
+    operations.push(
+      `${formatNumber(gray)} g ${formatNumber(x)} ${formatNumber(PAGE_HEIGHT - y - height)} ` +
+      `${formatNumber(width)} ${formatNumber(height)} re f`
+    );
+  };
+
+  // The finished document as a Buffer
+  const toBuffer = ({ title = '' } = {}) => {
+    const content = operations.join('\n');
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /${FONTS.regular} 4 0 R /${FONTS.bold} 5 0 R >> >> /Contents 6 0 R >>`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+      `<< /Title (${escapePdfText(title)}) /Producer (ClubSphere) >>`
+    ];
+
+    // Byte offsets of each object for the cross-reference table
+    let output = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+
+    const xrefOffset = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\n`;
+    output += `startxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  };
+
+  return { text, textRight, line, rect, toBuffer };
+};
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  createPdfPage
+};
@@ -0,0 +1,128 @@
+const { ObjectId } = require('mongodb');
+const { DEFAULT_CURRENCY, parseMoney, normalizeCurrency, fromMinorUnits, toMinorUnits, getCurrency } = require('./money');
+
+// Platform fee on paid event tickets and memberships. It is charged on top of the price as
+// the service fee, and is what the platform keeps; the rest is owed to the club (see clubLedger).
+// Admins set the default in settings ({ _id: 'platformFee', percent, fixed, currency }) and can
+// override it per club with club.platformFee. Until an admin sets one, PLATFORM_FEE_PERCENT and
+// PLATFORM_FEE_FIXED apply (both 0 by default, fixed in whole units of DEFAULT_CURRENCY).
+// fixed is stored in minor units of currency. There are no exchange rates, so a fixed fee only
+// applies to sales in its own currency: a club's override must be in the club's currency, and
+// sales in another currency are refused while the platform-wide fee has a fixed part in a
+// different one.
+const MAX_FEE_PERCENT = 50;
+
+// MongoDB collections (will be initialized from index.js)
+let settingsCollection;
+let clubsCollection;
+
+// Initialize collections
+const initPlatformFees = (client) => {
+  const db = client.db('clubsphere');
+  settingsCollection = db.collection('settings');
+  clubsCollection = db.collection('clubs');
+};
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Validate a fee sent by an admin, with fixed in whole units of currency (defaultCurrency when
+// not given). Returns { fee } with fixed in minor units, or { error } with a message for a 400 response.
+const normalizePlatformFee = (input = {}, defaultCurrency = DEFAULT_CURRENCY) => {
+  const percent = input.percent === undefined || input.percent === null ? 0 : Number(input.percent);
+  if (!(percent >= 0 && percent <= MAX_FEE_PERCENT)) {
+    return { error: `percent must be between 0 and ${MAX_FEE_PERCENT}` };
+  }
+
+  const { amount: fixed, error } = parseMoney(input.fixed, 'fixed');
+  if (error) return { error };
+
+  const { currency, error: currencyError } = normalizeCurrency(input.currency || defaultCurrency);
+  if (currencyError) return { error: currencyError };
+
+  return { fee: { percent, fixed, currency } };
+};
+
+// The platform-wide fee: { percent, fixed, currency }
+const getDefaultPlatformFee = async () => {
+  const setting = await settingsCollection.findOne({ _id: 'platformFee' });
+  if (setting) return { percent: setting.percent, fixed: setting.fixed, currency: getCurrency(setting) };
+
+  return {
+    percent: parseFloat(process.env.PLATFORM_FEE_PERCENT) || 0,
+    fixed: toMinorUnits(parseFloat(process.env.PLATFORM_FEE_FIXED) || 0),
+    currency: DEFAULT_CURRENCY
+  };
+};
+
+const setDefaultPlatformFee = (fee, updatedBy) => settingsCollection.updateOne(
+  { _id: 'platformFee' },
+  { $set: { ...fee, updatedBy, updatedAt: new Date() } },
+  { upsert: true }
+);
+
+// The fee that applies to a club's sales: its override, or the platform-wide fee.
+// Returns { percent, fixed, currency, source } with source 'club' or 'platform'.
+const getPlatformFee = async (clubId) => {
+  const club = clubId && ObjectId.isValid(clubId)
+    ? await clubsCollection.findOne({ _id: new ObjectId(clubId) }, { projection: { platformFee: 1 } })
+    : null;
+
+  if (club && club.platformFee) {
+    const { percent, fixed } = club.platformFee;
+    return { percent, fixed, currency: getCurrency(club.platformFee), source: 'club' };
+  }
+  return { ...(await getDefaultPlatformFee()), source: 'platform' };
+};
+
+// The platform-wide fee's clubs that sell in another currency than its fixed part and have no
+// override of their own, so their sales would be refused. Empty when the fee has no fixed part.
+const findClubsOutsideFeeCurrency = (fee) => {
+  if (!fee.fixed) return Promise.resolve([]);
+  // Clubs without a currency sell in DEFAULT_CURRENCY
+  const currency = fee.currency === DEFAULT_CURRENCY
+    ? { $exists: true, $ne: fee.currency }
+    : { $ne: fee.currency };
+  return clubsCollection.find(
+    { status: { $ne: 'archived' }, platformFee: null, currency },
+    { projection: { name: 1, currency: 1 } }
+  ).limit(10).toArray();
+};
+
+// Fee on a price in whole units of currency; free purchases carry no fee.
+// Returns { platformFee } in whole units, or { error } with a message for a 400 response when
+// the fee's fixed part is in another currency.
+const calculatePlatformFee = (amount, fee, currency) => {
+  if (!(amount > 0) || !fee) return { platformFee: 0 };
+  if (fee.fixed && getCurrency(fee) !== currency) {
+    return { error: `Payments in ${currency} cannot be taken until the platform fee is set for this club` };
+  }
+  return { platformFee: roundAmount(amount * (fee.percent || 0) / 100 + fromMinorUnits(fee.fixed)) };
+};
+
+// Fee as returned to admins and managers, fixed in whole units
+const formatPlatformFee = (fee) => ({ ...fee, fixed: fromMinorUnits(fee.fixed) });
+
+// Split a refund in minor units between the club and the platform, in proportion to how the
+// refunded payment was split. Returns { platformFee, clubAmount }, both in minor units.
+const splitRefund = (refundAmount, transaction) => {
+  const platformFee = transaction.platformFee || 0;
+  if (!platformFee || !(transaction.amount > 0)) {
+    return { platformFee: 0, clubAmount: refundAmount };
+  }
+
+  const feeShare = Math.round(refundAmount * platformFee / transaction.amount);
+  return { platformFee: feeShare, clubAmount: refundAmount - feeShare };
+};
+
+module.exports = {
+  MAX_FEE_PERCENT,
+  initPlatformFees,
+  normalizePlatformFee,
+  getDefaultPlatformFee,
+  setDefaultPlatformFee,
+  getPlatformFee,
+  findClubsOutsideFeeCurrency,
+  calculatePlatformFee,
+  formatPlatformFee,
+  splitRefund
+};
@@ -0,0 +1,379 @@
+const { ObjectId } = require('mongodb');
+const { OFFICER_ROLES } = require('./clubRoles');
+
+// Club polls and officer elections.
+//   polls        - { clubId, title, description, type, options: [{ id, label, userId }], maxChoices,
+//                    opensAt, closesAt, election: { role, seats, autoAssign } | null, cancelledAt,
+//                    closedAt, results, roleChanges, createdBy, createdAt, updatedAt }
+//   poll_ballots - { pollId, clubId, userId, choices, createdAt }, one per member and poll
+// type is single (one choice), multiple (up to maxChoices) or ranked (every option in order
+// of preference, counted by instant runoff). Results are only computed, and only shown,
+// once the poll closes. Elections list active members as options; when autoAssign is set
+// the winners get the election's officer role and whoever held it before goes back to member.
+const POLL_TYPES = ['single', 'multiple', 'ranked'];
+
+const MAX_OPTIONS = 20;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+// MongoDB collections (will be initialized from index.js)
+let clubsCollection;
+let usersCollection;
+let membershipsCollection;
+let pollsCollection;
+let ballotsCollection;
+
+// Initialize collections
+const initPolls = (client) => {
+  const db = client.db('clubsphere');
+  clubsCollection = db.collection('clubs');
+  usersCollection = db.collection('users');
+  membershipsCollection = db.collection('memberships');
+  pollsCollection = db.collection('polls');
+  ballotsCollection = db.collection('poll_ballots');
+
+  Promise.all([
+    pollsCollection.createIndex({ clubId: 1, closesAt: -1 }),
+    pollsCollection.createIndex({ closedAt: 1, closesAt: 1 }),
+    ballotsCollection.createIndex({ pollId: 1, userId: 1 }, { unique: true })
+  ]).catch(error => console.error('Create poll indexes error:', error));
+};
+
+// scheduled, open, closed (results are final once closedAt is set) or cancelled
+const getPollStatus = (poll, now = new Date()) => {
+  if (poll.cancelledAt) return 'cancelled';
+  if (poll.closedAt || poll.closesAt <= now) return 'closed';
+  if (poll.opensAt > now) return 'scheduled';
+  return 'open';
+};
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Validate a poll sent by a manager; with existing, fields left out keep their value.
+// Returns { poll } with the fields to store, or { error } with a message for a 400 response.
+const normalizePoll = async (club, input, existing = null) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Poll must be an object' };
+  }
+
+  const pick = (field, fallback) => (input[field] !== undefined ? input[field] : (existing ? existing[field] : fallback));
+
+  const title = typeof pick('title', '') === 'string' ? pick('title', '').trim() : '';
+  if (!title) {
+    return { error: 'Title is required' };
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return { error: `Title must be at most ${MAX_TITLE_LENGTH} characters` };
+  }
+
+  const description = typeof pick('description', '') === 'string' ? pick('description', '').trim() : '';
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return { error: `Description must be at most ${MAX_DESCRIPTION_LENGTH} characters` };
+  }
+
+  const type = pick('type', 'single');
+  if (!POLL_TYPES.includes(type)) {
+    return { error: `Type must be one of: ${POLL_TYPES.join(', ')}` };
+  }
+
+  const opensAt = pick('opensAt', null) ? parseDate(pick('opensAt', null)) : new Date();
+  const closesAt = pick('closesAt', null) ? parseDate(pick('closesAt', null)) : null;
+  if (!opensAt || !closesAt) {
+    return { error: 'opensAt must be a valid date and closesAt is required' };
+  }
+  if (closesAt <= opensAt || closesAt <= new Date()) {
+    return { error: 'closesAt must be in the future and after opensAt' };
+  }
+
+  // Elections
+  const electionInput = pick('election', null);
+  let election = null;
+  if (electionInput) {
+    if (!OFFICER_ROLES.includes(electionInput.role)) {
+      return { error: `Election role must be one of: ${OFFICER_ROLES.join(', ')}` };
+    }
+    const seats = electionInput.seats === undefined ? 1 : electionInput.seats;
+    if (!Number.isInteger(seats) || seats < 1) {
+      return { error: 'Seats must be a whole number of at least 1' };
+    }
+    election = { role: electionInput.role, seats, autoAssign: electionInput.autoAssign !== false };
+  }
+
+  // Options keep their id across edits; election options are candidates by userId
+  const optionsInput = pick('options', []);
+  if (!Array.isArray(optionsInput) || optionsInput.length < 2) {
+    return { error: 'A poll needs at least two options' };
+  }
+  if (optionsInput.length > MAX_OPTIONS) {
+    return { error: `A poll can have at most ${MAX_OPTIONS} options` };
+  }
+
+  const previousOptions = existing ? existing.options : [];
+  const options = [];
+  for (const item of optionsInput) {
+    const id = item && item.id;
+    if (id && !previousOptions.some(option => option.id === id)) {
+      return { error: `Option ${id} not found` };
+    }
+    const label = typeof item === 'string' ? item.trim() : (item && typeof item.label === 'string' ? item.label.trim() : '');
+    const userId = election ? String(item && item.userId ? item.userId : '') : null;
+    if (election ? !userId : !label) {
+      return { error: election ? 'Each candidate needs a userId' : 'Each option needs a label' };
+    }
+    options.push({ id: id || new ObjectId().toString(), label, userId });
+  }
+
+  if (election) {
+    const userIds = options.map(option => option.userId);
+    if (new Set(userIds).size !== userIds.length) {
+      return { error: 'A member can only stand once' };
+    }
+    if (election.seats >= options.length) {
+      return { error: 'An election needs more candidates than seats' };
+    }
+
+    const memberships = await membershipsCollection
+      .find({ clubId: club._id.toString(), userId: { $in: userIds }, status: 'active' }, { projection: { userId: 1 } })
+      .toArray();
+    if (memberships.length !== userIds.length) {
+      return { error: 'Candidates must be active members of the club' };
+    }
+
+    // Candidates are listed under their name
+    const users = await usersCollection
+      .find({ _id: { $in: userIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) } })
+      .toArray();
+    const usersById = new Map(users.map(user => [user._id.toString(), user]));
+    const owner = users.find(user => user.email === club.managerEmail);
+    if (owner) {
+      return { error: 'The club owner cannot stand for an officer role' };
+    }
+    options.forEach(option => {
+      option.label = option.label || usersById.get(option.userId)?.name || 'Member';
+    });
+  }
+
+  let maxChoices = null;
+  if (type === 'multiple') {
+    maxChoices = pick('maxChoices', null) || options.length;
+    if (!Number.isInteger(maxChoices) || maxChoices < 1 || maxChoices > options.length) {
+      return { error: `maxChoices must be between 1 and ${options.length}` };
+    }
+  }
+
+  return {
+    poll: { title, description, type, options, maxChoices, opensAt, closesAt, election }
+  };
+};
+
+// Check a member's choices against the poll. Returns { choices } or { error } for a 400 response.
+const normalizeBallot = (poll, input) => {
+  const choices = Array.isArray(input) ? input.map(choice => String(choice)) : [];
+  const optionIds = poll.options.map(option => option.id);
+
+  if (choices.length === 0) {
+    return { error: 'Choose at least one option' };
+  }
+  if (new Set(choices).size !== choices.length) {
+    return { error: 'Each option can only be chosen once' };
+  }
+  if (choices.some(choice => !optionIds.includes(choice))) {
+    return { error: 'Unknown option' };
+  }
+
+  if (poll.type === 'single' && choices.length !== 1) {
+    return { error: 'Choose exactly one option' };
+  }
+  if (poll.type === 'multiple' && choices.length > poll.maxChoices) {
+    return { error: `Choose at most ${poll.maxChoices} options` };
+  }
+  if (poll.type === 'ranked' && choices.length !== optionIds.length) {
+    return { error: 'Rank every option' };
+  }
+
+  return { choices };
+};
+
+// Top seats options by count; a tie across the cut-off leaves the result undecided
+const pickWinners = (counts, seats) => {
+  const ranked = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+  if (ranked.length === 0 || ranked[0][1] === 0) return { winners: [], tie: false };
+
+  const tie = ranked.length > seats && ranked[seats - 1][1] === ranked[seats][1];
+  return { winners: tie ? [] : ranked.slice(0, seats).map(([id]) => id), tie };
+};
+
+// Instant runoff: drop the last-placed options until one has a majority of the ballots still in play.
+// Options tied for last place are dropped together.
+const runInstantRunoff = (optionIds, ballots) => {
+  let remaining = [...optionIds];
+  const rounds = [];
+
+  while (remaining.length > 0) {
+    const counts = Object.fromEntries(remaining.map(id => [id, 0]));
+    let exhausted = 0;
+    ballots.forEach(ballot => {
+      const top = ballot.choices.find(choice => counts[choice] !== undefined);
+      if (top) counts[top] += 1;
+      else exhausted += 1;
+    });
+    rounds.push({ counts, exhausted });
+
+    const inPlay = ballots.length - exhausted;
+    const values = Object.values(counts);
+    const highest = Math.max(...values);
+    const leaders = remaining.filter(id => counts[id] === highest);
+
+    if (inPlay === 0) return { winner: null, tie: false, rounds };
+    if (leaders.length === 1 && (highest * 2 > inPlay || remaining.length <= 2)) {
+      return { winner: leaders[0], tie: false, rounds };
+    }
+
+    const lowest = Math.min(...values);
+    const last = remaining.filter(id => counts[id] === lowest);
+    if (last.length === remaining.length) return { winner: null, tie: true, rounds };
+    remaining = remaining.filter(id => !last.includes(id));
+  }
+
+  return { winner: null, tie: false, rounds };
+};
+
+// Count the ballots of a poll: { totalBallots, counts, winners, tie, rounds }.
+// counts are first preferences for ranked polls; winners are option ids.
+const tallyPoll = (poll, ballots) => {
+  const seats = poll.election ? poll.election.seats : 1;
+  const counts = Object.fromEntries(poll.options.map(option => [option.id, 0]));
+  ballots.forEach(ballot => {
+    const counted = poll.type === 'ranked' ? ballot.choices.slice(0, 1) : ballot.choices;
+    counted.forEach(choice => {
+      if (counts[choice] !== undefined) counts[choice] += 1;
+    });
+  });
+
+  if (poll.type !== 'ranked') {
+    return { totalBallots: ballots.length, counts, ...pickWinners(counts, seats) };
+  }
+
+  // Fill each seat with a fresh runoff among the candidates not yet elected
+  const winners = [];
+  const rounds = [];
+  let tie = false;
+  for (let seat = 0; seat < seats; seat += 1) {
+    const runoff = runInstantRunoff(poll.options.map(option => option.id).filter(id => !winners.includes(id)), ballots);
+    rounds.push(runoff.rounds);
+    if (!runoff.winner) {
+      tie = runoff.tie;
+      break;
+    }
+    winners.push(runoff.winner);
+  }
+
+  return { totalBallots: ballots.length, counts, winners: tie ? [] : winners, tie, rounds };
+};
+
+// Give the election winners its officer role; members who held the role and lost go back to member.
+// Winners who are no longer active members, or now own the club, are skipped. When none of them
+// can take the role, its current holders keep it rather than leaving the club without one.
+const applyElectionResults = async (poll, winners) => {
+  const club = await clubsCollection.findOne({ _id: new ObjectId(poll.clubId) });
+  const winnerIds = poll.options.filter(option => winners.includes(option.id)).map(option => option.userId);
+  const now = new Date();
+  const assignedBy = `election:${poll._id.toString()}`;
+
+  const owner = club && club.managerEmail
+    ? await usersCollection.findOne({ email: club.managerEmail }, { projection: { _id: 1 } })
+    : null;
+  const eligible = winnerIds.filter(userId => !owner || owner._id.toString() !== userId);
+
+  const assigned = await membershipsCollection.updateMany(
+    { clubId: poll.clubId, userId: { $in: eligible }, status: 'active' },
+    { $set: { role: poll.election.role, roleAssignedAt: now, roleAssignedBy: assignedBy, updatedAt: now } }
+  );
+  if (assigned.matchedCount === 0) {
+    return { role: poll.election.role, assigned: 0, replaced: 0 };
+  }
+
+  const replaced = await membershipsCollection.updateMany(
+    { clubId: poll.clubId, role: poll.election.role, userId: { $nin: eligible } },
+    { $set: { role: 'member', roleAssignedAt: now, roleAssignedBy: assignedBy, updatedAt: now } }
+  );
+
+  return { role: poll.election.role, assigned: assigned.modifiedCount, replaced: replaced.modifiedCount };
+};
+
+// Close a poll and store its results, once. For elections with autoAssign and a clear result,
+// the winners get the officer role. Returns the closed poll, or null if it was already closed.
+const finalizePoll = async (poll) => {
+  const ballots = await ballotsCollection.find({ pollId: poll._id.toString() }).toArray();
+  const results = tallyPoll(poll, ballots);
+  const now = new Date();
+
+  const closed = await pollsCollection.findOneAndUpdate(
+    { _id: poll._id, closedAt: null, cancelledAt: null },
+    { $set: { closedAt: now, closesAt: poll.closesAt < now ? poll.closesAt : now, results, updatedAt: now } },
+    { returnDocument: 'after' }
+  );
+  if (!closed) return null;
+
+  const seats = poll.election ? poll.election.seats : 1;
+  if (poll.election && poll.election.autoAssign && !results.tie && results.winners.length === seats) {
+    const roleChanges = await applyElectionResults(closed, results.winners);
+    await pollsCollection.updateOne({ _id: closed._id }, { $set: { roleChanges } });
+    return { ...closed, roleChanges };
+  }
+
+  return closed;
+};
+
+// Close a poll whose closing time has passed, so readers see its results without
+// waiting for the close-polls job. Returns the poll as it is now.
+const closeIfOverdue = async (poll) => {
+  if (poll.closedAt || poll.cancelledAt || poll.closesAt > new Date()) return poll;
+  return (await finalizePoll(poll)) || pollsCollection.findOne({ _id: poll._id });
+};
+
+// Poll as returned to clients; results only once closed
+const formatPoll = (poll, now = new Date()) => {
+  const status = getPollStatus(poll, now);
+  const results = poll.results && status === 'closed'
+    ? {
+      totalBallots: poll.results.totalBallots,
+      options: poll.options.map(option => ({ id: option.id, votes: poll.results.counts[option.id] || 0 })),
+      winners: poll.results.winners,
+      tie: poll.results.tie,
+      rounds: poll.results.rounds || null
+    }
+    : null;
+
+  return {
+    id: poll._id.toString(),
+    clubId: poll.clubId,
+    title: poll.title,
+    description: poll.description || '',
+    type: poll.type,
+    options: poll.options,
+    maxChoices: poll.maxChoices || null,
+    election: poll.election || null,
+    status,
+    opensAt: poll.opensAt,
+    closesAt: poll.closesAt,
+    results,
+    roleChanges: poll.roleChanges || null,
+    createdAt: poll.createdAt
+  };
+};
+
+module.exports = {
+  POLL_TYPES,
+  initPolls,
+  getPollStatus,
+  normalizePoll,
+  normalizeBallot,
+  tallyPoll,
+  finalizePoll,
+  closeIfOverdue,
+  formatPoll
+};
@@ -0,0 +1,313 @@
+const { ObjectId } = require('mongodb');
+const { PAGE_WIDTH, createPdfPage } = require('./pdf');
+const { getCurrency, formatMoney } = require('./money');
+
+// PDF receipts for successful transactions, refunds included. Chargebacks get none: the money
+// went back through the card issuer, not through us.
+//   receipts - { transactionId, userId, invoiceNumber, status, details, issuedAt, regeneratedAt,
+//                regeneratedBy, voidedAt, voidedBy, voidReason }
+//   counters - { _id: 'invoiceNumber', seq, released }
+// A receipt is issued when the payment is recorded (or on first download for older payments)
+// and gets the next number in one platform-wide sequence. details is a snapshot of what the
+// PDF shows, so the document does not change when a club or event is renamed; regenerating
+// refreshes it under the same number. Voiding keeps the receipt, marked void, and the next
+// regeneration issues a new one with a new number. Only one receipt per transaction is issued.
+// A number taken by an issue that lost a race to issue the same receipt is released and given
+// to the next receipt, so the sequence has no gaps.
+const RECEIPT_STATUSES = ['issued', 'void'];
+const INVOICE_PREFIX = 'INV-';
+
+// MongoDB collections (will be initialized from index.js)
+let usersCollection;
+let clubsCollection;
+let eventsCollection;
+let receiptsCollection;
+let countersCollection;
+
+// Stripe client for looking up how a payment was made, when configured
+let stripe = null;
+const getStripe = () => {
+  if (!stripe && process.env.STRIPE_SECRET_KEY) {
+    stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripe;
+};
+
+// Initialize collections
+const initReceipts = (client) => {
+  const db = client.db('clubsphere');
+  usersCollection = db.collection('users');
+  clubsCollection = db.collection('clubs');
+  eventsCollection = db.collection('events');
+  receiptsCollection = db.collection('receipts');
+  countersCollection = db.collection('counters');
+
+  Promise.all([
+    receiptsCollection.createIndex({ invoiceNumber: 1 }, { unique: true }),
+    receiptsCollection.createIndex(
+      { transactionId: 1 },
+      { unique: true, partialFilterExpression: { status: 'issued' } }
+    ),
+    receiptsCollection.createIndex({ userId: 1, issuedAt: -1 })
+  ]).catch(error => console.error('Create receipt indexes error:', error));
+};
+
+// Reuse the lowest released number, or take the next one in the sequence
+const nextInvoiceNumber = async () => {
+  const released = await countersCollection.findOneAndUpdate(
+    { _id: 'invoiceNumber', 'released.0': { $exists: true } },
+    { $pop: { released: -1 } },
+    { returnDocument: 'before' }
+  );
+  if (released) return released.released[0];
+
+  const counter = await countersCollection.findOneAndUpdate(
+    { _id: 'invoiceNumber' },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return `${INVOICE_PREFIX}${String(counter.seq).padStart(6, '0')}`;
+};
+
+// Give back a number that no receipt was issued under
+const releaseInvoiceNumber = (invoiceNumber) => countersCollection.updateOne(
+  { _id: 'invoiceNumber' },
+  { $push: { released: { $each: [invoiceNumber], $sort: 1 } } }
+);
+
+const findById = (collection, id) => {
+  if (!id) return null;
+  const value = id.toString();
+  return collection.findOne({ _id: ObjectId.isValid(value) ? new ObjectId(value) : value });
+};
+
+const capitalize = (value) => (value ? value.charAt(0).toUpperCase() + value.slice(1) : '');
+
+// How the payment was made, e.g. "Visa ending in 4242", from Stripe when it is configured
+const getPaymentMethod = async (paymentIntentId) => {
+  const client = getStripe();
+  if (!client || !paymentIntentId) return 'Online payment';
+
+  try {
+    const paymentIntent = await client.paymentIntents.retrieve(paymentIntentId, { expand: ['latest_charge'] });
+    const details = paymentIntent.latest_charge && paymentIntent.latest_charge.payment_method_details;
+    if (!details) return 'Online payment';
+    if (details.card) {
+      return `${capitalize(details.card.brand)} ending in ${details.card.last4}`;
+    }
+    return capitalize(details.type.replace(/_/g, ' '));
+  } catch (error) {
+    console.error(`Look up payment method for ${paymentIntentId} error:`, error.message);
+    return 'Online payment';
+  }
+};
+
+// Snapshot of what a transaction's receipt shows. Amounts are in minor units, like transactions.
+const buildReceiptDetails = async (transaction) => {
+  const [user, club, event, paymentMethod] = await Promise.all([
+    findById(usersCollection, transaction.userId),
+    findById(clubsCollection, transaction.clubId),
+    findById(eventsCollection, transaction.eventId),
+    getPaymentMethod(transaction.paymentIntentId)
+  ]);
+
+  return {
+    // Donations from visitors keep the donor's name and email on the transaction
+    billedTo: user
+      ? { name: user.name || '', email: user.email || '' }
+      : { name: transaction.userName || '', email: transaction.userEmail || '' },
+    type: transaction.type,
+    description: transaction.description || '',
+    clubName: club ? club.name : null,
+    eventName: event ? event.name : null,
+    amount: transaction.amount,
+    grossAmount: transaction.grossAmount ?? null,
+    discountAmount: transaction.discountAmount || 0,
+    couponCode: transaction.couponCode || null,
+    platformFee: transaction.platformFee || 0,
+    currency: getCurrency(transaction),
+    paymentMethod,
+    paymentReference: transaction.paymentIntentId || transaction.invoiceId || null,
+    paidAt: transaction.createdAt
+  };
+};
+
+// The transaction's current receipt (issued, or the latest voided one), or null
+const findReceipt = (transactionId) => receiptsCollection.findOne(
+  { transactionId: transactionId.toString() },
+  { sort: { status: 1, issuedAt: -1 } } // 'issued' sorts before 'void'
+);
+
+// Whether the transaction gets a receipt
+const hasReceipt = (transaction) => transaction.status === 'success' && transaction.type !== 'chargeback';
+
+// Issue a receipt for a successful transaction, or return the one already issued
+const issueReceipt = async (transaction) => {
+  if (!hasReceipt(transaction)) return null;
+
+  const transactionId = transaction._id.toString();
+  const existing = await receiptsCollection.findOne({ transactionId, status: 'issued' });
+  if (existing) return existing;
+
+  const details = await buildReceiptDetails(transaction);
+
+  // Looking up the details takes a while; a concurrent call may have issued the receipt meanwhile
+  const issued = await receiptsCollection.findOne({ transactionId, status: 'issued' });
+  if (issued) return issued;
+
+  const receipt = {
+    transactionId,
+    userId: transaction.userId ? transaction.userId.toString() : null,
+    invoiceNumber: await nextInvoiceNumber(),
+    status: 'issued',
+    details,
+    issuedAt: new Date()
+  };
+
+  try {
+    const result = await receiptsCollection.insertOne(receipt);
+    return { ...receipt, _id: result.insertedId };
+  } catch (error) {
+    await releaseInvoiceNumber(receipt.invoiceNumber);
+    // A concurrent call issued the receipt first
+    if (error.code !== 11000) throw error;
+    return receiptsCollection.findOne({ transactionId, status: 'issued' });
+  }
+};
+
+// Refresh an issued receipt from the transaction under the same number, or issue a new
+// receipt when the last one was voided
+const regenerateReceipt = async (transaction, regeneratedBy) => {
+  const receipt = await receiptsCollection.findOneAndUpdate(
+    { transactionId: transaction._id.toString(), status: 'issued' },
+    { $set: { details: await buildReceiptDetails(transaction), regeneratedAt: new Date(), regeneratedBy } },
+    { returnDocument: 'after' }
+  );
+  return receipt || issueReceipt(transaction);
+};
+
+// Void the transaction's issued receipt. Returns the voided receipt, or null if none was issued.
+const voidReceipt = (transaction, { reason, voidedBy }) => receiptsCollection.findOneAndUpdate(
+  { transactionId: transaction._id.toString(), status: 'issued' },
+  { $set: { status: 'void', voidedAt: new Date(), voidedBy, voidReason: reason || null } },
+  { returnDocument: 'after' }
+);
+
+const formatReceiptDate = (date) => (date
+  ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' })
+  : '');
+
+// The receipt as a PDF Buffer
+const renderReceiptPdf = (receipt) => {
+  const { details } = receipt;
+  const page = createPdfPage();
+  const left = 50;
+  const right = PAGE_WIDTH - 50;
+  const isRefund = details.type === 'refund';
+
+  page.text(left, 70, 'ClubSphere', { size: 22, bold: true });
+  page.textRight(right, 70, isRefund ? 'REFUND RECEIPT' : 'RECEIPT', { size: 16, bold: true, gray: 0.3 });
+  page.line(left, 88, right, 88);
+
+  const facts = [
+    ['Receipt number', receipt.invoiceNumber],
+    ['Date issued', formatReceiptDate(receipt.issuedAt)],
+    [isRefund ? 'Date refunded' : 'Date paid', formatReceiptDate(details.paidAt)],
+    ['Payment method', details.paymentMethod],
+    ['Payment reference', details.paymentReference || '']
+  ];
+  facts.forEach(([label, value], index) => {
+    page.text(left, 115 + index * 16, label, { gray: 0.4 });
+    page.text(left + 120, 115 + index * 16, value);
+  });
+
+  page.text(340, 115, 'Billed to', { gray: 0.4 });
+  page.text(340, 131, details.billedTo.name, { bold: true });
+  page.text(340, 147, details.billedTo.email);
+
+  // Line items
+  let y = 220;
+  page.rect(left, y - 14, right - left, 22);
+  page.text(left + 8, y, 'Description', { bold: true });
+  page.textRight(right - 8, y, 'Amount', { bold: true });
+  y += 28;
+
+  const price = (details.grossAmount ?? details.amount) - details.platformFee;
+  const [first, ...adjustments] = isRefund
+    ? [details.amount]
+    : [
+      price,
+      ...(details.discountAmount > 0
+        ? [[details.couponCode ? `Discount (${details.couponCode})` : 'Discount', -details.discountAmount]]
+        : []),
+      ...(details.platformFee > 0 ? [['Service fee', details.platformFee]] : [])
+    ];
+
+  page.text(left + 8, y, details.description);
+  page.textRight(right - 8, y, formatMoney(first, details.currency));
+
+  const item = details.eventName || details.clubName;
+  if (item && !details.description.includes(item)) {
+    y += 14;
+    page.text(left + 8, y, item, { size: 9, gray: 0.4 });
+  }
+
+  adjustments.forEach(([label, amount]) => {
+    y += 16;
+    page.text(left + 8, y, label, { gray: 0.4 });
+    page.textRight(right - 8, y, formatMoney(amount, details.currency));
+  });
+  y += 16;
+
+  page.line(left, y, right, y);
+  y += 20;
+  page.text(left + 8, y, isRefund ? 'Total refunded' : 'Total paid', { size: 12, bold: true });
+  page.textRight(right - 8, y, formatMoney(details.amount, details.currency), { size: 12, bold: true });
+
+  if (receipt.status === 'void') {
+    y += 50;
+    page.text(left, y, 'VOID', { size: 40, bold: true, gray: 0.6 });
+    page.text(left, y + 22, `This receipt was voided on ${formatReceiptDate(receipt.voidedAt)}` +
+      `${receipt.voidReason ? `: ${receipt.voidReason}` : ''}`, { gray: 0.4 });
+  }
+
+  page.line(left, 770, right, 770);
+  page.text(left, 788, 'Issued by ClubSphere. Keep this receipt for your records.', { size: 8, gray: 0.5 });
+  if (receipt.regeneratedAt) {
+    page.textRight(right, 788, `Regenerated ${formatReceiptDate(receipt.regeneratedAt)}`, { size: 8, gray: 0.5 });
+  }
+
+  return page.toBuffer({ title: `Receipt ${receipt.invoiceNumber}` });
+};
+
+// Send a receipt as a PDF download
+const sendReceiptPdf = (res, receipt) => {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `attachment; filename="receipt-${receipt.invoiceNumber}.pdf"`);
+  res.send(renderReceiptPdf(receipt));
+};
+
+// Receipt as returned to clients
+const formatReceipt = (receipt) => ({
+  id: receipt._id.toString(),
+  transactionId: receipt.transactionId,
+  invoiceNumber: receipt.invoiceNumber,
+  status: receipt.status,
+  issuedAt: receipt.issuedAt,
+  regeneratedAt: receipt.regeneratedAt || null,
+  voidedAt: receipt.voidedAt || null,
+  voidReason: receipt.voidReason || null
+});
+
+module.exports = {
+  RECEIPT_STATUSES,
+  initReceipts,
+  hasReceipt,
+  findReceipt,
+  issueReceipt,
+  regenerateReceipt,
+  voidReceipt,
+  renderReceiptPdf,
+  sendReceiptPdf,
+  formatReceipt
+};
@@ -0,0 +1,143 @@
+// Recurrence rules for event series.
+//   { frequency: 'weekly', interval: 1, daysOfWeek: [2], count: 12 }      every Tuesday, 12 times
+//   { frequency: 'monthly', weekOfMonth: 1, dayOfWeek: 6, until: '...' } first Saturday of each month
+//   { frequency: 'monthly', dayOfMonth: 15, count: 6 }                   the 15th of each month
+// Days of the week are 0 (Sunday) to 6 (Saturday); weekOfMonth -1 means the last one.
+// Dates are calculated on UTC calendar days, the same way event dates are stored.
+
+const MAX_OCCURRENCES = 52;
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const isDayOfWeek = (value) => Number.isInteger(value) && value >= 0 && value <= 6;
+
+// Validate a recurrence rule sent by a manager for a series starting at startDate.
+// Returns { rule } on success or { error } with a message for a 400 response.
+const normalizeRecurrence = (input, startDate) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Recurrence must be an object' };
+  }
+
+  const rule = {
+    frequency: input.frequency,
+    interval: input.interval !== undefined ? Number(input.interval) : 1
+  };
+
+  if (rule.frequency !== 'weekly' && rule.frequency !== 'monthly') {
+    return { error: 'Recurrence frequency must be weekly or monthly' };
+  }
+
+  if (!Number.isInteger(rule.interval) || rule.interval < 1) {
+    return { error: 'Recurrence interval must be a positive whole number' };
+  }
+
+  if (rule.frequency === 'weekly') {
+    const daysOfWeek = (Array.isArray(input.daysOfWeek) ? input.daysOfWeek : []).map(Number);
+    if (daysOfWeek.length === 0 || !daysOfWeek.every(isDayOfWeek)) {
+      return { error: 'Weekly recurrence needs daysOfWeek between 0 (Sunday) and 6 (Saturday)' };
+    }
+    rule.daysOfWeek = [...new Set(daysOfWeek)].sort((a, b) => a - b);
+  } else if (input.dayOfMonth !== undefined) {
+    rule.dayOfMonth = Number(input.dayOfMonth);
+    if (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31) {
+      return { error: 'dayOfMonth must be between 1 and 31' };
+    }
+  } else {
+    rule.weekOfMonth = Number(input.weekOfMonth);
+    rule.dayOfWeek = Number(input.dayOfWeek);
+    if (![1, 2, 3, 4, -1].includes(rule.weekOfMonth) || !isDayOfWeek(rule.dayOfWeek)) {
+      return { error: 'Monthly recurrence needs dayOfMonth, or weekOfMonth (1-4 or -1 for last) and dayOfWeek' };
+    }
+  }
+
+  if (input.count !== undefined) {
+    rule.count = Number(input.count);
+    if (!Number.isInteger(rule.count) || rule.count < 1 || rule.count > MAX_OCCURRENCES) {
+      return { error: `Recurrence count must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+  }
+
+  if (input.until !== undefined) {
+    rule.until = new Date(input.until);
+    if (isNaN(rule.until.getTime())) {
+      return { error: 'Recurrence until is not a valid date' };
+    }
+  }
+
+  if (rule.count === undefined && rule.until === undefined) {
+    return { error: 'Recurrence needs a count or an until date' };
+  }
+
+  // An until date without a count must not run past the limit, rather than being cut short
+  if (rule.count === undefined && collectOccurrences(rule, startDate, MAX_OCCURRENCES + 1).length > MAX_OCCURRENCES) {
+    return { error: `Recurrence until gives more than ${MAX_OCCURRENCES} occurrences; choose an earlier date or a count` };
+  }
+
+  return { rule };
+};
+
+// Date in the given month (0-based, may overflow into later years) matching a monthly rule, or null
+const monthlyDate = (rule, year, month, timeOfDay) => {
+  const first = new Date(Date.UTC(year, month, 1));
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  let day;
+
+  if (rule.dayOfMonth !== undefined) {
+    // Months without that day (e.g. the 31st) are skipped
+    if (rule.dayOfMonth > daysInMonth) return null;
+    day = rule.dayOfMonth;
+  } else if (rule.weekOfMonth === -1) {
+    const lastDow = new Date(Date.UTC(year, month, daysInMonth)).getUTCDay();
+    day = daysInMonth - ((lastDow - rule.dayOfWeek + 7) % 7);
+  } else {
+    day = 1 + ((rule.dayOfWeek - first.getUTCDay() + 7) % 7) + (rule.weekOfMonth - 1) * 7;
+  }
+
+  return new Date(Date.UTC(first.getUTCFullYear(), first.getUTCMonth(), day) + timeOfDay);
+};
+
+// Up to limit occurrence dates of a rule, starting on or after startDate and keeping its time of day
+const collectOccurrences = (rule, startDate, limit) => {
+  const start = new Date(startDate);
+  const startDay = Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), start.getUTCDate());
+  const timeOfDay = start.getTime() - startDay;
+  const dates = [];
+
+  const accept = (date) => {
+    if (date < start) return true;
+    if (rule.until && date > rule.until) return false;
+    dates.push(date);
+    return dates.length < limit;
+  };
+
+  // Enough periods for MAX_OCCURRENCES even with a large interval and skipped months
+  const maxPeriods = MAX_OCCURRENCES * 2;
+
+  if (rule.frequency === 'weekly') {
+    const weekStart = startDay - start.getUTCDay() * DAY_MS;
+    for (let week = 0; week < maxPeriods; week++) {
+      for (const dayOfWeek of rule.daysOfWeek) {
+        const date = new Date(weekStart + (week * rule.interval * 7 + dayOfWeek) * DAY_MS + timeOfDay);
+        if (!accept(date)) return dates;
+      }
+    }
+  } else {
+    for (let period = 0; period < maxPeriods; period++) {
+      const date = monthlyDate(rule, start.getUTCFullYear(), start.getUTCMonth() + period * rule.interval, timeOfDay);
+      if (date && !accept(date)) return dates;
+    }
+  }
+
+  return dates;
+};
+
+// Occurrence dates of a rule, at most its count and MAX_OCCURRENCES
+const generateOccurrences = (rule, startDate) => (
+  collectOccurrences(rule, startDate, Math.min(rule.count || MAX_OCCURRENCES, MAX_OCCURRENCES))
+);
+
+module.exports = {
+  MAX_OCCURRENCES,
+  normalizeRecurrence,
+  generateOccurrences
+};
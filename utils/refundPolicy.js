@@ -0,0 +1,59 @@
+// Refund policy for paid event registrations.
+// Members get a full refund until fullRefundDays before the event, then
+// partialRefundPercent until partialRefundDays before, then nothing.
+const DEFAULT_REFUND_POLICY = {
+  fullRefundDays: 7,
+  partialRefundDays: 2,
+  partialRefundPercent: 50
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Validate a refund policy sent by a manager or admin.
+// Returns { policy } on success or { error } with a message for a 400 response.
+const normalizeRefundPolicy = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Refund policy must be an object' };
+  }
+
+  const policy = {
+    fullRefundDays: input.fullRefundDays !== undefined ? Number(input.fullRefundDays) : DEFAULT_REFUND_POLICY.fullRefundDays,
+    partialRefundDays: input.partialRefundDays !== undefined ? Number(input.partialRefundDays) : DEFAULT_REFUND_POLICY.partialRefundDays,
+    partialRefundPercent: input.partialRefundPercent !== undefined ? Number(input.partialRefundPercent) : DEFAULT_REFUND_POLICY.partialRefundPercent
+  };
+
+  if (!Number.isFinite(policy.fullRefundDays) || policy.fullRefundDays < 0 ||
+      !Number.isFinite(policy.partialRefundDays) || policy.partialRefundDays < 0) {
+    return { error: 'Refund days must be zero or positive numbers' };
+  }
+
+  if (policy.partialRefundDays > policy.fullRefundDays) {
+    return { error: 'Partial refund days cannot be greater than full refund days' };
+  }
+
+  if (!Number.isFinite(policy.partialRefundPercent) || policy.partialRefundPercent < 0 || policy.partialRefundPercent > 100) {
+    return { error: 'Partial refund percent must be between 0 and 100' };
+  }
+
+  return { policy };
+};
+
+// Percentage of the paid amount to refund when cancelling at `now`.
+// Members always get everything back when the club cancelled the event.
+const calculateRefundPercent = (event, now = new Date()) => {
+  const policy = { ...DEFAULT_REFUND_POLICY, ...(event.refundPolicy || {}) };
+
+  if (event.status === 'cancelled' || !event.date) return 100;
+
+  const daysUntilEvent = (new Date(event.date) - now) / DAY_MS;
+
+  if (daysUntilEvent >= policy.fullRefundDays) return 100;
+  if (daysUntilEvent >= policy.partialRefundDays) return policy.partialRefundPercent;
+  return 0;
+};
+
+module.exports = {
+  DEFAULT_REFUND_POLICY,
+  normalizeRefundPolicy,
+  calculateRefundPercent
+};
@@ -0,0 +1,189 @@
+const { ObjectId } = require('mongodb');
+
+// Event capacity is enforced with a seatsTaken counter on the event document.
+// A seat is taken with a single conditional update, so two requests can never
+// both get the last seat. Registrations that occupy a seat:
+//   registered - confirmed attendee
+//   held       - checkout in progress, released at holdExpiresAt if unpaid
+//   offered    - promoted from the waitlist, released at offerExpiresAt if unpaid
+//   suspended  - payment disputed, released if the dispute is lost
+const SEAT_STATUSES = ['registered', 'held', 'offered', 'suspended'];
+
+// Minutes a seat is held while the member completes a Stripe payment
+const SEAT_HOLD_MINUTES = 15;
+
+// MongoDB collections (will be initialized from index.js)
+let eventsCollection;
+let registrationsCollection;
+
+// Initialize collections
+const initSeats = (client) => {
+  const db = client.db('clubsphere');
+  eventsCollection = db.collection('events');
+  registrationsCollection = db.collection('registrations');
+
+  registrationsCollection.createIndex({ status: 1, holdExpiresAt: 1 })
+    .catch(error => console.error('Create seat hold index error:', error));
+};
+
+// Count seats from registrations; only used to start the counter on older events
+const countSeatRegistrations = (eventId) => registrationsCollection.countDocuments({
+  eventId: eventId.toString(),
+  status: { $in: SEAT_STATUSES }
+});
+
+// Make sure the event has a seatsTaken counter and return its current value
+const getSeatsTaken = async (event) => {
+  if (typeof event.seatsTaken === 'number') return event.seatsTaken;
+
+  const count = await countSeatRegistrations(event._id);
+  // Only the first caller sets the counter; everyone else reads it back
+  await eventsCollection.updateOne(
+    { _id: event._id, seatsTaken: { $exists: false } },
+    { $set: { seatsTaken: count } }
+  );
+  const current = await eventsCollection.findOne({ _id: event._id }, { projection: { seatsTaken: 1 } });
+  return current ? current.seatsTaken : count;
+};
+
+// Expire the event's checkout holds and waitlist offers whose time ran out and give their
+// seats back, so seats nobody is paying for are freed without waiting for the
+// release-seat-holds and expire-waitlist-offers jobs. Returns the number of seats released.
+const releaseLapsedSeats = async (eventId) => {
+  const now = new Date();
+  const lapsed = await registrationsCollection.find({
+    eventId: eventId.toString(),
+    $or: [
+      { status: 'held', holdExpiresAt: { $lte: now } },
+      { status: 'offered', offerExpiresAt: { $lte: now } }
+    ]
+  }).toArray();
+
+  let released = 0;
+  for (const registration of lapsed) {
+    // Re-check the status so a payment confirmed meanwhile wins
+    const result = await registrationsCollection.updateOne(
+      { _id: registration._id, status: registration.status },
+      { $set: { status: 'expired', paymentStatus: 'expired', updatedAt: now } }
+    );
+
+    if (result.modifiedCount > 0) {
+      await releaseSeat(registration.eventId, registration.ticketTypeId);
+      released++;
+    }
+  }
+  return released;
+};
+
+// Release lapsed seats of the event, offering them to its waitlist first so
+// nobody jumps the queue. Returns whether any seat was released.
+// waitlist.js requires this module, so it is only loaded here when first needed.
+const reclaimLapsedSeats = async (eventId) => {
+  if (!(await releaseLapsedSeats(eventId))) return false;
+  await require('./waitlist').promoteFromWaitlist(eventId);
+  return true;
+};
+
+// Seats left, or null when the event has no capacity limit
+const getSeatsAvailable = async (event) => {
+  if (!event.maxAttendees) return null;
+  let seatsTaken = await getSeatsTaken(event);
+  if (await reclaimLapsedSeats(event._id)) {
+    const current = await eventsCollection.findOne({ _id: event._id }, { projection: { seatsTaken: 1 } });
+    seatsTaken = current ? current.seatsTaken : seatsTaken;
+  }
+  return Math.max(event.maxAttendees - seatsTaken, 0);
+};
+
+// Take one seat, and one ticket of ticketTypeId when given. Returns false when
+// the event or the ticket type is sold out. The capacity checks and increments
+// are one update, so it is safe under concurrency.
+const reserveSeat = async (event, ticketTypeId = null) => {
+  await getSeatsTaken(event);
+  await reclaimLapsedSeats(event._id);
+
+  const conditions = [
+    {
+      $or: [
+        // No limit set (missing, null or 0)
+        { $not: [{ $gt: ['$maxAttendees', 0] }] },
+        { $lt: ['$seatsTaken', '$maxAttendees'] }
+      ]
+    }
+  ];
+  const update = { $inc: { seatsTaken: 1 } };
+  const options = {};
+
+  if (ticketTypeId) {
+    conditions.push({
+      $anyElementTrue: [{
+        $map: {
+          input: { $ifNull: ['$ticketTypes', []] },
+          as: 'ticketType',
+          in: {
+            $and: [
+              { $eq: ['$$ticketType.id', ticketTypeId] },
+              {
+                $or: [
+                  { $not: [{ $gt: ['$$ticketType.quantity', 0] }] },
+                  { $lt: [{ $ifNull: ['$$ticketType.sold', 0] }, '$$ticketType.quantity'] }
+                ]
+              }
+            ]
+          }
+        }
+      }]
+    });
+    update.$inc['ticketTypes.$[ticketType].sold'] = 1;
+    options.arrayFilters = [{ 'ticketType.id': ticketTypeId }];
+  }
+
+  const result = await eventsCollection.updateOne(
+    { _id: event._id, $expr: { $and: conditions } },
+    update,
+    options
+  );
+
+  return result.modifiedCount > 0;
+};
+
+// Give a seat (and its ticket) back. Callers release only after moving a registration
+// out of a SEAT_STATUSES status with a conditional update, so each seat is released once.
+const releaseSeat = async (eventId, ticketTypeId = null) => {
+  const update = { $inc: { seatsTaken: -1 } };
+  const options = {};
+
+  if (ticketTypeId) {
+    update.$inc['ticketTypes.$[ticketType].sold'] = -1;
+    options.arrayFilters = [{ 'ticketType.id': ticketTypeId, 'ticketType.sold': { $gt: 0 } }];
+  }
+
+  await eventsCollection.updateOne(
+    { _id: ObjectId.isValid(eventId) ? new ObjectId(eventId) : eventId, seatsTaken: { $gt: 0 } },
+    update,
+    options
+  );
+};
+
+// Whether the event has no seats left, read fresh from the database
+const isEventFull = async (eventId) => {
+  const event = await eventsCollection.findOne(
+    { _id: ObjectId.isValid(eventId) ? new ObjectId(eventId) : eventId },
+    { projection: { maxAttendees: 1, seatsTaken: 1 } }
+  );
+  return !!event && event.maxAttendees > 0 && (event.seatsTaken || 0) >= event.maxAttendees;
+};
+
+const holdsSeat = (registration) => SEAT_STATUSES.includes(registration.status);
+
+module.exports = {
+  SEAT_STATUSES,
+  SEAT_HOLD_MINUTES,
+  initSeats,
+  getSeatsTaken,
+  getSeatsAvailable,
+  reserveSeat,
+  releaseSeat,
+  isEventFull,
+  holdsSeat
+};
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+// Ticket codes are "<registrationId>.<signature>", shown to members as a QR code.
+// The signature is an HMAC of the registration id, so codes cannot be guessed or
+// forged, and no code has to be stored. Whether a code is still valid (not
+// cancelled, not already scanned) is decided by the registration itself.
+
+const getTicketSecret = () => process.env.TICKET_SECRET || process.env.JWT_SECRET || 'your-secret-key';
+
+const sign = (registrationId) => crypto
+  .createHmac('sha256', getTicketSecret())
+  .update(`ticket:${registrationId}`)
+  .digest('base64url')
+  .slice(0, 22); // 128 bits keeps the QR code small
+
+const createTicketCode = (registration) => {
+  const registrationId = registration._id.toString();
+  return `${registrationId}.${sign(registrationId)}`;
+};
+
+// Returns the registration id of a genuine code, or null
+const verifyTicketCode = (code) => {
+  if (typeof code !== 'string') return null;
+
+  const [registrationId, signature, ...rest] = code.trim().split('.');
+  if (!registrationId || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(registrationId));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return registrationId;
+};
+
+module.exports = {
+  createTicketCode,
+  verifyTicketCode
+};
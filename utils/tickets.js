@@ -0,0 +1,163 @@
+const { ObjectId } = require('mongodb');
+const { toMinorUnits, fromMinorUnits } = require('./money');
+
+// Event pricing and ticket types.
+// Events may define ticketTypes: [{ id, name, price, quantity, salesStart, salesEnd, sold }]
+// with quantity null for unlimited and sold maintained by seat reservations.
+// Events without ticket types have a single price. Prices are in minor units of the event's
+// currency (see utils/money); the helpers below return whole units for pricing and responses.
+
+// Single event price in whole units
+const getBaseFee = (event) => fromMinorUnits(event.price);
+
+const getTicketTypes = (event) => (Array.isArray(event.ticketTypes) ? event.ticketTypes : []);
+
+const getTicketType = (event, ticketTypeId) => (
+  getTicketTypes(event).find(ticketType => ticketType.id === ticketTypeId) || null
+);
+
+// Price in whole units of a ticket type, or of the event itself when it has no ticket types
+const getTicketPrice = (event, ticketType) => (ticketType ? fromMinorUnits(ticketType.price) : getBaseFee(event));
+
+// Price in whole units shown on event listings: the cheapest ticket type, if any
+const getEventFee = (event) => {
+  const ticketTypes = getTicketTypes(event);
+  if (ticketTypes.length === 0) return getBaseFee(event);
+  return Math.min(...ticketTypes.map(ticketType => fromMinorUnits(ticketType.price)));
+};
+
+const isOnSale = (ticketType, now = new Date()) => (
+  (!ticketType.salesStart || new Date(ticketType.salesStart) <= now) &&
+  (!ticketType.salesEnd || now <= new Date(ticketType.salesEnd))
+);
+
+const isSoldOut = (ticketType) => !!ticketType.quantity && (ticketType.sold || 0) >= ticketType.quantity;
+
+// Ticket types as returned to clients, with prices in whole units
+const formatTicketTypes = (event, now = new Date()) => getTicketTypes(event).map(ticketType => ({
+  id: ticketType.id,
+  name: ticketType.name,
+  price: fromMinorUnits(ticketType.price),
+  quantity: ticketType.quantity || null,
+  sold: ticketType.sold || 0,
+  remaining: ticketType.quantity ? Math.max(ticketType.quantity - (ticketType.sold || 0), 0) : null,
+  salesStart: ticketType.salesStart || null,
+  salesEnd: ticketType.salesEnd || null,
+  onSale: isOnSale(ticketType, now),
+  soldOut: isSoldOut(ticketType)
+}));
+
+// Pick the ticket type a registration asks for.
+// Returns { ticketType } (null for events without ticket types) or { error } for a 400 response.
+const resolveTicketType = (event, ticketTypeId, now = new Date()) => {
+  const ticketTypes = getTicketTypes(event);
+
+  if (ticketTypes.length === 0) {
+    return ticketTypeId ? { error: 'This event has no ticket types' } : { ticketType: null };
+  }
+
+  let ticketType;
+  if (ticketTypeId) {
+    ticketType = getTicketType(event, ticketTypeId);
+    if (!ticketType) {
+      return { error: 'Ticket type not found' };
+    }
+  } else if (ticketTypes.length === 1) {
+    ticketType = ticketTypes[0];
+  } else {
+    return { error: 'Ticket type is required' };
+  }
+
+  if (!isOnSale(ticketType, now)) {
+    return { error: `${ticketType.name} tickets are not on sale` };
+  }
+
+  return { ticketType };
+};
+
+const parseOptionalDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+// Validate ticket types sent by a manager or admin, with prices in whole units.
+// Existing ticket types are matched by id so their sold counts carry over.
+// Returns { ticketTypes } on success or { error } with a message for a 400 response.
+const normalizeTicketTypes = (input, existing = []) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Ticket types must be an array' };
+  }
+
+  const ticketTypes = [];
+  for (const item of input) {
+    if (!item || typeof item !== 'object') {
+      return { error: 'Each ticket type must be an object' };
+    }
+
+    const name = typeof item.name === 'string' ? item.name.trim() : '';
+    if (!name) {
+      return { error: 'Each ticket type needs a name' };
+    }
+
+    const price = Number(item.price || 0);
+    if (!Number.isFinite(price) || price < 0) {
+      return { error: `Price for ${name} must be zero or a positive number` };
+    }
+
+    const quantity = item.quantity ? Number(item.quantity) : null;
+    if (quantity !== null && (!Number.isInteger(quantity) || quantity < 1)) {
+      return { error: `Quantity for ${name} must be a positive whole number` };
+    }
+
+    const salesStart = parseOptionalDate(item.salesStart);
+    const salesEnd = parseOptionalDate(item.salesEnd);
+    if (salesStart === undefined || salesEnd === undefined) {
+      return { error: `Sale dates for ${name} are invalid` };
+    }
+    if (salesStart && salesEnd && salesEnd <= salesStart) {
+      return { error: `Sales for ${name} must end after they start` };
+    }
+
+    const previous = item.id ? existing.find(ticketType => ticketType.id === item.id) : null;
+    if (item.id && !previous) {
+      return { error: `Ticket type ${item.id} not found` };
+    }
+
+    const sold = previous ? previous.sold || 0 : 0;
+    if (quantity !== null && quantity < sold) {
+      return { error: `Quantity for ${name} cannot be below the ${sold} tickets already sold` };
+    }
+
+    ticketTypes.push({
+      id: previous ? previous.id : new ObjectId().toString(),
+      name,
+      price: toMinorUnits(price),
+      quantity,
+      salesStart,
+      salesEnd,
+      sold
+    });
+  }
+
+  const removedWithSales = existing.find(ticketType =>
+    (ticketType.sold || 0) > 0 && !ticketTypes.some(kept => kept.id === ticketType.id)
+  );
+  if (removedWithSales) {
+    return { error: `Cannot remove ${removedWithSales.name}, tickets have already been sold` };
+  }
+
+  return { ticketTypes };
+};
+
+module.exports = {
+  getTicketTypes,
+  getTicketType,
+  getTicketPrice,
+  getEventFee,
+  isOnSale,
+  isSoldOut,
+  formatTicketTypes,
+  resolveTicketType,
+  normalizeTicketTypes
+};
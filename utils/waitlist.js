@@ -0,0 +1,130 @@
+const { ObjectId } = require('mongodb');
+const { reserveSeat, releaseSeat, isEventFull } = require('./seats');
+const { getTicketType, getTicketPrice } = require('./tickets');
+
+// Hours a promoted member of a paid event's waitlist has to pay for the seat
+const WAITLIST_OFFER_HOURS = 24;
+
+// MongoDB collections (will be initialized from index.js)
+let eventsCollection;
+let registrationsCollection;
+
+// Initialize collections
+const initWaitlist = (client) => {
+  const db = client.db('clubsphere');
+  eventsCollection = db.collection('events');
+  registrationsCollection = db.collection('registrations');
+
+  registrationsCollection.createIndex({ eventId: 1, status: 1, waitlistedAt: 1 })
+    .catch(error => console.error('Create waitlist index error:', error));
+};
+
+// Waitlist order: first come, first served
+const WAITLIST_SORT = { waitlistedAt: 1, _id: 1 };
+
+// 1-based queue position of a waitlisted registration
+const getWaitlistPosition = async (registration) => {
+  if (registration.status !== 'waitlisted') return null;
+
+  const ahead = await registrationsCollection.countDocuments({
+    eventId: registration.eventId,
+    status: 'waitlisted',
+    $or: [
+      { waitlistedAt: { $lt: registration.waitlistedAt } },
+      { waitlistedAt: registration.waitlistedAt, _id: { $lt: registration._id } }
+    ]
+  });
+  return ahead + 1;
+};
+
+// Map of registration id -> queue position for every waitlisted registration of an event
+const getWaitlistPositions = async (eventId) => {
+  const waitlisted = await registrationsCollection
+    .find({ eventId: eventId.toString(), status: 'waitlisted' }, { projection: { _id: 1 } })
+    .sort(WAITLIST_SORT)
+    .toArray();
+
+  const positions = new Map();
+  waitlisted.forEach((registration, index) => {
+    positions.set(registration._id.toString(), index + 1);
+  });
+  return positions;
+};
+
+// Fill free seats from the front of the waitlist.
+// Free tickets register the promoted member directly; paid tickets give them
+// WAITLIST_OFFER_HOURS to pay. When only someone's ticket type is sold out,
+// the next person in line gets the chance instead. Returns the promoted registrations.
+const promoteFromWaitlist = async (eventId) => {
+  let event;
+  if (ObjectId.isValid(eventId)) {
+    event = await eventsCollection.findOne({ _id: new ObjectId(eventId) });
+  } else {
+    event = await eventsCollection.findOne({ _id: eventId });
+  }
+
+  if (!event || event.status === 'cancelled') return [];
+  if (event.date && new Date(event.date) < new Date()) return [];
+
+  const promoted = [];
+  const skipped = [];
+
+  while (true) {
+    const next = await registrationsCollection.findOne(
+      { eventId: eventId.toString(), status: 'waitlisted', _id: { $nin: skipped } },
+      { sort: WAITLIST_SORT }
+    );
+    if (!next) break;
+
+    const ticketTypeId = next.ticketTypeId || null;
+
+    // Take the seat first so a promotion never goes over capacity
+    if (!(await reserveSeat(event, ticketTypeId))) {
+      if (await isEventFull(event._id)) break;
+      skipped.push(next._id);
+      continue;
+    }
+
+    const now = new Date();
+    const paid = getTicketPrice(event, getTicketType(event, ticketTypeId)) > 0;
+    const update = paid
+      ? {
+          status: 'offered',
+          paymentStatus: 'pending',
+          offeredAt: now,
+          offerExpiresAt: new Date(now.getTime() + WAITLIST_OFFER_HOURS * 60 * 60 * 1000),
+          updatedAt: now
+        }
+      : {
+          status: 'registered',
+          paymentStatus: 'free',
+          promotedAt: now,
+          registrationDate: now,
+          updatedAt: now
+        };
+
+    // Conditional on the status, so concurrent promotions never pick the same person
+    const registration = await registrationsCollection.findOneAndUpdate(
+      { _id: next._id, status: 'waitlisted' },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+
+    if (!registration) {
+      // Someone else promoted or cancelled them meanwhile
+      await releaseSeat(event._id, ticketTypeId);
+      continue;
+    }
+    promoted.push(registration);
+  }
+
+  return promoted;
+};
+
+module.exports = {
+  WAITLIST_OFFER_HOURS,
+  initWaitlist,
+  getWaitlistPosition,
+  getWaitlistPositions,
+  promoteFromWaitlist
+};